@@ -86,10 +86,17 @@ public function updateNotificationStatus(
 }
 
 public function findNotificationsByPassenger(string passengerId) returns Notification[]|error {
+    return findNotifications({"passengerId": passengerId});
+}
+
+// Passenger's own notifications plus broadcasts stored under "SYSTEM"
+public function findNotificationsForPassenger(string passengerId) returns Notification[]|error {
+    return findNotifications({"passengerId": {"$in": [passengerId, "SYSTEM"]}});
+}
+
+function findNotifications(map<json> filter) returns Notification[]|error {
     mongodb:Collection notificationsCollection = check getNotificationsCollection();
     
-    map<json> filter = {"passengerId": passengerId};
-    
     // Create FindOptions with sort and limit
     mongodb:FindOptions findOptions = {
         sort: {"createdAt": -1},
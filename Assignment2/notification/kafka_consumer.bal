@@ -63,7 +63,15 @@ function processMessageByStructure(string message) returns error? {
         return;
     }
     
-    // 2. Check for TicketValidatedMessage (has validationId)
+    // 2. Check for ScheduleUpdateEvent (has eventId and newStatus): passed on to the live feed
+    if jsonMsg.eventId is json && jsonMsg.newStatus is json {
+        log:printInfo("Detected: Schedule Update Event");
+        ScheduleUpdateEvent event = check jsonMsg.cloneWithType();
+        broadcastScheduleUpdate(event);
+        return;
+    }
+    
+    // 3. Check for TicketValidatedMessage (has validationId)
     if jsonMsg.validationId is json && jsonMsg.validatedAt is json {
         log:printInfo("Detected: Ticket Validated Message");
         TicketValidatedMessage msg = check jsonMsg.cloneWithType();
@@ -71,7 +79,7 @@ function processMessageByStructure(string message) returns error? {
         return;
     }
     
-    // 3. Check for TicketCreatedMessage (has qrCode and purchaseTime)
+    // 4. Check for TicketCreatedMessage (has qrCode and purchaseTime)
     if jsonMsg.qrCode is json && jsonMsg.purchaseTime is json {
         log:printInfo("Detected: Ticket Created Message");
         TicketCreatedMessage msg = check jsonMsg.cloneWithType();
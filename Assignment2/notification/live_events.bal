@@ -0,0 +1,90 @@
+// File: live_events.bal
+// Live schedule feed: forwards the transport service's schedule update events to browsers
+
+import ballerina/http;
+import ballerina/lang.runtime;
+import ballerina/uuid;
+
+// How often an open stream checks for new events, and how long it may stay silent before it
+// sends a comment line (which keeps proxies from closing it and notices a client that has left)
+const decimal LIVE_POLL_INTERVAL = 0.5;
+const decimal LIVE_HEARTBEAT_INTERVAL = 15;
+// Events held for a client that is not reading; the oldest are dropped past this
+const int LIVE_QUEUE_LIMIT = 100;
+
+// Pending events for each open stream, by subscriber ID
+isolated map<ScheduleUpdateEvent[]> liveSubscribers = {};
+
+// ============================================
+// SUBSCRIBERS
+// ============================================
+
+isolated function subscribeToScheduleUpdates() returns string {
+    string subscriberId = uuid:createType1AsString();
+    lock {
+        liveSubscribers[subscriberId] = [];
+    }
+    logInfo(string `Live feed client connected: ${subscriberId}`);
+    return subscriberId;
+}
+
+isolated function unsubscribeFromScheduleUpdates(string subscriberId) {
+    lock {
+        _ = liveSubscribers.removeIfHasKey(subscriberId);
+    }
+    logInfo(string `Live feed client disconnected: ${subscriberId}`);
+}
+
+isolated function takeScheduleUpdate(string subscriberId) returns ScheduleUpdateEvent? {
+    lock {
+        ScheduleUpdateEvent[]? queue = liveSubscribers[subscriberId];
+        if queue is () || queue.length() == 0 {
+            return ();
+        }
+        return queue.shift().clone();
+    }
+}
+
+// Queues a consumed event for every open stream
+isolated function broadcastScheduleUpdate(ScheduleUpdateEvent event) {
+    ScheduleUpdateEvent & readonly frozen = event.cloneReadOnly();
+    lock {
+        foreach ScheduleUpdateEvent[] queue in liveSubscribers {
+            if queue.length() >= LIVE_QUEUE_LIMIT {
+                _ = queue.shift();
+            }
+            queue.push(frozen);
+        }
+    }
+}
+
+// ============================================
+// EVENT STREAM
+// ============================================
+
+// One client's server-sent event stream: a `schedule-update` event per ScheduleUpdateEvent,
+// with the event ID as the SSE id so the browser can drop repeats
+class ScheduleUpdateStream {
+    private final string subscriberId;
+
+    isolated function init() {
+        self.subscriberId = subscribeToScheduleUpdates();
+    }
+
+    public isolated function next() returns record {|http:SseEvent value;|}|error? {
+        decimal waited = 0;
+        while waited < LIVE_HEARTBEAT_INTERVAL {
+            ScheduleUpdateEvent? event = takeScheduleUpdate(self.subscriberId);
+            if event is ScheduleUpdateEvent {
+                return {value: {event: "schedule-update", id: event.eventId, data: event.toJsonString()}};
+            }
+            runtime:sleep(LIVE_POLL_INTERVAL);
+            waited += LIVE_POLL_INTERVAL;
+        }
+        return {value: {comment: "heartbeat"}};
+    }
+
+    public isolated function close() returns error? {
+        unsubscribeFromScheduleUpdates(self.subscriberId);
+    }
+}
@@ -9,6 +9,14 @@ public function main() returns error? {
     log:printInfo(string `Starting ${serviceName}...`);
     log:printInfo("Initializing Kafka consumer...");
     
-    // Start Kafka listener (this will run indefinitely)
-    check startKafkaListener();
+    // Run the Kafka poll loop on its own strand: module listeners (the HTTP API)
+    // only start once main returns
+    _ = start runKafkaListener();
+}
+
+function runKafkaListener() {
+    error? result = startKafkaListener();
+    if result is error {
+        log:printError("Kafka consumer stopped", result);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+// File: service.bal
+// HTTP API for reading stored notifications
+
+import ballerina/http;
+import ballerina/log;
+
+configurable int servicePort = 9094;
+
+// HTTP listener configuration
+listener http:Listener httpListener = new (servicePort);
+
+// ============================================
+// NOTIFICATION SERVICE
+// ============================================
+
+@http:ServiceConfig {
+    cors: {
+        allowOrigins: ["*"],
+        allowMethods: ["GET", "OPTIONS"],
+        allowHeaders: ["Content-Type", "Authorization"],
+        maxAge: 3600
+    }
+}
+service /notifications on httpListener {
+
+    // Health check endpoint
+    resource function get health() returns json {
+        return {
+            status: "UP",
+            serviceName: "Notification Service",
+            timestamp: getCurrentTimestamp()
+        };
+    }
+
+    // Live trip status changes as server-sent `schedule-update` events (see live_events.bal)
+    resource function get events() returns stream<http:SseEvent, error?> {
+        return new (new ScheduleUpdateStream());
+    }
+
+    // Get notifications for a passenger, including system-wide disruption notices
+    resource function get .(string passengerId) returns http:Ok|http:InternalServerError {
+        log:printInfo("Fetching notifications for passenger: " + passengerId);
+        
+        Notification[]|error notifications = findNotificationsForPassenger(passengerId);
+        
+        if notifications is error {
+            logError("Failed to fetch notifications", notifications);
+            return <http:InternalServerError>{
+                body: {success: false, message: "Failed to fetch notifications"}
+            };
+        }
+        
+        return <http:Ok>{
+            body: {
+                success: true,
+                message: "Notifications fetched successfully",
+                data: notifications.toJson()
+            }
+        };
+    }
+}
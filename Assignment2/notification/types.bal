@@ -72,6 +72,20 @@ public type ScheduleUpdateMessage record {|
     string createdAt;
 |};
 
+// Schedule Update Event (from Transport Service, when a trip's status changes)
+public type ScheduleUpdateEvent record {|
+    string eventId;
+    string eventType;
+    string tripId;
+    string routeId;
+    string routeNumber;
+    string previousStatus;
+    string newStatus;
+    int delayMinutes;
+    string? reason = ();
+    string timestamp;
+|};
+
 // Ticket Validated Message (from Ticketing Service)
 public type TicketValidatedMessage record {|
     string validationId;
@@ -30,6 +30,8 @@ type LoginResponse record {|
     string firstName;
     string lastName;
     string token;
+    string expiresAt;
+    string role;
     string message;
 |};
 
@@ -264,10 +266,10 @@ service /passengers on new http:Listener(servicePort) {
         }
         
         // Generate proper JWT token
-        string|error token = generateToken(passenger.passengerId, passenger.username);
+        IssuedToken|error issued = generateToken(passenger.passengerId, passenger.username);
         
-        if token is error {
-            log:printError("Error generating token", token);
+        if issued is error {
+            log:printError("Error generating token", issued);
             return <http:InternalServerError>{
                 body: {message: "Error generating authentication token"}
             };
@@ -282,13 +284,69 @@ service /passengers on new http:Listener(servicePort) {
             email: passenger.email,
             firstName: passenger.firstName,
             lastName: passenger.lastName,
-            token: token,
+            token: issued.token,
+            expiresAt: utcToIsoString(issued.expiresAt),
+            role: getUserRole(passenger.username),
             message: "Login successful"
         };
         
         return response;
     }
 
+    // Exchange a still-valid token for a fresh one, so active riders are not logged out mid-session
+    resource function post refresh(@http:Header string? authorization) returns LoginResponse|http:Unauthorized|http:InternalServerError {
+        if authorization is () || !authorization.startsWith("Bearer ") {
+            return <http:Unauthorized>{
+                body: {message: "Missing bearer token"}
+            };
+        }
+        
+        string|error passengerId = extractPassengerId(authorization.substring(7).trim());
+        if passengerId is error {
+            log:printWarn("Token refresh rejected: " + passengerId.message());
+            return <http:Unauthorized>{
+                body: {message: "Session has expired"}
+            };
+        }
+        
+        Passenger|error? passenger = findPassengerById(passengerId);
+        
+        if passenger is error {
+            log:printError("Error finding passenger", passenger);
+            return <http:InternalServerError>{
+                body: {message: "Internal server error"}
+            };
+        }
+        
+        if passenger is () || passenger.status != ACTIVE {
+            log:printWarn("Token refresh rejected for passenger: " + passengerId);
+            return <http:Unauthorized>{
+                body: {message: "Account is not active"}
+            };
+        }
+        
+        IssuedToken|error issued = generateToken(passenger.passengerId, passenger.username);
+        
+        if issued is error {
+            log:printError("Error generating token", issued);
+            return <http:InternalServerError>{
+                body: {message: "Error generating authentication token"}
+            };
+        }
+        
+        return {
+            passengerId: passenger.passengerId,
+            username: passenger.username,
+            email: passenger.email,
+            firstName: passenger.firstName,
+            lastName: passenger.lastName,
+            token: issued.token,
+            expiresAt: utcToIsoString(issued.expiresAt),
+            role: getUserRole(passenger.username),
+            message: "Token refreshed"
+        };
+    }
+
     // Get passenger tickets
     resource function get [string passengerId]/tickets() returns Ticket[]|http:NotFound|http:InternalServerError {
         log:printInfo("Fetching tickets for passenger: " + passengerId);
@@ -15,6 +15,10 @@ configurable int jwtExpiryMinutes = 60;
 configurable string jwtIssuer = "passenger-service";
 configurable string jwtAudience = "transport-system";
 
+// Staff roles (usernames listed here log in with elevated role claims)
+configurable string[] conductorUsernames = [];
+configurable string[] adminUsernames = [];
+
 // Generate unique passenger ID
 public function generatePassengerId() returns string {
     string uid = uuid:createType1AsString();
@@ -104,7 +108,24 @@ public function isValidPhoneNumber(string phoneNumber) returns boolean {
 }
 
 // Generate proper JWT token with expiry
-public function generateToken(string passengerId, string username) returns string|error {
+// Resolve the role claim for a username
+public function getUserRole(string username) returns string {
+    if adminUsernames.indexOf(username) is int {
+        return "admin";
+    }
+    if conductorUsernames.indexOf(username) is int {
+        return "conductor";
+    }
+    return "passenger";
+}
+
+// A signed token and the moment it stops being accepted
+public type IssuedToken record {|
+    string token;
+    time:Utc expiresAt;
+|};
+
+public function generateToken(string passengerId, string username) returns IssuedToken|error {
     time:Utc currentTime = time:utcNow();
     decimal currentSeconds = <decimal>currentTime[0];
     
@@ -120,7 +141,7 @@ public function generateToken(string passengerId, string username) returns strin
         customClaims: {
             "passengerId": passengerId,
             "username": username,
-            "role": "passenger"
+            "role": getUserRole(username)
         },
         // ✅ CORRECTED: Pass secret directly as string (HMAC symmetric key)
         signatureConfig: {
@@ -132,7 +153,10 @@ public function generateToken(string passengerId, string username) returns strin
     string jwtToken = check jwt:issue(issuerConfig);
     log:printInfo(string `Generated JWT token for passenger ${passengerId}, expires in ${jwtExpiryMinutes} minutes`);
     
-    return jwtToken;
+    return {
+        token: jwtToken,
+        expiresAt: [<int>expirySeconds, 0]
+    };
 }
 
 // Verify and validate JWT token
@@ -65,7 +65,14 @@ public function findPaymentByTicketId(string ticketId) returns Payment|error? {
         return ();
     }
     
-    return payments[0];
+    // A ticket may collect FAILED attempts before a retry goes through; prefer the live payment
+    foreach Payment payment in payments {
+        if payment.status != FAILED {
+            return payment;
+        }
+    }
+    
+    return payments[payments.length() - 1];
 }
 
 // Find payments by passenger ID
@@ -160,17 +167,25 @@ public function deletePayment(string paymentId) returns error? {
 }
 
 // Get payment statistics
-public function getPaymentStats() returns map<json>|error {
+public function getPaymentStats(string? passengerId = ()) returns map<json>|error {
     mongodb:Collection paymentsCollection = check getPaymentsCollection();
     
-    stream<Payment, error?> allPayments = check paymentsCollection->find({});
+    map<json> filter = {};
+    
+    if passengerId is string {
+        filter["passengerId"] = passengerId;
+    }
+    
+    stream<Payment, error?> allPayments = check paymentsCollection->find(filter);
     Payment[] payments = check from Payment p in allPayments select p;
     
     int totalPayments = payments.length();
     int successfulPayments = 0;
     int failedPayments = 0;
     int pendingPayments = 0;
+    int refundedPayments = 0;
     decimal totalAmount = 0.0;
+    decimal refundedAmount = 0.0;
     
     foreach Payment payment in payments {
         if payment.status == SUCCESS {
@@ -180,6 +195,9 @@ public function getPaymentStats() returns map<json>|error {
             failedPayments += 1;
         } else if payment.status == PENDING {
             pendingPayments += 1;
+        } else if payment.status == REFUNDED {
+            refundedPayments += 1;
+            refundedAmount += payment.amount;
         }
     }
     
@@ -188,7 +206,9 @@ public function getPaymentStats() returns map<json>|error {
         "successful": successfulPayments,
         "failed": failedPayments,
         "pending": pendingPayments,
+        "refunded": refundedPayments,
         "totalAmountProcessed": totalAmount.toString(),
+        "totalAmountRefunded": refundedAmount.toString(),
         "successRate": totalPayments > 0 ? (successfulPayments * 100.0 / totalPayments).toString() + "%" : "0%"
     };
 }
\ No newline at end of file
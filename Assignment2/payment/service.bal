@@ -12,6 +12,9 @@ listener http:Listener httpListener = new (servicePort, config = {
     host: serviceHost
 });
 
+// HTTP client for Ticketing Service (refunds withdraw the tickets they paid for)
+final http:Client ticketingClient = check new ("http://localhost:9092");
+
 // ============================================
 // PAYMENT SERVICE
 // ============================================
@@ -58,7 +61,8 @@ service /payment on httpListener {
             return <http:InternalServerError>{ body: errorResp };
         }
         
-        if existingPayment is Payment {
+        // Failed attempts don't block a retry; anything else means the ticket is already being paid
+        if existingPayment is Payment && existingPayment.status != FAILED {
             ErrorResponse errorResp = createErrorResponse(
                 "Payment already exists for this ticket",
                 "DUPLICATE_PAYMENT"
@@ -164,11 +168,11 @@ service /payment on httpListener {
         return <http:Ok>{ body: response };
     }
 
-    // Get payment statistics (admin endpoint)
-    resource function get payments/stats() returns http:Ok|http:InternalServerError {
+    // Get payment statistics, system-wide or for one passenger
+    resource function get payments/stats(string? passengerId = ()) returns http:Ok|http:InternalServerError {
         log:printInfo("Fetching payment statistics");
         
-        map<json>|error stats = getPaymentStats();
+        map<json>|error stats = getPaymentStats(passengerId);
         
         if stats is error {
             logError("Failed to fetch payment statistics", stats);
@@ -180,9 +184,19 @@ service /payment on httpListener {
         return <http:Ok>{ body: response };
     }
 
-    // Refund payment (admin only)
-    resource function post payments/[string paymentId]/refund() returns http:Ok|http:NotFound|http:BadRequest|http:InternalServerError {
-        log:printInfo("Processing refund for payment: " + paymentId);
+    // Refund payment: for the passenger who paid it, or an admin. The tickets it paid for are
+    // withdrawn first, so a refunded ticket cannot then be used to travel.
+    resource function post payments/[string paymentId]/refund(@http:Header string? authorization, string? reason = ())
+            returns http:Ok|http:NotFound|http:BadRequest|http:Unauthorized|http:Forbidden|http:InternalServerError {
+        log:printInfo("Processing refund for payment: " + paymentId + " (reason: " + (reason ?: "not given") + ")");
+        
+        Caller|error caller = getCaller(authorization);
+        
+        if caller is error {
+            log:printWarn("Refund rejected: " + caller.message());
+            ErrorResponse errorResp = createErrorResponse("Sign in to request a refund", "UNAUTHORIZED");
+            return <http:Unauthorized>{ body: errorResp };
+        }
         
         // Fetch payment
         Payment|error? existingPayment = findPaymentById(paymentId);
@@ -198,6 +212,12 @@ service /payment on httpListener {
             return <http:NotFound>{ body: errorResp };
         }
         
+        if caller.role != "admin" && caller.passengerId != existingPayment.passengerId {
+            log:printWarn("Refund of " + paymentId + " rejected for passenger: " + caller.passengerId);
+            ErrorResponse errorResp = createErrorResponse("Only the passenger who paid can request this refund", "FORBIDDEN");
+            return <http:Forbidden>{ body: errorResp };
+        }
+        
         // Check if payment can be refunded
         if existingPayment.status != SUCCESS {
             ErrorResponse errorResp = createErrorResponse(
@@ -207,6 +227,19 @@ service /payment on httpListener {
             return <http:BadRequest>{ body: errorResp };
         }
         
+        // Withdraw the tickets before any money goes back
+        ErrorResponse|error? withdrawResult = withdrawTickets(existingPayment);
+        
+        if withdrawResult is error {
+            logError("Failed to withdraw tickets for refund", withdrawResult);
+            ErrorResponse errorResp = createErrorResponse("Failed to withdraw the tickets for this payment");
+            return <http:InternalServerError>{ body: errorResp };
+        }
+        
+        if withdrawResult is ErrorResponse {
+            return <http:BadRequest>{ body: withdrawResult };
+        }
+        
         // Update payment status to REFUNDED
         error? updateResult = updatePaymentStatus(paymentId, REFUNDED);
         
@@ -256,4 +289,29 @@ service /payment on httpListener {
         ApiResponse response = createSuccessResponse("Payment deleted successfully");
         return <http:Ok>{ body: response };
     }
-}
\ No newline at end of file
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Ask the ticketing service to withdraw a payment's tickets. Its refusal (a ticket already used)
+// comes back as an ErrorResponse for the caller; anything else going wrong is an error.
+function withdrawTickets(Payment payment) returns ErrorResponse|error? {
+    http:Response response = check ticketingClient->post("/ticketing/tickets/refund", {
+        paymentId: payment.paymentId,
+        ticketId: payment.ticketId
+    });
+    
+    if response.statusCode == 200 {
+        return ();
+    }
+    
+    if response.statusCode == 400 {
+        json payload = check response.getJsonPayload();
+        json errorCode = check payload.errorCode;
+        return createErrorResponse((check payload.message).toString(), errorCode is () ? () : errorCode.toString());
+    }
+    
+    return error("Ticketing service returned status: " + response.statusCode.toString());
+}
@@ -4,6 +4,12 @@
 import ballerina/time;
 import ballerina/uuid;
 import ballerina/log;
+import ballerina/jwt;
+
+// Tokens are issued by the passenger service; these must match its JWT settings
+configurable string jwtSecret = ?;
+configurable string jwtIssuer = "passenger-service";
+configurable string jwtAudience = "transport-system";
 
 // ============================================
 // ID GENERATION
@@ -31,6 +37,44 @@ public function getCurrentTimestamp() returns string {
     return time:utcToString(currentTime);
 }
 
+// ============================================
+// CALLER IDENTITY
+// ============================================
+
+// Who sent a request, from the bearer token the passenger service issued
+public type Caller record {|
+    string passengerId;
+    string role;
+|};
+
+// Verify the Authorization header and read the passenger and role claims from it
+public function getCaller(string? authorization) returns Caller|error {
+    if authorization is () || !authorization.startsWith("Bearer ") {
+        return error("Missing bearer token");
+    }
+    
+    jwt:Payload payload = check jwt:validate(authorization.substring(7).trim(), {
+        issuer: jwtIssuer,
+        audience: jwtAudience,
+        signatureConfig: {
+            secret: jwtSecret
+        },
+        clockSkew: 60
+    });
+    
+    // Custom claims are merged into the top level of the payload
+    anydata passengerId = payload["passengerId"];
+    if passengerId !is string {
+        return error("Passenger ID not found in token");
+    }
+    
+    anydata role = payload["role"];
+    return {
+        passengerId: passengerId,
+        role: role is string ? role : "passenger"
+    };
+}
+
 // ============================================
 // RESPONSE HELPERS
 // ============================================
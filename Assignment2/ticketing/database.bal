@@ -85,6 +85,38 @@ public function findTicketsByPassengerId(string passengerId, TicketStatus? statu
     return tickets;
 }
 
+// Find the tickets a payment paid for (a group booking pays for several)
+public function findTicketsByPaymentId(string paymentId) returns Ticket[]|error {
+    mongodb:Collection collection = check getTicketsCollection();
+    
+    stream<map<json>, error?> resultStream = check collection->find({paymentId: paymentId});
+    
+    Ticket[] tickets = [];
+    check from map<json> doc in resultStream
+        do {
+            Ticket ticket = check mapToTicket(doc);
+            tickets.push(ticket);
+        };
+    
+    return tickets;
+}
+
+// Find the ticket a QR code was issued for (a list, like the other ticket queries)
+public function findTicketsByQrCode(string qrCode) returns Ticket[]|error {
+    mongodb:Collection collection = check getTicketsCollection();
+    
+    stream<map<json>, error?> resultStream = check collection->find({qrCode: qrCode});
+    
+    Ticket[] tickets = [];
+    check from map<json> doc in resultStream
+        do {
+            Ticket ticket = check mapToTicket(doc);
+            tickets.push(ticket);
+        };
+    
+    return tickets;
+}
+
 // Find all tickets
 public function findAllTickets(TicketStatus? status = ()) returns Ticket[]|error {
     mongodb:Collection collection = check getTicketsCollection();
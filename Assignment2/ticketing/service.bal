@@ -30,7 +30,7 @@ final http:Client transportClient = check new ("http://localhost:9091");
     cors: {
         allowOrigins: ["*"],
         allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-        allowHeaders: ["Content-Type", "Authorization"],
+        allowHeaders: ["Content-Type", "Authorization", "X-Offline-Cache"],
         maxAge: 3600
     }
 }
@@ -168,13 +168,15 @@ service /ticketing on httpListener {
         return <http:Ok>{ body: response };
     }
 
-    // Get all tickets for a passenger
-    resource function get tickets(string? passengerId = (), TicketStatus? status = ()) returns http:Ok|http:BadRequest|http:InternalServerError {
+    // Get all tickets for a passenger, or the ticket a scanned QR code belongs to
+    resource function get tickets(string? passengerId = (), TicketStatus? status = (), string? qrCode = ()) returns http:Ok|http:BadRequest|http:InternalServerError {
         log:printInfo("Fetching tickets");
         
         Ticket[]|error tickets;
         
-        if passengerId is string {
+        if qrCode is string {
+            tickets = findTicketsByQrCode(qrCode);
+        } else if passengerId is string {
             tickets = findTicketsByPassengerId(passengerId, status);
         } else {
             tickets = findAllTickets(status);
@@ -208,6 +210,11 @@ service /ticketing on httpListener {
             return <http:NotFound>{ body: errorResp };
         }
         
+        if existingTicket.status == REFUNDED {
+            ErrorResponse errorResp = createErrorResponse("Ticket has been refunded", "TICKET_REFUNDED");
+            return <http:BadRequest>{ body: errorResp };
+        }
+        
         // Check if ticket is PAID
         if existingTicket.status != PAID {
             ErrorResponse errorResp = createErrorResponse(
@@ -248,7 +255,7 @@ service /ticketing on httpListener {
             return <http:InternalServerError>{ body: errorResp };
         }
         
-        logInfo("Ticket validated: " + ticketId + " by " + request.validatedBy);
+        logInfo("Ticket validated: " + ticketId + " by " + request.validatedBy + " at " + (request.location ?: "unknown location"));
         
         // Fetch updated ticket
         Ticket|error? updatedTicket = findTicketById(ticketId);
@@ -335,6 +342,75 @@ service /ticketing on httpListener {
         return <http:Ok>{ body: response };
     }
 
+    // Withdraw the tickets a payment paid for, before the payment service refunds it. A ticket that
+    // has been used cannot be refunded. Tickets already withdrawn are left as they are, so a refund
+    // that failed after this step can be retried.
+    resource function post tickets/refund(@http:Payload TicketRefundRequest request) returns http:Ok|http:NotFound|http:BadRequest|http:InternalServerError {
+        log:printInfo("Withdrawing tickets for refunded payment: " + request.paymentId);
+        
+        Ticket[]|error tickets = findTicketsByPaymentId(request.paymentId);
+        
+        if tickets is error {
+            logError("Error fetching tickets for payment", tickets);
+            ErrorResponse errorResp = createErrorResponse("Database error");
+            return <http:InternalServerError>{ body: errorResp };
+        }
+        
+        // A payment whose confirmation never reached the ticket is only linked by the payment's ticketId
+        if tickets.filter(ticket => ticket.ticketId == request.ticketId).length() == 0 {
+            Ticket|error? paidFor = findTicketById(request.ticketId);
+            
+            if paidFor is error {
+                logError("Error fetching ticket", paidFor);
+                ErrorResponse errorResp = createErrorResponse("Database error");
+                return <http:InternalServerError>{ body: errorResp };
+            }
+            
+            if paidFor is Ticket {
+                tickets.push(paidFor);
+            }
+        }
+        
+        if tickets.length() == 0 {
+            ErrorResponse errorResp = createErrorResponse("No tickets found for payment");
+            return <http:NotFound>{ body: errorResp };
+        }
+        
+        foreach Ticket ticket in tickets {
+            if ticket.status == VALIDATED {
+                ErrorResponse errorResp = createErrorResponse(
+                    "Ticket " + ticket.ticketId + " has already been used and cannot be refunded",
+                    "TICKET_USED"
+                );
+                return <http:BadRequest>{ body: errorResp };
+            }
+        }
+        
+        string[] withdrawn = [];
+        foreach Ticket ticket in tickets {
+            if ticket.status == REFUNDED {
+                continue;
+            }
+            
+            error? updateResult = updateTicketStatus(ticket.ticketId, REFUNDED);
+            
+            if updateResult is error {
+                logError("Failed to withdraw ticket " + ticket.ticketId, updateResult);
+                ErrorResponse errorResp = createErrorResponse("Failed to withdraw tickets");
+                return <http:InternalServerError>{ body: errorResp };
+            }
+            withdrawn.push(ticket.ticketId);
+        }
+        
+        logInfo("Tickets withdrawn for payment " + request.paymentId + ": " + withdrawn.toString());
+        
+        ApiResponse response = createSuccessResponse("Tickets withdrawn", {
+            paymentId: request.paymentId,
+            ticketIds: tickets.map(ticket => ticket.ticketId)
+        });
+        return <http:Ok>{ body: response };
+    }
+
     // Cleanup expired tickets (admin endpoint)
     resource function post tickets/cleanup\-expired() returns http:Ok|http:InternalServerError {
         log:printInfo("Running expired tickets cleanup");
@@ -352,8 +428,8 @@ service /ticketing on httpListener {
     }
 
     // Delete ticket (admin only)
-    resource function delete tickets/[string ticketId]() returns http:Ok|http:NotFound|http:InternalServerError {
-        log:printInfo("Deleting ticket: " + ticketId);
+    resource function delete tickets/[string ticketId](string? reason = ()) returns http:Ok|http:NotFound|http:InternalServerError {
+        log:printInfo("Deleting ticket: " + ticketId + " (reason: " + (reason ?: "not given") + ")");
         
         error? deleteResult = deleteTicket(ticketId);
         
@@ -8,7 +8,8 @@ public enum TicketStatus {
     CREATED,    // Just requested
     PAID,       // Payment confirmed
     VALIDATED,  // Used on a vehicle
-    EXPIRED     // No longer valid
+    EXPIRED,    // No longer valid
+    REFUNDED    // Paid, then refunded; cannot be used
 }
 public type PassengerInfo record {|
     string passengerId;
@@ -46,6 +47,13 @@ public type TicketValidationRequest record {|
     string vehicleId;
     string driverId;
     string validatedBy;         // Staff ID who validated
+    string location?;           // Stop where the ticket was checked
+|};
+
+// Refund request (from Payment Service): the refunded payment and the ticket it was taken for
+public type TicketRefundRequest record {|
+    string paymentId;
+    string ticketId;
 |};
 
 // Trip info (from Transport Service)
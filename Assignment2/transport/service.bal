@@ -18,7 +18,7 @@ listener http:Listener httpListener = new (servicePort, config = {
     cors: {
         allowOrigins: ["*"],
         allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-        allowHeaders: ["Content-Type", "Authorization"],
+        allowHeaders: ["Content-Type", "Authorization", "X-Offline-Cache"],
         maxAge: 3600
     }
 }
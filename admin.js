@@ -0,0 +1,559 @@
+// Operator console for the transport service's route and trip management endpoints.
+// Only shown to the admin role; the checks below mirror the service's own so operators
+// get a message before a request is rejected.
+const ROUTE_NUMBER_MAX_LENGTH = 10;
+const ROUTE_STATUSES = ['ACTIVE', 'INACTIVE', 'SUSPENDED'];
+const TRIP_MAX_SEATS = 500;
+const TRIP_MAX_DELAY_MINUTES = 1440;
+
+// Same transitions the transport service accepts (isValidStatusTransition); a DELAYED trip
+// may be re-reported to change its delay.
+const TRIP_TRANSITIONS = {
+    SCHEDULED: ['IN_PROGRESS', 'DELAYED', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED', 'DELAYED', 'CANCELLED'],
+    DELAYED: ['IN_PROGRESS', 'DELAYED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+};
+
+const admin = {
+    routes: [],
+    route: null,
+    trips: []
+};
+
+function initAdminConsole() {
+    document.getElementById('admin-new-route-btn').addEventListener('click', () => openRouteForm(null));
+    document.getElementById('admin-refresh-btn').addEventListener('click', loadAdminRoutes);
+    document.getElementById('admin-back-btn').addEventListener('click', () => navigate('/admin'));
+    document.getElementById('admin-new-trip-btn').addEventListener('click', openTripForm);
+
+    registerActions({
+        'admin-route-trips': ({ routeId }) => navigate(`/admin/routes/${encodeURIComponent(routeId)}/trips`),
+        'admin-edit-route': ({ routeId }) => openRouteForm(routeId),
+        'admin-delete-route': ({ routeId }) => confirmDeleteRoute(routeId),
+        'admin-trip-status': ({ tripId, status }) => changeTripStatus(tripId, status),
+        'admin-delete-trip': ({ tripId }) => confirmDeleteTrip(tripId)
+    });
+}
+
+async function loadAdminRoutes() {
+    render('admin-routes-list', loadingMessage(t('routes.loading')));
+
+    try {
+        // Not marked for the offline cache, so a reload after a change shows it straight away.
+        admin.routes = (await api.transport.getRoutes()) || [];
+        admin.routes.sort((a, b) => a.routeNumber.localeCompare(b.routeNumber, undefined, { numeric: true }));
+        renderAdminRoutes();
+
+        if (admin.route) {
+            admin.route = admin.routes.find(route => route.routeId === admin.route.routeId) || null;
+            if (admin.route) {
+                await loadAdminTrips();
+            } else {
+                // Not awaited: this can run inside the router's own tab load.
+                navigate('/admin', { replace: true });
+            }
+        }
+    } catch (error) {
+        render('admin-routes-list', loadingMessage(listErrorText(error, t('errors.loadRoutes'))));
+        console.error('Error loading admin routes:', error);
+    }
+}
+
+function renderAdminRoutes() {
+    if (admin.routes.length === 0) {
+        render('admin-routes-list', loadingMessage(t('admin.noRoutes')));
+        return;
+    }
+
+    render('admin-routes-list', admin.routes.map(route => card({
+        className: `route-card ${admin.route?.routeId === route.routeId ? 'card-selected' : ''}`,
+        data: { routeId: route.routeId },
+        title: `${route.routeNumber} - ${route.routeName}`,
+        status: route.status,
+        rows: [
+            [t('admin.fromTo'), `${route.startLocation} \u2192 ${route.endLocation}`],
+            [t('admin.stops'), (route.intermediateStops || []).join(', ') || t('admin.noStops')],
+            [t('admin.distanceDuration'), t('admin.distanceDurationValue', { distance: formatNumber(route.distance), duration: route.estimatedDuration })],
+            [t('routes.fare'), formatMoney(route.fare)]
+        ],
+        actions: [
+            { label: t('admin.trips'), action: 'admin-route-trips', data: { routeId: route.routeId } },
+            { label: t('common.edit'), action: 'admin-edit-route', data: { routeId: route.routeId }, variant: 'btn-secondary' },
+            { label: t('common.delete'), action: 'admin-delete-route', data: { routeId: route.routeId }, variant: 'btn-danger' }
+        ]
+    })));
+}
+
+function openRouteForm(routeId) {
+    const route = routeId ? admin.routes.find(r => r.routeId === routeId) : null;
+    if (routeId && !route) return;
+
+    openModal(html`
+        <h2>${route ? t('admin.editRoute', { routeNumber: route.routeNumber }) : t('admin.newRoute')}</h2>
+        <form id="route-form" class="admin-form" novalidate>
+            ${!route && html`
+                <div class="form-group">
+                    <label for="route-number">${t('admin.routeNumber')}</label>
+                    <input type="text" id="route-number" maxlength="${ROUTE_NUMBER_MAX_LENGTH}" required>
+                </div>
+            `}
+            <div class="form-group">
+                <label for="route-name">${t('admin.routeName')}</label>
+                <input type="text" id="route-name" required>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="route-start">${t('admin.start')}</label>
+                    <input type="text" id="route-start" required>
+                </div>
+                <div class="form-group">
+                    <label for="route-end">${t('admin.end')}</label>
+                    <input type="text" id="route-end" required>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="route-stops">${t('admin.intermediateStops')}</label>
+                <textarea id="route-stops" rows="3"></textarea>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="route-distance">${t('admin.distanceKm')}</label>
+                    <input type="number" id="route-distance" min="0" step="0.1" required>
+                </div>
+                <div class="form-group">
+                    <label for="route-duration">${t('admin.durationMin')}</label>
+                    <input type="number" id="route-duration" min="1" step="1" required>
+                </div>
+                <div class="form-group">
+                    <label for="route-fare">${t('routes.fare')}</label>
+                    <input type="number" id="route-fare" min="0" step="0.01" required>
+                </div>
+            </div>
+            ${route && html`
+                <div class="form-group">
+                    <label for="route-status">${t('admin.status')}</label>
+                    <select id="route-status">
+                        ${ROUTE_STATUSES.map(status => html`<option value="${status}">${statusLabel(status)}</option>`)}
+                    </select>
+                </div>
+            `}
+            <p id="route-form-error" class="form-error hidden"></p>
+            <div class="card-actions">
+                <button type="submit" class="btn-small btn-purchase">${route ? t('admin.saveChanges') : t('admin.createRoute')}</button>
+                <button type="button" class="btn-small btn-secondary" id="route-form-dismiss">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `);
+
+    if (route) {
+        document.getElementById('route-name').value = route.routeName;
+        document.getElementById('route-start').value = route.startLocation;
+        document.getElementById('route-end').value = route.endLocation;
+        document.getElementById('route-stops').value = (route.intermediateStops || []).join('\n');
+        document.getElementById('route-distance').value = route.distance;
+        document.getElementById('route-duration').value = route.estimatedDuration;
+        document.getElementById('route-fare').value = parseFloat(route.fare).toFixed(2);
+        document.getElementById('route-status').value = route.status;
+    }
+
+    document.getElementById('route-form-dismiss').addEventListener('click', closeModal);
+    document.getElementById('route-form').addEventListener('submit', (e) => submitRouteForm(e, route));
+}
+
+// Reads the form into the shape of RouteCreateRequest (plus status when editing).
+function collectRouteForm(route) {
+    const text = id => document.getElementById(id).value.trim();
+    const values = {
+        routeName: text('route-name'),
+        startLocation: text('route-start'),
+        endLocation: text('route-end'),
+        intermediateStops: text('route-stops').split('\n').map(stop => stop.trim()).filter(Boolean),
+        distance: Number(text('route-distance')),
+        estimatedDuration: Number(text('route-duration')),
+        fare: Number(text('route-fare'))
+    };
+
+    if (!route) {
+        values.routeNumber = text('route-number');
+        if (!values.routeNumber) return { error: t('errors.routeNumberRequired'), field: 'route-number' };
+        if (values.routeNumber.length > ROUTE_NUMBER_MAX_LENGTH) {
+            return { error: t('errors.routeNumberTooLong', { max: ROUTE_NUMBER_MAX_LENGTH }), field: 'route-number' };
+        }
+        if (admin.routes.some(r => r.routeNumber.toLowerCase() === values.routeNumber.toLowerCase())) {
+            return { error: t('errors.routeExists', { routeNumber: values.routeNumber }), field: 'route-number' };
+        }
+    }
+    if (!values.routeName) return { error: t('errors.routeNameRequired'), field: 'route-name' };
+    if (!values.startLocation) return { error: t('errors.startRequired'), field: 'route-start' };
+    if (!values.endLocation) return { error: t('errors.endRequired'), field: 'route-end' };
+    if (values.startLocation.toLowerCase() === values.endLocation.toLowerCase()) {
+        return { error: t('errors.sameEnds'), field: 'route-end' };
+    }
+    if (text('route-distance') === '' || !(values.distance > 0)) {
+        return { error: t('errors.distanceInvalid'), field: 'route-distance' };
+    }
+    if (!Number.isInteger(values.estimatedDuration) || values.estimatedDuration <= 0) {
+        return { error: t('errors.durationInvalid'), field: 'route-duration' };
+    }
+    if (text('route-fare') === '' || !(values.fare >= 0)) {
+        return { error: t('errors.fareInvalid'), field: 'route-fare' };
+    }
+    values.fare = Math.round(values.fare * 100) / 100;
+
+    if (route) {
+        values.status = document.getElementById('route-status').value;
+    }
+    return { values };
+}
+
+async function submitRouteForm(e, route) {
+    e.preventDefault();
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    clearFormError('route-form-error');
+    const { values, error, field } = collectRouteForm(route);
+
+    if (error) {
+        showFormError('route-form-error', error, field);
+        return;
+    }
+
+    submitButton.disabled = true;
+    try {
+        if (route) {
+            // RouteUpdateRequest fields are all required but nilable: null leaves a field as it is.
+            const updates = {};
+            let changed = false;
+            Object.entries(values).forEach(([field, value]) => {
+                const same = JSON.stringify(value) === JSON.stringify(
+                    ['distance', 'fare'].includes(field) ? Number(route[field]) : route[field]
+                );
+                updates[field] = same ? null : value;
+                changed = changed || !same;
+            });
+            if (!changed) {
+                closeModal();
+                showNotification(t('toast.noChanges'), 'info');
+                return;
+            }
+            await api.transport.updateRoute(route.routeId, updates);
+            showNotification(t('toast.routeSaved', { routeNumber: route.routeNumber }), 'success');
+        } else {
+            await api.transport.createRoute(values);
+            showNotification(t('toast.routeCreated', { routeNumber: values.routeNumber }), 'success');
+        }
+        closeModal();
+        loadAdminRoutes();
+    } catch (error) {
+        showFormError('route-form-error', errorMessage(error, route ? t('errors.updateRoute') : t('errors.createRoute')));
+        submitButton.disabled = false;
+        console.error('Error saving route:', error);
+    }
+}
+
+async function confirmDeleteRoute(routeId) {
+    const route = admin.routes.find(r => r.routeId === routeId);
+    if (!route) return;
+
+    // The service deletes the route regardless of its trips, so spell out what is left behind.
+    let openTrips = 0;
+    try {
+        const trips = await api.transport.getTrips({ routeId });
+        openTrips = (trips || []).filter(trip => !['COMPLETED', 'CANCELLED'].includes(trip.status)).length;
+    } catch (error) {
+        console.error('Error counting route trips:', error);
+    }
+
+    openConfirmDialog({
+        title: t('admin.deleteRoute'),
+        message: t('admin.deleteRouteMessage', { routeNumber: route.routeNumber, routeName: route.routeName }) +
+            (openTrips > 0 ? ` ${t('admin.deleteRouteOpenTrips', { count: openTrips })}` : ''),
+        confirmLabel: t('admin.deleteRoute'),
+        onConfirm: async () => {
+            await api.transport.deleteRoute(routeId);
+            showNotification(t('toast.routeDeleted', { routeNumber: route.routeNumber }), 'success');
+            if (admin.route?.routeId === routeId) {
+                await navigate('/admin', { replace: true });
+            }
+            loadAdminRoutes();
+        }
+    });
+}
+
+async function showAdminRouteTrips(routeId) {
+    admin.route = admin.routes.find(route => route.routeId === routeId) || null;
+    if (!admin.route) {
+        showNotification(t('toast.routeMissing'), 'info');
+        navigate('/admin', { replace: true });
+        return;
+    }
+
+    renderAdminRoutes();
+    document.getElementById('admin-route-title').textContent =
+        t('admin.routeTrips', { routeNumber: admin.route.routeNumber, routeName: admin.route.routeName });
+    document.getElementById('admin-route-trips').classList.remove('hidden');
+    await loadAdminTrips();
+    document.getElementById('admin-route-trips').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeAdminRouteTrips() {
+    admin.route = null;
+    admin.trips = [];
+    document.getElementById('admin-route-trips').classList.add('hidden');
+    renderAdminRoutes();
+}
+
+async function loadAdminTrips() {
+    if (!admin.route) return;
+    render('admin-trips-list', loadingMessage(t('admin.loadingTrips')));
+
+    try {
+        admin.trips = ((await api.transport.getTrips({ routeId: admin.route.routeId })) || [])
+            .sort((a, b) => new Date(a.departureTime) - new Date(b.departureTime));
+        renderAdminTrips();
+    } catch (error) {
+        render('admin-trips-list', loadingMessage(listErrorText(error, t('errors.loadTrips'))));
+        console.error('Error loading admin trips:', error);
+    }
+}
+
+function renderAdminTrips() {
+    if (admin.trips.length === 0) {
+        render('admin-trips-list', loadingMessage(t('admin.noTrips')));
+        return;
+    }
+
+    render('admin-trips-list', admin.trips.map(trip => card({
+        className: 'trip-card',
+        data: { tripId: trip.tripId },
+        title: t('trips.title', { tripId: trip.tripId }),
+        status: trip.status,
+        rows: [
+            [t('admin.departureArrival'), `${formatDateTime(trip.departureTime)} / ${formatDateTime(trip.arrivalTime)}`],
+            [t('admin.vehicleDriver'), `${trip.vehicleId} / ${trip.driverName}`],
+            [t('admin.seatsSold'), `${trip.totalSeats - trip.availableSeats}/${trip.totalSeats}`],
+            trip.delayReason && [
+                trip.status === 'CANCELLED' ? t('common.reason') : t('admin.delay'),
+                trip.delayMinutes > 0
+                    ? t('admin.delayValue', { minutes: trip.delayMinutes, reason: trip.delayReason })
+                    : trip.delayReason
+            ]
+        ],
+        actions: [
+            ...(TRIP_TRANSITIONS[trip.status] || []).map(status => ({
+                label: status === 'DELAYED' && trip.status === 'DELAYED' ? t('admin.updateDelay') : t(`admin.transition.${status}`),
+                action: 'admin-trip-status',
+                data: { tripId: trip.tripId, status },
+                variant: status === 'CANCELLED' ? 'btn-danger' : 'btn-view'
+            })),
+            { label: t('common.delete'), action: 'admin-delete-trip', data: { tripId: trip.tripId }, variant: 'btn-danger' }
+        ]
+    })));
+    applyLiveStatus();
+}
+
+function openTripForm() {
+    const route = admin.route;
+    if (!route) return;
+
+    openModal(html`
+        <h2>${t('admin.scheduleTripOn', { routeNumber: route.routeNumber })}</h2>
+        <p class="dialog-message">${t('admin.scheduleTripHint', { start: route.startLocation, end: route.endLocation, duration: route.estimatedDuration })}</p>
+        <form id="trip-form" class="admin-form" novalidate>
+            <div class="form-group">
+                <label for="trip-departure">${t('trips.departure')}</label>
+                <input type="datetime-local" id="trip-departure" required>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="trip-vehicle">${t('admin.vehicleId')}</label>
+                    <input type="text" id="trip-vehicle" required>
+                </div>
+                <div class="form-group">
+                    <label for="trip-driver">${t('admin.driverName')}</label>
+                    <input type="text" id="trip-driver" required>
+                </div>
+                <div class="form-group">
+                    <label for="trip-seats">${t('trips.seats')}</label>
+                    <input type="number" id="trip-seats" min="1" max="${TRIP_MAX_SEATS}" step="1" required>
+                </div>
+            </div>
+            <p id="trip-form-error" class="form-error hidden"></p>
+            <div class="card-actions">
+                <button type="submit" class="btn-small btn-purchase">${t('admin.scheduleTrip')}</button>
+                <button type="button" class="btn-small btn-secondary" id="trip-form-dismiss">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('trip-form-dismiss').addEventListener('click', closeModal);
+    document.getElementById('trip-form').addEventListener('submit', submitTripForm);
+}
+
+// Reads the form into the shape of TripCreateRequest.
+function collectTripForm() {
+    const departureValue = document.getElementById('trip-departure').value;
+    const vehicleId = document.getElementById('trip-vehicle').value.trim();
+    const driverName = document.getElementById('trip-driver').value.trim();
+    const totalSeats = Number(document.getElementById('trip-seats').value);
+
+    if (!departureValue) return { error: t('errors.departureRequired'), field: 'trip-departure' };
+    const departure = new Date(departureValue);
+    if (Number.isNaN(departure.getTime())) return { error: t('errors.departureInvalid'), field: 'trip-departure' };
+    if (departure.getTime() <= Date.now()) return { error: t('errors.departurePast'), field: 'trip-departure' };
+    if (!vehicleId) return { error: t('errors.vehicleRequired'), field: 'trip-vehicle' };
+    if (!driverName) return { error: t('errors.driverRequired'), field: 'trip-driver' };
+    if (!Number.isInteger(totalSeats) || totalSeats < 1 || totalSeats > TRIP_MAX_SEATS) {
+        return { error: t('errors.seatsInvalid', { max: TRIP_MAX_SEATS }), field: 'trip-seats' };
+    }
+
+    return {
+        values: {
+            routeId: admin.route.routeId,
+            departureTime: departure.toISOString(),
+            vehicleId,
+            driverName,
+            totalSeats
+        }
+    };
+}
+
+async function submitTripForm(e) {
+    e.preventDefault();
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    clearFormError('trip-form-error');
+    const { values, error, field } = collectTripForm();
+
+    if (error) {
+        showFormError('trip-form-error', error, field);
+        return;
+    }
+
+    submitButton.disabled = true;
+    try {
+        await api.transport.createTrip(values);
+        closeModal();
+        showNotification(t('toast.tripScheduled', { date: formatDateTime(values.departureTime) }), 'success');
+        loadAdminTrips();
+    } catch (error) {
+        showFormError('trip-form-error', errorMessage(error, t('errors.scheduleTrip')));
+        submitButton.disabled = false;
+        console.error('Error scheduling trip:', error);
+    }
+}
+
+function changeTripStatus(tripId, status) {
+    const trip = admin.trips.find(t => t.tripId === tripId);
+    if (!trip) return;
+
+    if (status === 'DELAYED' || status === 'CANCELLED') {
+        openTripDisruptionDialog(trip, status);
+        return;
+    }
+
+    const update = () => updateTripStatus(trip, { status, delayReason: null, delayMinutes: null });
+    if (status === 'COMPLETED') {
+        openConfirmDialog({
+            title: t('admin.completeTrip'),
+            message: t('admin.completeTripMessage', { tripId: trip.tripId }),
+            confirmLabel: t('admin.completeTrip'),
+            onConfirm: update
+        });
+        return;
+    }
+
+    update().catch(error => {
+        showNotification(errorMessage(error, t('errors.updateTripStatus')), 'error');
+    });
+}
+
+async function updateTripStatus(trip, request) {
+    try {
+        await api.transport.updateTripStatus(trip.tripId, request);
+    } catch (error) {
+        console.error('Error updating trip status:', error);
+        throw error;
+    }
+    showNotification(t('toast.tripStatusChanged', { tripId: trip.tripId, status: statusLabel(request.status).toLowerCase() }), 'success');
+    loadAdminTrips();
+}
+
+// DELAYED and CANCELLED both need a reason (the service rejects them without one);
+// a delay also carries its length, which riders see on their tickets.
+function openTripDisruptionDialog(trip, status) {
+    const cancelling = status === 'CANCELLED';
+    const soldSeats = trip.totalSeats - trip.availableSeats;
+
+    openModal(html`
+        <h2>${cancelling ? t('admin.transition.CANCELLED') : t('admin.transition.DELAYED')}</h2>
+        <p class="dialog-message">
+            ${t('admin.tripDeparting', { routeNumber: trip.routeNumber, date: formatDateTime(trip.departureTime) })}
+            ${cancelling && t('admin.cannotUndo')}
+            ${cancelling && soldSeats > 0 && t('admin.ridersHoldTickets', { count: soldSeats })}
+        </p>
+        <form id="disruption-form" class="admin-form" novalidate>
+            ${!cancelling && html`
+                <div class="form-group">
+                    <label for="disruption-minutes">${t('admin.delayMinutes')}</label>
+                    <input type="number" id="disruption-minutes" min="1" max="${TRIP_MAX_DELAY_MINUTES}" step="1" required
+                        value="${trip.delayMinutes > 0 ? trip.delayMinutes : ''}">
+                </div>
+            `}
+            <div class="form-group">
+                <label for="disruption-reason">${t('common.reason')}</label>
+                <textarea id="disruption-reason" rows="3" maxlength="200" required>${trip.status === 'DELAYED' && trip.delayReason ? trip.delayReason : ''}</textarea>
+            </div>
+            <p id="disruption-error" class="form-error hidden"></p>
+            <div class="card-actions">
+                <button type="submit" class="btn-small ${cancelling ? 'btn-danger' : 'btn-view'}">${cancelling ? t('admin.transition.CANCELLED') : t('admin.transition.DELAYED')}</button>
+                <button type="button" class="btn-small btn-secondary" id="disruption-dismiss">${cancelling ? t('admin.keepTrip') : t('common.close')}</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('disruption-dismiss').addEventListener('click', closeModal);
+    document.getElementById('disruption-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = e.target.querySelector('button[type="submit"]');
+        clearFormError('disruption-error');
+        const reason = document.getElementById('disruption-reason').value.trim();
+        const minutes = cancelling ? null : Number(document.getElementById('disruption-minutes').value);
+
+        if (!cancelling && (!Number.isInteger(minutes) || minutes < 1 || minutes > TRIP_MAX_DELAY_MINUTES)) {
+            showFormError('disruption-error', t('errors.delayInvalid', { max: TRIP_MAX_DELAY_MINUTES }), 'disruption-minutes');
+            return;
+        }
+        if (!reason) {
+            showFormError('disruption-error', t('errors.reasonRequired'), 'disruption-reason');
+            return;
+        }
+
+        submitButton.disabled = true;
+        try {
+            await updateTripStatus(trip, { status, delayReason: reason, delayMinutes: minutes });
+            closeModal();
+        } catch (updateError) {
+            showFormError('disruption-error', errorMessage(updateError, t('errors.updateTripStatus')));
+            submitButton.disabled = false;
+        }
+    });
+}
+
+function confirmDeleteTrip(tripId) {
+    const trip = admin.trips.find(t => t.tripId === tripId);
+    if (!trip) return;
+    const soldSeats = trip.totalSeats - trip.availableSeats;
+
+    openConfirmDialog({
+        title: t('admin.deleteTrip'),
+        message: t('admin.deleteTripMessage', { tripId: trip.tripId, date: formatDateTime(trip.departureTime) }) +
+            (soldSeats > 0 ? ` ${t('admin.deleteTripSold', { count: soldSeats })}` : ''),
+        confirmLabel: t('admin.deleteTrip'),
+        onConfirm: async () => {
+            await api.transport.deleteTrip(tripId);
+            showNotification(t('toast.tripDeleted', { tripId }), 'success');
+            loadAdminTrips();
+        }
+    });
+}
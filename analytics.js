@@ -0,0 +1,296 @@
+// Spending and travel analytics. The charts use the rider's payments and tickets (the same
+// lists the Payments and Tickets tabs show), cut to the chosen dates. The all-time totals
+// come from the payment service's stats endpoint. Charts are plain SVG styled from styles.css.
+const ANALYTICS_DEFAULT_MONTHS = 6;
+const CHART_HEIGHT = 220;
+const CHART_COLUMN_WIDTH = 56;
+const CHART_ROW_HEIGHT = 30;
+const CHART_WIDTH = 600;
+const CHART_LABEL_WIDTH = 150;
+
+function initAnalytics() {
+    document.getElementById('analytics-range-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyAnalyticsRange();
+    });
+    document.getElementById('refresh-analytics-btn').addEventListener('click', () => loadAnalytics(parseLocation().query));
+}
+
+function toDateInputValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function isDateInputValue(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00`));
+}
+
+// Defaults to the current month and the ones before it; the range is whole local days.
+function analyticsRange(query) {
+    const today = new Date();
+    const defaultFrom = new Date(today.getFullYear(), today.getMonth() - ANALYTICS_DEFAULT_MONTHS + 1, 1);
+    const from = isDateInputValue(query.from) ? query.from : toDateInputValue(defaultFrom);
+    const to = isDateInputValue(query.to) ? query.to : toDateInputValue(today);
+    return {
+        from,
+        to,
+        start: new Date(`${from}T00:00:00`),
+        end: new Date(`${to}T23:59:59.999`)
+    };
+}
+
+function applyAnalyticsRange() {
+    const from = document.getElementById('analytics-from').value;
+    const to = document.getElementById('analytics-to').value;
+
+    clearFormError('analytics-error');
+    if (!isDateInputValue(from) || !isDateInputValue(to)) {
+        showFormError('analytics-error', t('errors.rangeIncomplete'), isDateInputValue(from) ? 'analytics-to' : 'analytics-from');
+        return;
+    }
+    if (from > to) {
+        showFormError('analytics-error', t('errors.rangeReversed'), 'analytics-from');
+        return;
+    }
+
+    navigate(`/analytics?from=${from}&to=${to}`);
+}
+
+async function loadAnalytics(query = {}) {
+    if (!currentUser) return;
+
+    const range = analyticsRange(query);
+    document.getElementById('analytics-from').value = range.from;
+    document.getElementById('analytics-to').value = range.to;
+    clearFormError('analytics-error');
+
+    render('analytics-summary', loadingMessage(t('analytics.loadingTotals')));
+    render('analytics-charts', loadingMessage(t('analytics.loading')));
+
+    const isAdmin = hasRole(['admin']);
+    const [stats, systemStats, payments, tickets] = await Promise.allSettled([
+        api.payment.getStats({ passengerId: currentUser.passengerId }),
+        isAdmin ? api.payment.getStats() : Promise.resolve(null),
+        api.payment.getPayments({ passengerId: currentUser.passengerId }),
+        api.ticketing.getTickets({ passengerId: currentUser.passengerId })
+    ]);
+
+    if (stats.status === 'fulfilled') {
+        render('analytics-summary', html`
+            ${statsSummary(t('analytics.allTime'), stats.value)}
+            ${systemStats.status === 'fulfilled' && systemStats.value && statsSummary(t('analytics.allRiders'), systemStats.value)}
+        `);
+    } else {
+        render('analytics-summary', loadingMessage(listErrorText(stats.reason, t('errors.loadPaymentTotals'))));
+        console.error('Error loading payment stats:', stats.reason);
+    }
+
+    if (payments.status === 'rejected' || tickets.status === 'rejected') {
+        const error = payments.reason || tickets.reason;
+        render('analytics-charts', loadingMessage(listErrorText(error, t('errors.loadAnalytics'))));
+        console.error('Error loading analytics:', error);
+        return;
+    }
+
+    const inRange = (value) => {
+        const date = new Date(value);
+        return date >= range.start && date <= range.end;
+    };
+    renderAnalyticsCharts(
+        range,
+        (payments.value || []).filter(p => inRange(p.createdAt || p.transactionDate)),
+        (tickets.value || []).filter(t => inRange(t.purchasedAt))
+    );
+}
+
+function statsSummary(title, stats) {
+    const processed = parseFloat(stats.totalAmountProcessed) || 0;
+    const refunded = parseFloat(stats.totalAmountRefunded) || 0;
+    return html`
+        <h3 class="analytics-heading">${title}</h3>
+        <div class="stats-grid">
+            <div class="stat-card">
+                <h3>${t('analytics.spent')}</h3>
+                <div class="stat-value">${formatMoney(processed)}</div>
+                <div class="stat-detail">${refunded > 0 ? t('dashboard.refunded', { amount: formatMoney(refunded) }) : ''}</div>
+            </div>
+            <div class="stat-card">
+                <h3>${t('analytics.payments')}</h3>
+                <div class="stat-value">${formatNumber(stats.totalPayments)}</div>
+                <div class="stat-detail">${stats.pending > 0 ? t('analytics.pending', { count: stats.pending }) : ''}</div>
+            </div>
+            <div class="stat-card">
+                <h3>${t('analytics.successRate')}</h3>
+                <div class="stat-value">${formatPercent(stats.totalPayments > 0 ? stats.successful / stats.totalPayments : 0)}</div>
+                <div class="stat-detail">${stats.failed > 0 ? t('analytics.failed', { count: stats.failed }) : ''}</div>
+            </div>
+        </div>
+    `;
+}
+
+function formatPercent(ratio) {
+    return formatNumber(ratio, { style: 'percent', maximumFractionDigits: ratio > 0 && ratio < 0.1 ? 1 : 0 });
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthlySpend(range, payments) {
+    const months = new Map();
+    for (let month = new Date(range.start.getFullYear(), range.start.getMonth(), 1); month <= range.end;
+        month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        months.set(monthKey(month), {
+            label: formatMonth(month),
+            spent: 0,
+            refunded: 0
+        });
+    }
+
+    payments.forEach(payment => {
+        const month = months.get(monthKey(new Date(payment.createdAt || payment.transactionDate)));
+        if (!month) return;
+        if (payment.status === 'SUCCESS') month.spent += parseFloat(payment.amount);
+        if (payment.status === 'REFUNDED') month.refunded += parseFloat(payment.amount);
+    });
+
+    return [...months.values()].map(month => ({
+        label: month.label,
+        value: month.spent,
+        // Whole dollars once the column is too narrow for cents.
+        valueLabel: formatMoney(month.spent, { digits: month.spent >= 100 ? 0 : undefined }),
+        title: month.refunded > 0
+            ? t('analytics.monthSpentRefunded', { month: month.label, spent: formatMoney(month.spent), refunded: formatMoney(month.refunded) })
+            : t('analytics.monthSpent', { month: month.label, spent: formatMoney(month.spent) })
+    }));
+}
+
+// A trip counts once its ticket was paid for; VALIDATED ones were actually ridden.
+function tripsPerRoute(tickets) {
+    const routes = new Map();
+    tickets.filter(ticket => ticket.paymentId).forEach(ticket => {
+        const route = routes.get(ticket.routeNumber) || { trips: 0, ridden: 0 };
+        route.trips += 1;
+        if (ticket.status === 'VALIDATED') route.ridden += 1;
+        routes.set(ticket.routeNumber, route);
+    });
+
+    return [...routes.entries()]
+        .sort((a, b) => b[1].trips - a[1].trips)
+        .map(([routeNumber, route]) => ({
+            label: t('analytics.route', { routeNumber }),
+            value: route.trips,
+            valueLabel: t('analytics.tripsRidden', { trips: route.trips, ridden: route.ridden }),
+            title: t('analytics.routeTrips', { routeNumber, count: route.trips, ridden: route.ridden })
+        }));
+}
+
+// Money that actually moved: successful payments and those later refunded.
+function paymentMethodBreakdown(payments) {
+    const methods = new Map();
+    payments.filter(p => p.status === 'SUCCESS' || p.status === 'REFUNDED').forEach(payment => {
+        const method = methods.get(payment.paymentMethod) || { count: 0, amount: 0 };
+        method.count += 1;
+        method.amount += parseFloat(payment.amount);
+        methods.set(payment.paymentMethod, method);
+    });
+
+    return [...methods.entries()]
+        .sort((a, b) => b[1].amount - a[1].amount)
+        .map(([value, method]) => {
+            const label = paymentMethodLabel(value);
+            return {
+                label,
+                value: method.amount,
+                valueLabel: `${formatMoney(method.amount)} (${method.count})`,
+                title: t('analytics.methodPayments', { method: label, count: method.count, amount: formatMoney(method.amount) })
+            };
+        });
+}
+
+function renderAnalyticsCharts(range, payments, tickets) {
+    const settled = payments.filter(p => p.status === 'SUCCESS' || p.status === 'REFUNDED');
+    const failed = payments.filter(p => p.status === 'FAILED').length;
+    const refunded = payments.filter(p => p.status === 'REFUNDED').length;
+    const months = monthlySpend(range, payments);
+    const routes = tripsPerRoute(tickets);
+    const methods = paymentMethodBreakdown(payments);
+
+    render('analytics-charts', html`
+        <div class="stats-grid">
+            <div class="stat-card">
+                <h3>${t('analytics.failureRate')}</h3>
+                <div class="stat-value">${formatPercent(payments.length > 0 ? failed / payments.length : 0)}</div>
+                <div class="stat-detail">${t('analytics.failedOf', { failed, count: payments.length })}</div>
+            </div>
+            <div class="stat-card">
+                <h3>${t('analytics.refundRate')}</h3>
+                <div class="stat-value">${formatPercent(settled.length > 0 ? refunded / settled.length : 0)}</div>
+                <div class="stat-detail">${t('analytics.refundedOf', { refunded, count: settled.length })}</div>
+            </div>
+        </div>
+        <div class="analytics-chart">
+            <h3 class="analytics-heading">${t('analytics.monthlySpend')}</h3>
+            ${columnChart(months, t('analytics.monthlySpend'))}
+        </div>
+        <div class="analytics-chart">
+            <h3 class="analytics-heading">${t('analytics.tripsPerRoute')}</h3>
+            ${barChart(routes, t('analytics.tripsPerRoute'))}
+        </div>
+        <div class="analytics-chart">
+            <h3 class="analytics-heading">${t('analytics.paymentMethods')}</h3>
+            ${barChart(methods, t('analytics.paymentMethods'))}
+        </div>
+    `);
+}
+
+// items: [{ label, value, valueLabel, title }]; title becomes the hover text.
+function columnChart(items, label) {
+    const max = Math.max(0, ...items.map(item => item.value));
+    if (max === 0) return loadingMessage(t('analytics.empty'));
+
+    const plotHeight = CHART_HEIGHT - 40;
+    const width = items.length * CHART_COLUMN_WIDTH;
+    return html`
+        <svg class="chart" width="${width}" height="${CHART_HEIGHT}" viewBox="0 0 ${width} ${CHART_HEIGHT}" role="img" aria-label="${label}">
+            ${items.map((item, i) => {
+                const barHeight = Math.round(item.value / max * (plotHeight - 20));
+                const x = i * CHART_COLUMN_WIDTH;
+                const y = plotHeight - barHeight;
+                return html`
+                    <g>
+                        <title>${item.title}</title>
+                        <rect class="chart-bar" x="${x + 8}" y="${y}" width="${CHART_COLUMN_WIDTH - 16}" height="${barHeight}" rx="3"></rect>
+                        <text class="chart-value" x="${x + CHART_COLUMN_WIDTH / 2}" y="${y - 6}" text-anchor="middle">${item.value > 0 ? item.valueLabel : ''}</text>
+                        <text class="chart-label" x="${x + CHART_COLUMN_WIDTH / 2}" y="${plotHeight + 20}" text-anchor="middle">${item.label}</text>
+                    </g>
+                `;
+            })}
+        </svg>
+    `;
+}
+
+function barChart(items, label) {
+    const max = Math.max(0, ...items.map(item => item.value));
+    if (max === 0) return loadingMessage(t('analytics.empty'));
+
+    const plotWidth = CHART_WIDTH - CHART_LABEL_WIDTH - 120;
+    const height = items.length * CHART_ROW_HEIGHT;
+    return html`
+        <svg class="chart" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${label}">
+            ${items.map((item, i) => {
+                const barWidth = Math.max(2, Math.round(item.value / max * plotWidth));
+                const y = i * CHART_ROW_HEIGHT;
+                return html`
+                    <g>
+                        <title>${item.title}</title>
+                        <text class="chart-label" x="${CHART_LABEL_WIDTH - 10}" y="${y + 19}" text-anchor="end">${item.label}</text>
+                        <rect class="chart-bar" x="${CHART_LABEL_WIDTH}" y="${y + 6}" width="${barWidth}" height="${CHART_ROW_HEIGHT - 12}" rx="3"></rect>
+                        <text class="chart-value" x="${CHART_LABEL_WIDTH + barWidth + 8}" y="${y + 19}">${item.valueLabel}</text>
+                    </g>
+                `;
+            })}
+        </svg>
+    `;
+}
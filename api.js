@@ -0,0 +1,246 @@
+const API_BASE = {
+    PASSENGER: 'http://localhost:9090/passengers',
+    TRANSPORT: 'http://localhost:9091/transport',
+    TICKETING: 'http://localhost:9092/ticketing',
+    PAYMENT: 'http://localhost:9093/payment',
+    NOTIFICATION: 'http://localhost:9094/notifications'
+};
+
+const API_TIMEOUT_MS = 10000;
+// The payment service holds a new payment while it simulates the gateway, so it gets longer.
+const API_SERVICE_TIMEOUT_MS = {
+    PAYMENT: 30000
+};
+const API_GET_RETRIES = 2;
+const API_RETRY_DELAY_MS = 500;
+// Marks the rider's own reads that the service worker may answer from its cache while offline
+// (see sw.js); every other request goes straight to the network.
+const OFFLINE_CACHE_HEADER = 'X-Offline-Cache';
+
+// Single error type for every failed call, whatever the service or payload shape.
+// status is 0 when the request never got a response (network error or timeout).
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, service = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.service = service;
+        this.data = data;
+    }
+
+    get isNetworkError() {
+        return this.status === 0;
+    }
+}
+
+const apiConfig = {
+    getToken: () => null,
+    onUnauthorized: () => {},
+    // Swapped for mockFetch when the page runs against the in-browser mock backend.
+    fetch: (...args) => fetch(...args),
+    // Told after every attempt whether the service answered at all; the health panel listens.
+    onServiceReachable: () => {},
+    // Per-service settings from the runtime config; API_BASE and the API_*TIMEOUT_MS defaults otherwise.
+    baseUrls: {},
+    timeouts: {}
+};
+
+function configureApi(options) {
+    Object.assign(apiConfig, options);
+}
+
+function serviceBaseUrl(service) {
+    return apiConfig.baseUrls[service] || API_BASE[service];
+}
+
+function serviceTimeout(service) {
+    return apiConfig.timeouts[service] || API_SERVICE_TIMEOUT_MS[service] || API_TIMEOUT_MS;
+}
+
+// A base URL may be relative ("/payment") when the services sit behind the page's own host.
+function buildUrl(service, path, query) {
+    const url = new URL(`${serviceBaseUrl(service)}${path}`, location.href);
+    Object.entries(query || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(key, value);
+        }
+    });
+    return url.toString();
+}
+
+async function parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// Services answer either with ApiResponse/ErrorResponse ({ success, message, data, errorCode })
+// or, for the passenger service, a bare record or { message }. Older handlers also used
+// { error: { message } }.
+function toApiError(service, status, payload) {
+    const body = payload && typeof payload === 'object' ? payload : {};
+    const message = body.error?.message || body.message ||
+        (typeof payload === 'string' && payload) ||
+        `${service.charAt(0)}${service.slice(1).toLowerCase()} service responded with status ${status}`;
+    return new ApiError(message, {
+        status,
+        code: body.errorCode || body.error?.code || null,
+        service,
+        data: payload
+    });
+}
+
+function unwrapPayload(payload) {
+    if (payload && typeof payload === 'object' && !Array.isArray(payload) && 'success' in payload) {
+        return payload.data;
+    }
+    return payload;
+}
+
+function isRetryable(error) {
+    return error.isNetworkError || error.status >= 500 || error.status === 429;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function sendOnce(service, url, { method, body, timeout, offline }) {
+    const headers = { Accept: 'application/json' };
+    if (offline) {
+        headers[OFFLINE_CACHE_HEADER] = '1';
+    }
+    const token = apiConfig.getToken();
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+        response = await apiConfig.fetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+    } catch (error) {
+        apiConfig.onServiceReachable(service, false);
+        if (error.name === 'AbortError') {
+            throw new ApiError('The request timed out. Please try again.', { code: 'TIMEOUT', service });
+        }
+        throw new ApiError('Connection error. Please check if services are running.', {
+            code: 'NETWORK_ERROR',
+            service
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+    apiConfig.onServiceReachable(service, true);
+
+    const payload = await parseBody(response);
+
+    if (!response.ok || payload?.success === false) {
+        const error = toApiError(service, response.status, payload);
+        if (response.status === 401 && token) {
+            apiConfig.onUnauthorized(error);
+        }
+        throw error;
+    }
+
+    return unwrapPayload(payload);
+}
+
+// Only GETs are retried: repeating a POST could buy a second ticket or charge twice.
+async function apiRequest(service, path, { method = 'GET', query, body, timeout = serviceTimeout(service), retries, offline = false } = {}) {
+    const url = buildUrl(service, path, query);
+    const attempts = 1 + (retries ?? (method === 'GET' ? API_GET_RETRIES : 0));
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await sendOnce(service, url, { method, body, timeout, offline });
+        } catch (error) {
+            if (attempt >= attempts || !isRetryable(error)) {
+                throw error;
+            }
+            await delay(API_RETRY_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+}
+
+const api = {
+    passenger: {
+        login: (credentials) => apiRequest('PASSENGER', '/login', { method: 'POST', body: credentials }),
+        refresh: () => apiRequest('PASSENGER', '/refresh', { method: 'POST' }),
+        register: (userData) => apiRequest('PASSENGER', '/register', { method: 'POST', body: userData }),
+        getProfile: (passengerId) => apiRequest('PASSENGER', `/${encodeURIComponent(passengerId)}`),
+        getTickets: (passengerId) => apiRequest('PASSENGER', `/${encodeURIComponent(passengerId)}/tickets`),
+        updateProfile: (passengerId, updates) =>
+            apiRequest('PASSENGER', `/${encodeURIComponent(passengerId)}`, { method: 'PUT', body: updates }),
+        changePassword: (passengerId, passwords) =>
+            apiRequest('PASSENGER', `/${encodeURIComponent(passengerId)}/password`, { method: 'PUT', body: passwords })
+    },
+
+    transport: {
+        getRoutes: (query, options) => apiRequest('TRANSPORT', '/routes', { query, ...options }),
+        getRoute: (routeId) => apiRequest('TRANSPORT', `/routes/${encodeURIComponent(routeId)}`),
+        getTrips: (query, options) => apiRequest('TRANSPORT', '/trips', { query, ...options }),
+        getTrip: (tripId) => apiRequest('TRANSPORT', `/trips/${encodeURIComponent(tripId)}`),
+        createRoute: (route) => apiRequest('TRANSPORT', '/routes', { method: 'POST', body: route }),
+        updateRoute: (routeId, updates) =>
+            apiRequest('TRANSPORT', `/routes/${encodeURIComponent(routeId)}`, { method: 'PUT', body: updates }),
+        deleteRoute: (routeId) => apiRequest('TRANSPORT', `/routes/${encodeURIComponent(routeId)}`, { method: 'DELETE' }),
+        createTrip: (trip) => apiRequest('TRANSPORT', '/trips', { method: 'POST', body: trip }),
+        updateTripStatus: (tripId, update) =>
+            apiRequest('TRANSPORT', `/trips/${encodeURIComponent(tripId)}/status`, { method: 'PUT', body: update }),
+        deleteTrip: (tripId) => apiRequest('TRANSPORT', `/trips/${encodeURIComponent(tripId)}`, { method: 'DELETE' })
+    },
+
+    ticketing: {
+        getTickets: (query, options) => apiRequest('TICKETING', '/tickets', { query, ...options }),
+        getTicket: (ticketId) => apiRequest('TICKETING', `/tickets/${encodeURIComponent(ticketId)}`),
+        purchase: (passengerId, tripId) =>
+            apiRequest('TICKETING', '/tickets', { method: 'POST', body: { passengerId, tripId } }),
+        confirmPayment: (ticketId, paymentId) =>
+            apiRequest('TICKETING', `/tickets/${encodeURIComponent(ticketId)}/confirm-payment`, {
+                method: 'POST',
+                body: { paymentId }
+            }),
+        validate: (ticketId, validation) =>
+            apiRequest('TICKETING', `/tickets/${encodeURIComponent(ticketId)}/validate`, {
+                method: 'PUT',
+                body: validation
+            }),
+        cancel: (ticketId, reason) =>
+            apiRequest('TICKETING', `/tickets/${encodeURIComponent(ticketId)}`, { method: 'DELETE', query: { reason } })
+    },
+
+    payment: {
+        getPayments: (query) => apiRequest('PAYMENT', '/payments', { query }),
+        getPayment: (paymentId) => apiRequest('PAYMENT', `/payments/${encodeURIComponent(paymentId)}`),
+        getStats: (query) => apiRequest('PAYMENT', '/payments/stats', { query }),
+        getPaymentByTicket: (ticketId) => apiRequest('PAYMENT', `/payments/ticket/${encodeURIComponent(ticketId)}`),
+        create: (payment) => apiRequest('PAYMENT', '/payments', { method: 'POST', body: payment }),
+        refund: (paymentId, reason) =>
+            apiRequest('PAYMENT', `/payments/${encodeURIComponent(paymentId)}/refund`, { method: 'POST', query: { reason } })
+    },
+
+    notification: {
+        getNotifications: (passengerId) => apiRequest('NOTIFICATION', '', { query: { passengerId } })
+    },
+
+    // Every service answers GET <base>/health with { status: "UP", ... }.
+    health: {
+        check: (service, timeout) => apiRequest(service, '/health', { timeout, retries: 0 })
+    }
+};
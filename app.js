@@ -1,43 +1,73 @@
-const API_BASE = {
-    PASSENGER: 'http://localhost:9090/passengers',
-    TRANSPORT: 'http://localhost:9091/transport',
-    TICKETING: 'http://localhost:9092/ticketing',
-    PAYMENT: 'http://localhost:9093/payment'
-};
-
 let currentUser = null;
 let authToken = null;
+let wakeLock = null;
+let releaseTicketViewFocus = null;
+
+const ticketsById = new Map();
+const TICKET_QR_EC_LEVEL = 'M';
+
+// The passenger service's registration rules (isValidEmail, isValidPhoneNumber, isValidPassword).
+const EMAIL_PATTERN = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const PHONE_PATTERN = /^(\+264|264|0)[0-9]{9}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const REGISTER_FIELDS = {
+    firstName: 'reg-firstname',
+    lastName: 'reg-lastname',
+    email: 'reg-email',
+    phoneNumber: 'reg-phone'
+};
 
-document.addEventListener('DOMContentLoaded', () => {
+configureApi({
+    getToken: () => authToken,
+    onUnauthorized: () => expireSession(t('toast.sessionExpired'))
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadRuntimeConfig();
+    initMockBackend();
+    initRouter();
+    initLists();
+    initSession();
     initializeApp();
     attachEventListeners();
+    initOffline();
+    initNotifications();
+    initHealth();
 });
 
 function initializeApp() {
-    const savedUser = localStorage.getItem('currentUser');
-    const savedToken = localStorage.getItem('authToken');
+    initLanguage();
+
+    const saved = readStoredSession();
+    const endReason = saved && sessionEndReason(saved.expiresAt);
 
-    if (savedUser && savedToken) {
-        currentUser = JSON.parse(savedUser);
-        authToken = savedToken;
+    if (saved && !endReason) {
+        currentUser = saved.user;
+        authToken = saved.token;
+        resumeSession(saved);
         showDashboard();
     } else {
-        showAuthSection();
+        // The router's login guard keeps the requested page as ?next=.
+        if (endReason) {
+            clearStoredSession();
+            showNotification(t(endReason === 'idle' ? 'toast.idleLogout' : 'toast.sessionExpired'), 'error');
+        }
+        applyRoute();
     }
 }
 
 function attachEventListeners() {
     document.querySelectorAll('.auth-tab').forEach(tab => {
         tab.addEventListener('click', (e) => {
-            document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
-            e.target.classList.add('active');
-
-            const authType = e.target.dataset.auth;
-            document.getElementById('login-form').classList.toggle('hidden', authType !== 'login');
-            document.getElementById('register-form').classList.toggle('hidden', authType !== 'register');
+            // Keep ?next= so switching between login and register still returns to the requested page.
+            const { queryString } = parseLocation();
+            navigate(`/${e.target.dataset.auth}${queryString ? `?${queryString}` : ''}`);
         });
     });
 
+    initTablist(document.querySelector('.auth-tabs'));
+    initTablist(document.getElementById('nav-tabs'));
+
     document.getElementById('login-form-element').addEventListener('submit', handleLogin);
     document.getElementById('register-form-element').addEventListener('submit', handleRegister);
 
@@ -48,12 +78,43 @@ function attachEventListeners() {
         });
     });
 
+    document.getElementById('language-select').addEventListener('change', (e) => changeLanguage(e.target.value));
     document.getElementById('logout-btn')?.addEventListener('click', handleLogout);
     document.getElementById('refresh-routes-btn')?.addEventListener('click', loadRoutes);
     document.getElementById('refresh-tickets-btn')?.addEventListener('click', loadTickets);
     document.getElementById('refresh-payments-btn')?.addEventListener('click', loadPayments);
 
     document.querySelector('.modal-close')?.addEventListener('click', closeModal);
+    document.getElementById('ticket-viewer-close')?.addEventListener('click', closeTicketView);
+
+    registerActions({
+        'switch-tab': ({ tab }) => switchTab(tab),
+        'view-trips': ({ routeId }) => viewTrips(routeId),
+        'hide-trips': () => navigate('/routes'),
+        'purchase-ticket': ({ tripId, availableSeats }, button) => purchaseSeats(tripId, Number(availableSeats), button),
+        'pay-ticket': ({ ticketId, fare }) => payForTicket(ticketId, fare),
+        'cancel-ticket': ({ ticketId }) => cancelTicket(ticketId),
+        'show-ticket': ({ ticketId }) => showTicket(ticketId),
+        'request-refund': ({ paymentId, ticketId }) => requestRefund(paymentId, ticketId)
+    });
+
+    initConductorView();
+    initPlanner();
+    initAdminConsole();
+    initAnalytics();
+    initReceipts();
+    initProfile();
+    initTicketTiming();
+    document.getElementById('ticket-download-btn')?.addEventListener('click', downloadTicketQr);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        if (!document.getElementById('modal').classList.contains('hidden')) {
+            closeModal();
+        } else if (!document.getElementById('ticket-viewer').classList.contains('hidden')) {
+            closeTicketView();
+        }
+    });
 
     window.addEventListener('click', (e) => {
         const modal = document.getElementById('modal');
@@ -68,36 +129,29 @@ async function handleLogin(e) {
 
     const username = document.getElementById('login-username').value;
     const password = document.getElementById('login-password').value;
+    const remember = document.getElementById('login-remember').checked;
 
     try {
-        const response = await fetch(`${API_BASE.PASSENGER}/login`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, password })
-        });
-
-        const data = await response.json();
-
-        if (response.ok) {
-            currentUser = {
-                passengerId: data.passengerId,
-                username: data.username,
-                email: data.email,
-                firstName: data.firstName,
-                lastName: data.lastName
-            };
-            authToken = data.token;
-
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
-            localStorage.setItem('authToken', authToken);
-
-            showNotification('Login successful!', 'success');
-            showDashboard();
-        } else {
-            showNotification(data.message || 'Login failed', 'error');
-        }
+        const data = await api.passenger.login({ username, password });
+
+        currentUser = {
+            passengerId: data.passengerId,
+            username: data.username,
+            email: data.email,
+            firstName: data.firstName,
+            lastName: data.lastName,
+            role: data.role || 'passenger'
+        };
+        authToken = data.token;
+        startSession({ expiresAt: responseExpiry(data), remember });
+
+        showNotification(t('toast.loginSuccess'), 'success');
+        const { query } = parseLocation();
+        history.replaceState(null, '', `#${safeReturnPath(query.next) || DEFAULT_PATH}`);
+        showDashboard();
+        flushOutbox();
     } catch (error) {
-        showNotification('Connection error. Please check if services are running.', 'error');
+        showNotification(errorMessage(error, t('errors.loginFailed')), 'error');
         console.error('Login error:', error);
     }
 }
@@ -105,53 +159,107 @@ async function handleLogin(e) {
 async function handleRegister(e) {
     e.preventDefault();
 
-    const userData = {
-        username: document.getElementById('reg-username').value,
-        email: document.getElementById('reg-email').value,
-        password: document.getElementById('reg-password').value,
+    clearFormError('register-error');
+
+    const username = document.getElementById('reg-username').value.trim();
+    const password = document.getElementById('reg-password').value;
+    const { values, error, field } = validatePassengerDetails({
         firstName: document.getElementById('reg-firstname').value,
         lastName: document.getElementById('reg-lastname').value,
+        email: document.getElementById('reg-email').value,
         phoneNumber: document.getElementById('reg-phone').value
-    };
+    });
+    const problem = (!username && ['reg-username', t('errors.usernameRequired')]) ||
+        (error && [REGISTER_FIELDS[field], error]) ||
+        (passwordProblem(password) && ['reg-password', passwordProblem(password)]);
+    if (problem) {
+        const [fieldId, message] = problem;
+        showFormError('register-error', message, fieldId);
+        return;
+    }
 
-    try {
-        const response = await fetch(`${API_BASE.PASSENGER}/register`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(userData)
-        });
+    const userData = { username, password, ...values };
 
-        const data = await response.json();
+    try {
+        await api.passenger.register(userData);
 
-        if (response.ok) {
-            showNotification('Registration successful! Please login.', 'success');
-            document.querySelector('[data-auth="login"]').click();
-            document.getElementById('register-form-element').reset();
-        } else {
-            showNotification(data.message || 'Registration failed', 'error');
-        }
+        showNotification(t('toast.registerSuccess'), 'success');
+        const { queryString } = parseLocation();
+        navigate(`/login${queryString ? `?${queryString}` : ''}`);
+        document.getElementById('register-form-element').reset();
     } catch (error) {
-        showNotification('Connection error. Please check if services are running.', 'error');
+        showNotification(errorMessage(error, t('errors.registerFailed')), 'error');
         console.error('Registration error:', error);
     }
 }
 
+// Shared by registration and the profile tab, so both reject what the service would.
+function validatePassengerDetails(fields) {
+    const values = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, value.trim()]));
+    values.phoneNumber = values.phoneNumber.replace(/[\s-]/g, '');
+
+    if (!values.firstName || !values.lastName) {
+        return { error: t('errors.nameRequired'), field: values.firstName ? 'lastName' : 'firstName' };
+    }
+    if (!EMAIL_PATTERN.test(values.email)) {
+        return { error: t('errors.invalidEmail'), field: 'email' };
+    }
+    if (!PHONE_PATTERN.test(values.phoneNumber)) {
+        return { error: t('errors.invalidPhone'), field: 'phoneNumber' };
+    }
+    return { values };
+}
+
+function passwordProblem(password) {
+    const strong = password.length >= PASSWORD_MIN_LENGTH && /[a-zA-Z]/.test(password) && /[0-9]/.test(password);
+    return strong ? null : t('errors.weakPassword', { min: PASSWORD_MIN_LENGTH });
+}
+
 function handleLogout() {
+    endSession();
+    showNotification(t('toast.loggedOut'), 'info');
+    navigate('/login', { replace: true });
+}
+
+// broadcast is false when another tab already ended the session and told this one.
+function endSession({ broadcast = true } = {}) {
     currentUser = null;
     authToken = null;
-    localStorage.removeItem('currentUser');
-    localStorage.removeItem('authToken');
-    showNotification('Logged out successfully', 'info');
-    showAuthSection();
+    stopSession({ broadcast });
+    clearOfflineData();
+    updateSyncStatus();
+}
+
+// Ends the session but brings the rider back to the same page after logging in again.
+function expireSession(message) {
+    if (!currentUser) return;
+    const returnTo = currentLocation();
+    endSession();
+    showNotification(message, 'error');
+    navigate(`/login?next=${encodeURIComponent(returnTo)}`, { replace: true });
 }
 
-function showAuthSection() {
+function showAuthSection(mode = 'login') {
+    selectTab(document.querySelector('.auth-tabs'), tab => tab.dataset.auth === mode);
+    document.getElementById('login-form').classList.toggle('hidden', mode !== 'login');
+    document.getElementById('register-form').classList.toggle('hidden', mode !== 'register');
+
     document.getElementById('auth-section').classList.remove('hidden');
     document.getElementById('dashboard-section').classList.add('hidden');
     document.getElementById('routes-section').classList.add('hidden');
     document.getElementById('tickets-section').classList.add('hidden');
     document.getElementById('payments-section').classList.add('hidden');
+    document.getElementById('analytics-section').classList.add('hidden');
+    document.getElementById('conductor-section').classList.add('hidden');
+    document.getElementById('notifications-section').classList.add('hidden');
+    document.getElementById('admin-section').classList.add('hidden');
+    document.getElementById('profile-section').classList.add('hidden');
     document.getElementById('nav-tabs').classList.add('hidden');
+    stopCamera();
+    disconnectLiveUpdates();
+    stopNotificationPolling();
+    stopTicketTiming();
+    resetListViews();
     document.getElementById('user-info').classList.add('hidden');
 }
 
@@ -160,17 +268,80 @@ function showDashboard() {
     document.getElementById('nav-tabs').classList.remove('hidden');
     document.getElementById('user-info').classList.remove('hidden');
 
+    loadUserLanguage();
+    restoreListViews();
+    renderUserName();
+
+    document.querySelectorAll('[data-roles]').forEach(el => {
+        el.classList.toggle('hidden', !hasRole(el.dataset.roles.split(',')));
+    });
+
+    connectLiveUpdates();
+    startNotificationPolling();
+    startTicketTiming();
+    return applyRoute();
+}
+
+function renderUserName() {
     document.getElementById('user-name').textContent =
-        `Welcome, ${currentUser.firstName} ${currentUser.lastName}`;
+        t('header.welcome', { name: `${currentUser.firstName} ${currentUser.lastName}` });
+}
 
-    switchTab('dashboard');
-    loadDashboardData();
+function initLanguage() {
+    render('language-select', Object.entries(I18N_LANGUAGES).map(([code, { label }]) =>
+        html`<option value="${code}">${label}</option>`
+    ));
+    setLanguage(savedLanguage() || browserLanguage() || I18N_DEFAULT_LANGUAGE);
+    document.getElementById('language-select').value = localeSettings.language;
+    applyTranslations();
 }
 
+// Called on login: the rider's own choice wins over whatever the device last used.
+function loadUserLanguage() {
+    const language = savedLanguage(currentUser.passengerId);
+    if (language && language !== localeSettings.language) {
+        setLanguage(language);
+        saveLanguage();
+        document.getElementById('language-select').value = localeSettings.language;
+        applyTranslations();
+        renderServiceStatus();
+    }
+}
+
+function changeLanguage(language) {
+    setLanguage(language);
+    saveLanguage(currentUser?.passengerId);
+    applyTranslations();
+    renderServiceStatus();
+    renderNotificationTypeFilter();
+    updateSyncStatus();
+    if (currentUser) {
+        renderUserName();
+        updateNotificationBadge();
+        // Re-render the current view so lists, dates and amounts pick up the new locale.
+        navigate(currentLocation(), { replace: true, reload: true });
+        // Journey results are not part of any view's load; redraw them from the last search.
+        if (plannerResults.length > 0) renderJourneys();
+    }
+}
+
+function hasRole(roles) {
+    return Boolean(currentUser) && roles.includes(currentUser.role || 'passenger');
+}
+
+// Tabs are routes; picking one always reloads its list, as the tab buttons always have.
 function switchTab(tabName) {
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.tab === tabName);
-    });
+    return navigate(`/${tabName}`, { reload: true });
+}
+
+// Called by the router once it has checked the user may see this tab.
+function showTab(tabName, query = {}) {
+    closeModal();
+    if (tabName !== 'conductor') {
+        stopCamera();
+    }
+
+    selectTab(document.getElementById('nav-tabs'), tab => tab.dataset.tab === tabName);
 
     document.querySelectorAll('.section').forEach(section => {
         section.classList.add('hidden');
@@ -181,407 +352,689 @@ function switchTab(tabName) {
         targetSection.classList.remove('hidden');
     }
 
+    // Returns the tab's load so callers can act on the rendered list.
     switch(tabName) {
         case 'dashboard':
-            loadDashboardData();
-            break;
+            return loadDashboardData();
         case 'routes':
-            loadRoutes();
-            break;
+            loadPlannerLocations();
+            return loadRoutes();
         case 'tickets':
-            loadTickets();
-            break;
+            return loadTickets();
         case 'payments':
-            loadPayments();
-            break;
+            if (query.status !== undefined) {
+                setListStatus('payments', query.status);
+            }
+            return loadPayments();
+        case 'analytics':
+            return loadAnalytics(query);
+        case 'notifications':
+            return loadNotifications();
+        case 'conductor':
+            return loadConductorTrips();
+        case 'admin':
+            return loadAdminRoutes();
+        case 'profile':
+            return loadProfile();
     }
 }
 
 async function loadDashboardData() {
     try {
-        const [routes, trips, tickets, payments] = await Promise.all([
-            fetch(`${API_BASE.TRANSPORT}/routes`).then(r => r.json()),
-            fetch(`${API_BASE.TRANSPORT}/trips`).then(r => r.json()),
-            fetch(`${API_BASE.TICKETING}/tickets?passengerId=${currentUser.passengerId}`).then(r => r.json()),
-            fetch(`${API_BASE.PAYMENT}/payments?passengerId=${currentUser.passengerId}`).then(r => r.json())
+        const [routes, trips, tickets, stats] = await Promise.all([
+            api.transport.getRoutes(undefined, { offline: true }),
+            api.transport.getTrips(undefined, { offline: true }),
+            api.ticketing.getTickets({ passengerId: currentUser.passengerId }, { offline: true }),
+            api.payment.getStats({ passengerId: currentUser.passengerId })
         ]);
 
-        document.getElementById('total-routes').textContent = routes.data?.length || 0;
-        document.getElementById('total-trips').textContent = trips.data?.length || 0;
-        document.getElementById('total-tickets').textContent = tickets.data?.length || 0;
+        document.getElementById('total-routes').textContent = routes?.length || 0;
+        document.getElementById('total-trips').textContent = trips?.length || 0;
+        document.getElementById('total-tickets').textContent = tickets?.length || 0;
 
-        const totalAmount = payments.data?.reduce((sum, p) => {
-            return sum + (p.status === 'SUCCESS' ? parseFloat(p.amount) : 0);
-        }, 0) || 0;
-        document.getElementById('total-payments').textContent = `$${totalAmount.toFixed(2)}`;
+        // A refunded payment flips to REFUNDED, so the processed total already leaves it out.
+        const totalAmount = parseFloat(stats?.totalAmountProcessed) || 0;
+        const refundedAmount = parseFloat(stats?.totalAmountRefunded) || 0;
+        document.getElementById('total-payments').textContent = formatMoney(totalAmount);
+        document.getElementById('total-refunded').textContent =
+            refundedAmount > 0 ? t('dashboard.refunded', { amount: formatMoney(refundedAmount) }) : '';
     } catch (error) {
         console.error('Error loading dashboard data:', error);
     }
 }
 
 async function loadRoutes() {
-    const routesList = document.getElementById('routes-list');
-    routesList.innerHTML = '<p class="loading">Loading routes...</p>';
+    render('routes-list', loadingMessage(t('routes.loading')));
 
     try {
-        const response = await fetch(`${API_BASE.TRANSPORT}/routes`);
-        const data = await response.json();
-
-        if (response.ok && data.data && data.data.length > 0) {
-            routesList.innerHTML = data.data.map(route => `
-                <div class="route-card">
-                    <div class="card-header">
-                        <div class="card-title">${route.routeNumber} - ${route.routeName}</div>
-                        <span class="status-badge status-${route.status.toLowerCase()}">${route.status}</span>
-                    </div>
-                    <div class="card-info">
-                        <div class="info-row">
-                            <span class="info-label">From:</span>
-                            <span class="info-value">${route.startLocation}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">To:</span>
-                            <span class="info-value">${route.endLocation}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Distance:</span>
-                            <span class="info-value">${route.distance} km</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Duration:</span>
-                            <span class="info-value">${route.estimatedDuration} min</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Fare:</span>
-                            <span class="info-value">$${parseFloat(route.fare).toFixed(2)}</span>
-                        </div>
-                    </div>
-                    <div class="card-actions">
-                        <button class="btn-small btn-view" onclick="viewTrips('${route.routeId}')">View Trips</button>
-                    </div>
-                </div>
-            `).join('');
-        } else {
-            routesList.innerHTML = '<p class="loading">No routes available</p>';
-        }
+        setListItems('routes', await api.transport.getRoutes({ status: listStatus('routes') }, { offline: true }));
+        renderRoutes();
     } catch (error) {
-        routesList.innerHTML = '<p class="loading">Error loading routes</p>';
+        render('routes-list', loadingMessage(listErrorText(error, t('errors.loadRoutes'))));
         console.error('Error loading routes:', error);
     }
 }
 
-async function viewTrips(routeId) {
+function renderRoutes() {
+    const { page } = listPage('routes');
+    if (page.length === 0) {
+        render('routes-list', loadingMessage(emptyListText('routes', 'routes.empty', 'routes.emptyForStatus')));
+        return;
+    }
+
+    render('routes-list', page.map(route => card({
+        className: 'route-card',
+        data: { routeId: route.routeId },
+        title: `${route.routeNumber} - ${route.routeName}`,
+        status: route.status,
+        rows: [
+            [t('common.from'), route.startLocation],
+            [t('common.to'), route.endLocation],
+            [t('routes.distance'), `${formatNumber(route.distance)} km`],
+            [t('routes.duration'), `${formatNumber(route.estimatedDuration)} min`],
+            [t('routes.fare'), formatMoney(route.fare)]
+        ],
+        actions: [{ label: t('routes.viewTrips'), action: 'view-trips', data: { routeId: route.routeId } }]
+    })));
+}
+
+function viewTrips(routeId) {
+    return navigate(`/routes/${encodeURIComponent(routeId)}/trips`);
+}
+
+function hideRouteTrips() {
+    document.getElementById('trips-container').classList.add('hidden');
+}
+
+async function loadRouteTrips(routeId) {
     try {
-        const response = await fetch(`${API_BASE.TRANSPORT}/trips?routeId=${routeId}&status=SCHEDULED`);
-        const data = await response.json();
+        setListItems('trips', await api.transport.getTrips({ routeId, status: listStatus('trips') }, { offline: true }));
+        renderRouteTrips();
 
         const tripsContainer = document.getElementById('trips-container');
-        const tripsList = document.getElementById('trips-list');
-
-        if (response.ok && data.data && data.data.length > 0) {
-            tripsList.innerHTML = data.data.map(trip => `
-                <div class="trip-card">
-                    <div class="card-header">
-                        <div class="card-title">Trip ${trip.tripId}</div>
-                        <span class="status-badge status-${trip.status.toLowerCase()}">${trip.status}</span>
-                    </div>
-                    <div class="card-info">
-                        <div class="info-row">
-                            <span class="info-label">Route:</span>
-                            <span class="info-value">${trip.routeNumber}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Departure:</span>
-                            <span class="info-value">${formatDateTime(trip.departureTime)}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Arrival:</span>
-                            <span class="info-value">${formatDateTime(trip.arrivalTime)}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Vehicle:</span>
-                            <span class="info-value">${trip.vehicleId}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Driver:</span>
-                            <span class="info-value">${trip.driverName}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Available Seats:</span>
-                            <span class="info-value">${trip.availableSeats}/${trip.totalSeats}</span>
-                        </div>
-                    </div>
-                    <div class="card-actions">
-                        <button class="btn-small btn-purchase" onclick="purchaseTicket('${trip.tripId}')"
-                            ${trip.availableSeats <= 0 ? 'disabled' : ''}>
-                            Purchase Ticket
-                        </button>
-                    </div>
-                </div>
-            `).join('');
-
-            tripsContainer.classList.remove('hidden');
-            tripsContainer.scrollIntoView({ behavior: 'smooth' });
-        } else {
-            tripsList.innerHTML = '<p class="loading">No trips available for this route</p>';
-            tripsContainer.classList.remove('hidden');
-        }
+        tripsContainer.classList.remove('hidden');
+        tripsContainer.scrollIntoView({ behavior: 'smooth' });
     } catch (error) {
-        showNotification('Error loading trips', 'error');
+        showNotification(errorMessage(error, t('errors.loadTrips')), 'error');
         console.error('Error loading trips:', error);
     }
 }
 
+// The trips toolbar only shows under an open route, so its filter reloads that route's trips.
+function reloadRouteTrips() {
+    const { params } = matchRoute(parseLocation().path) || {};
+    if (params?.routeId) {
+        return loadRouteTrips(params.routeId);
+    }
+}
+
+// The ticketing service only sells seats on trips that have not left yet (SCHEDULED); other trips
+// are listed for reference when the filter asks for them.
+function renderRouteTrips() {
+    const { page } = listPage('trips');
+    if (page.length === 0) {
+        render('trips-list', loadingMessage(emptyListText('trips', 'trips.empty', 'trips.emptyForStatus')));
+        return;
+    }
+
+    render('trips-list', page.map(trip => {
+        const bookable = trip.status === 'SCHEDULED' && trip.availableSeats > 0;
+        return card({
+            className: 'trip-card',
+            data: { tripId: trip.tripId },
+            title: t('trips.title', { tripId: trip.tripId }),
+            status: trip.status,
+            rows: [
+                [t('trips.route'), trip.routeNumber],
+                [t('trips.departure'), formatDateTime(trip.departureTime)],
+                [t('trips.arrival'), formatDateTime(trip.arrivalTime)],
+                [t('trips.vehicle'), trip.vehicleId],
+                [t('trips.driver'), trip.driverName],
+                [t('trips.availableSeats'), `${trip.availableSeats}/${trip.totalSeats}`]
+            ],
+            content: bookable && trip.availableSeats > 1 && html`
+                <label class="seat-quantity">
+                    <span>${t('trips.seats')}</span>
+                    <input type="number" min="1" max="${Math.min(trip.availableSeats, GROUP_BOOKING_MAX_SEATS)}" value="1" step="1">
+                </label>
+            `,
+            actions: [{
+                label: t('trips.purchase'),
+                action: 'purchase-ticket',
+                data: { tripId: trip.tripId, availableSeats: trip.availableSeats },
+                variant: 'btn-purchase',
+                disabled: !bookable
+            }]
+        });
+    }));
+    applyLiveStatus();
+}
+
+// One seat keeps the single-ticket flow (which also works offline); more go through group checkout.
+function purchaseSeats(tripId, availableSeats, button) {
+    const input = button.closest('.trip-card').querySelector('.seat-quantity input');
+    const quantity = input ? Number(input.value) : 1;
+    const maxSeats = Math.min(availableSeats, GROUP_BOOKING_MAX_SEATS);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxSeats) {
+        showNotification(t('toast.chooseSeats', { max: maxSeats }), 'error');
+        input?.focus();
+        return;
+    }
+
+    if (quantity === 1) {
+        purchaseTicket(tripId);
+    } else {
+        bookGroup(tripId, quantity);
+    }
+}
+
 async function purchaseTicket(tripId) {
     if (!currentUser) {
-        showNotification('Please login first', 'error');
+        showNotification(t('toast.loginRequired'), 'error');
         return;
     }
 
-    try {
-        const response = await fetch(`${API_BASE.TICKETING}/tickets`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                passengerId: currentUser.passengerId,
-                tripId: tripId
-            })
-        });
+    if (!navigator.onLine) {
+        await queueOfflinePurchase(tripId);
+        return;
+    }
 
-        const data = await response.json();
+    try {
+        await api.ticketing.purchase(currentUser.passengerId, tripId);
 
-        if (response.ok) {
-            showNotification('Ticket purchased! Please proceed to payment.', 'success');
-            switchTab('tickets');
-        } else {
-            showNotification(data.error?.message || 'Ticket purchase failed', 'error');
-        }
+        showNotification(t('toast.ticketPurchased'), 'success');
+        switchTab('tickets');
     } catch (error) {
-        showNotification('Error purchasing ticket', 'error');
+        // Only a request that never reached the service is safe to queue; a timeout may
+        // already have created the ticket.
+        if (error instanceof ApiError && error.code === 'NETWORK_ERROR') {
+            await queueOfflinePurchase(tripId);
+            return;
+        }
+        showNotification(errorMessage(error, t('errors.purchaseFailed')), 'error');
         console.error('Error purchasing ticket:', error);
     }
 }
 
+async function queueOfflinePurchase(tripId) {
+    try {
+        await queuePurchase(currentUser.passengerId, tripId);
+        showNotification(t('toast.purchaseQueued'), 'info');
+    } catch (error) {
+        showNotification(t('errors.purchaseFailed'), 'error');
+        console.error('Error queueing purchase:', error);
+    }
+}
+
+// Refunds live in the payment service only, and departure times in the transport service; without
+// either the cards still show the ticket itself.
+async function fetchTicketOverview(status) {
+    const [tickets, payments, trips] = await Promise.all([
+        api.ticketing.getTickets({ passengerId: currentUser.passengerId, status }, { offline: true }),
+        api.payment.getPayments({ passengerId: currentUser.passengerId }).catch(error => {
+            console.error('Error loading payments for tickets:', error);
+            return [];
+        }),
+        api.transport.getTrips(undefined, { offline: true }).catch(error => {
+            console.error('Error loading trips for tickets:', error);
+            return [];
+        })
+    ]);
+    // A group booking's combined payment names only its first ticket, but every ticket in the
+    // group carries the payment's id (see paymentTickets in receipts.js).
+    const paymentsById = new Map((payments || []).map(p => [p.paymentId, p]));
+    const paymentsByTicketId = new Map((payments || []).map(p => [p.ticketId, p]));
+    return {
+        tickets: tickets || [],
+        paymentsByTicket: new Map((tickets || []).map(ticket => [
+            ticket.ticketId,
+            paymentsById.get(ticket.paymentId) || paymentsByTicketId.get(ticket.ticketId)
+        ])),
+        tripsById: new Map((trips || []).map(trip => [trip.tripId, trip]))
+    };
+}
+
 async function loadTickets() {
     if (!currentUser) return;
 
-    const ticketsList = document.getElementById('tickets-list');
-    ticketsList.innerHTML = '<p class="loading">Loading tickets...</p>';
+    render('tickets-list', loadingMessage(t('tickets.loading')));
 
     try {
-        const response = await fetch(`${API_BASE.TICKETING}/tickets?passengerId=${currentUser.passengerId}`);
-        const data = await response.json();
-
-        if (response.ok && data.data && data.data.length > 0) {
-            ticketsList.innerHTML = data.data.map(ticket => `
-                <div class="ticket-card">
-                    <div class="card-header">
-                        <div class="card-title">Ticket ${ticket.ticketId}</div>
-                        <span class="status-badge status-${ticket.status.toLowerCase()}">${ticket.status}</span>
-                    </div>
-                    <div class="card-info">
-                        <div class="info-row">
-                            <span class="info-label">Route:</span>
-                            <span class="info-value">${ticket.routeNumber}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Trip ID:</span>
-                            <span class="info-value">${ticket.tripId}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Fare:</span>
-                            <span class="info-value">$${parseFloat(ticket.fare).toFixed(2)}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Purchased:</span>
-                            <span class="info-value">${formatDateTime(ticket.purchasedAt)}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Valid Until:</span>
-                            <span class="info-value">${formatDateTime(ticket.validUntil)}</span>
-                        </div>
-                        ${ticket.qrCode ? `
-                        <div class="info-row">
-                            <span class="info-label">QR Code:</span>
-                        </div>
-                        <div class="qr-code">${ticket.qrCode}</div>
-                        ` : ''}
-                    </div>
-                    <div class="card-actions">
-                        ${ticket.status === 'CREATED' ? `
-                            <button class="btn-small btn-pay" onclick="payForTicket('${ticket.ticketId}', ${ticket.fare})">
-                                Pay Now
-                            </button>
-                        ` : ''}
-                        ${ticket.status === 'PAID' ? `
-                            <button class="btn-small btn-view" onclick="validateTicket('${ticket.ticketId}')">
-                                Validate
-                            </button>
-                        ` : ''}
-                    </div>
-                </div>
-            `).join('');
-        } else {
-            ticketsList.innerHTML = '<p class="loading">No tickets found</p>';
+        const status = listStatus('tickets');
+        const overview = await fetchTicketOverview(status);
+        ticketsById.clear();
+        overview.tickets.forEach(ticket => ticketsById.set(ticket.ticketId, ticket));
+        // Reminders and live updates need every ticket, so only an unfiltered list feeds them.
+        if (!status) {
+            setHeldTickets(overview.tickets);
+            setTimedTickets(overview);
         }
+        setListItems('tickets', overview.tickets.map(ticket => ({
+            ticket,
+            payment: overview.paymentsByTicket.get(ticket.ticketId),
+            trip: overview.tripsById.get(ticket.tripId)
+        })));
+        renderTickets();
     } catch (error) {
-        ticketsList.innerHTML = '<p class="loading">Error loading tickets</p>';
+        render('tickets-list', loadingMessage(listErrorText(error, t('errors.loadTickets'))));
         console.error('Error loading tickets:', error);
     }
 }
 
-async function payForTicket(ticketId, amount) {
-    try {
-        const paymentResponse = await fetch(`${API_BASE.PAYMENT}/payments`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                ticketId: ticketId,
-                passengerId: currentUser.passengerId,
-                amount: parseFloat(amount),
-                paymentMethod: 'CARD'
-            })
-        });
+// Also called by the timing ticker whenever a ticket expires or its trip departs or arrives.
+// The status filter is the ticketing service's own status; the cards show what it means right now.
+function renderTickets() {
+    const now = Date.now();
+    const entries = listItems('tickets').map(({ ticket, payment, trip }) => {
+        const status = ticketDisplayStatus(ticket, payment, now);
+        return { ticket, payment, trip, status, group: ticketGroup(status, trip, now) };
+    });
+    timing.nextChangeAt = nextTicketChange(entries, now);
+
+    // Groups are cut at page boundaries; their headings still count every matching ticket.
+    const { page, matched } = listPage('tickets', entries);
+    if (page.length === 0) {
+        render('tickets-list', loadingMessage(emptyListText('tickets', 'tickets.empty', 'tickets.emptyForStatus')));
+        return;
+    }
 
-        const paymentData = await paymentResponse.json();
-
-        if (paymentResponse.ok && paymentData.data?.status === 'SUCCESS') {
-            const confirmResponse = await fetch(`${API_BASE.TICKETING}/tickets/${ticketId}/confirm-payment`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    paymentId: paymentData.data.paymentId
-                })
-            });
-
-            if (confirmResponse.ok) {
-                showNotification('Payment successful!', 'success');
-                loadTickets();
-                loadDashboardData();
-            } else {
-                showNotification('Payment processed but confirmation failed', 'error');
+    render('tickets-list', TICKET_GROUPS.filter(group => page.some(entry => entry.group === group)).map(group => html`
+        <section class="ticket-group">
+            <h3>${t(`tickets.group.${group}`)} (${formatNumber(matched.filter(entry => entry.group === group).length)})</h3>
+            <div class="tickets-list">${page.filter(entry => entry.group === group).map(entry => ticketCard(entry, now))}</div>
+        </section>
+    `));
+    applyLiveStatus();
+}
+
+function ticketCard({ ticket, payment, trip, status }, now) {
+    const refundable = payment?.status === 'SUCCESS' || ticket.paymentId;
+    return card({
+        className: 'ticket-card',
+        data: { ticketId: ticket.ticketId, tripId: ticket.tripId },
+        title: t('tickets.title', { ticketId: ticket.ticketId }),
+        status,
+        rows: [
+            [t('trips.route'), ticket.routeNumber],
+            [t('tickets.tripId'), ticket.tripId],
+            trip && [t('trips.departure'), formatDateTime(trip.departureTime)],
+            [t('routes.fare'), formatMoney(ticket.fare)],
+            [t('tickets.purchased'), formatDateTime(ticket.purchasedAt)],
+            [t('tickets.validUntil'), formatDateTime(ticket.validUntil)]
+        ],
+        content: html`
+            ${ticketCountdown(ticket, status, trip, now)}
+            ${ticket.qrCode && status === 'PAID' && html`<div class="qr-code">${renderTicketQr(ticket)}</div>`}
+        `,
+        actions: [
+            status === 'CREATED' && { label: t('tickets.payNow'), action: 'pay-ticket', data: { ticketId: ticket.ticketId, fare: ticket.fare }, variant: 'btn-pay' },
+            status === 'CREATED' && { label: t('tickets.cancel'), action: 'cancel-ticket', data: { ticketId: ticket.ticketId }, variant: 'btn-danger' },
+            status === 'PAID' && { label: t('tickets.show'), action: 'show-ticket', data: { ticketId: ticket.ticketId }, variant: 'btn-purchase' },
+            status === 'PAID' && refundable && {
+                label: t('tickets.requestRefund'),
+                action: 'request-refund',
+                data: { paymentId: payment?.paymentId || ticket.paymentId, ticketId: ticket.ticketId },
+                variant: 'btn-danger'
             }
-        } else {
-            showNotification('Payment failed', 'error');
-        }
+        ]
+    });
+}
+
+function focusTicket(ticketId) {
+    showListItem('tickets', entry => entry.ticket.ticketId === ticketId);
+    highlightCard(`.ticket-card[data-ticket-id="${CSS.escape(ticketId)}"]`, t('toast.ticketNotListed'));
+}
+
+function renderTicketQr(ticket) {
+    try {
+        return trustedHtml(QRCode.toSvg(QRCode.encode(ticket.qrCode, { ecLevel: TICKET_QR_EC_LEVEL }), {
+            label: t('tickets.qrLabel', { ticketId: ticket.ticketId })
+        }));
     } catch (error) {
-        showNotification('Error processing payment', 'error');
-        console.error('Error processing payment:', error);
+        console.error('Error encoding ticket QR code:', error);
+        return html`<span class="qr-fallback">${ticket.qrCode}</span>`;
     }
 }
 
-async function validateTicket(ticketId) {
+async function showTicket(ticketId) {
+    let ticket = ticketsById.get(ticketId);
+    if (!ticket) {
+        try {
+            ticket = await api.ticketing.getTicket(ticketId);
+        } catch (error) {
+            showNotification(errorMessage(error, t('errors.loadTicket')), 'error');
+            console.error('Error loading ticket:', error);
+            return;
+        }
+    }
+
+    const viewer = document.getElementById('ticket-viewer');
+    render('ticket-viewer-details', html`
+        <div class="ticket-viewer-title" id="ticket-viewer-title">${t('tickets.title', { ticketId: ticket.ticketId })}</div>
+        <div>${t('tickets.viewerRoute', { routeNumber: ticket.routeNumber, tripId: ticket.tripId })}</div>
+        <div>${t('tickets.viewerValidUntil', { date: formatDateTime(ticket.validUntil) })}</div>
+    `);
+
+    const canvas = document.getElementById('ticket-viewer-canvas');
+    const qr = QRCode.encode(ticket.qrCode, { ecLevel: TICKET_QR_EC_LEVEL });
+    const available = Math.min(window.innerWidth, window.innerHeight) * 0.7;
+    const scale = Math.max(4, Math.floor(available / (qr.size + 8)));
+    QRCode.renderToCanvas(qr, canvas, { scale });
+    canvas.dataset.ticketId = ticket.ticketId;
+
+    viewer.classList.remove('hidden');
+    releaseTicketViewFocus ||= trapFocus(viewer);
+    document.getElementById('ticket-viewer-close').focus();
+
+    // Browsers don't let pages raise screen brightness, so the view goes full-screen on
+    // pure white and asks the screen to stay awake while the conductor scans.
     try {
-        const response = await fetch(`${API_BASE.TICKETING}/tickets/${ticketId}/validate`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                validatedBy: 'CONDUCTOR',
-                location: 'Bus Station'
-            })
-        });
+        await viewer.requestFullscreen?.();
+    } catch (error) {
+        console.error('Fullscreen not available:', error);
+    }
+    try {
+        wakeLock = await navigator.wakeLock?.request('screen') || null;
+    } catch (error) {
+        console.error('Wake lock not available:', error);
+    }
+}
 
-        const data = await response.json();
+function closeTicketView() {
+    document.getElementById('ticket-viewer').classList.add('hidden');
+    releaseTicketViewFocus?.();
+    releaseTicketViewFocus = null;
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+    }
+    if (wakeLock) {
+        wakeLock.release().catch(() => {});
+        wakeLock = null;
+    }
+}
 
-        if (response.ok) {
-            showNotification('Ticket validated successfully!', 'success');
-            loadTickets();
-        } else {
-            showNotification(data.error?.message || 'Validation failed', 'error');
+function downloadTicketQr() {
+    const canvas = document.getElementById('ticket-viewer-canvas');
+    canvas.toBlob(blob => downloadBlob(blob, `ticket-${canvas.dataset.ticketId}.png`), 'image/png');
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// A refund withdraws the ticket (REFUNDED), but tickets refunded before that stayed PAID, so a
+// refunded payment still marks them. The ticketing service only marks tickets EXPIRED on cleanup,
+// so a lapsed validUntil counts as expired here straight away.
+function ticketDisplayStatus(ticket, payment, now = Date.now()) {
+    if (payment?.status === 'REFUNDED' && ticket.status === 'PAID') {
+        return 'REFUNDED';
+    }
+    if (ticketExpired(ticket, now)) {
+        return 'EXPIRED';
+    }
+    return ticket.status;
+}
+
+function cancelTicket(ticketId) {
+    openReasonDialog({
+        title: t('tickets.cancel'),
+        message: t('tickets.cancelMessage', { ticketId }),
+        confirmLabel: t('tickets.cancel'),
+        onConfirm: async (reason) => {
+            await api.ticketing.cancel(ticketId, reason);
+            showNotification(t('toast.ticketCancelled'), 'success');
         }
+    });
+}
+
+// A group booking's one payment covers every ticket in it, so its refund withdraws them all; the
+// dialog lists them rather than naming only the ticket the refund was asked from.
+async function requestRefund(paymentId, ticketId) {
+    let covered;
+    try {
+        const tickets = await api.ticketing.getTickets({ passengerId: currentUser.passengerId });
+        covered = paymentTickets({ paymentId, ticketId }, tickets || []);
     } catch (error) {
-        showNotification('Error validating ticket', 'error');
-        console.error('Error validating ticket:', error);
+        showNotification(errorMessage(error, t('errors.loadTickets')), 'error');
+        console.error('Error loading tickets for refund:', error);
+        return;
     }
+
+    const group = covered.length > 1;
+    openReasonDialog({
+        title: t('tickets.requestRefund'),
+        message: group
+            ? t('tickets.refundGroupMessage', { paymentId, count: covered.length })
+            : t('tickets.refundMessage', { paymentId, ticketId }),
+        items: group ? covered.map(ticket => t('tickets.title', { ticketId: ticket.ticketId })) : [],
+        confirmLabel: t('tickets.requestRefund'),
+        onConfirm: async (reason) => {
+            await api.payment.refund(paymentId, reason);
+            showNotification(t('toast.refundProcessed'), 'success');
+        }
+    });
+}
+
+function openReasonDialog({ title, message, items = [], confirmLabel, onConfirm }) {
+    openModal(html`
+        <h2>${title}</h2>
+        <p class="dialog-message">${message}</p>
+        ${items.length > 0 && html`<ul class="dialog-list">${items.map(item => html`<li>${item}</li>`)}</ul>`}
+        <form id="reason-form">
+            <div class="form-group">
+                <label for="reason-input">${t('common.reason')}</label>
+                <textarea id="reason-input" rows="3" required maxlength="200"></textarea>
+            </div>
+            <p id="reason-error" class="form-error hidden"></p>
+            <div class="card-actions">
+                <button type="submit" class="btn-small btn-danger">${confirmLabel}</button>
+                <button type="button" class="btn-small btn-secondary" id="reason-dismiss">${t('common.keepIt')}</button>
+            </div>
+        </form>
+    `);
+
+    document.getElementById('reason-dismiss').addEventListener('click', closeModal);
+    document.getElementById('reason-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = e.target.querySelector('button[type="submit"]');
+        const reason = document.getElementById('reason-input').value.trim();
+
+        clearFormError('reason-error');
+        if (!reason) {
+            showFormError('reason-error', t('errors.reasonRequired'), 'reason-input');
+            return;
+        }
+
+        submitButton.disabled = true;
+        try {
+            await onConfirm(reason);
+            closeModal();
+            loadTickets();
+            loadPayments();
+            loadDashboardData();
+        } catch (error) {
+            showFormError('reason-error', errorMessage(error, t('common.actionFailed', { action: title })));
+            submitButton.disabled = false;
+            console.error(`${title} error:`, error);
+        }
+    });
+}
+
+function openConfirmDialog({ title, message, confirmLabel, onConfirm }) {
+    openModal(html`
+        <h2>${title}</h2>
+        <p class="dialog-message">${message}</p>
+        <p id="confirm-error" class="form-error hidden"></p>
+        <div class="card-actions">
+            <button type="button" class="btn-small btn-danger" id="confirm-accept">${confirmLabel}</button>
+            <button type="button" class="btn-small btn-secondary" id="confirm-dismiss">${t('common.goBack')}</button>
+        </div>
+    `);
+
+    document.getElementById('confirm-dismiss').addEventListener('click', closeModal);
+    document.getElementById('confirm-accept').addEventListener('click', async (e) => {
+        clearFormError('confirm-error');
+        e.target.disabled = true;
+        try {
+            await onConfirm();
+            closeModal();
+        } catch (error) {
+            showFormError('confirm-error', errorMessage(error, t('common.actionFailed', { action: title })));
+            e.target.disabled = false;
+            console.error(`${title} error:`, error);
+        }
+    });
 }
 
 async function loadPayments() {
     if (!currentUser) return;
 
-    const paymentsList = document.getElementById('payments-list');
-    paymentsList.innerHTML = '<p class="loading">Loading payments...</p>';
+    render('payments-list', loadingMessage(t('payments.loading')));
 
     try {
-        const response = await fetch(`${API_BASE.PAYMENT}/payments?passengerId=${currentUser.passengerId}`);
-        const data = await response.json();
-
-        if (response.ok && data.data && data.data.length > 0) {
-            paymentsList.innerHTML = data.data.map(payment => `
-                <div class="payment-card">
-                    <div class="card-header">
-                        <div class="card-title">Payment ${payment.paymentId}</div>
-                        <span class="status-badge status-${payment.status.toLowerCase()}">${payment.status}</span>
-                    </div>
-                    <div class="card-info">
-                        <div class="info-row">
-                            <span class="info-label">Ticket ID:</span>
-                            <span class="info-value">${payment.ticketId}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Amount:</span>
-                            <span class="info-value">$${parseFloat(payment.amount).toFixed(2)}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Method:</span>
-                            <span class="info-value">${payment.paymentMethod}</span>
-                        </div>
-                        <div class="info-row">
-                            <span class="info-label">Date:</span>
-                            <span class="info-value">${formatDateTime(payment.createdAt)}</span>
-                        </div>
-                        ${payment.transactionId ? `
-                        <div class="info-row">
-                            <span class="info-label">Transaction:</span>
-                            <span class="info-value">${payment.transactionId}</span>
-                        </div>
-                        ` : ''}
-                    </div>
-                </div>
-            `).join('');
-        } else {
-            paymentsList.innerHTML = '<p class="loading">No payments found</p>';
-        }
+        const status = listStatus('payments');
+        setListItems('payments', await api.payment.getPayments({ passengerId: currentUser.passengerId, status }));
+        renderPayments();
     } catch (error) {
-        paymentsList.innerHTML = '<p class="loading">Error loading payments</p>';
+        render('payments-list', loadingMessage(listErrorText(error, t('errors.loadPayments'))));
         console.error('Error loading payments:', error);
     }
 }
 
+function renderPayments() {
+    const { page } = listPage('payments');
+    if (page.length === 0) {
+        render('payments-list', loadingMessage(emptyListText('payments', 'payments.empty', 'payments.emptyForStatus')));
+        return;
+    }
+
+    render('payments-list', page.map(payment => card({
+        className: 'payment-card',
+        data: { paymentId: payment.paymentId },
+        title: t('payments.cardTitle', { paymentId: payment.paymentId }),
+        status: payment.status,
+        rows: [
+            [t('payments.ticketId'), payment.ticketId],
+            [t('payments.amount'), formatMoney(payment.amount)],
+            [t('payments.method'), payment.paymentMethod],
+            [t('payments.date'), formatDateTime(payment.createdAt)],
+            payment.transactionReference && [t('payments.transaction'), payment.transactionReference]
+        ],
+        actions: [
+            RECEIPT_STATUSES.includes(payment.status) && {
+                label: t('payments.receipt'),
+                action: 'show-receipt',
+                data: { paymentId: payment.paymentId }
+            },
+            payment.status === 'SUCCESS' && {
+                label: t('tickets.requestRefund'),
+                action: 'request-refund',
+                data: { paymentId: payment.paymentId, ticketId: payment.ticketId },
+                variant: 'btn-danger'
+            }
+        ]
+    })));
+}
+
+const TOAST_DURATION_MS = 4000;
+const TOAST_MAX_VISIBLE = 3;
+const TOAST_ICONS = { success: '\u2714', error: '\u2716', info: '\u2139', warning: '!' };
+const toastQueue = [];
+
+// Toasts stack up to TOAST_MAX_VISIBLE; the rest wait their turn rather than replacing
+// whatever is on screen. Clicking a toast dismisses it early; pointing at it holds it open so
+// there is time to read it. Errors interrupt screen readers, everything else waits its turn.
 function showNotification(message, type = 'info') {
-    const notification = document.getElementById('notification');
-    const notificationMessage = document.getElementById('notification-message');
+    toastQueue.push({ message, type });
+    showQueuedToasts();
+}
+
+function showQueuedToasts() {
+    const stack = document.getElementById('toast-stack');
+    while (toastQueue.length > 0 && stack.children.length < TOAST_MAX_VISIBLE) {
+        const { message, type } = toastQueue.shift();
+        const toast = document.createElement('div');
+        toast.className = `notification ${type}`;
+        if (type === 'error') {
+            toast.setAttribute('role', 'alert');
+        }
+        render(toast, html`<span class="toast-icon" aria-hidden="true">${TOAST_ICONS[type] || TOAST_ICONS.info}</span>${message}`);
+
+        let timer = null;
+        const dismiss = () => {
+            clearTimeout(timer);
+            toast.remove();
+            showQueuedToasts();
+        };
+        const hold = () => clearTimeout(timer);
+        const resume = () => {
+            clearTimeout(timer);
+            timer = setTimeout(dismiss, TOAST_DURATION_MS);
+        };
+        resume();
+        toast.addEventListener('click', dismiss);
+        toast.addEventListener('mouseenter', hold);
+        toast.addEventListener('mouseleave', resume);
+        stack.appendChild(toast);
+    }
+}
+
+// Server-provided messages are shown as-is unless the catalog has a translation for their code;
+// anything else (a bug, not a failed call) gets the fallback.
+function errorMessage(error, fallback) {
+    if (!(error instanceof ApiError)) return fallback;
+    const unreachable = serviceDownMessage(error);
+    if (unreachable) return unreachable;
+    return error.code && hasMessage(`errors.code.${error.code}`) ? t(`errors.code.${error.code}`) : error.message;
+}
 
-    notificationMessage.textContent = message;
-    notification.className = `notification ${type}`;
-    notification.classList.remove('hidden');
+let modalCloseHandler = null;
+let releaseModalFocus = null;
 
-    setTimeout(() => {
-        notification.classList.add('hidden');
-    }, 4000);
+// The dialog is named by the first heading in its content. Focus goes to the first field, or to
+// the dialog itself so it is read from the top; opening over an open modal keeps the original
+// place to return focus to.
+function openModal(content, onClose = null) {
+    if (modalCloseHandler) {
+        modalCloseHandler();
+    }
+    modalCloseHandler = onClose;
+    document.getElementById('modal').classList.remove('hidden');
+    releaseModalFocus ||= trapFocus(document.querySelector('#modal .modal-content'));
+    renderModal(content);
 }
 
-function closeModal() {
-    document.getElementById('modal').classList.add('hidden');
+// Replaces what the open modal shows. Whatever had focus went with the old content, so focus
+// moves into the new content as well.
+function renderModal(content) {
+    const body = document.getElementById('modal-body');
+    render(body, content);
+    body.querySelector('h2, h3')?.setAttribute('id', 'modal-title');
+    (body.querySelector('input, select, textarea') || body.closest('.modal-content')).focus();
 }
 
-function formatDateTime(dateString) {
-    if (!dateString) return 'N/A';
-    try {
-        const date = new Date(dateString);
-        return date.toLocaleString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    } catch {
-        return dateString;
+function listErrorText(error, fallback) {
+    if (error instanceof ApiError && error.isNetworkError && !navigator.onLine) {
+        return t('errors.offlineList');
     }
+    return serviceDownMessage(error) || fallback;
 }
 
-window.switchTab = switchTab;
-window.viewTrips = viewTrips;
-window.purchaseTicket = purchaseTicket;
-window.payForTicket = payForTicket;
-window.validateTicket = validateTicket;
+function closeModal() {
+    document.getElementById('modal').classList.add('hidden');
+    releaseModalFocus?.();
+    releaseModalFocus = null;
+    if (modalCloseHandler) {
+        const handler = modalCloseHandler;
+        modalCloseHandler = null;
+        handler();
+    }
+}
@@ -0,0 +1,534 @@
+// Values must match the payment service's PaymentMethod enum. A method's label is the
+// payments.method.<value> message and a field's is checkout.field.<name>.
+const PAYMENT_METHODS = [
+    {
+        value: 'MOBILE_MONEY',
+        fields: [
+            { name: 'mobileNumber', type: 'tel', pattern: '^\\+?[0-9]{9,15}$', hint: 'checkout.hint.mobileNumber' }
+        ]
+    },
+    {
+        value: 'CREDIT_CARD',
+        fields: [
+            { name: 'cardholderName', type: 'text' },
+            { name: 'cardLast4', type: 'text', pattern: '^[0-9]{4}$', inputmode: 'numeric' }
+        ]
+    },
+    {
+        value: 'DEBIT_CARD',
+        fields: [
+            { name: 'cardholderName', type: 'text' },
+            { name: 'cardLast4', type: 'text', pattern: '^[0-9]{4}$', inputmode: 'numeric' }
+        ]
+    },
+    {
+        value: 'BANK_TRANSFER',
+        fields: [
+            { name: 'bankName', type: 'text' },
+            { name: 'accountHolder', type: 'text' }
+        ]
+    },
+    {
+        value: 'CASH',
+        fields: [],
+        note: 'checkout.note.cash'
+    }
+];
+
+function paymentMethodLabel(method) {
+    return hasMessage(`payments.method.${method}`) ? t(`payments.method.${method}`) : method;
+}
+
+const DEFAULT_PAYMENT_METHOD = 'MOBILE_MONEY';
+const PAYMENT_POLL_INTERVAL_MS = 2000;
+const PAYMENT_POLL_ATTEMPTS = 5;
+const GROUP_BOOKING_MAX_SEATS = 10;
+
+let checkout = null;
+
+// A checkout pays for one or more tickets on the same trip. PaymentRequest names a single
+// ticket, so a group's combined payment is recorded against its first (lead) ticket and
+// then confirmed on every ticket in the group.
+function startCheckout(tickets) {
+    checkout = {
+        ticketId: tickets[0]?.ticketId || null,
+        tickets,
+        fare: totalFare(tickets),
+        routeNumber: null,
+        departureTime: null,
+        method: DEFAULT_PAYMENT_METHOD,
+        details: {},
+        payment: null,
+        confirmations: new Map(),
+        confirmed: new Set(),
+        busy: false
+    };
+    return checkout;
+}
+
+// Rounded to cents so a group of 0.10 fares does not add up to 0.30000000000000004.
+function fareSum(tickets) {
+    return Math.round(tickets.reduce((total, ticket) => total + ticket.fare, 0) * 100) / 100;
+}
+
+// What the tickets are charged together. This is the only place fares meet cash rounding, so the
+// amount shown at checkout, paid and then printed on the receipt is the same one.
+function totalFare(tickets) {
+    return roundToCash(fareSum(tickets));
+}
+
+// How much cash rounding moved the total away from the fares it is made of, so the lines shown
+// under a total still add up to it.
+function cashRoundingRow(fares, total) {
+    const rounding = Math.round((total - fareSum(fares)) * 100) / 100;
+    return rounding !== 0 && infoRow(t('checkout.rounding'), formatMoney(rounding));
+}
+
+function isGroupCheckout(session) {
+    return session.tickets.length > 1;
+}
+
+function checkoutTitle(session) {
+    return isGroupCheckout(session)
+        ? t('checkout.titleGroup', { count: session.tickets.length })
+        : t('checkout.title');
+}
+
+async function payForTicket(ticketId, amount) {
+    const session = startCheckout([{ ticketId, fare: parseFloat(amount) }]);
+
+    openModal(loadingMessage(t('checkout.loadingTicket')), closeCheckout);
+
+    try {
+        const ticket = await api.ticketing.getTicket(ticketId);
+        if (checkout !== session) return;
+
+        if (ticket.status !== 'CREATED') {
+            closeModal();
+            showNotification(t('toast.ticketAlready', { status: statusLabel(ticket.status).toLowerCase() }), 'info');
+            loadTickets();
+            return;
+        }
+
+        session.tickets[0].fare = parseFloat(ticket.fare);
+        session.fare = totalFare(session.tickets);
+        session.routeNumber = ticket.routeNumber;
+    } catch (error) {
+        // The fare on the card is good enough to continue; the payment service re-checks the amount anyway.
+        console.error('Error loading ticket for checkout:', error);
+        if (checkout !== session) return;
+    }
+
+    renderCheckoutForm();
+}
+
+function closeCheckout() {
+    checkout = null;
+}
+
+// Reserves every seat before taking any money, so a group is never charged for seats it
+// did not get. If one reservation fails the seats already held are released again.
+async function bookGroup(tripId, quantity) {
+    if (!navigator.onLine) {
+        showNotification(t('toast.connectionNeeded'), 'error');
+        return;
+    }
+
+    const session = startCheckout([]);
+    openModal(loadingMessage(t('checkout.reserving', { count: quantity })), closeCheckout);
+
+    const created = [];
+    try {
+        for (let i = 0; i < quantity; i++) {
+            created.push(await api.ticketing.purchase(currentUser.passengerId, tripId));
+            if (checkout === session) {
+                renderModal(loadingMessage(t('checkout.reserved', { reserved: created.length, count: quantity })));
+            }
+        }
+    } catch (error) {
+        console.error('Error booking group:', error);
+        const unreleased = await releaseTickets(created, `Group booking of ${quantity} seats could not be completed`);
+        const reason = t('toast.groupReservationFailed', {
+            reserved: created.length,
+            requested: quantity,
+            reason: errorMessage(error, t('errors.purchaseFailed'))
+        });
+        const outcome = unreleased > 0
+            ? t('toast.groupNotReleased', { count: unreleased })
+            : t('toast.groupReleased');
+        if (checkout === session) {
+            renderCheckoutStatus(`${reason} ${outcome}`, 'failed', [
+                { label: t('common.close'), className: 'btn-view', action: closeModal }
+            ], t('checkout.groupTitle'));
+        } else {
+            showNotification(`${reason} ${outcome}`, 'error');
+        }
+        loadTickets();
+        return;
+    }
+
+    session.tickets = created.map(ticket => ({ ticketId: ticket.ticketId, fare: parseFloat(ticket.fare) }));
+    session.ticketId = session.tickets[0].ticketId;
+    session.fare = totalFare(session.tickets);
+    session.routeNumber = created[0].routeNumber;
+    session.departureTime = (await api.transport.getTrip(tripId).catch(() => null))?.departureTime || null;
+
+    if (checkout !== session) {
+        // Closed while reserving: the tickets stay reserved and can be paid one by one.
+        showNotification(t('toast.groupReserved', { count: created.length }), 'info');
+        loadTickets();
+        return;
+    }
+    renderCheckoutForm();
+}
+
+// Cancels reserved tickets; returns how many could not be cancelled.
+async function releaseTickets(tickets, reason) {
+    const results = await Promise.allSettled(tickets.map(ticket => api.ticketing.cancel(ticket.ticketId, reason)));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Error releasing ticket:', result.reason));
+    return results.filter(result => result.status === 'rejected').length;
+}
+
+async function cancelGroupBooking() {
+    const session = checkout;
+    if (!session || session.busy) return;
+
+    session.busy = true;
+    renderCheckoutStatus(t('checkout.releasing'), 'pending');
+    const unreleased = await releaseTickets(session.tickets, 'Group booking cancelled before payment');
+    session.busy = false;
+
+    closeModal();
+    showNotification(
+        unreleased === 0
+            ? t('toast.groupCancelled')
+            : t('toast.groupCancelledPartly', { count: unreleased }),
+        unreleased === 0 ? 'info' : 'error'
+    );
+    loadTickets();
+}
+
+function renderCheckoutForm() {
+    renderModal(html`
+        <h2>${checkoutTitle(checkout)}</h2>
+        <div class="checkout-summary">
+            ${isGroupCheckout(checkout)
+                ? infoRow(t('checkout.tickets'), `${checkout.tickets.length} \u00d7 ${formatMoney(checkout.tickets[0].fare)}`)
+                : infoRow(t('checkout.ticket'), checkout.ticketId)}
+            ${checkout.routeNumber && infoRow(t('trips.route'), checkout.routeNumber)}
+            ${cashRoundingRow(checkout.tickets, checkout.fare)}
+            <div class="info-row checkout-total">
+                <span class="info-label">${isGroupCheckout(checkout) ? t('checkout.total') : t('routes.fare')}:</span>
+                <span class="info-value">${formatMoney(checkout.fare)}</span>
+            </div>
+        </div>
+        <form id="checkout-form" novalidate>
+            <fieldset class="payment-methods">
+                <legend>${t('checkout.method')}</legend>
+                ${PAYMENT_METHODS.map(method => html`
+                    <label class="payment-method">
+                        <input type="radio" name="paymentMethod" value="${method.value}"
+                            ${method.value === checkout.method && trustedHtml('checked')}>
+                        <span>${paymentMethodLabel(method.value)}</span>
+                    </label>
+                `)}
+            </fieldset>
+            <div id="checkout-fields"></div>
+            <p id="checkout-error" class="form-error hidden"></p>
+            <button type="submit" class="btn-primary">${t('checkout.pay', { amount: formatMoney(checkout.fare) })}</button>
+            ${isGroupCheckout(checkout) && html`
+                <button type="button" class="btn-secondary checkout-cancel" id="checkout-cancel-group">${t('checkout.cancelBooking')}</button>
+            `}
+        </form>
+    `);
+
+    renderMethodFields();
+
+    const form = document.getElementById('checkout-form');
+    form.querySelectorAll('input[name="paymentMethod"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            checkout.method = e.target.value;
+            renderMethodFields();
+        });
+    });
+    form.addEventListener('submit', submitCheckout);
+    document.getElementById('checkout-cancel-group')?.addEventListener('click', cancelGroupBooking);
+}
+
+function renderMethodFields() {
+    const method = PAYMENT_METHODS.find(m => m.value === checkout.method);
+    render('checkout-fields', html`
+        ${method.fields.map(field => html`
+            <div class="form-group">
+                <label for="checkout-${field.name}">${t(`checkout.field.${field.name}`)}</label>
+                <input type="${field.type}" id="checkout-${field.name}" name="${field.name}" required
+                    ${field.pattern && html`pattern="${field.pattern}"`}
+                    ${field.inputmode && html`inputmode="${field.inputmode}"`}
+                    ${field.hint && html`placeholder="${t(field.hint)}"`}>
+            </div>
+        `)}
+        ${method.note && html`<p class="checkout-note">${t(method.note)}</p>`}
+    `);
+
+    method.fields.forEach(field => {
+        const input = document.getElementById(`checkout-${field.name}`);
+        input.value = checkout.details[field.name] || '';
+    });
+}
+
+function collectMethodDetails() {
+    const method = PAYMENT_METHODS.find(m => m.value === checkout.method);
+    const details = {};
+
+    for (const field of method.fields) {
+        const value = document.getElementById(`checkout-${field.name}`).value.trim();
+        const label = t(`checkout.field.${field.name}`);
+        if (!value) {
+            return { error: t('checkout.fieldRequired', { label }), field: `checkout-${field.name}` };
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            return { error: t('checkout.fieldInvalid', { label }), field: `checkout-${field.name}` };
+        }
+        details[field.name] = value;
+    }
+
+    return { details };
+}
+
+async function submitCheckout(e) {
+    e.preventDefault();
+    if (!checkout || checkout.busy) return;
+
+    clearFormError('checkout-error');
+    const { details, error, field } = collectMethodDetails();
+    if (error) {
+        showFormError('checkout-error', error, field);
+        return;
+    }
+
+    // The details stay in the browser: PaymentRequest is a closed record and the
+    // simulated gateway has no use for them.
+    checkout.details = details;
+    await attemptPayment();
+}
+
+async function attemptPayment() {
+    const session = checkout;
+    session.busy = true;
+    renderCheckoutStatus(t('checkout.processing'), 'pending');
+
+    let payment;
+    try {
+        payment = await api.payment.create({
+            ticketId: session.ticketId,
+            passengerId: currentUser.passengerId,
+            amount: session.fare,
+            paymentMethod: session.method
+        });
+    } catch (error) {
+        if (error instanceof ApiError && error.code === 'DUPLICATE_PAYMENT') {
+            // An earlier attempt is already on record (e.g. its response was lost); pick it up.
+            payment = await api.payment.getPaymentByTicket(session.ticketId).catch(() => null);
+        }
+        if (!payment) {
+            session.busy = false;
+            if (checkout !== session) return;
+            console.error('Error processing payment:', error);
+            renderCheckoutFailure(errorMessage(error, t('errors.processPayment')));
+            return;
+        }
+    }
+
+    session.payment = payment;
+    if (payment.status === 'PENDING') {
+        payment = await pollPendingPayment(session);
+    }
+    session.busy = false;
+
+    if (checkout !== session) {
+        // The dialog was closed mid-payment; still finish the ticket so the charge isn't orphaned.
+        if (payment.status === 'SUCCESS') {
+            confirmTicketPayment(session).then(() => loadTickets()).catch(() => {});
+        }
+        return;
+    }
+
+    switch (payment.status) {
+        case 'SUCCESS':
+            await finishCheckout(session);
+            break;
+        case 'PENDING':
+            renderCheckoutPending();
+            break;
+        default:
+            renderCheckoutFailure(payment.failureReason || t('checkout.declined'));
+    }
+}
+
+async function pollPendingPayment(session) {
+    let payment = session.payment;
+
+    for (let attempt = 0; attempt < PAYMENT_POLL_ATTEMPTS && payment.status === 'PENDING'; attempt++) {
+        await delay(PAYMENT_POLL_INTERVAL_MS);
+        try {
+            payment = await api.payment.getPayment(session.payment.paymentId);
+        } catch (error) {
+            console.error('Error checking payment status:', error);
+        }
+    }
+
+    session.payment = payment;
+    return payment;
+}
+
+// confirm-payment moves a ticket to PAID and must run once per ticket, however many
+// times the rider clicks or the dialog re-renders. A retry only resends the ones that failed.
+async function confirmTicketPayment(session) {
+    const results = await Promise.allSettled(session.tickets.map(({ ticketId }) => {
+        if (!session.confirmations.has(ticketId)) {
+            session.confirmations.set(ticketId, api.ticketing.confirmPayment(ticketId, session.payment.paymentId)
+                .then(() => session.confirmed.add(ticketId))
+                .catch(error => {
+                    // Already PAID means an earlier confirmation got through.
+                    if (error instanceof ApiError && error.code === 'INVALID_TICKET_STATUS') {
+                        session.confirmed.add(ticketId);
+                        return;
+                    }
+                    session.confirmations.delete(ticketId);
+                    throw error;
+                }));
+        }
+        return session.confirmations.get(ticketId);
+    }));
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+}
+
+async function finishCheckout(session) {
+    renderCheckoutStatus(t('checkout.confirming', { count: session.tickets.length }), 'pending');
+
+    try {
+        await confirmTicketPayment(session);
+    } catch (error) {
+        console.error('Error confirming payment:', error);
+        if (checkout !== session) return;
+        const unconfirmed = session.tickets.length - session.confirmed.size;
+        renderCheckoutStatus(
+            isGroupCheckout(session)
+                ? t('checkout.groupConfirmFailed', { unconfirmed, count: session.tickets.length })
+                : t('checkout.confirmFailed'),
+            'failed',
+            [{ label: t('checkout.retryConfirmation'), className: 'btn-pay', action: () => finishCheckout(session) }]
+        );
+        return;
+    }
+
+    loadTickets();
+    loadDashboardData();
+    if (checkout !== session) return;
+
+    const method = paymentMethodLabel(session.method);
+    if (isGroupCheckout(session)) {
+        renderGroupSummary(session, method);
+        showNotification(t('toast.groupBooked', { count: session.tickets.length }), 'success');
+        return;
+    }
+    renderCheckoutStatus(
+        t('checkout.paid', { amount: formatMoney(session.fare), method }),
+        'success',
+        [{ label: t('checkout.done'), className: 'btn-view', action: closeModal }]
+    );
+    showNotification(t('toast.paymentSuccess'), 'success');
+}
+
+function renderGroupSummary(session, method) {
+    renderModal(html`
+        <h2>${t('checkout.bookingConfirmed')}</h2>
+        <div class="checkout-summary">
+            ${infoRow(t('trips.route'), session.routeNumber)}
+            ${session.departureTime && infoRow(t('trips.departure'), formatDateTime(session.departureTime))}
+            ${infoRow(t('checkout.payment'), `${session.payment.paymentId} (${method})`)}
+            ${cashRoundingRow(session.tickets, session.fare)}
+            <div class="info-row checkout-total">
+                <span class="info-label">${t('checkout.totalPaid')}:</span>
+                <span class="info-value">${formatMoney(session.fare)}</span>
+            </div>
+        </div>
+        <ol class="group-ticket-list">
+            ${session.tickets.map(ticket => html`
+                <li>
+                    <span>${ticket.ticketId}</span>
+                    <span>${formatMoney(ticket.fare)}</span>
+                </li>
+            `)}
+        </ol>
+        <div class="card-actions">
+            <button type="button" class="btn-small btn-view" id="group-view-tickets">${t('checkout.viewTickets')}</button>
+            <button type="button" class="btn-small btn-secondary" id="group-done">${t('checkout.done')}</button>
+        </div>
+    `);
+
+    document.getElementById('group-view-tickets').addEventListener('click', () => switchTab('tickets'));
+    document.getElementById('group-done').addEventListener('click', closeModal);
+}
+
+function renderCheckoutPending() {
+    renderCheckoutStatus(
+        t('checkout.stillPending'),
+        'pending',
+        [{
+            label: t('checkout.checkAgain'),
+            className: 'btn-view',
+            action: async () => {
+                const session = checkout;
+                session.busy = true;
+                renderCheckoutStatus(t('checkout.checking'), 'pending');
+                const payment = await pollPendingPayment(session);
+                session.busy = false;
+                if (checkout !== session) return;
+                if (payment.status === 'SUCCESS') {
+                    await finishCheckout(session);
+                } else if (payment.status === 'PENDING') {
+                    renderCheckoutPending();
+                } else {
+                    renderCheckoutFailure(payment.failureReason || t('checkout.declined'));
+                }
+            }
+        }]
+    );
+}
+
+function renderCheckoutFailure(reason) {
+    renderCheckoutStatus(t('checkout.failed', { reason }), 'failed', [
+        { label: t('checkout.tryAgain'), className: 'btn-pay', action: attemptPayment },
+        { label: t('checkout.changeMethod'), className: 'btn-view', action: renderCheckoutForm },
+        isGroupCheckout(checkout) && { label: t('checkout.cancelBooking'), className: 'btn-secondary', action: cancelGroupBooking }
+    ].filter(Boolean));
+}
+
+function renderCheckoutStatus(message, state, actions = [], title = checkoutTitle(checkout)) {
+    const modalBody = document.getElementById('modal-body');
+
+    renderModal(html`
+        <h2>${title}</h2>
+        <div class="checkout-status">
+            <span class="status-badge status-${state}">${statusIcon(state.toUpperCase())}${statusLabel(state.toUpperCase())}</span>
+            <p id="checkout-status-message">${message}</p>
+        </div>
+        <div class="card-actions">
+            ${actions.map((action, index) => html`
+                <button class="btn-small ${action.className}" data-action-index="${index}">${action.label}</button>
+            `)}
+        </div>
+    `);
+
+    modalBody.querySelectorAll('[data-action-index]').forEach(button => {
+        button.addEventListener('click', () => actions[button.dataset.actionIndex].action());
+    });
+    announce(message);
+}
@@ -0,0 +1,289 @@
+const SCAN_INTERVAL_MS = 300;
+const SCAN_REPEAT_COOLDOWN_MS = 3000;
+// Without BarcodeDetector, frames and photos are scaled down to at most this many pixels a side
+// before qrcode.js decodes them; a ticket's code still spans plenty of them.
+const SCAN_FRAME_MAX_SIZE = 640;
+const SCAN_IMAGE_MAX_SIZE = 1200;
+const CONDUCTOR_TRIP_STATUSES = ['IN_PROGRESS', 'DELAYED', 'SCHEDULED'];
+
+const conductor = {
+    trips: [],
+    trip: null,
+    stops: [],
+    stream: null,
+    scanTimer: null,
+    detector: null,
+    canvas: null,
+    lastScan: { value: null, at: 0 },
+    busy: false
+};
+
+function initConductorView() {
+    document.getElementById('conductor-trip').addEventListener('change', (e) => selectConductorTrip(e.target.value));
+    document.getElementById('conductor-refresh-btn').addEventListener('click', loadConductorTrips);
+    document.getElementById('conductor-camera-btn').addEventListener('click', toggleCamera);
+    document.getElementById('conductor-image-input').addEventListener('change', scanUploadedImage);
+    document.getElementById('conductor-manual-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('conductor-ticket-id');
+        const ticketId = input.value.trim();
+        if (ticketId) {
+            validateScannedValue(ticketId).then(() => input.select());
+        }
+    });
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+        document.getElementById('conductor-camera-btn').disabled = true;
+        // Marked for applyTranslations, so a change of language reaches it too.
+        const support = document.getElementById('conductor-scan-support');
+        support.dataset.i18n = 'conductor.cameraUnsupported';
+        support.textContent = t('conductor.cameraUnsupported');
+    }
+}
+
+async function loadConductorTrips() {
+    const tripSelect = document.getElementById('conductor-trip');
+    render(tripSelect, html`<option value="">${t('conductor.loadingTrips')}</option>`);
+
+    try {
+        const trips = await api.transport.getTrips();
+        conductor.trips = (trips || [])
+            .filter(trip => CONDUCTOR_TRIP_STATUSES.includes(trip.status))
+            .sort((a, b) => new Date(a.departureTime) - new Date(b.departureTime));
+
+        render(tripSelect, html`
+            <option value="">${t('conductor.selectTrip')}</option>
+            ${conductor.trips.map(trip => html`
+                <option value="${trip.tripId}">
+                    ${trip.routeNumber} &middot; ${formatDateTime(trip.departureTime)} &middot; ${trip.vehicleId} (${statusLabel(trip.status)})
+                </option>
+            `)}
+        `);
+
+        if (conductor.trip && conductor.trips.some(t => t.tripId === conductor.trip.tripId)) {
+            tripSelect.value = conductor.trip.tripId;
+        } else {
+            selectConductorTrip('');
+        }
+    } catch (error) {
+        render(tripSelect, html`<option value="">${t('errors.loadTrips')}</option>`);
+        showNotification(errorMessage(error, t('errors.loadTrips')), 'error');
+        console.error('Error loading conductor trips:', error);
+    }
+}
+
+async function selectConductorTrip(tripId) {
+    const stopSelect = document.getElementById('conductor-stop');
+    conductor.trip = conductor.trips.find(trip => trip.tripId === tripId) || null;
+    conductor.stops = [];
+    render(stopSelect, html`<option value="">${t('conductor.selectTripFirst')}</option>`);
+    document.getElementById('conductor-scanner').classList.toggle('hidden', !conductor.trip);
+
+    if (!conductor.trip) {
+        stopCamera();
+        return;
+    }
+
+    try {
+        const route = await api.transport.getRoute(conductor.trip.routeId);
+        conductor.stops = [route.startLocation, ...(route.intermediateStops || []), route.endLocation];
+    } catch (error) {
+        console.error('Error loading route stops:', error);
+    }
+
+    render(stopSelect, conductor.stops.length > 0
+        ? conductor.stops.map(stop => html`<option value="${stop}">${stop}</option>`)
+        : html`<option value="">${t('conductor.stopsUnavailable')}</option>`);
+}
+
+async function toggleCamera() {
+    if (conductor.stream) {
+        stopCamera();
+        return;
+    }
+
+    try {
+        conductor.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+    } catch (error) {
+        showNotification(t('toast.cameraUnavailable'), 'error');
+        console.error('Error starting camera:', error);
+        return;
+    }
+
+    const video = document.getElementById('conductor-video');
+    video.srcObject = conductor.stream;
+    video.classList.remove('hidden');
+    await video.play();
+
+    conductor.scanTimer = setInterval(scanVideoFrame, SCAN_INTERVAL_MS);
+    document.getElementById('conductor-camera-btn').textContent = t('conductor.stopCamera');
+}
+
+function stopCamera() {
+    clearInterval(conductor.scanTimer);
+    conductor.scanTimer = null;
+    if (conductor.stream) {
+        conductor.stream.getTracks().forEach(track => track.stop());
+        conductor.stream = null;
+    }
+    const video = document.getElementById('conductor-video');
+    if (video) {
+        video.srcObject = null;
+        video.classList.add('hidden');
+    }
+    const button = document.getElementById('conductor-camera-btn');
+    if (button) {
+        button.textContent = t('conductor.startCamera');
+    }
+}
+
+async function scanVideoFrame() {
+    const video = document.getElementById('conductor-video');
+    if (conductor.busy || video.readyState < 2) return;
+
+    try {
+        const value = await readQrCode(video, video.videoWidth, video.videoHeight, SCAN_FRAME_MAX_SIZE);
+        if (!value) return;
+
+        const now = Date.now();
+        // A code held in front of the camera is seen on every frame; act on it once.
+        if (value === conductor.lastScan.value && now - conductor.lastScan.at < SCAN_REPEAT_COOLDOWN_MS) return;
+        conductor.lastScan = { value, at: now };
+
+        await validateScannedValue(value);
+    } catch (error) {
+        console.error('Error scanning frame:', error);
+    }
+}
+
+async function scanUploadedImage(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const image = await createImageBitmap(file);
+        const value = await readQrCode(image, image.width, image.height, SCAN_IMAGE_MAX_SIZE);
+        if (!value) {
+            showValidationResult(false, t('conductor.noQrCode'));
+            return;
+        }
+        await validateScannedValue(value);
+    } catch (error) {
+        showValidationResult(false, t('conductor.unreadableImage'));
+        console.error('Error scanning image:', error);
+    }
+}
+
+// Reads a QR code from a video frame or image with BarcodeDetector where the browser has one,
+// and with the decoder in qrcode.js otherwise. Returns the code's text, or null if none was found.
+async function readQrCode(source, width, height, maxSize) {
+    if ('BarcodeDetector' in window) {
+        conductor.detector = conductor.detector || new BarcodeDetector({ formats: ['qr_code'] });
+        const codes = await conductor.detector.detect(source);
+        return codes.length > 0 ? codes[0].rawValue : null;
+    }
+
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    conductor.canvas = conductor.canvas || document.createElement('canvas');
+    conductor.canvas.width = Math.round(width * scale);
+    conductor.canvas.height = Math.round(height * scale);
+    const context = conductor.canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, conductor.canvas.width, conductor.canvas.height);
+    return QRCode.decode(context.getImageData(0, 0, conductor.canvas.width, conductor.canvas.height));
+}
+
+// Ticket QR codes carry an opaque hash rather than the ticket ID, so a scan is looked up by its
+// code and a typed ID by the ID, each as the service has it now. Whatever the ticket's status or
+// trip it is found, so a used, unpaid or expired ticket, or one for another trip, is rejected for
+// that reason rather than as not found.
+async function resolveTicket(value) {
+    if (/^TKT/i.test(value)) {
+        return api.ticketing.getTicket(value.toUpperCase());
+    }
+    const [ticket] = (await api.ticketing.getTickets({ qrCode: value })) || [];
+    return ticket || null;
+}
+
+async function validateScannedValue(value) {
+    if (!conductor.trip) {
+        showValidationResult(false, t('conductor.tripRequired'));
+        return;
+    }
+    if (conductor.busy) return;
+    conductor.busy = true;
+
+    try {
+        let ticket;
+        try {
+            ticket = await resolveTicket(value);
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404) {
+                ticket = null;
+            } else {
+                throw error;
+            }
+        }
+
+        if (!ticket) {
+            showValidationResult(false, t('conductor.notFound'));
+            return;
+        }
+        if (ticket.tripId !== conductor.trip.tripId) {
+            showValidationResult(false, t('conductor.otherTrip', { routeNumber: ticket.routeNumber, tripId: ticket.tripId }), ticket);
+            return;
+        }
+
+        const validated = await api.ticketing.validate(ticket.ticketId, {
+            vehicleId: conductor.trip.vehicleId,
+            driverId: currentUser.passengerId,
+            validatedBy: currentUser.username,
+            location: document.getElementById('conductor-stop').value || conductor.trip.routeNumber
+        });
+        showValidationResult(true, t('conductor.valid'), validated || ticket);
+    } catch (error) {
+        showValidationResult(false, validationRejectionReason(error));
+        console.error('Error validating ticket:', error);
+    } finally {
+        conductor.busy = false;
+    }
+}
+
+// Turns the ticketing service's validation errors into something a conductor can act on at a glance.
+function validationRejectionReason(error) {
+    if (!(error instanceof ApiError)) {
+        return t('conductor.failed');
+    }
+    if (error.code === 'TICKET_EXPIRED') {
+        return t('conductor.expired');
+    }
+    if (error.code === 'TICKET_REFUNDED') {
+        return t('conductor.refunded');
+    }
+    if (error.code === 'INVALID_TICKET_STATUS') {
+        if (/VALIDATED/.test(error.message)) return t('conductor.alreadyValidated');
+        if (/CREATED/.test(error.message)) return t('conductor.unpaid');
+        if (/EXPIRED/.test(error.message)) return t('conductor.expired');
+    }
+    if (error.status === 404) {
+        return t('conductor.notFound');
+    }
+    return error.message;
+}
+
+function showValidationResult(accepted, reason, ticket = null) {
+    const result = document.getElementById('conductor-result');
+    result.className = `validation-result ${accepted ? 'accepted' : 'rejected'}`;
+    render(result, html`
+        <div class="validation-verdict">${accepted ? `\u2714 ${t('conductor.accepted')}` : `\u2716 ${t('conductor.rejected')}`}</div>
+        <div class="validation-reason">${reason}</div>
+        ${ticket && html`<div class="validation-ticket">${t('conductor.ticketLine', { ticketId: ticket.ticketId, routeNumber: ticket.routeNumber })}</div>`}
+    `);
+
+    if (navigator.vibrate) {
+        navigator.vibrate(accepted ? 100 : [100, 80, 100]);
+    }
+}
@@ -0,0 +1,125 @@
+// Runtime configuration, so one build can be pointed at localhost, staging or a Docker network.
+// Settings come from <meta> tags in index.html and, when <meta name="config-url"> names one, a
+// JSON file fetched at startup, whose settings win:
+//   <meta name="api-base-url-payment" content="https://staging.example.com/payment">
+//   <meta name="api-timeout-ms" content="10000">           every service
+//   <meta name="api-timeout-ms-payment" content="20000">   one service
+//   <meta name="live-events-url" content="https://staging.example.com/events">
+//   <meta name="locale-currency" content="ZAR">              also -currency-symbol, -currency-digits,
+//                                                            -cash-rounding, -time-zone
+//   { "timeoutMs": 10000, "liveEventsUrl": "...", "mock": false,
+//     "services": { "PAYMENT": { "baseUrl": "...", "timeoutMs": 20000 } },
+//     "locale": { "currency": "NAD", "currencySymbol": "N$", "cashRounding": 0.1 } }
+// config.example.json lists every setting. Base URLs may be relative to the page. The
+// Content-Security-Policy in index.html names the hosts the page may connect to, so after changing
+// any URL here re-run dev/write-csp.js, which rebuilds it from these same settings (see README.md).
+const CONFIG_SERVICES = ['PASSENGER', 'TRANSPORT', 'TICKETING', 'PAYMENT', 'NOTIFICATION'];
+const CONFIG_LOCALE_SETTINGS = ['currency', 'currencySymbol', 'currencyDigits', 'cashRounding', 'timeZone'];
+
+const runtimeConfig = {
+    liveEventsUrl: null,
+    mock: false
+};
+
+async function loadRuntimeConfig() {
+    const settings = mergeConfig(readMetaConfig(), await fetchConfigFile());
+
+    const baseUrls = {};
+    const timeouts = {};
+    CONFIG_SERVICES.forEach(service => {
+        const { baseUrl, timeoutMs } = settings.services?.[service] || {};
+        if (baseUrl) baseUrls[service] = String(baseUrl).replace(/\/+$/, '');
+        const timeout = Number(timeoutMs || settings.timeoutMs);
+        if (timeout > 0) timeouts[service] = timeout;
+    });
+    configureApi({ baseUrls, timeouts });
+    configureLocale(localeOptions(settings.locale));
+
+    runtimeConfig.liveEventsUrl = settings.liveEventsUrl || null;
+    runtimeConfig.mock = settings.mock === true;
+}
+
+function readMetaConfig() {
+    const meta = name => document.querySelector(`meta[name="${name}"]`)?.content || undefined;
+    return {
+        timeoutMs: meta('api-timeout-ms'),
+        liveEventsUrl: meta('live-events-url'),
+        services: Object.fromEntries(CONFIG_SERVICES.map(service => [service, {
+            baseUrl: meta(`api-base-url-${service.toLowerCase()}`),
+            timeoutMs: meta(`api-timeout-ms-${service.toLowerCase()}`)
+        }])),
+        locale: Object.fromEntries(CONFIG_LOCALE_SETTINGS.map(setting =>
+            [setting, meta(`locale-${setting.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`)]))
+    };
+}
+
+// Only settings Intl accepts are passed on; anything else keeps the NAD defaults in i18n.js rather
+// than breaking every amount on the page. A new currency without a symbol uses Intl's own.
+function localeOptions(locale = {}) {
+    const options = {};
+    const accepted = (setting, check) => {
+        try {
+            check();
+            return true;
+        } catch (error) {
+            console.error(`Ignoring locale setting ${setting}:`, error);
+            return false;
+        }
+    };
+
+    if (locale.currency) {
+        const currency = String(locale.currency).toUpperCase();
+        if (accepted('currency', () => new Intl.NumberFormat('en', { style: 'currency', currency }))) {
+            options.currency = currency;
+            options.currencySymbol = null;
+        }
+    }
+    if (locale.currencySymbol) {
+        options.currencySymbol = String(locale.currencySymbol);
+    }
+    const digits = Number(locale.currencyDigits);
+    if (locale.currencyDigits !== undefined && Number.isInteger(digits) && digits >= 0 && digits <= 4) {
+        options.currencyDigits = digits;
+    }
+    const rounding = Number(locale.cashRounding);
+    if (locale.cashRounding !== undefined && rounding >= 0) {
+        options.cashRounding = rounding;
+    }
+    if (locale.timeZone && accepted('timeZone', () => new Intl.DateTimeFormat('en', { timeZone: locale.timeZone }))) {
+        options.timeZone = locale.timeZone;
+    }
+    return options;
+}
+
+// A missing or broken file leaves the defaults in place rather than stopping the app from starting.
+async function fetchConfigFile() {
+    const url = document.querySelector('meta[name="config-url"]')?.content;
+    if (!url) return {};
+
+    try {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`${url} responded with status ${response.status}`);
+        }
+        const config = await response.json();
+        return config && typeof config === 'object' ? config : {};
+    } catch (error) {
+        console.error('Error loading runtime config:', error);
+        return {};
+    }
+}
+
+function mergeConfig(base, overrides) {
+    const defined = settings => Object.fromEntries(
+        Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+    return {
+        ...defined(base),
+        ...defined(overrides),
+        services: Object.fromEntries(CONFIG_SERVICES.map(service => [service, {
+            ...defined(base.services?.[service]),
+            ...defined(overrides.services?.[service])
+        }])),
+        locale: { ...defined(base.locale), ...defined(overrides.locale) }
+    };
+}
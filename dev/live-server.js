@@ -0,0 +1,144 @@
+// Local stand-in for the live schedule feed, for development without Kafka. The real feed is the
+// notification service's /notifications/events, which forwards the transport service's events;
+// point the page here instead with "liveEventsUrl": "http://localhost:9095/events" in config.json
+// (and re-run dev/write-csp.js so the page may connect to it).
+//
+//   node dev/live-server.js
+//
+// GET  /events   server-sent event stream of `schedule-update` events (ScheduleUpdateEvent JSON)
+// POST /events   publish an event by hand, e.g.
+//                curl -X POST localhost:9095/events -d '{"eventType":"DELAY","tripId":"TRIP123",
+//                     "routeNumber":"R1","newStatus":"DELAYED","delayMinutes":15,"reason":"Traffic"}'
+//
+// It also polls the transport service and publishes an event whenever a trip's status or
+// delay changes, so status updates made through the API show up in the browser.
+//
+// Environment: LIVE_PORT (9095), TRANSPORT_URL (http://localhost:9091), POLL_MS (5000, 0 disables).
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.LIVE_PORT || '9095', 10);
+const TRANSPORT_URL = process.env.TRANSPORT_URL || 'http://localhost:9091';
+const POLL_MS = parseInt(process.env.POLL_MS || '5000', 10);
+const HEARTBEAT_MS = 15000;
+
+const clients = new Set();
+let tripSnapshot = null;
+
+function eventTypeFor(status) {
+    if (status === 'DELAYED') return 'DELAY';
+    if (status === 'CANCELLED') return 'CANCELLATION';
+    return 'SCHEDULE_CHANGE';
+}
+
+function publish(partial) {
+    const event = {
+        eventId: crypto.randomUUID(),
+        eventType: eventTypeFor(partial.newStatus),
+        routeId: '',
+        routeNumber: '',
+        previousStatus: null,
+        delayMinutes: 0,
+        reason: null,
+        timestamp: new Date().toISOString(),
+        ...partial
+    };
+    const frame = `id: ${event.eventId}\nevent: schedule-update\ndata: ${JSON.stringify(event)}\n\n`;
+    clients.forEach(res => res.write(frame));
+    console.log(`[live] ${event.eventType} trip=${event.tripId} -> ${event.newStatus} (${clients.size} client(s))`);
+    return event;
+}
+
+async function pollTransport() {
+    let trips;
+    try {
+        const response = await fetch(`${TRANSPORT_URL}/transport/trips`);
+        trips = (await response.json()).data || [];
+    } catch (error) {
+        console.error(`[live] transport poll failed: ${error.message}`);
+        return;
+    }
+
+    const previous = tripSnapshot;
+    tripSnapshot = new Map(trips.map(trip => [trip.tripId, trip]));
+    if (!previous) return;
+
+    tripSnapshot.forEach((trip, tripId) => {
+        const before = previous.get(tripId);
+        if (!before || (before.status === trip.status && before.delayMinutes === trip.delayMinutes)) return;
+        publish({
+            tripId,
+            routeId: trip.routeId,
+            routeNumber: trip.routeNumber,
+            previousStatus: before.status,
+            newStatus: trip.status,
+            delayMinutes: trip.delayMinutes || 0,
+            reason: trip.delayReason
+        });
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS' });
+        res.end();
+        return;
+    }
+
+    if (pathname !== '/events') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, message: 'Not found' }));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 5000\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const partial = JSON.parse(body);
+                if (!partial.tripId || !partial.newStatus) {
+                    throw new Error('tripId and newStatus are required');
+                }
+                const event = publish(partial);
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, message: 'Event published', data: event }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, message: error.message }));
+            }
+        });
+        return;
+    }
+
+    res.writeHead(405);
+    res.end();
+});
+
+setInterval(() => clients.forEach(res => res.write(': heartbeat\n\n')), HEARTBEAT_MS);
+if (POLL_MS > 0) {
+    pollTransport();
+    setInterval(pollTransport, POLL_MS);
+}
+
+server.listen(PORT, () => {
+    console.log(`[live] schedule feed on http://localhost:${PORT}/events`);
+});
@@ -0,0 +1,93 @@
+// Writes the page's Content-Security-Policy from the same settings config.js loads at runtime, so a
+// build pointed at staging or a Docker network may connect to those hosts, and to no others.
+// Run it at deploy time, after config.json and the page's <meta> tags are in place, and again
+// whenever either changes: the browser reads the policy with the page and blocks any host it does
+// not name, however config.json is set afterwards.
+//
+//   node dev/write-csp.js [index.html] [config.json]
+//
+// connect-src gets the origin of every service base URL and the live events URL, taken from the
+// api-base-url-* and live-events-url meta tags and the JSON file (file wins, as in config.js). A
+// service set in neither keeps its localhost default from api.js / live.js. The config file
+// defaults to the one <meta name="config-url"> names, when that is a path beside the page.
+//
+// The <meta http-equiv="Content-Security-Policy"> tag is rewritten in place, and the policy is
+// printed as well, for servers that send it as a header instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICES = ['PASSENGER', 'TRANSPORT', 'TICKETING', 'PAYMENT', 'NOTIFICATION'];
+const CSP_PATTERN = /(<meta http-equiv="Content-Security-Policy" content=")([^"]*)(")/;
+// Stands in for wherever the page is served from when resolving relative URLs.
+const PAGE_ORIGIN = 'http://page.invalid';
+
+function readMeta(html) {
+    const meta = {};
+    for (const [, name, content] of html.matchAll(/<meta name="([^"]+)" content="([^"]*)">/g)) {
+        meta[name] = content;
+    }
+    return meta;
+}
+
+// The fallbacks the page itself uses when nothing is configured.
+function readDefaults() {
+    const api = fs.readFileSync(path.join(ROOT, 'api.js'), 'utf8');
+    const apiBase = api.match(/const API_BASE = \{([^}]*)\}/)[1];
+    const baseUrls = Object.fromEntries([...apiBase.matchAll(/(\w+): '([^']+)'/g)].map(([, service, url]) => [service, url]));
+    const live = fs.readFileSync(path.join(ROOT, 'live.js'), 'utf8');
+    return { baseUrls, liveEventsUrl: live.match(/const LIVE_EVENTS_URL = '([^']+)'/)[1] };
+}
+
+function readConfigFile(file) {
+    if (!file) return {};
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return config && typeof config === 'object' ? config : {};
+}
+
+// Relative URLs resolve against the page, as api.js does, and so are covered by 'self'.
+function originOf(url, pageFile) {
+    let origin;
+    try {
+        origin = new URL(url, PAGE_ORIGIN).origin;
+    } catch {
+        throw new Error(`${pageFile}: "${url}" is not a URL`);
+    }
+    return origin === PAGE_ORIGIN ? "'self'" : origin;
+}
+
+function connectSources(pageFile, meta, config, defaults) {
+    const urls = SERVICES.map(service =>
+        config.services?.[service]?.baseUrl || meta[`api-base-url-${service.toLowerCase()}`] || defaults.baseUrls[service]);
+    urls.push(config.liveEventsUrl || meta['live-events-url'] || defaults.liveEventsUrl);
+    // A config file on another host has to be reachable too.
+    if (/^https?:\/\//.test(meta['config-url'] || '')) {
+        urls.push(meta['config-url']);
+    }
+    return [...new Set(["'self'", ...urls.filter(Boolean).map(url => originOf(url, pageFile))])];
+}
+
+function main() {
+    const pageFile = path.resolve(process.argv[2] || path.join(ROOT, 'index.html'));
+    const html = fs.readFileSync(pageFile, 'utf8');
+    const meta = readMeta(html);
+
+    let configFile = process.argv[3];
+    if (!configFile && meta['config-url'] && !/^[a-z]+:/i.test(meta['config-url'])) {
+        const besidePage = path.join(path.dirname(pageFile), meta['config-url']);
+        if (fs.existsSync(besidePage)) configFile = besidePage;
+    }
+
+    const match = html.match(CSP_PATTERN);
+    if (!match) {
+        throw new Error(`${pageFile} has no Content-Security-Policy meta tag`);
+    }
+
+    const sources = connectSources(pageFile, meta, readConfigFile(configFile), readDefaults());
+    const policy = match[2].replace(/connect-src [^;]*/, `connect-src ${sources.join(' ')}`);
+    fs.writeFileSync(pageFile, html.replace(CSP_PATTERN, `$1${policy}$3`));
+    console.log(policy);
+}
+
+main();
@@ -0,0 +1,297 @@
+// Rendering helpers. Anything interpolated into an html`` template is escaped unless it is
+// itself the result of html`` (or trustedHtml), so server data never turns into markup.
+// Buttons carry data-action instead of inline handlers; one delegated listener dispatches them.
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// null, undefined and false render nothing so `${condition && html`...`}` reads naturally.
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, i) => markup + renderValue(values[i - 1]) + string));
+}
+
+// For markup this app generates itself from validated input, e.g. QR code SVGs.
+function trustedHtml(markup) {
+    return new SafeHtml(markup);
+}
+
+function render(target, content) {
+    const element = typeof target === 'string' ? document.getElementById(target) : target;
+    element.innerHTML = renderValue(content);
+
+    // A list that now only says it is loading, empty or failed is read out; the cards themselves
+    // are not, or every refresh would read the whole list.
+    const message = element.querySelector(':scope > .loading');
+    if (message && !element.closest('.hidden')) {
+        announce(message.textContent);
+    }
+}
+
+const actionHandlers = {};
+
+// handlers: { 'action-name': (data, element, event) => ... } where data is the element's dataset.
+function registerActions(handlers) {
+    Object.entries(handlers).forEach(([name, handler]) => {
+        if (actionHandlers[name]) {
+            throw new Error(`Action "${name}" is already registered`);
+        }
+        actionHandlers[name] = handler;
+    });
+}
+
+document.addEventListener('click', (e) => {
+    const element = e.target.closest('[data-action]');
+    if (!element || element.disabled) return;
+
+    const handler = actionHandlers[element.dataset.action];
+    if (!handler) {
+        console.error(`No handler for action "${element.dataset.action}"`);
+        return;
+    }
+    e.preventDefault();
+    handler(element.dataset, element, e);
+});
+
+function dataAttributes(data) {
+    return trustedHtml(Object.entries(data || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` data-${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}="${escapeHtml(value)}"`)
+        .join(''));
+}
+
+function actionButton({ label, action, data, variant = 'btn-view', disabled = false }) {
+    return html`
+        <button type="button" class="btn-small ${variant}" data-action="${action}"${dataAttributes(data)}${disabled ? trustedHtml(' disabled') : ''}>
+            ${label}
+        </button>
+    `;
+}
+
+// Badges pair their colour with a symbol and the status text, so none of them depends on colour.
+const STATUS_ICONS = {
+    ACTIVE: '\u2714',
+    UP: '\u2714',
+    PAID: '\u2714',
+    SUCCESS: '\u2714',
+    VALIDATED: '\u2714',
+    COMPLETED: '\u2714',
+    CREATED: '\u25F7',
+    PENDING: '\u25F7',
+    SCHEDULED: '\u25F7',
+    IN_PROGRESS: '\u25B6',
+    DELAYED: '!',
+    INACTIVE: '!',
+    EXPIRED: '\u2716',
+    FAILED: '\u2716',
+    CANCELLED: '\u2716',
+    SUSPENDED: '\u2716',
+    DOWN: '\u2716',
+    REFUNDED: '\u21BA'
+};
+
+function statusIcon(status) {
+    return html`<span class="status-icon" aria-hidden="true">${STATUS_ICONS[status] || '\u2022'}</span>`;
+}
+
+function statusBadge(status, label = statusLabel(status)) {
+    return html`<span class="status-badge status-${status.toLowerCase()}">${statusIcon(status)}${label}</span>`;
+}
+
+function infoRow(label, value) {
+    return html`
+        <div class="info-row">
+            <span class="info-label">${label}:</span>
+            <span class="info-value">${value}</span>
+        </div>
+    `;
+}
+
+// The card every list renders: header with title and status badge, label/value rows, any
+// extra content, then action buttons. Falsy rows and actions are skipped.
+function card({ className, data, title, status, statusLabel, rows = [], content = null, actions = [] }) {
+    const buttons = actions.filter(Boolean);
+    return html`
+        <div class="${className}"${dataAttributes(data)}>
+            <div class="card-header">
+                <div class="card-title">${title}</div>
+                ${status && statusBadge(status, statusLabel)}
+            </div>
+            <div class="card-info">
+                ${rows.filter(Boolean).map(([label, value]) => infoRow(label, value))}
+                ${content}
+            </div>
+            ${buttons.length > 0 && html`<div class="card-actions">${buttons.map(actionButton)}</div>`}
+        </div>
+    `;
+}
+
+function loadingMessage(text) {
+    return html`<p class="loading">${text}</p>`;
+}
+
+function highlightCard(selector, missingMessage) {
+    const card = document.querySelector(selector);
+    if (!card) {
+        showNotification(missingMessage, 'info');
+        return;
+    }
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('card-highlight');
+    setTimeout(() => card.classList.remove('card-highlight'), 2500);
+}
+
+// Screen readers only announce changes to a live region that was already on the page, so short
+// status messages all go through this one.
+function announce(message) {
+    const region = document.getElementById('status-announcer');
+    if (!region) return;
+    // Emptying it first lets the same message be announced twice in a row.
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'summary',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+function focusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => !el.closest('.hidden'));
+}
+
+// Roving tabindex: only the selected tab is in the Tab order and the arrow keys, Home and End
+// move between tabs. Moving does not select, since every tab loads data; Enter or Space does.
+function initTablist(tablist) {
+    tablist.addEventListener('keydown', (e) => {
+        const tabs = [...tablist.querySelectorAll('[role="tab"]')].filter(tab => !tab.classList.contains('hidden'));
+        const index = tabs.indexOf(document.activeElement);
+        const next = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 }[e.key];
+        if (index === -1 || next === undefined) return;
+
+        e.preventDefault();
+        const tab = tabs[(next + tabs.length) % tabs.length];
+        tabs.forEach(other => {
+            other.tabIndex = other === tab ? 0 : -1;
+        });
+        tab.focus();
+    });
+}
+
+function selectTab(tablist, isSelected) {
+    const tabs = [...tablist.querySelectorAll('[role="tab"]')];
+    tabs.forEach(tab => {
+        const selected = isSelected(tab);
+        tab.classList.toggle('active', selected);
+        tab.setAttribute('aria-selected', String(selected));
+        tab.tabIndex = selected ? 0 : -1;
+    });
+    // With nothing selected the first tab keeps the list reachable from the keyboard.
+    if (!tabs.some(tab => tab.tabIndex === 0) && tabs.length > 0) {
+        tabs[0].tabIndex = 0;
+    }
+}
+
+// Keeps Tab and Shift+Tab cycling inside an open dialog. Returns the release, which also puts
+// focus back on whatever opened the dialog (or the main content if that has been re-rendered).
+function trapFocus(dialog) {
+    const opener = document.activeElement;
+    const onKeydown = (e) => {
+        if (e.key !== 'Tab') return;
+        const items = focusableElements(dialog);
+        if (items.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = items[0];
+        const last = items[items.length - 1];
+        const outside = !dialog.contains(document.activeElement);
+        if (e.shiftKey && (outside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+    document.addEventListener('keydown', onKeydown);
+
+    return () => {
+        document.removeEventListener('keydown', onKeydown);
+        if (opener && opener !== document.body && document.contains(opener) && !opener.closest('.hidden')) {
+            opener.focus();
+        } else {
+            document.getElementById('main-content')?.focus();
+        }
+    };
+}
+
+// The message is announced as it appears and read with the field it is about through
+// aria-describedby. Without a field it describes every control in its form.
+function showFormError(errorId, message, fieldId = null) {
+    clearFormError(errorId);
+    const errorEl = document.getElementById(errorId);
+    errorEl.setAttribute('role', 'alert');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+
+    const field = fieldId && document.getElementById(fieldId);
+    const described = field ? [field] : [...(errorEl.closest('form')?.elements || [])]
+        .filter(el => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName));
+    described.forEach(el => {
+        const ids = (el.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        el.setAttribute('aria-describedby', [...ids, errorId].join(' '));
+    });
+    if (field) {
+        field.setAttribute('aria-invalid', 'true');
+        field.focus();
+    }
+}
+
+function clearFormError(errorId) {
+    const errorEl = document.getElementById(errorId);
+    if (!errorEl) return;
+    errorEl.textContent = '';
+    errorEl.classList.add('hidden');
+
+    document.querySelectorAll(`[aria-describedby~="${errorId}"]`).forEach(el => {
+        const ids = el.getAttribute('aria-describedby').split(' ').filter(id => id && id !== errorId);
+        if (ids.length > 0) {
+            el.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            el.removeAttribute('aria-describedby');
+        }
+        el.removeAttribute('aria-invalid');
+    });
+}
@@ -0,0 +1,121 @@
+// Service status. Every service answers GET <base>/health; the panel under the header polls them
+// and shows which are up, which are down and how long each took to answer. Ordinary requests
+// report in too, so a service that stops answering shows as down before the next poll. Each
+// section lists the services it relies on (data-services) and explains what is unavailable
+// while one of them is down, instead of a generic connection error.
+const HEALTH_POLL_INTERVAL_MS = 30000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+const health = {
+    // service -> { status: 'UP' | 'DOWN', latencyMs }; missing until first heard from.
+    services: new Map(),
+    timer: null,
+    checking: false
+};
+
+function initHealth() {
+    configureApi({ onServiceReachable: recordServiceReachable });
+    document.getElementById('service-status-check').addEventListener('click', checkServices);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) checkServices();
+    });
+
+    renderServiceStatus();
+    checkServices();
+    health.timer = setInterval(checkServices, HEALTH_POLL_INTERVAL_MS);
+}
+
+async function checkServices() {
+    if (health.checking || document.hidden || !navigator.onLine) return;
+
+    health.checking = true;
+    try {
+        await Promise.all(CONFIG_SERVICES.map(checkService));
+    } finally {
+        health.checking = false;
+    }
+    renderServiceStatus();
+}
+
+async function checkService(service) {
+    const started = performance.now();
+    let up = false;
+    try {
+        const body = await api.health.check(service, HEALTH_TIMEOUT_MS);
+        up = body?.status === 'UP';
+    } catch (error) {
+        console.error(`Error checking ${service.toLowerCase()} service health:`, error);
+    }
+    setServiceStatus(service, up ? 'UP' : 'DOWN', up ? Math.round(performance.now() - started) : null);
+}
+
+// Only failures count here: a reply to an ordinary request says nothing about latency, and the
+// next poll will bring a recovered service back. Offline, nothing answers, so nothing is blamed.
+function recordServiceReachable(service, reachable) {
+    if (reachable || !navigator.onLine || health.services.get(service)?.status === 'DOWN') return;
+    setServiceStatus(service, 'DOWN', null);
+    renderServiceStatus();
+}
+
+function setServiceStatus(service, status, latencyMs) {
+    const previous = health.services.get(service)?.status;
+    health.services.set(service, { status, latencyMs });
+
+    if (previous && previous !== status) {
+        announce(t(status === 'UP' ? 'health.backUp' : 'health.wentDown', { service: serviceLabel(service) }));
+    }
+}
+
+function serviceLabel(service) {
+    return t(`health.service.${service}`);
+}
+
+function serviceDown(service) {
+    return health.services.get(service)?.status === 'DOWN';
+}
+
+// Names the service behind a request that got no answer, unless the device itself is offline.
+function serviceDownMessage(error) {
+    if (!(error instanceof ApiError) || !error.isNetworkError || !error.service || !navigator.onLine) return null;
+    return t(error.code === 'TIMEOUT' ? 'errors.serviceTimeout' : 'errors.serviceDown', {
+        service: serviceLabel(error.service)
+    });
+}
+
+function renderServiceStatus() {
+    const down = CONFIG_SERVICES.filter(serviceDown);
+    const summary = document.getElementById('service-status-summary');
+    if (health.services.size === 0) {
+        summary.textContent = t('health.checking');
+    } else {
+        render(summary, html`
+            ${statusIcon(down.length > 0 ? 'DOWN' : 'UP')}${down.length > 0
+                ? t('health.someDown', { count: down.length })
+                : t('health.allUp')}
+        `);
+    }
+    document.getElementById('service-status').classList.toggle('service-status-degraded', down.length > 0);
+
+    render('service-status-list', CONFIG_SERVICES.map(service => {
+        const entry = health.services.get(service);
+        return html`
+            <li class="service-status-item">
+                <span class="service-name">${serviceLabel(service)}</span>
+                ${entry ? statusBadge(entry.status) : html`<span class="service-latency">${t('health.checking')}</span>`}
+                ${entry?.latencyMs !== null && entry?.latencyMs !== undefined &&
+                    html`<span class="service-latency">${t('health.latency', { ms: formatNumber(entry.latencyMs) })}</span>`}
+            </li>
+        `;
+    }));
+
+    renderServiceNotices();
+}
+
+function renderServiceNotices() {
+    document.querySelectorAll('.service-notices[data-services]').forEach(container => {
+        const down = container.dataset.services.split(' ').filter(serviceDown);
+        render(container, down.map(service => html`
+            <p class="service-notice">${t(`health.notice.${service}`)}</p>
+        `));
+    });
+}
@@ -0,0 +1,1255 @@
+// Message catalogs and locale-aware formatting. Rider-facing text goes through t(); static
+// markup in index.html carries data-i18n attributes that applyTranslations() fills in.
+// A message missing from a catalog falls back to English, then to the key itself.
+const I18N_DEFAULT_LANGUAGE = 'en';
+
+const I18N_LANGUAGES = {
+    en: { label: 'English', locale: 'en-NA' },
+    af: { label: 'Afrikaans', locale: 'af-NA' }
+};
+
+const I18N_CATALOGS = {
+    en: {
+        'app.title': 'Transport Ticketing System',
+        'header.welcome': 'Welcome, {name}',
+        'header.logout': 'Logout',
+        'header.language': 'Language',
+        'offline.banner': 'You are offline. Saved routes and tickets are still available; purchases will be sent when you reconnect.',
+        'offline.syncing': 'Syncing...',
+        'offline.pending': { one: '{count} change waiting to sync', other: '{count} changes waiting to sync' },
+        'offline.offline': 'Offline',
+        'offline.synced': 'All changes synced',
+
+        'nav.label': 'Sections',
+        'nav.dashboard': 'Dashboard',
+        'nav.routes': 'Routes & Trips',
+        'nav.tickets': 'My Tickets',
+        'nav.payments': 'Payments',
+        'nav.analytics': 'Analytics',
+        'nav.notifications': 'Notifications',
+        'nav.conductor': 'Conductor',
+        'nav.admin': 'Operations',
+        'nav.profile': 'Profile',
+
+        'common.refresh': 'Refresh',
+        'common.close': 'Close',
+        'common.from': 'From',
+        'common.to': 'To',
+        'common.apply': 'Apply',
+        'common.search': 'Search',
+        'common.clear': 'Clear',
+        'common.notAvailable': 'N/A',
+        'common.keepIt': 'Keep It',
+        'common.goBack': 'Go Back',
+        'common.reason': 'Reason',
+        'common.actionFailed': '{action} failed',
+        'common.cancel': 'Cancel',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+
+        'auth.login': 'Login',
+        'auth.register': 'Register',
+        'auth.username': 'Username',
+        'auth.password': 'Password',
+        'auth.email': 'Email',
+        'auth.firstName': 'First Name',
+        'auth.lastName': 'Last Name',
+        'auth.phone': 'Phone Number',
+        'auth.remember': 'Keep me signed in on this device',
+        'session.staySignedIn': 'Stay signed in',
+        'session.expiresIn': {
+            one: 'Your session ends in {count} minute.',
+            other: 'Your session ends in {count} minutes.'
+        },
+
+        'dashboard.title': 'Dashboard',
+        'dashboard.totalRoutes': 'Total Routes',
+        'dashboard.availableTrips': 'Available Trips',
+        'dashboard.totalPayments': 'Total Payments',
+        'dashboard.refunded': '{amount} refunded',
+        'dashboard.quickActions': 'Quick Actions',
+        'dashboard.viewRoutes': 'View Routes',
+
+        'planner.title': 'Plan a Journey',
+        'planner.departAfter': 'Depart after',
+        'planner.departBefore': 'Depart before',
+        'planner.minConnection': 'Min. connection (min)',
+        'planner.maxConnection': 'Max. connection (min)',
+        'planner.searching': 'Searching trips...',
+        'planner.empty': 'No journeys found for this search',
+        'planner.direct': 'Direct',
+        'planner.transfers': { one: '{count} transfer', other: '{count} transfers' },
+        'planner.leg': 'Leg {leg}',
+        'planner.departsArrives': 'Departs / Arrives',
+        'planner.delay': '(+{minutes} min)',
+        'planner.totalFare': 'Total Fare',
+        'planner.bookTrip': 'Book Trip',
+        'planner.bookAllLegs': 'Book All Legs',
+        'planner.durationHours': '{hours} h {minutes} min',
+        'planner.durationMinutes': '{minutes} min',
+
+        'routes.loading': 'Loading routes...',
+        'routes.empty': 'No routes available',
+        'routes.distance': 'Distance',
+        'routes.duration': 'Duration',
+        'routes.fare': 'Fare',
+        'routes.viewTrips': 'View Trips',
+        'routes.availableTrips': 'Available Trips',
+        'routes.all': 'All routes',
+        'routes.search': 'Search routes or stops',
+        'routes.emptyForStatus': 'No routes with status {status}',
+
+        'trips.title': 'Trip {tripId}',
+        'trips.route': 'Route',
+        'trips.departure': 'Departure',
+        'trips.arrival': 'Arrival',
+        'trips.vehicle': 'Vehicle',
+        'trips.driver': 'Driver',
+        'trips.availableSeats': 'Available Seats',
+        'trips.seats': 'Seats',
+        'trips.purchase': 'Purchase Ticket',
+        'trips.empty': 'No trips available for this route',
+        'trips.all': 'All trips',
+        'trips.search': 'Search trips',
+        'trips.emptyForStatus': 'No trips with status {status} on this route',
+
+        'tickets.loading': 'Loading tickets...',
+        'tickets.empty': 'No tickets found',
+        'tickets.all': 'All tickets',
+        'tickets.search': 'Search tickets',
+        'tickets.emptyForStatus': 'No tickets with status {status}',
+        'tickets.title': 'Ticket {ticketId}',
+        'tickets.tripId': 'Trip ID',
+        'tickets.purchased': 'Purchased',
+        'tickets.validUntil': 'Valid Until',
+        'tickets.payNow': 'Pay Now',
+        'tickets.cancel': 'Cancel Ticket',
+        'tickets.show': 'Show Ticket',
+        'tickets.requestRefund': 'Request Refund',
+        'tickets.qrLabel': 'QR code for ticket {ticketId}',
+        'tickets.viewerRoute': 'Route {routeNumber} \u00b7 Trip {tripId}',
+        'tickets.viewerValidUntil': 'Valid until {date}',
+        'tickets.downloadPng': 'Download PNG',
+        'tickets.cancelMessage': 'Cancel ticket {ticketId}? It will be removed from your tickets and can no longer be paid for.',
+        'tickets.refundMessage': 'Refund payment {paymentId} for ticket {ticketId}? The ticket will no longer be valid for travel.',
+        'tickets.refundGroupMessage': 'Refund payment {paymentId}? It paid for a group booking, so all {count} tickets below are refunded and will no longer be valid for travel.',
+        'tickets.group.upcoming': 'Upcoming',
+        'tickets.group.active': 'Active',
+        'tickets.group.past': 'Past',
+        'tickets.lapsesIn': 'Reservation lapses in {time}',
+        'tickets.departsIn': 'Departs in {time}',
+        'tickets.validFor': 'Valid for {time}',
+        'tickets.countdownDays': '{days}d {hours}h',
+        'tickets.countdownHours': '{hours}h {minutes}m',
+        'tickets.reminders': 'Remind me before departure',
+
+        'payments.title': 'Payment History',
+        'payments.loading': 'Loading payments...',
+        'payments.empty': 'No payments found',
+        'payments.emptyForStatus': 'No payments with status {status}',
+        'payments.all': 'All payments',
+        'payments.search': 'Search payments',
+        'payments.export': 'Export Statement',
+        'payments.cardTitle': 'Payment {paymentId}',
+        'payments.ticketId': 'Ticket ID',
+        'payments.amount': 'Amount',
+        'payments.method': 'Method',
+        'payments.date': 'Date',
+        'payments.transaction': 'Transaction',
+        'payments.receipt': 'Receipt',
+        'payments.method.MOBILE_MONEY': 'Mobile Money',
+        'payments.method.CREDIT_CARD': 'Credit Card',
+        'payments.method.DEBIT_CARD': 'Debit Card',
+        'payments.method.BANK_TRANSFER': 'Bank Transfer',
+        'payments.method.CASH': 'Cash',
+
+        'checkout.title': 'Pay for Ticket',
+        'checkout.titleGroup': 'Pay for {count} Tickets',
+        'checkout.groupTitle': 'Group Booking',
+        'checkout.loadingTicket': 'Loading ticket...',
+        'checkout.reserving': { one: 'Reserving {count} seat...', other: 'Reserving {count} seats...' },
+        'checkout.reserved': { one: 'Reserved {reserved} of {count} seat...', other: 'Reserved {reserved} of {count} seats...' },
+        'checkout.releasing': 'Releasing your seats...',
+        'checkout.ticket': 'Ticket',
+        'checkout.tickets': 'Tickets',
+        'checkout.total': 'Total',
+        'checkout.method': 'Payment method',
+        'checkout.field.mobileNumber': 'Mobile money number',
+        'checkout.field.cardholderName': 'Cardholder name',
+        'checkout.field.cardLast4': 'Card last 4 digits',
+        'checkout.field.bankName': 'Bank',
+        'checkout.field.accountHolder': 'Account holder',
+        'checkout.hint.mobileNumber': 'e.g. 0811234567',
+        'checkout.note.cash': 'Pay the exact fare at a ticket office. Your ticket is issued once the payment is recorded.',
+        'checkout.fieldRequired': '{label} is required',
+        'checkout.fieldInvalid': '{label} is not valid',
+        'checkout.pay': 'Pay {amount}',
+        'checkout.cancelBooking': 'Cancel Booking',
+        'checkout.processing': 'Processing payment...',
+        'checkout.declined': 'The payment was declined',
+        'checkout.confirming': { one: 'Confirming your ticket...', other: 'Confirming your tickets...' },
+        'checkout.confirmFailed': 'Payment processed but confirmation failed. You have not been charged twice; try confirming again.',
+        'checkout.groupConfirmFailed': 'Payment processed but {unconfirmed} of {count} tickets could not be confirmed. You have not been charged twice; try confirming again.',
+        'checkout.retryConfirmation': 'Retry confirmation',
+        'checkout.paid': 'Paid {amount} by {method}.',
+        'checkout.done': 'Done',
+        'checkout.bookingConfirmed': 'Booking Confirmed',
+        'checkout.payment': 'Payment',
+        'checkout.rounding': 'Cash rounding',
+        'checkout.totalPaid': 'Total paid',
+        'checkout.viewTickets': 'View Tickets',
+        'checkout.stillPending': 'Your payment is still being processed. You can check again in a moment.',
+        'checkout.checkAgain': 'Check again',
+        'checkout.checking': 'Checking payment status...',
+        'checkout.failed': 'Payment failed: {reason}',
+        'checkout.tryAgain': 'Try again',
+        'checkout.changeMethod': 'Change method',
+
+        'receipts.title': 'Payment Receipt',
+        'receipts.loading': 'Loading receipt...',
+        'receipts.transactionId': 'Transaction ID',
+        'receipts.passenger': 'Passenger',
+        'receipts.status': 'Status',
+        'receipts.downloadPdf': 'Download PDF',
+        'receipts.downloadCsv': 'Download CSV',
+        'receipts.statementHint': 'Payments, refunds and unpaid tickets between the two dates, inclusive.',
+        'receipts.statementFor': 'Statement for {name}',
+        'receipts.period': '{from} to {to}',
+        'receipts.statementEmpty': 'No payments or tickets in this period.',
+        'receipts.type': 'Type',
+        'receipts.reference': 'Reference',
+        'receipts.ticketsRoute': 'Tickets / Route',
+        'receipts.debit': 'Debit',
+        'receipts.credit': 'Credit',
+        'receipts.totals': 'Totals',
+        'receipts.netSpend': 'Net spend',
+        'receipts.type.PAYMENT': 'Payment',
+        'receipts.type.REFUND': 'Refund',
+        'receipts.type.TICKET': 'Ticket',
+
+        'profile.loading': 'Loading profile...',
+        'profile.balance': 'Balance',
+        'profile.memberSince': 'Member since',
+        'profile.ticketType': 'Type',
+        'profile.rides': 'Rides used',
+        'profile.validFrom': 'Valid From',
+        'profile.contactDetails': 'Contact Details',
+        'profile.saveDetails': 'Save Details',
+        'profile.changePassword': 'Change Password',
+        'profile.currentPassword': 'Current Password',
+        'profile.newPassword': 'New Password',
+        'profile.confirmPassword': 'Confirm New Password',
+        'profile.accountTickets': 'Account Tickets',
+        'profile.unsupported': 'Profile changes cannot be saved yet. Please contact support to update your details.',
+
+        'analytics.title': 'Analytics',
+        'analytics.loading': 'Loading analytics...',
+        'analytics.loadingTotals': 'Loading totals...',
+        'analytics.allTime': 'All time',
+        'analytics.allRiders': 'All riders',
+        'analytics.spent': 'Spent',
+        'analytics.payments': 'Payments',
+        'analytics.pending': '{count} pending',
+        'analytics.successRate': 'Success Rate',
+        'analytics.failed': '{count} failed',
+        'analytics.failureRate': 'Failure Rate',
+        'analytics.failedOf': '{failed} of {count} payment attempts',
+        'analytics.refundRate': 'Refund Rate',
+        'analytics.refundedOf': '{refunded} of {count} completed payments',
+        'analytics.monthlySpend': 'Monthly Spend',
+        'analytics.tripsPerRoute': 'Trips per Route',
+        'analytics.paymentMethods': 'Payment Methods',
+        'analytics.empty': 'Nothing to show for these dates',
+        'analytics.monthSpent': '{month}: {spent} spent',
+        'analytics.monthSpentRefunded': '{month}: {spent} spent, {refunded} refunded',
+        'analytics.route': 'Route {routeNumber}',
+        'analytics.tripsRidden': '{trips} ({ridden} ridden)',
+        'analytics.routeTrips': {
+            one: 'Route {routeNumber}: {count} paid trip, {ridden} ridden',
+            other: 'Route {routeNumber}: {count} paid trips, {ridden} ridden'
+        },
+        'analytics.methodPayments': {
+            one: '{method}: {count} payment, {amount}',
+            other: '{method}: {count} payments, {amount}'
+        },
+
+        'notifications.title': 'Notifications',
+        'notifications.loading': 'Loading notifications...',
+        'notifications.filterLabel': 'Filter by type',
+        'notifications.unreadOnly': 'Unread only',
+        'notifications.markAllRead': 'Mark All Read',
+        'notifications.noneUnread': 'No unread notifications',
+        'notifications.unreadCount': { one: '{count} unread notification', other: '{count} unread notifications' },
+        'notifications.reminderTitle': 'Trip reminder',
+        'notifications.departureReminder': { one: 'Route {routeNumber} departs in {count} minute.', other: 'Route {routeNumber} departs in {count} minutes.' },
+        'notifications.lapseReminder': { one: 'Ticket {ticketId} is unpaid and lapses in {count} minute.', other: 'Ticket {ticketId} is unpaid and lapses in {count} minutes.' },
+        'notifications.allTypes': 'All types',
+        'notifications.empty': 'No notifications yet',
+        'notifications.noMatches': 'No notifications match this filter',
+        'notifications.new': 'New',
+        'notifications.details': 'Details',
+        'notifications.markRead': 'Mark Read',
+        'notifications.markUnread': 'Mark Unread',
+        'notifications.viewTicket': 'View Ticket',
+        'notifications.viewTrip': 'View Trip',
+        'notifications.viewRoute': 'View Route',
+        'notifications.type.TICKET_PURCHASED': 'Ticket purchased',
+        'notifications.type.TICKET_VALIDATED': 'Ticket validated',
+        'notifications.type.SCHEDULE_UPDATE': 'Schedule update',
+        'notifications.type.TRIP_DELAYED': 'Trip delayed',
+        'notifications.type.TRIP_CANCELLED': 'Trip cancelled',
+        'notifications.type.PAYMENT_SUCCESS': 'Payment successful',
+        'notifications.type.PAYMENT_FAILED': 'Payment failed',
+        'notifications.severity.HIGH': 'High',
+        'notifications.severity.MEDIUM': 'Medium',
+        'notifications.severity.LOW': 'Low',
+
+        'lists.statusLabel': 'Filter by status',
+        'lists.sortLabel': 'Sort by',
+        'lists.pagesLabel': 'Pages',
+        'lists.previous': 'Previous',
+        'lists.next': 'Next',
+        'lists.pageOf': 'Page {page} of {pages}',
+        'lists.noMatches': 'Nothing matches "{query}"',
+        'lists.sort.default': 'Upcoming trips first',
+        'lists.sort.number': 'Route number',
+        'lists.sort.date-desc': 'Newest first',
+        'lists.sort.date-asc': 'Oldest first',
+        'lists.sort.departure-asc': 'Earliest departure first',
+        'lists.sort.departure-desc': 'Latest departure first',
+        'lists.sort.seats-desc': 'Most seats free',
+        'lists.sort.fare-asc': 'Lowest fare first',
+        'lists.sort.fare-desc': 'Highest fare first',
+        'lists.sort.amount-asc': 'Lowest amount first',
+        'lists.sort.amount-desc': 'Highest amount first',
+
+        'health.title': 'Service status',
+        'health.checking': 'Checking services...',
+        'health.checkNow': 'Check now',
+        'health.allUp': 'All services running',
+        'health.someDown': { one: '{count} service unavailable', other: '{count} services unavailable' },
+        'health.latency': '{ms} ms',
+        'health.wentDown': '{service} is unavailable',
+        'health.backUp': '{service} is running again',
+        'health.service.PASSENGER': 'Passenger service',
+        'health.service.TRANSPORT': 'Transport service',
+        'health.service.TICKETING': 'Ticketing service',
+        'health.service.PAYMENT': 'Payment service',
+        'health.service.NOTIFICATION': 'Notification service',
+        'health.notice.PASSENGER': 'Signing in, registering and account details are unavailable right now.',
+        'health.notice.TRANSPORT': 'Routes and trip times cannot be loaded right now.',
+        'health.notice.TICKETING': 'Tickets cannot be bought or shown right now. You can still browse routes and trips.',
+        'health.notice.PAYMENT': 'Payments are unavailable right now. Tickets you have already paid for are still valid.',
+        'health.notice.NOTIFICATION': 'New notifications cannot be loaded right now.',
+
+        'conductor.title': 'Ticket Validation',
+        'conductor.trip': 'Current trip',
+        'conductor.stop': 'Current stop',
+        'conductor.refreshTrips': 'Refresh Trips',
+        'conductor.startCamera': 'Start Camera',
+        'conductor.stopCamera': 'Stop Camera',
+        'conductor.scanImage': 'Scan Image',
+        'conductor.ticketId': 'Ticket ID',
+        'conductor.validate': 'Validate',
+        'conductor.cameraUnsupported': 'The camera cannot be used in this browser. Scan a photo of the ticket or enter its ID.',
+        'conductor.loadingTrips': 'Loading trips...',
+        'conductor.selectTrip': 'Select your trip',
+        'conductor.selectTripFirst': 'Select a trip first',
+        'conductor.stopsUnavailable': 'Stops unavailable',
+        'conductor.tripRequired': 'Select your trip before validating tickets',
+        'conductor.noQrCode': 'No QR code found in the image',
+        'conductor.unreadableImage': 'Could not read the image',
+        'conductor.accepted': 'ACCEPTED',
+        'conductor.rejected': 'REJECTED',
+        'conductor.valid': 'Valid ticket',
+        'conductor.notFound': 'Ticket not found',
+        'conductor.otherTrip': 'Ticket is for a different trip ({routeNumber}, trip {tripId})',
+        'conductor.alreadyValidated': 'Already validated - ticket has been used',
+        'conductor.unpaid': 'Unpaid ticket',
+        'conductor.refunded': 'Refunded ticket',
+        'conductor.expired': 'Expired ticket',
+        'conductor.failed': 'Validation failed',
+        'conductor.ticketLine': 'Ticket {ticketId} \u00b7 Route {routeNumber}',
+
+        'admin.title': 'Routes & Trips Management',
+        'admin.newRoute': 'New Route',
+        'admin.scheduleTrip': 'Schedule Trip',
+        'admin.trips': 'Trips',
+        'admin.noRoutes': 'No routes yet. Create the first one.',
+        'admin.fromTo': 'From / To',
+        'admin.stops': 'Stops',
+        'admin.noStops': 'None',
+        'admin.distanceDuration': 'Distance / Duration',
+        'admin.distanceDurationValue': '{distance} km / {duration} min',
+        'admin.editRoute': 'Edit Route {routeNumber}',
+        'admin.routeNumber': 'Route number',
+        'admin.routeName': 'Route name',
+        'admin.start': 'Start location',
+        'admin.end': 'End location',
+        'admin.intermediateStops': 'Intermediate stops (one per line, in order)',
+        'admin.distanceKm': 'Distance (km)',
+        'admin.durationMin': 'Duration (min)',
+        'admin.status': 'Status',
+        'admin.saveChanges': 'Save Changes',
+        'admin.createRoute': 'Create Route',
+        'admin.deleteRoute': 'Delete Route',
+        'admin.deleteRouteMessage': 'Delete route {routeNumber} ({routeName})? This cannot be undone.',
+        'admin.deleteRouteOpenTrips': {
+            one: 'It still has {count} trip that has not run; cancel it first so riders are told.',
+            other: 'It still has {count} trips that have not run; cancel them first so riders are told.'
+        },
+        'admin.routeTrips': 'Trips for {routeNumber} - {routeName}',
+        'admin.loadingTrips': 'Loading trips...',
+        'admin.noTrips': 'No trips scheduled on this route',
+        'admin.departureArrival': 'Departure / Arrival',
+        'admin.vehicleDriver': 'Vehicle / Driver',
+        'admin.seatsSold': 'Seats sold',
+        'admin.delay': 'Delay',
+        'admin.delayValue': '{minutes} min, {reason}',
+        'admin.updateDelay': 'Update Delay',
+        'admin.transition.IN_PROGRESS': 'Start Trip',
+        'admin.transition.COMPLETED': 'Complete',
+        'admin.transition.DELAYED': 'Report Delay',
+        'admin.transition.CANCELLED': 'Cancel Trip',
+        'admin.scheduleTripOn': 'Schedule Trip on {routeNumber}',
+        'admin.scheduleTripHint': '{start} \u2192 {end}, about {duration} min. Arrival is worked out from the route\'s duration.',
+        'admin.vehicleId': 'Vehicle ID',
+        'admin.driverName': 'Driver name',
+        'admin.completeTrip': 'Complete Trip',
+        'admin.completeTripMessage': 'Mark trip {tripId} as completed? Completed trips cannot be changed again.',
+        'admin.tripDeparting': '{routeNumber} departing {date}.',
+        'admin.cannotUndo': 'This cannot be undone.',
+        'admin.ridersHoldTickets': {
+            one: '{count} rider holds a ticket for this trip.',
+            other: '{count} riders hold tickets for this trip.'
+        },
+        'admin.delayMinutes': 'Delay (minutes)',
+        'admin.keepTrip': 'Keep Trip',
+        'admin.deleteTrip': 'Delete Trip',
+        'admin.deleteTripMessage': 'Delete trip {tripId} departing {date}? This cannot be undone.',
+        'admin.deleteTripSold': {
+            one: '{count} ticket has been sold for it; cancelling the trip instead tells that rider.',
+            other: '{count} tickets have been sold for it; cancelling the trip instead tells those riders.'
+        },
+
+        'status.ACTIVE': 'Active',
+        'status.INACTIVE': 'Inactive',
+        'status.SUSPENDED': 'Suspended',
+        'status.SCHEDULED': 'Scheduled',
+        'status.IN_PROGRESS': 'In progress',
+        'status.DELAYED': 'Delayed',
+        'status.CANCELLED': 'Cancelled',
+        'status.COMPLETED': 'Completed',
+        'status.CREATED': 'Created',
+        'status.PAID': 'Paid',
+        'status.VALIDATED': 'Validated',
+        'status.EXPIRED': 'Expired',
+        'status.SUCCESS': 'Successful',
+        'status.PENDING': 'Pending',
+        'status.FAILED': 'Failed',
+        'status.REFUNDED': 'Refunded',
+        'status.UP': 'Running',
+        'status.DOWN': 'Unavailable',
+
+        'toast.sessionExpired': 'Your session has expired. Please login again.',
+        'toast.idleLogout': 'You were logged out after a period of inactivity.',
+        'toast.loginSuccess': 'Login successful!',
+        'toast.registerSuccess': 'Registration successful! Please login.',
+        'toast.loggedOut': 'Logged out successfully',
+        'toast.loginRequired': 'Please login first',
+        'toast.chooseSeats': 'Choose between 1 and {max} seats',
+        'toast.ticketPurchased': 'Ticket purchased! Please proceed to payment.',
+        'toast.ticketsPurchasedPerLeg': '{count} tickets purchased! Please pay for each leg.',
+        'toast.purchaseQueued': 'You are offline. The ticket will be bought as soon as you are back online.',
+        'toast.queuedPurchasesDone': {
+            one: '{count} queued ticket purchase completed. Please proceed to payment.',
+            other: '{count} queued ticket purchases completed. Please proceed to payment.'
+        },
+        'toast.queuedPurchaseFailed': 'Queued ticket for trip {tripId} could not be bought: {reason}',
+        'toast.queuedPurchaseUnknown': 'Queued ticket for trip {tripId} timed out and was not retried. Check My Tickets before buying it again.',
+        'toast.ticketCancelled': 'Ticket cancelled',
+        'toast.remindersOn': 'Reminders are on for your tickets',
+        'toast.remindersBlocked': 'Notifications are blocked for this site, so reminders cannot be shown',
+        'toast.refundProcessed': 'Refund processed',
+        'toast.ticketNotListed': 'That ticket is not in your list',
+        'toast.tripNotListed': 'That trip is no longer open for booking',
+        'toast.routeNotListed': 'That route is no longer listed',
+        'toast.ticketAlready': 'This ticket is already {status}',
+        'toast.paymentSuccess': 'Payment successful!',
+        'toast.groupBooked': 'Payment successful! {count} tickets booked.',
+        'toast.groupReserved': '{count} tickets reserved. Pay for them from My Tickets.',
+        'toast.groupCancelled': 'Booking cancelled. Nothing was charged.',
+        'toast.groupCancelledPartly': {
+            one: 'Booking cancelled, but {count} ticket could not be released. Cancel it from My Tickets.',
+            other: 'Booking cancelled, but {count} tickets could not be released. Cancel them from My Tickets.'
+        },
+        'toast.groupReservationFailed': 'Only {reserved} of {requested} seats could be reserved: {reason}.',
+        'toast.groupReleased': 'Nothing was charged and the reserved seats were released.',
+        'toast.groupNotReleased': {
+            one: 'Nothing was charged, but {count} reserved seat could not be released; cancel it from My Tickets.',
+            other: 'Nothing was charged, but {count} reserved seats could not be released; cancel them from My Tickets.'
+        },
+        'toast.connectionNeeded': 'Booking needs a connection. Please try again when you are online.',
+        'toast.plannerNeedsEnds': 'Enter both an origin and a destination',
+        'toast.legFailed': 'Could not book leg {leg}: {reason}',
+        'toast.cameraUnavailable': 'Camera unavailable. Check the browser permission or enter the ticket ID.',
+        'toast.newNotifications': { one: 'You have {count} new notification', other: 'You have {count} new notifications' },
+        'toast.routeUpdated': 'Route {routeNumber} has been updated',
+        'toast.routeUpdatedWithReason': 'Route {routeNumber} has been updated: {reason}',
+        'toast.tripDelayed': 'Your trip on route {routeNumber} is delayed by {minutes} min',
+        'toast.tripCancelled': 'Your trip on route {routeNumber} has been cancelled',
+        'toast.tripStatus': 'Your trip on route {routeNumber} is now {status}',
+        'toast.withReason': '{message} ({reason})',
+        'toast.noChanges': 'No changes to save',
+        'toast.profileSaved': 'Your details have been updated',
+        'toast.passwordChanged': 'Your password has been changed',
+        'toast.routeCreated': 'Route {routeNumber} created',
+        'toast.routeSaved': 'Route {routeNumber} updated',
+        'toast.routeDeleted': 'Route {routeNumber} deleted',
+        'toast.routeMissing': 'That route no longer exists',
+        'toast.tripScheduled': 'Trip scheduled for {date}',
+        'toast.tripStatusChanged': 'Trip {tripId} is now {status}',
+        'toast.tripDeleted': 'Trip {tripId} deleted',
+
+        'errors.reasonRequired': 'Please give a reason',
+        'errors.offlineList': 'You are offline and this list has not been saved on this device yet.',
+        'errors.loginFailed': 'Login failed',
+        'errors.registerFailed': 'Registration failed',
+        'errors.loadRoutes': 'Error loading routes',
+        'errors.loadTrips': 'Error loading trips',
+        'errors.loadTickets': 'Error loading tickets',
+        'errors.loadTicket': 'Error loading ticket',
+        'errors.loadPayments': 'Error loading payments',
+        'errors.loadTrip': 'Could not load that trip',
+        'errors.purchaseFailed': 'Ticket purchase failed',
+        'errors.updateTripStatus': 'Could not update trip status',
+        'errors.loadProfile': 'Error loading profile',
+        'errors.saveProfile': 'Could not save your details',
+        'errors.changePassword': 'Could not change your password',
+        'errors.usernameRequired': 'Username is required',
+        'errors.nameRequired': 'First and last name are required',
+        'errors.invalidEmail': 'Invalid email format',
+        'errors.invalidPhone': 'Invalid phone number format (e.g. 0811234567 or +264811234567)',
+        'errors.weakPassword': 'Password must be at least {min} characters and contain letters and numbers',
+        'errors.currentPasswordRequired': 'Enter your current password',
+        'errors.passwordMismatch': 'The new passwords do not match',
+        'errors.passwordUnchanged': 'The new password must differ from the current one',
+        'errors.processPayment': 'Error processing payment',
+        'errors.searchTrips': 'Error searching trips',
+        'errors.loadNotifications': 'Error loading notifications',
+        'errors.loadReceipt': 'Error loading receipt',
+        'errors.buildStatement': 'Could not build the statement',
+        'errors.loadPaymentTotals': 'Error loading payment totals',
+        'errors.loadAnalytics': 'Error loading analytics',
+        'errors.rangeIncomplete': 'Choose both a start and an end date',
+        'errors.rangeReversed': 'The start date must be on or before the end date',
+        'errors.createRoute': 'Could not create route',
+        'errors.updateRoute': 'Could not update route',
+        'errors.scheduleTrip': 'Could not schedule trip',
+        'errors.routeNumberRequired': 'Route number is required',
+        'errors.routeNumberTooLong': 'Route number must be at most {max} characters',
+        'errors.routeExists': 'Route {routeNumber} already exists',
+        'errors.routeNameRequired': 'Route name is required',
+        'errors.startRequired': 'Start location is required',
+        'errors.endRequired': 'End location is required',
+        'errors.sameEnds': 'Start and end locations must differ',
+        'errors.distanceInvalid': 'Distance must be greater than 0',
+        'errors.durationInvalid': 'Duration must be a whole number of minutes',
+        'errors.fareInvalid': 'Fare must be 0 or more',
+        'errors.departureRequired': 'Departure time is required',
+        'errors.departureInvalid': 'Departure time is not valid',
+        'errors.departurePast': 'Departure must be in the future',
+        'errors.vehicleRequired': 'Vehicle ID is required',
+        'errors.driverRequired': 'Driver name is required',
+        'errors.seatsInvalid': 'Seats must be a whole number from 1 to {max}',
+        'errors.delayInvalid': 'Delay must be a whole number of minutes from 1 to {max}',
+        'errors.serviceDown': '{service} is not responding right now. Other parts of the app still work.',
+        'errors.serviceTimeout': '{service} took too long to answer. Please try again.',
+        'errors.code.TIMEOUT': 'The request timed out. Please try again.',
+        'errors.code.NETWORK_ERROR': 'Connection error. Please check if services are running.',
+        'errors.code.NO_SEATS': 'No available seats for this trip',
+        'errors.code.INVALID_TRIP_STATUS': 'Trip is not available for booking',
+        'errors.code.TICKET_EXPIRED': 'Ticket has expired'
+    },
+
+    af: {
+        'app.title': 'Vervoerkaartjiestelsel',
+        'header.welcome': 'Welkom, {name}',
+        'header.logout': 'Teken uit',
+        'header.language': 'Taal',
+        'offline.banner': 'Jy is vanlyn. Gestoorde roetes en kaartjies is steeds beskikbaar; aankope word gestuur sodra jy weer verbind is.',
+        'offline.syncing': 'Sinkroniseer...',
+        'offline.pending': { one: '{count} verandering wag om te sinkroniseer', other: '{count} veranderinge wag om te sinkroniseer' },
+        'offline.offline': 'Vanlyn',
+        'offline.synced': 'Alle veranderinge gesinkroniseer',
+
+        'nav.label': 'Afdelings',
+        'nav.dashboard': 'Oorsig',
+        'nav.routes': 'Roetes & Ritte',
+        'nav.tickets': 'My Kaartjies',
+        'nav.payments': 'Betalings',
+        'nav.analytics': 'Ontleding',
+        'nav.notifications': 'Kennisgewings',
+        'nav.conductor': 'Kondukteur',
+        'nav.admin': 'Bedrywighede',
+        'nav.profile': 'Profiel',
+
+        'common.refresh': 'Herlaai',
+        'common.close': 'Maak toe',
+        'common.from': 'Van',
+        'common.to': 'Na',
+        'common.apply': 'Pas toe',
+        'common.search': 'Soek',
+        'common.clear': 'Maak skoon',
+        'common.notAvailable': 'n.v.t.',
+        'common.keepIt': 'Hou dit',
+        'common.goBack': 'Gaan terug',
+        'common.reason': 'Rede',
+        'common.actionFailed': '{action} het misluk',
+        'common.cancel': 'Kanselleer',
+        'common.edit': 'Wysig',
+        'common.delete': 'Skrap',
+
+        'auth.login': 'Teken in',
+        'auth.register': 'Registreer',
+        'auth.username': 'Gebruikersnaam',
+        'auth.password': 'Wagwoord',
+        'auth.email': 'E-pos',
+        'auth.firstName': 'Voornaam',
+        'auth.lastName': 'Van',
+        'auth.phone': 'Telefoonnommer',
+        'auth.remember': 'Hou my aangeteken op hierdie toestel',
+        'session.staySignedIn': 'Bly aangeteken',
+        'session.expiresIn': {
+            one: 'Jou sessie eindig oor {count} minuut.',
+            other: 'Jou sessie eindig oor {count} minute.'
+        },
+
+        'dashboard.title': 'Oorsig',
+        'dashboard.totalRoutes': 'Roetes',
+        'dashboard.availableTrips': 'Beskikbare Ritte',
+        'dashboard.totalPayments': 'Totale Betalings',
+        'dashboard.refunded': '{amount} terugbetaal',
+        'dashboard.quickActions': 'Vinnige Aksies',
+        'dashboard.viewRoutes': 'Bekyk Roetes',
+
+        'planner.title': 'Beplan \'n Reis',
+        'planner.departAfter': 'Vertrek na',
+        'planner.departBefore': 'Vertrek voor',
+        'planner.minConnection': 'Min. oorstap (min)',
+        'planner.maxConnection': 'Maks. oorstap (min)',
+        'planner.searching': 'Soek ritte...',
+        'planner.empty': 'Geen reise vir hierdie soektog gevind nie',
+        'planner.direct': 'Direk',
+        'planner.transfers': { one: '{count} oorstap', other: '{count} oorstappe' },
+        'planner.leg': 'Skof {leg}',
+        'planner.departsArrives': 'Vertrek / Kom aan',
+        'planner.delay': '(+{minutes} min)',
+        'planner.totalFare': 'Totale tarief',
+        'planner.bookTrip': 'Bespreek rit',
+        'planner.bookAllLegs': 'Bespreek alle skofte',
+        'planner.durationHours': '{hours} h {minutes} min',
+        'planner.durationMinutes': '{minutes} min',
+
+        'routes.loading': 'Laai roetes...',
+        'routes.empty': 'Geen roetes beskikbaar nie',
+        'routes.distance': 'Afstand',
+        'routes.duration': 'Duur',
+        'routes.fare': 'Tarief',
+        'routes.viewTrips': 'Bekyk Ritte',
+        'routes.availableTrips': 'Beskikbare Ritte',
+        'routes.all': 'Alle roetes',
+        'routes.search': 'Soek roetes of haltes',
+        'routes.emptyForStatus': 'Geen roetes met status {status} nie',
+
+        'trips.title': 'Rit {tripId}',
+        'trips.route': 'Roete',
+        'trips.departure': 'Vertrek',
+        'trips.arrival': 'Aankoms',
+        'trips.vehicle': 'Voertuig',
+        'trips.driver': 'Bestuurder',
+        'trips.availableSeats': 'Beskikbare Sitplekke',
+        'trips.seats': 'Sitplekke',
+        'trips.purchase': 'Koop Kaartjie',
+        'trips.empty': 'Geen ritte beskikbaar vir hierdie roete nie',
+        'trips.all': 'Alle ritte',
+        'trips.search': 'Soek ritte',
+        'trips.emptyForStatus': 'Geen ritte met status {status} op hierdie roete nie',
+
+        'tickets.loading': 'Laai kaartjies...',
+        'tickets.empty': 'Geen kaartjies gevind nie',
+        'tickets.all': 'Alle kaartjies',
+        'tickets.search': 'Soek kaartjies',
+        'tickets.emptyForStatus': 'Geen kaartjies met status {status} nie',
+        'tickets.title': 'Kaartjie {ticketId}',
+        'tickets.tripId': 'Rit-ID',
+        'tickets.purchased': 'Gekoop',
+        'tickets.validUntil': 'Geldig tot',
+        'tickets.payNow': 'Betaal Nou',
+        'tickets.cancel': 'Kanselleer Kaartjie',
+        'tickets.show': 'Wys Kaartjie',
+        'tickets.requestRefund': 'Vra Terugbetaling',
+        'tickets.qrLabel': 'QR-kode vir kaartjie {ticketId}',
+        'tickets.viewerRoute': 'Roete {routeNumber} \u00b7 Rit {tripId}',
+        'tickets.viewerValidUntil': 'Geldig tot {date}',
+        'tickets.downloadPng': 'Laai PNG af',
+        'tickets.cancelMessage': 'Kanselleer kaartjie {ticketId}? Dit word uit jou kaartjies verwyder en kan nie meer betaal word nie.',
+        'tickets.refundMessage': 'Betaal betaling {paymentId} vir kaartjie {ticketId} terug? Die kaartjie sal nie meer geldig wees vir reis nie.',
+        'tickets.refundGroupMessage': 'Betaal betaling {paymentId} terug? Dit het vir \'n groepbespreking betaal, so al {count} kaartjies hieronder word terugbetaal en sal nie meer geldig wees vir reis nie.',
+        'tickets.group.upcoming': 'Komende',
+        'tickets.group.active': 'Aktief',
+        'tickets.group.past': 'Verby',
+        'tickets.lapsesIn': 'Bespreking verval oor {time}',
+        'tickets.departsIn': 'Vertrek oor {time}',
+        'tickets.validFor': 'Geldig vir {time}',
+        'tickets.countdownDays': '{days}d {hours}u',
+        'tickets.countdownHours': '{hours}u {minutes}m',
+        'tickets.reminders': 'Herinner my voor vertrek',
+
+        'payments.title': 'Betalingsgeskiedenis',
+        'payments.loading': 'Laai betalings...',
+        'payments.empty': 'Geen betalings gevind nie',
+        'payments.emptyForStatus': 'Geen betalings met status {status} nie',
+        'payments.all': 'Alle betalings',
+        'payments.search': 'Soek betalings',
+        'payments.export': 'Voer Staat Uit',
+        'payments.cardTitle': 'Betaling {paymentId}',
+        'payments.ticketId': 'Kaartjie-ID',
+        'payments.amount': 'Bedrag',
+        'payments.method': 'Metode',
+        'payments.date': 'Datum',
+        'payments.transaction': 'Transaksie',
+        'payments.receipt': 'Kwitansie',
+        'payments.method.MOBILE_MONEY': 'Selfoongeld',
+        'payments.method.CREDIT_CARD': 'Kredietkaart',
+        'payments.method.DEBIT_CARD': 'Debietkaart',
+        'payments.method.BANK_TRANSFER': 'Bankoorplasing',
+        'payments.method.CASH': 'Kontant',
+
+        'checkout.title': 'Betaal vir kaartjie',
+        'checkout.titleGroup': 'Betaal vir {count} kaartjies',
+        'checkout.groupTitle': 'Groepbespreking',
+        'checkout.loadingTicket': 'Laai kaartjie...',
+        'checkout.reserving': { one: 'Bespreek {count} sitplek...', other: 'Bespreek {count} sitplekke...' },
+        'checkout.reserved': { one: '{reserved} van {count} sitplek bespreek...', other: '{reserved} van {count} sitplekke bespreek...' },
+        'checkout.releasing': 'Stel jou sitplekke vry...',
+        'checkout.ticket': 'Kaartjie',
+        'checkout.tickets': 'Kaartjies',
+        'checkout.total': 'Totaal',
+        'checkout.method': 'Betaalmetode',
+        'checkout.field.mobileNumber': 'Selfoongeldnommer',
+        'checkout.field.cardholderName': 'Naam van kaarthouer',
+        'checkout.field.cardLast4': 'Laaste 4 syfers van kaart',
+        'checkout.field.bankName': 'Bank',
+        'checkout.field.accountHolder': 'Rekeninghouer',
+        'checkout.hint.mobileNumber': 'bv. 0811234567',
+        'checkout.note.cash': 'Betaal die presiese tarief by \'n kaartjiekantoor. Jou kaartjie word uitgereik sodra die betaling aangeteken is.',
+        'checkout.fieldRequired': '{label} is verpligtend',
+        'checkout.fieldInvalid': '{label} is nie geldig nie',
+        'checkout.pay': 'Betaal {amount}',
+        'checkout.cancelBooking': 'Kanselleer bespreking',
+        'checkout.processing': 'Verwerk betaling...',
+        'checkout.declined': 'Die betaling is geweier',
+        'checkout.confirming': { one: 'Bevestig jou kaartjie...', other: 'Bevestig jou kaartjies...' },
+        'checkout.confirmFailed': 'Betaling verwerk, maar bevestiging het misluk. Jy is nie twee keer gehef nie; probeer weer bevestig.',
+        'checkout.groupConfirmFailed': 'Betaling verwerk, maar {unconfirmed} van {count} kaartjies kon nie bevestig word nie. Jy is nie twee keer gehef nie; probeer weer bevestig.',
+        'checkout.retryConfirmation': 'Bevestig weer',
+        'checkout.paid': '{amount} betaal met {method}.',
+        'checkout.done': 'Klaar',
+        'checkout.bookingConfirmed': 'Bespreking bevestig',
+        'checkout.payment': 'Betaling',
+        'checkout.rounding': 'Kontantafronding',
+        'checkout.totalPaid': 'Totaal betaal',
+        'checkout.viewTickets': 'Bekyk kaartjies',
+        'checkout.stillPending': 'Jou betaling word nog verwerk. Jy kan oor \'n oomblik weer kyk.',
+        'checkout.checkAgain': 'Kyk weer',
+        'checkout.checking': 'Kyk na betaalstatus...',
+        'checkout.failed': 'Betaling het misluk: {reason}',
+        'checkout.tryAgain': 'Probeer weer',
+        'checkout.changeMethod': 'Verander metode',
+
+        'receipts.title': 'Betaalkwitansie',
+        'receipts.loading': 'Laai kwitansie...',
+        'receipts.transactionId': 'Transaksie-ID',
+        'receipts.passenger': 'Passasier',
+        'receipts.status': 'Status',
+        'receipts.downloadPdf': 'Laai PDF af',
+        'receipts.downloadCsv': 'Laai CSV af',
+        'receipts.statementHint': 'Betalings, terugbetalings en onbetaalde kaartjies tussen die twee datums, ingesluit.',
+        'receipts.statementFor': 'State vir {name}',
+        'receipts.period': '{from} tot {to}',
+        'receipts.statementEmpty': 'Geen betalings of kaartjies in hierdie tydperk nie.',
+        'receipts.type': 'Soort',
+        'receipts.reference': 'Verwysing',
+        'receipts.ticketsRoute': 'Kaartjies / Roete',
+        'receipts.debit': 'Debiet',
+        'receipts.credit': 'Krediet',
+        'receipts.totals': 'Totale',
+        'receipts.netSpend': 'Netto besteding',
+        'receipts.type.PAYMENT': 'Betaling',
+        'receipts.type.REFUND': 'Terugbetaling',
+        'receipts.type.TICKET': 'Kaartjie',
+
+        'profile.loading': 'Laai profiel...',
+        'profile.balance': 'Saldo',
+        'profile.memberSince': 'Lid sedert',
+        'profile.ticketType': 'Tipe',
+        'profile.rides': 'Ritte gebruik',
+        'profile.validFrom': 'Geldig vanaf',
+        'profile.contactDetails': 'Kontakbesonderhede',
+        'profile.saveDetails': 'Stoor Besonderhede',
+        'profile.changePassword': 'Verander Wagwoord',
+        'profile.currentPassword': 'Huidige Wagwoord',
+        'profile.newPassword': 'Nuwe Wagwoord',
+        'profile.confirmPassword': 'Bevestig Nuwe Wagwoord',
+        'profile.accountTickets': 'Rekeningkaartjies',
+        'profile.unsupported': 'Profielveranderinge kan nog nie gestoor word nie. Kontak asseblief ondersteuning om jou besonderhede by te werk.',
+
+        'analytics.title': 'Ontleding',
+        'analytics.loading': 'Laai ontleding...',
+        'analytics.loadingTotals': 'Laai totale...',
+        'analytics.allTime': 'Nog altyd',
+        'analytics.allRiders': 'Alle reisigers',
+        'analytics.spent': 'Bestee',
+        'analytics.payments': 'Betalings',
+        'analytics.pending': '{count} hangende',
+        'analytics.successRate': 'Suksessyfer',
+        'analytics.failed': '{count} misluk',
+        'analytics.failureRate': 'Mislukkingsyfer',
+        'analytics.failedOf': '{failed} van {count} betaalpogings',
+        'analytics.refundRate': 'Terugbetalingsyfer',
+        'analytics.refundedOf': '{refunded} van {count} voltooide betalings',
+        'analytics.monthlySpend': 'Maandelikse besteding',
+        'analytics.tripsPerRoute': 'Ritte per roete',
+        'analytics.paymentMethods': 'Betaalmetodes',
+        'analytics.empty': 'Niks om vir hierdie datums te wys nie',
+        'analytics.monthSpent': '{month}: {spent} bestee',
+        'analytics.monthSpentRefunded': '{month}: {spent} bestee, {refunded} terugbetaal',
+        'analytics.route': 'Roete {routeNumber}',
+        'analytics.tripsRidden': '{trips} ({ridden} gery)',
+        'analytics.routeTrips': {
+            one: 'Roete {routeNumber}: {count} betaalde rit, {ridden} gery',
+            other: 'Roete {routeNumber}: {count} betaalde ritte, {ridden} gery'
+        },
+        'analytics.methodPayments': {
+            one: '{method}: {count} betaling, {amount}',
+            other: '{method}: {count} betalings, {amount}'
+        },
+
+        'notifications.title': 'Kennisgewings',
+        'notifications.loading': 'Laai kennisgewings...',
+        'notifications.filterLabel': 'Filter volgens tipe',
+        'notifications.unreadOnly': 'Net ongelees',
+        'notifications.markAllRead': 'Merk Alles as Gelees',
+        'notifications.noneUnread': 'Geen ongelese kennisgewings nie',
+        'notifications.unreadCount': { one: '{count} ongelese kennisgewing', other: '{count} ongelese kennisgewings' },
+        'notifications.reminderTitle': 'Ritherinnering',
+        'notifications.departureReminder': { one: 'Roete {routeNumber} vertrek oor {count} minuut.', other: 'Roete {routeNumber} vertrek oor {count} minute.' },
+        'notifications.lapseReminder': { one: 'Kaartjie {ticketId} is onbetaal en verval oor {count} minuut.', other: 'Kaartjie {ticketId} is onbetaal en verval oor {count} minute.' },
+        'notifications.allTypes': 'Alle soorte',
+        'notifications.empty': 'Nog geen kennisgewings nie',
+        'notifications.noMatches': 'Geen kennisgewings pas by hierdie filter nie',
+        'notifications.new': 'Nuut',
+        'notifications.details': 'Besonderhede',
+        'notifications.markRead': 'Merk as gelees',
+        'notifications.markUnread': 'Merk as ongelees',
+        'notifications.viewTicket': 'Bekyk kaartjie',
+        'notifications.viewTrip': 'Bekyk rit',
+        'notifications.viewRoute': 'Bekyk roete',
+        'notifications.type.TICKET_PURCHASED': 'Kaartjie gekoop',
+        'notifications.type.TICKET_VALIDATED': 'Kaartjie gevalideer',
+        'notifications.type.SCHEDULE_UPDATE': 'Skedulebywerking',
+        'notifications.type.TRIP_DELAYED': 'Rit vertraag',
+        'notifications.type.TRIP_CANCELLED': 'Rit gekanselleer',
+        'notifications.type.PAYMENT_SUCCESS': 'Betaling geslaag',
+        'notifications.type.PAYMENT_FAILED': 'Betaling misluk',
+        'notifications.severity.HIGH': 'Hoog',
+        'notifications.severity.MEDIUM': 'Medium',
+        'notifications.severity.LOW': 'Laag',
+
+        'lists.statusLabel': 'Filter volgens status',
+        'lists.sortLabel': 'Sorteer volgens',
+        'lists.pagesLabel': 'Bladsye',
+        'lists.previous': 'Vorige',
+        'lists.next': 'Volgende',
+        'lists.pageOf': 'Bladsy {page} van {pages}',
+        'lists.noMatches': 'Niks stem ooreen met "{query}" nie',
+        'lists.sort.default': 'Komende ritte eerste',
+        'lists.sort.number': 'Roetenommer',
+        'lists.sort.date-desc': 'Nuutste eerste',
+        'lists.sort.date-asc': 'Oudste eerste',
+        'lists.sort.departure-asc': 'Vroegste vertrek eerste',
+        'lists.sort.departure-desc': 'Laaste vertrek eerste',
+        'lists.sort.seats-desc': 'Meeste vry sitplekke',
+        'lists.sort.fare-asc': 'Laagste tarief eerste',
+        'lists.sort.fare-desc': 'Hoogste tarief eerste',
+        'lists.sort.amount-asc': 'Laagste bedrag eerste',
+        'lists.sort.amount-desc': 'Hoogste bedrag eerste',
+
+        'health.title': 'Diensstatus',
+        'health.checking': 'Gaan dienste na...',
+        'health.checkNow': 'Gaan nou na',
+        'health.allUp': 'Alle dienste loop',
+        'health.someDown': { one: '{count} diens onbeskikbaar', other: '{count} dienste onbeskikbaar' },
+        'health.latency': '{ms} ms',
+        'health.wentDown': '{service} is onbeskikbaar',
+        'health.backUp': '{service} loop weer',
+        'health.service.PASSENGER': 'Passasiersdiens',
+        'health.service.TRANSPORT': 'Vervoerdiens',
+        'health.service.TICKETING': 'Kaartjiediens',
+        'health.service.PAYMENT': 'Betaaldiens',
+        'health.service.NOTIFICATION': 'Kennisgewingdiens',
+        'health.notice.PASSENGER': 'Aanteken, registrasie en rekeningbesonderhede is tans onbeskikbaar.',
+        'health.notice.TRANSPORT': 'Roetes en rittye kan tans nie gelaai word nie.',
+        'health.notice.TICKETING': 'Kaartjies kan tans nie gekoop of gewys word nie. Jy kan steeds roetes en ritte deurblaai.',
+        'health.notice.PAYMENT': 'Betalings is tans onbeskikbaar. Kaartjies waarvoor jy reeds betaal het, is steeds geldig.',
+        'health.notice.NOTIFICATION': 'Nuwe kennisgewings kan tans nie gelaai word nie.',
+
+        'conductor.title': 'Kaartjiegeldigheid',
+        'conductor.trip': 'Huidige rit',
+        'conductor.stop': 'Huidige halte',
+        'conductor.refreshTrips': 'Herlaai Ritte',
+        'conductor.startCamera': 'Begin Kamera',
+        'conductor.stopCamera': 'Stop Kamera',
+        'conductor.scanImage': 'Skandeer Beeld',
+        'conductor.ticketId': 'Kaartjie-ID',
+        'conductor.validate': 'Valideer',
+        'conductor.cameraUnsupported': 'Die kamera kan nie in hierdie blaaier gebruik word nie. Skandeer \'n foto van die kaartjie of voer sy ID in.',
+        'conductor.loadingTrips': 'Laai ritte...',
+        'conductor.selectTrip': 'Kies jou rit',
+        'conductor.selectTripFirst': 'Kies eers \'n rit',
+        'conductor.stopsUnavailable': 'Haltes nie beskikbaar nie',
+        'conductor.tripRequired': 'Kies jou rit voordat jy kaartjies valideer',
+        'conductor.noQrCode': 'Geen QR-kode in die prent gevind nie',
+        'conductor.unreadableImage': 'Kon nie die prent lees nie',
+        'conductor.accepted': 'AANVAAR',
+        'conductor.rejected': 'AFGEKEUR',
+        'conductor.valid': 'Geldige kaartjie',
+        'conductor.notFound': 'Kaartjie nie gevind nie',
+        'conductor.otherTrip': 'Kaartjie is vir \'n ander rit ({routeNumber}, rit {tripId})',
+        'conductor.alreadyValidated': 'Reeds gevalideer - kaartjie is al gebruik',
+        'conductor.unpaid': 'Onbetaalde kaartjie',
+        'conductor.refunded': 'Terugbetaalde kaartjie',
+        'conductor.expired': 'Kaartjie het verval',
+        'conductor.failed': 'Validering het misluk',
+        'conductor.ticketLine': 'Kaartjie {ticketId} \u00b7 Roete {routeNumber}',
+
+        'admin.title': 'Roetes & Ritte Bestuur',
+        'admin.newRoute': 'Nuwe Roete',
+        'admin.scheduleTrip': 'Skeduleer Rit',
+        'admin.trips': 'Ritte',
+        'admin.noRoutes': 'Nog geen roetes nie. Skep die eerste een.',
+        'admin.fromTo': 'Van / Na',
+        'admin.stops': 'Haltes',
+        'admin.noStops': 'Geen',
+        'admin.distanceDuration': 'Afstand / Duur',
+        'admin.distanceDurationValue': '{distance} km / {duration} min',
+        'admin.editRoute': 'Wysig roete {routeNumber}',
+        'admin.routeNumber': 'Roetenommer',
+        'admin.routeName': 'Roetenaam',
+        'admin.start': 'Beginpunt',
+        'admin.end': 'Eindpunt',
+        'admin.intermediateStops': 'Tussenhaltes (een per reël, in volgorde)',
+        'admin.distanceKm': 'Afstand (km)',
+        'admin.durationMin': 'Duur (min)',
+        'admin.status': 'Status',
+        'admin.saveChanges': 'Stoor veranderinge',
+        'admin.createRoute': 'Skep roete',
+        'admin.deleteRoute': 'Skrap roete',
+        'admin.deleteRouteMessage': 'Skrap roete {routeNumber} ({routeName})? Dit kan nie ongedaan gemaak word nie.',
+        'admin.deleteRouteOpenTrips': {
+            one: 'Dit het nog {count} rit wat nie gery is nie; kanselleer dit eers sodat reisigers ingelig word.',
+            other: 'Dit het nog {count} ritte wat nie gery is nie; kanselleer hulle eers sodat reisigers ingelig word.'
+        },
+        'admin.routeTrips': 'Ritte vir {routeNumber} - {routeName}',
+        'admin.loadingTrips': 'Laai ritte...',
+        'admin.noTrips': 'Geen ritte op hierdie roete geskeduleer nie',
+        'admin.departureArrival': 'Vertrek / Aankoms',
+        'admin.vehicleDriver': 'Voertuig / Bestuurder',
+        'admin.seatsSold': 'Sitplekke verkoop',
+        'admin.delay': 'Vertraging',
+        'admin.delayValue': '{minutes} min, {reason}',
+        'admin.updateDelay': 'Werk vertraging by',
+        'admin.transition.IN_PROGRESS': 'Begin rit',
+        'admin.transition.COMPLETED': 'Voltooi',
+        'admin.transition.DELAYED': 'Meld vertraging',
+        'admin.transition.CANCELLED': 'Kanselleer rit',
+        'admin.scheduleTripOn': 'Skeduleer rit op {routeNumber}',
+        'admin.scheduleTripHint': '{start} \u2192 {end}, ongeveer {duration} min. Aankoms word uit die roete se duur bereken.',
+        'admin.vehicleId': 'Voertuig-ID',
+        'admin.driverName': 'Naam van bestuurder',
+        'admin.completeTrip': 'Voltooi rit',
+        'admin.completeTripMessage': 'Merk rit {tripId} as voltooi? Voltooide ritte kan nie weer verander word nie.',
+        'admin.tripDeparting': '{routeNumber} vertrek {date}',
+        'admin.cannotUndo': 'Dit kan nie ongedaan gemaak word nie.',
+        'admin.ridersHoldTickets': {
+            one: '{count} reisiger het \'n kaartjie vir hierdie rit.',
+            other: '{count} reisigers het kaartjies vir hierdie rit.'
+        },
+        'admin.delayMinutes': 'Vertraging (minute)',
+        'admin.keepTrip': 'Hou rit',
+        'admin.deleteTrip': 'Skrap rit',
+        'admin.deleteTripMessage': 'Skrap rit {tripId} wat {date} vertrek? Dit kan nie ongedaan gemaak word nie.',
+        'admin.deleteTripSold': {
+            one: '{count} kaartjie is daarvoor verkoop; om die rit eerder te kanselleer, lig daardie reisiger in.',
+            other: '{count} kaartjies is daarvoor verkoop; om die rit eerder te kanselleer, lig daardie reisigers in.'
+        },
+
+        'status.ACTIVE': 'Aktief',
+        'status.INACTIVE': 'Onaktief',
+        'status.SUSPENDED': 'Opgeskort',
+        'status.SCHEDULED': 'Geskeduleer',
+        'status.IN_PROGRESS': 'Aan die gang',
+        'status.DELAYED': 'Vertraag',
+        'status.CANCELLED': 'Gekanselleer',
+        'status.COMPLETED': 'Voltooi',
+        'status.CREATED': 'Geskep',
+        'status.PAID': 'Betaal',
+        'status.VALIDATED': 'Gevalideer',
+        'status.EXPIRED': 'Verval',
+        'status.SUCCESS': 'Suksesvol',
+        'status.PENDING': 'Hangend',
+        'status.FAILED': 'Misluk',
+        'status.REFUNDED': 'Terugbetaal',
+        'status.UP': 'Loop',
+        'status.DOWN': 'Onbeskikbaar',
+
+        'toast.sessionExpired': 'Jou sessie het verval. Teken asseblief weer in.',
+        'toast.idleLogout': 'Jy is uitgeteken omdat daar \'n ruk lank geen aktiwiteit was nie.',
+        'toast.loginSuccess': 'Suksesvol aangeteken!',
+        'toast.registerSuccess': 'Registrasie suksesvol! Teken asseblief in.',
+        'toast.loggedOut': 'Suksesvol uitgeteken',
+        'toast.loginRequired': 'Teken asseblief eers in',
+        'toast.chooseSeats': 'Kies tussen 1 en {max} sitplekke',
+        'toast.ticketPurchased': 'Kaartjie gekoop! Gaan asseblief voort met betaling.',
+        'toast.ticketsPurchasedPerLeg': '{count} kaartjies gekoop! Betaal asseblief vir elke skof.',
+        'toast.purchaseQueued': 'Jy is vanlyn. Die kaartjie word gekoop sodra jy weer aanlyn is.',
+        'toast.queuedPurchasesDone': {
+            one: '{count} kaartjie-aankoop in die tou voltooi. Gaan asseblief voort met betaling.',
+            other: '{count} kaartjie-aankope in die tou voltooi. Gaan asseblief voort met betaling.'
+        },
+        'toast.queuedPurchaseFailed': 'Kaartjie in die tou vir rit {tripId} kon nie gekoop word nie: {reason}',
+        'toast.queuedPurchaseUnknown': 'Kaartjie in die tou vir rit {tripId} het uitgetel en is nie weer probeer nie. Kyk na My Kaartjies voordat jy dit weer koop.',
+        'toast.ticketCancelled': 'Kaartjie gekanselleer',
+        'toast.remindersOn': 'Herinneringe is aan vir jou kaartjies',
+        'toast.remindersBlocked': 'Kennisgewings is vir hierdie webwerf geblokkeer, dus kan herinneringe nie gewys word nie',
+        'toast.refundProcessed': 'Terugbetaling verwerk',
+        'toast.ticketNotListed': 'Daardie kaartjie is nie in jou lys nie',
+        'toast.tripNotListed': 'Daardie rit is nie meer oop vir besprekings nie',
+        'toast.routeNotListed': 'Daardie roete is nie meer gelys nie',
+        'toast.ticketAlready': 'Hierdie kaartjie is reeds {status}',
+        'toast.paymentSuccess': 'Betaling suksesvol!',
+        'toast.groupBooked': 'Betaling suksesvol! {count} kaartjies bespreek.',
+        'toast.groupReserved': '{count} kaartjies gereserveer. Betaal daarvoor onder My Kaartjies.',
+        'toast.groupCancelled': 'Bespreking gekanselleer. Niks is gehef nie.',
+        'toast.groupCancelledPartly': {
+            one: 'Bespreking gekanselleer, maar {count} kaartjie kon nie vrygestel word nie. Kanselleer dit onder My Kaartjies.',
+            other: 'Bespreking gekanselleer, maar {count} kaartjies kon nie vrygestel word nie. Kanselleer hulle onder My Kaartjies.'
+        },
+        'toast.groupReservationFailed': 'Slegs {reserved} van {requested} sitplekke kon gereserveer word: {reason}.',
+        'toast.groupReleased': 'Niks is gehef nie en die gereserveerde sitplekke is vrygestel.',
+        'toast.groupNotReleased': {
+            one: 'Niks is gehef nie, maar {count} gereserveerde sitplek kon nie vrygestel word nie; kanselleer dit onder My Kaartjies.',
+            other: 'Niks is gehef nie, maar {count} gereserveerde sitplekke kon nie vrygestel word nie; kanselleer hulle onder My Kaartjies.'
+        },
+        'toast.connectionNeeded': 'Besprekings het \'n verbinding nodig. Probeer asseblief weer wanneer jy aanlyn is.',
+        'toast.plannerNeedsEnds': 'Voer beide \'n vertrekpunt en \'n bestemming in',
+        'toast.legFailed': 'Kon nie skof {leg} bespreek nie: {reason}',
+        'toast.cameraUnavailable': 'Kamera nie beskikbaar nie. Gaan die blaaiertoestemming na of voer die kaartjie-ID in.',
+        'toast.newNotifications': { one: 'Jy het {count} nuwe kennisgewing', other: 'Jy het {count} nuwe kennisgewings' },
+        'toast.routeUpdated': 'Roete {routeNumber} is bygewerk',
+        'toast.routeUpdatedWithReason': 'Roete {routeNumber} is bygewerk: {reason}',
+        'toast.tripDelayed': 'Jou rit op roete {routeNumber} is {minutes} min vertraag',
+        'toast.tripCancelled': 'Jou rit op roete {routeNumber} is gekanselleer',
+        'toast.tripStatus': 'Jou rit op roete {routeNumber} is nou {status}',
+        'toast.withReason': '{message} ({reason})',
+        'toast.noChanges': 'Geen veranderinge om te stoor nie',
+        'toast.profileSaved': 'Jou besonderhede is bygewerk',
+        'toast.passwordChanged': 'Jou wagwoord is verander',
+        'toast.routeCreated': 'Roete {routeNumber} geskep',
+        'toast.routeSaved': 'Roete {routeNumber} bygewerk',
+        'toast.routeDeleted': 'Roete {routeNumber} verwyder',
+        'toast.routeMissing': 'Daardie roete bestaan nie meer nie',
+        'toast.tripScheduled': 'Rit geskeduleer vir {date}',
+        'toast.tripStatusChanged': 'Rit {tripId} is nou {status}',
+        'toast.tripDeleted': 'Rit {tripId} verwyder',
+
+        'errors.reasonRequired': 'Gee asseblief \'n rede',
+        'errors.offlineList': 'Jy is vanlyn en hierdie lys is nog nie op hierdie toestel gestoor nie.',
+        'errors.loginFailed': 'Aanteken het misluk',
+        'errors.registerFailed': 'Registrasie het misluk',
+        'errors.loadRoutes': 'Kon nie roetes laai nie',
+        'errors.loadTrips': 'Kon nie ritte laai nie',
+        'errors.loadTickets': 'Kon nie kaartjies laai nie',
+        'errors.loadTicket': 'Kon nie kaartjie laai nie',
+        'errors.loadPayments': 'Kon nie betalings laai nie',
+        'errors.loadTrip': 'Kon nie daardie rit laai nie',
+        'errors.purchaseFailed': 'Kaartjie-aankoop het misluk',
+        'errors.updateTripStatus': 'Kon nie ritstatus bywerk nie',
+        'errors.loadProfile': 'Kon nie profiel laai nie',
+        'errors.saveProfile': 'Kon nie jou besonderhede stoor nie',
+        'errors.changePassword': 'Kon nie jou wagwoord verander nie',
+        'errors.usernameRequired': 'Gebruikersnaam word vereis',
+        'errors.nameRequired': 'Voornaam en van word vereis',
+        'errors.invalidEmail': 'Ongeldige e-posformaat',
+        'errors.invalidPhone': 'Ongeldige telefoonnommer (bv. 0811234567 of +264811234567)',
+        'errors.weakPassword': 'Wagwoord moet minstens {min} karakters lank wees en letters en syfers bevat',
+        'errors.currentPasswordRequired': 'Voer jou huidige wagwoord in',
+        'errors.passwordMismatch': 'Die nuwe wagwoorde stem nie ooreen nie',
+        'errors.passwordUnchanged': 'Die nuwe wagwoord moet verskil van die huidige een',
+        'errors.processPayment': 'Fout met verwerking van betaling',
+        'errors.searchTrips': 'Fout met soek na ritte',
+        'errors.loadNotifications': 'Fout met laai van kennisgewings',
+        'errors.loadReceipt': 'Fout met laai van kwitansie',
+        'errors.buildStatement': 'Kon nie die state opstel nie',
+        'errors.loadPaymentTotals': 'Fout met laai van betaaltotale',
+        'errors.loadAnalytics': 'Fout met laai van ontleding',
+        'errors.rangeIncomplete': 'Kies \'n begin- en \'n einddatum',
+        'errors.rangeReversed': 'Die begindatum moet op of voor die einddatum wees',
+        'errors.createRoute': 'Kon nie roete skep nie',
+        'errors.updateRoute': 'Kon nie roete bywerk nie',
+        'errors.scheduleTrip': 'Kon nie rit skeduleer nie',
+        'errors.routeNumberRequired': 'Roetenommer is verpligtend',
+        'errors.routeNumberTooLong': 'Roetenommer mag hoogstens {max} karakters lank wees',
+        'errors.routeExists': 'Roete {routeNumber} bestaan reeds',
+        'errors.routeNameRequired': 'Roetenaam is verpligtend',
+        'errors.startRequired': 'Beginpunt is verpligtend',
+        'errors.endRequired': 'Eindpunt is verpligtend',
+        'errors.sameEnds': 'Begin- en eindpunt moet verskil',
+        'errors.distanceInvalid': 'Afstand moet groter as 0 wees',
+        'errors.durationInvalid': 'Duur moet \'n heel getal minute wees',
+        'errors.fareInvalid': 'Tarief moet 0 of meer wees',
+        'errors.departureRequired': 'Vertrektyd is verpligtend',
+        'errors.departureInvalid': 'Vertrektyd is nie geldig nie',
+        'errors.departurePast': 'Vertrek moet in die toekoms wees',
+        'errors.vehicleRequired': 'Voertuig-ID is verpligtend',
+        'errors.driverRequired': 'Naam van bestuurder is verpligtend',
+        'errors.seatsInvalid': 'Sitplekke moet \'n heel getal van 1 tot {max} wees',
+        'errors.delayInvalid': 'Vertraging moet \'n heel getal minute van 1 tot {max} wees',
+        'errors.serviceDown': '{service} reageer nie op die oomblik nie. Die res van die toep werk steeds.',
+        'errors.serviceTimeout': '{service} het te lank geneem om te antwoord. Probeer asseblief weer.',
+        'errors.code.TIMEOUT': 'Die versoek het uitgetel. Probeer asseblief weer.',
+        'errors.code.NETWORK_ERROR': 'Verbindingsfout. Gaan asseblief na of die dienste loop.',
+        'errors.code.NO_SEATS': 'Geen sitplekke beskikbaar op hierdie rit nie',
+        'errors.code.INVALID_TRIP_STATUS': 'Hierdie rit is nie beskikbaar vir besprekings nie',
+        'errors.code.TICKET_EXPIRED': 'Hierdie kaartjie het verval'
+    }
+};
+
+// Fares are in Namibian dollars. Intl knows NAD but most locales print it as "NAD" or "$",
+// so the symbol is set here; cashRounding is the smallest coin in use (see roundToCash). The
+// runtime config (config.js) can change any of these; a null symbol uses Intl's own.
+const localeSettings = {
+    language: I18N_DEFAULT_LANGUAGE,
+    currency: 'NAD',
+    currencySymbol: 'N$',
+    currencyDigits: 2,
+    cashRounding: 0.01,
+    // undefined keeps the device's time zone.
+    timeZone: undefined
+};
+
+function configureLocale(options) {
+    Object.assign(localeSettings, options);
+}
+
+function currentLocale() {
+    return I18N_LANGUAGES[localeSettings.language].locale;
+}
+
+function hasMessage(key) {
+    return key in I18N_CATALOGS[localeSettings.language] || key in I18N_CATALOGS[I18N_DEFAULT_LANGUAGE];
+}
+
+// t('toast.groupBooked', { count: 3 }). Plural messages are { one, other } objects picked by params.count.
+function t(key, params = {}) {
+    let message = I18N_CATALOGS[localeSettings.language][key] ?? I18N_CATALOGS[I18N_DEFAULT_LANGUAGE][key] ?? key;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale()).select(params.count ?? 0);
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function statusLabel(status) {
+    return hasMessage(`status.${status}`) ? t(`status.${status}`) : status.replace('_', ' ');
+}
+
+function setLanguage(language) {
+    localeSettings.language = I18N_LANGUAGES[language] ? language : I18N_DEFAULT_LANGUAGE;
+    document.documentElement.lang = localeSettings.language;
+}
+
+// The device remembers the last language for the login screen; each rider also keeps their own.
+function savedLanguage(passengerId = null) {
+    return localStorage.getItem(passengerId ? `language:${passengerId}` : 'language');
+}
+
+function saveLanguage(passengerId = null) {
+    localStorage.setItem('language', localeSettings.language);
+    if (passengerId) {
+        localStorage.setItem(`language:${passengerId}`, localeSettings.language);
+    }
+}
+
+function browserLanguage() {
+    return (navigator.languages || [navigator.language])
+        .map(tag => String(tag).split('-')[0])
+        .find(language => I18N_LANGUAGES[language]);
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+    });
+    document.title = t('app.title');
+}
+
+// What is charged for `amount`: rounded to the smallest coin in use. Checkout rounds once, where
+// it takes the payment, and everything after shows that amount as it is.
+function roundToCash(amount) {
+    const step = localeSettings.cashRounding;
+    const rounded = step > 0 ? Math.round(parseFloat(amount) / step) * step : parseFloat(amount);
+    const cents = 10 ** localeSettings.currencyDigits;
+    return Math.round(rounded * cents) / cents;
+}
+
+function formatMoney(amount, { digits = localeSettings.currencyDigits } = {}) {
+    const parts = new Intl.NumberFormat(currentLocale(), {
+        style: 'currency',
+        currency: localeSettings.currency,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).formatToParts(parseFloat(amount));
+    return parts.map(part => (part.type === 'currency' ? localeSettings.currencySymbol ?? part.value : part.value)).join('');
+}
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(currentLocale(), options).format(value);
+}
+
+function formatDateTime(dateString) {
+    if (!dateString) return t('common.notAvailable');
+    const date = new Date(dateString);
+    if (isNaN(date)) return dateString;
+    return new Intl.DateTimeFormat(currentLocale(), {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: localeSettings.timeZone
+    }).format(date);
+}
+
+// Takes a local calendar date (the analytics month buckets), so no time zone is applied.
+function formatMonth(date) {
+    return new Intl.DateTimeFormat(currentLocale(), { month: 'short', year: '2-digit' }).format(date);
+}
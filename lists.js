@@ -0,0 +1,231 @@
+// List toolbars for routes, a route's trips, My Tickets and payments. The status filter goes to the
+// service as ?status=, so only matching records come back; search and sort then work on what came
+// back, and a list shows LIST_PAGE_SIZE cards at a time so long histories stay quick to render.
+// Filter, search and sort are remembered per rider and per list, so a tab opens the way it was left.
+// Each list's markup follows the same ids: <list>-status-filter, <list>-search, <list>-sort,
+// <list>-pagination, and <list>-list for the cards.
+const LIST_PAGE_SIZE = 10;
+
+const byNumber = value => (a, b) => (Number(value(a)) || 0) - (Number(value(b)) || 0);
+const byTime = value => (a, b) => (Date.parse(value(a)) || 0) - (Date.parse(value(b)) || 0);
+const descending = compare => (a, b) => compare(b, a);
+
+// My Tickets keeps its Upcoming / Active / Past groups, so every ticket sort orders within a group.
+const withinTicketGroup = compare => (a, b) =>
+    TICKET_GROUPS.indexOf(a.group) - TICKET_GROUPS.indexOf(b.group) || compare(a, b);
+const ticketDeparture = ({ ticket, trip }) => tripDeparture(trip) || Date.parse(ticket.validUntil);
+
+const LISTS = {
+    routes: {
+        defaults: { status: '', sort: 'number' },
+        searchText: route => [route.routeNumber, route.routeName, route.startLocation, route.endLocation,
+            ...(route.intermediateStops || [])],
+        sorts: {
+            number: (a, b) => String(a.routeNumber).localeCompare(String(b.routeNumber), undefined, { numeric: true }),
+            'fare-asc': byNumber(route => route.fare),
+            'fare-desc': descending(byNumber(route => route.fare))
+        },
+        render: () => renderRoutes(),
+        reload: () => loadRoutes()
+    },
+    trips: {
+        defaults: { status: 'SCHEDULED', sort: 'departure-asc' },
+        searchText: trip => [trip.tripId, trip.routeNumber, trip.vehicleId, trip.driverName],
+        sorts: {
+            'departure-asc': byTime(trip => trip.departureTime),
+            'departure-desc': descending(byTime(trip => trip.departureTime)),
+            'seats-desc': descending(byNumber(trip => trip.availableSeats))
+        },
+        render: () => renderRouteTrips(),
+        reload: () => reloadRouteTrips()
+    },
+    tickets: {
+        defaults: { status: '', sort: 'default' },
+        searchText: ({ ticket, trip }) => [ticket.ticketId, ticket.tripId, ticket.routeNumber, trip?.vehicleId],
+        sorts: {
+            // Soonest first while a trip is still ahead; most recent first once it is history.
+            default: withinTicketGroup((a, b) => a.group === 'past'
+                ? Date.parse(b.ticket.purchasedAt) - Date.parse(a.ticket.purchasedAt)
+                : ticketDeparture(a) - ticketDeparture(b)),
+            'date-desc': withinTicketGroup(descending(byTime(entry => entry.ticket.purchasedAt))),
+            'date-asc': withinTicketGroup(byTime(entry => entry.ticket.purchasedAt)),
+            'departure-asc': withinTicketGroup((a, b) => ticketDeparture(a) - ticketDeparture(b)),
+            'fare-desc': withinTicketGroup(descending(byNumber(entry => entry.ticket.fare))),
+            'fare-asc': withinTicketGroup(byNumber(entry => entry.ticket.fare))
+        },
+        render: () => renderTickets(),
+        reload: () => loadTickets()
+    },
+    payments: {
+        defaults: { status: '', sort: 'date-desc' },
+        searchText: payment => [payment.paymentId, payment.ticketId, payment.paymentMethod, payment.transactionReference],
+        sorts: {
+            'date-desc': descending(byTime(payment => payment.createdAt)),
+            'date-asc': byTime(payment => payment.createdAt),
+            'amount-desc': descending(byNumber(payment => payment.amount)),
+            'amount-asc': byNumber(payment => payment.amount)
+        },
+        render: () => renderPayments(),
+        // The payments filter is part of the address (#/payments?status=FAILED), so it can be linked to.
+        reload: status => navigate(`/payments${status ? `?status=${encodeURIComponent(status)}` : ''}`)
+    }
+};
+
+const lists = {
+    // list -> { status, query, sort, page }
+    views: new Map(),
+    // list -> the records its loader last fetched
+    items: new Map(),
+    // list -> the records that passed the search when it was last drawn, in order
+    matched: new Map()
+};
+
+function initLists() {
+    Object.keys(LISTS).forEach(name => {
+        document.getElementById(`${name}-status-filter`).addEventListener('change', (e) => {
+            updateListView(name, { status: e.target.value });
+            LISTS[name].reload(e.target.value);
+        });
+        document.getElementById(`${name}-search`).addEventListener('input', (e) => {
+            updateListView(name, { query: e.target.value });
+            LISTS[name].render();
+        });
+        document.getElementById(`${name}-sort`).addEventListener('change', (e) => {
+            updateListView(name, { sort: e.target.value });
+            LISTS[name].render();
+        });
+    });
+    resetListViews();
+
+    registerActions({
+        'list-page': ({ list, page }) => showListPage(list, Number(page))
+    });
+}
+
+function listViewKey() {
+    return `listViews:${currentUser.passengerId}`;
+}
+
+// Called on login, so the rider gets their own filters back rather than the last rider's.
+function restoreListViews() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(listViewKey())) || {};
+    } catch {
+        saved = {};
+    }
+    resetListViews(saved);
+}
+
+function resetListViews(saved = {}) {
+    lists.items.clear();
+    lists.matched.clear();
+    Object.entries(LISTS).forEach(([name, { defaults, sorts }]) => {
+        const view = { ...defaults, query: '', ...saved[name], page: 1 };
+        if (!sorts[view.sort]) view.sort = defaults.sort;
+        lists.views.set(name, view);
+        showListView(name);
+    });
+}
+
+function saveListViews() {
+    if (!currentUser) return;
+    const views = Object.fromEntries([...lists.views].map(([name, { status, query, sort }]) => [name, { status, query, sort }]));
+    localStorage.setItem(listViewKey(), JSON.stringify(views));
+}
+
+function showListView(name) {
+    const view = lists.views.get(name);
+    document.getElementById(`${name}-status-filter`).value = view.status;
+    document.getElementById(`${name}-search`).value = view.query;
+    document.getElementById(`${name}-sort`).value = view.sort;
+}
+
+// A new filter, search or sort starts again from the first page.
+function updateListView(name, changes) {
+    Object.assign(lists.views.get(name), changes, { page: 1 });
+    saveListViews();
+}
+
+function setListItems(name, items) {
+    lists.items.set(name, items || []);
+}
+
+function listItems(name) {
+    return lists.items.get(name) || [];
+}
+
+function listStatus(name) {
+    return lists.views.get(name).status;
+}
+
+// For a filter that arrives in the address rather than from the toolbar.
+function setListStatus(name, status) {
+    if (status === listStatus(name)) return;
+    updateListView(name, { status });
+    showListView(name);
+}
+
+// The records to draw for the current page, after search and sort; `matched` is every record that
+// passed the search, for counts. Also draws the page controls under the list.
+function listPage(name, items = listItems(name)) {
+    const config = LISTS[name];
+    const view = lists.views.get(name);
+    const query = view.query.trim().toLocaleLowerCase();
+
+    const matched = items
+        .filter(item => !query || config.searchText(item)
+            .some(value => value !== undefined && value !== null && String(value).toLocaleLowerCase().includes(query)))
+        .sort(config.sorts[view.sort]);
+    lists.matched.set(name, matched);
+
+    const pages = Math.max(1, Math.ceil(matched.length / LIST_PAGE_SIZE));
+    view.page = Math.min(Math.max(view.page, 1), pages);
+    renderPagination(name, view.page, pages);
+
+    const start = (view.page - 1) * LIST_PAGE_SIZE;
+    return { page: matched.slice(start, start + LIST_PAGE_SIZE), matched };
+}
+
+// The message for a list that has nothing to show: nothing matches the search, nothing has the
+// chosen status, or there is nothing at all.
+function emptyListText(name, emptyKey, emptyForStatusKey) {
+    const { status, query } = lists.views.get(name);
+    if (query.trim()) return t('lists.noMatches', { query: query.trim() });
+    if (status) return t(emptyForStatusKey, { status: statusLabel(status) });
+    return t(emptyKey);
+}
+
+function renderPagination(name, page, pages) {
+    const nav = document.getElementById(`${name}-pagination`);
+    nav.classList.toggle('hidden', pages <= 1);
+    if (pages <= 1) {
+        render(nav, '');
+        return;
+    }
+
+    render(nav, html`
+        ${actionButton({ label: t('lists.previous'), action: 'list-page', data: { list: name, page: page - 1 }, variant: 'btn-secondary', disabled: page <= 1 })}
+        <span class="pagination-status">${t('lists.pageOf', { page: formatNumber(page), pages: formatNumber(pages) })}</span>
+        ${actionButton({ label: t('lists.next'), action: 'list-page', data: { list: name, page: page + 1 }, variant: 'btn-secondary', disabled: page >= pages })}
+    `);
+}
+
+function showListPage(name, page) {
+    lists.views.get(name).page = page;
+    LISTS[name].render();
+
+    // The new page replaces the cards in place, so bring the top of the list back into view.
+    document.getElementById(`${name}-list`).scrollIntoView({ block: 'start' });
+    announce(document.querySelector(`#${name}-pagination .pagination-status`).textContent);
+}
+
+// Turns to the page holding the first record that passes `test`, so a link to one card finds it.
+function showListItem(name, test) {
+    const index = (lists.matched.get(name) || []).findIndex(test);
+    const page = Math.floor(index / LIST_PAGE_SIZE) + 1;
+    if (index >= 0 && page !== lists.views.get(name).page) {
+        lists.views.get(name).page = page;
+        LISTS[name].render();
+    }
+}
@@ -0,0 +1,210 @@
+// Live trip status. Schedule updates arrive as server-sent `schedule-update` events carrying
+// the transport service's ScheduleUpdateEvent, which the notification service forwards from Kafka;
+// without Kafka, dev/live-server.js stands in for the feed.
+const LIVE_EVENTS_URL = 'http://localhost:9094/notifications/events';
+const LIVE_RECONNECT_BASE_MS = 1000;
+const LIVE_RECONNECT_MAX_MS = 30000;
+const LIVE_FAILURES_BEFORE_POLLING = 3;
+const LIVE_POLL_INTERVAL_MS = 30000;
+
+const live = {
+    source: null,
+    failures: 0,
+    reconnectTimer: null,
+    pollTimer: null,
+    tripSnapshot: null,
+    tripUpdates: new Map(),
+    heldTickets: new Map(),
+    seenEventIds: new Set()
+};
+
+function connectLiveUpdates() {
+    disconnectLiveUpdates();
+    refreshHeldTickets();
+    openEventSource();
+}
+
+function disconnectLiveUpdates() {
+    clearTimeout(live.reconnectTimer);
+    live.reconnectTimer = null;
+    stopLivePolling();
+    if (live.source) {
+        live.source.close();
+        live.source = null;
+    }
+    live.failures = 0;
+    live.tripUpdates.clear();
+    live.heldTickets.clear();
+    live.seenEventIds.clear();
+    live.tripSnapshot = null;
+}
+
+function openEventSource() {
+    // The mock backend has no event stream; polling its transport endpoints sees the same changes.
+    if (!currentUser || typeof EventSource === 'undefined' || mockBackend.enabled) {
+        startLivePolling();
+        return;
+    }
+
+    const url = new URL(runtimeConfig.liveEventsUrl || LIVE_EVENTS_URL, location.href);
+    url.searchParams.set('passengerId', currentUser.passengerId);
+    const source = new EventSource(url.toString());
+    live.source = source;
+
+    source.addEventListener('open', () => {
+        live.failures = 0;
+        stopLivePolling();
+    });
+
+    source.addEventListener('schedule-update', (e) => {
+        try {
+            handleScheduleUpdate(JSON.parse(e.data));
+        } catch (error) {
+            console.error('Error handling schedule update:', error);
+        }
+    });
+
+    // EventSource retries on its own at a fixed rate; we close it and back off instead, and
+    // fall back to polling the transport service once the feed looks properly down.
+    source.addEventListener('error', () => {
+        source.close();
+        if (live.source !== source) return;
+        live.source = null;
+        live.failures++;
+
+        if (live.failures >= LIVE_FAILURES_BEFORE_POLLING) {
+            startLivePolling();
+        }
+
+        const backoff = Math.min(LIVE_RECONNECT_MAX_MS, LIVE_RECONNECT_BASE_MS * 2 ** (live.failures - 1));
+        live.reconnectTimer = setTimeout(openEventSource, backoff);
+    });
+}
+
+function startLivePolling() {
+    if (live.pollTimer) return;
+    pollTripStatus();
+    live.pollTimer = setInterval(pollTripStatus, LIVE_POLL_INTERVAL_MS);
+}
+
+function stopLivePolling() {
+    clearInterval(live.pollTimer);
+    live.pollTimer = null;
+}
+
+// Fallback path: diff the trip list against the last poll and turn changes into the same
+// events the live feed would have sent.
+async function pollTripStatus() {
+    if (!currentUser || !navigator.onLine) return;
+
+    let trips;
+    try {
+        trips = await api.transport.getTrips();
+    } catch (error) {
+        console.error('Error polling trip status:', error);
+        return;
+    }
+
+    const previous = live.tripSnapshot;
+    live.tripSnapshot = new Map((trips || []).map(trip => [trip.tripId, trip]));
+    if (!previous) return;
+
+    live.tripSnapshot.forEach((trip, tripId) => {
+        const before = previous.get(tripId);
+        if (!before || (before.status === trip.status && before.delayMinutes === trip.delayMinutes)) return;
+
+        handleScheduleUpdate({
+            eventId: `poll-${tripId}-${trip.updatedAt}`,
+            eventType: trip.status === 'DELAYED' ? 'DELAY' : trip.status === 'CANCELLED' ? 'CANCELLATION' : 'SCHEDULE_CHANGE',
+            tripId,
+            routeId: trip.routeId,
+            routeNumber: trip.routeNumber,
+            previousStatus: before.status,
+            newStatus: trip.status,
+            delayMinutes: trip.delayMinutes || 0,
+            reason: trip.delayReason,
+            timestamp: trip.updatedAt
+        });
+    });
+}
+
+async function refreshHeldTickets() {
+    if (!currentUser) return;
+    try {
+        setHeldTickets(await api.ticketing.getTickets({ passengerId: currentUser.passengerId }));
+    } catch (error) {
+        console.error('Error loading tickets for live updates:', error);
+    }
+}
+
+function setHeldTickets(tickets) {
+    live.heldTickets.clear();
+    (tickets || [])
+        .filter(ticket => ticket.status === 'CREATED' || ticket.status === 'PAID')
+        .forEach(ticket => live.heldTickets.set(ticket.tripId, ticket));
+}
+
+function handleScheduleUpdate(event) {
+    if (!event || live.seenEventIds.has(event.eventId)) return;
+    live.seenEventIds.add(event.eventId);
+
+    if (event.eventType === 'ROUTE_UPDATE') {
+        const affected = [...live.heldTickets.values()].some(ticket => ticket.routeId === event.routeId);
+        if (affected) {
+            showNotification(event.reason
+                ? t('toast.routeUpdatedWithReason', { routeNumber: event.routeNumber, reason: event.reason })
+                : t('toast.routeUpdated', { routeNumber: event.routeNumber }), 'info');
+        }
+        return;
+    }
+
+    live.tripUpdates.set(event.tripId, {
+        status: event.newStatus,
+        delayMinutes: event.delayMinutes || 0,
+        reason: event.reason
+    });
+    applyLiveStatus();
+
+    if (live.heldTickets.has(event.tripId)) {
+        showNotification(describeScheduleUpdate(event), event.eventType === 'CANCELLATION' ? 'error' : 'info');
+    }
+}
+
+function describeScheduleUpdate(event) {
+    const message = scheduleUpdateMessage(event);
+    return event.reason ? t('toast.withReason', { message, reason: event.reason }) : message;
+}
+
+function scheduleUpdateMessage(event) {
+    const routeNumber = event.routeNumber;
+    switch (event.eventType) {
+        case 'DELAY':
+            return t('toast.tripDelayed', { routeNumber, minutes: event.delayMinutes });
+        case 'CANCELLATION':
+            return t('toast.tripCancelled', { routeNumber });
+        default:
+            return t('toast.tripStatus', { routeNumber, status: statusLabel(event.newStatus).toLowerCase() });
+    }
+}
+
+// Badges every rendered card that carries data-trip-id. Lists call this after re-rendering
+// so updates survive a refresh.
+function applyLiveStatus() {
+    document.querySelectorAll('[data-trip-id]').forEach(card => {
+        const update = live.tripUpdates.get(card.dataset.tripId);
+        const header = card.querySelector('.card-header');
+        if (!update || !header) return;
+
+        let badge = header.querySelector('.live-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'live-badge';
+            header.appendChild(badge);
+        }
+        badge.className = `live-badge status-badge status-${update.status.toLowerCase()}`;
+        render(badge, html`${statusIcon(update.status)}${update.status === 'DELAYED' && update.delayMinutes > 0
+            ? `${statusLabel(update.status)} +${update.delayMinutes} min`
+            : statusLabel(update.status)}`);
+        badge.title = update.reason || '';
+    });
+}
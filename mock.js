@@ -0,0 +1,831 @@
+// In-browser stand-in for the passenger, transport, ticketing, payment and notification services,
+// for working on the front end without Ballerina, MySQL and Kafka. It answers the configured URLs
+// with the bodies the services send: ApiResponse / ErrorResponse envelopes (with a timestamp from
+// the payment service) and bare records or { message } from the passenger service. The data lives
+// in sessionStorage, so it survives reloads and starts over in a new tab.
+//
+// Turn it on with ?mock=1 in the page URL (?mock=0 turns it off), <meta name="api-mock" content="on">
+// or "mock": true in the runtime config file.
+// Everyone signs in with MOCK_PASSWORD: demo is a rider, conductor and admin get those roles.
+// From the console:
+//   seedMockBackend({ trips: [...] })     replace any of the fixture collections
+//   resetMockBackend()                     back to the built-in fixtures
+//   injectMockFailure({ method: 'POST', path: '/payment/payments', kind: 'decline' })
+// Failure kinds are 'status' (the default; status, message and code say what to send back),
+// 'timeout', 'network', 'lost' (the request is carried out but the answer never arrives) and,
+// for payments, 'decline'. Each one answers the next `times` requests
+// (default 1) whose method and URL path match; leave them out to match anything.
+// The jsdom tests in test/ (npm test) run the app against this backend.
+const MOCK_STORAGE_KEY = 'mockBackend';
+const MOCK_PASSWORD = 'password1';
+const MOCK_LATENCY_MS = 150;
+// The payment service holds the request while it simulates the gateway.
+const MOCK_PAYMENT_DELAY_MS = 1500;
+const MOCK_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+const MOCK_TICKET_VALIDITY_MS = 24 * 60 * 60 * 1000;
+const MOCK_STAFF_ROLES = { admin: 'admin', conductor: 'conductor' };
+const MOCK_TRIP_TRANSITIONS = {
+    SCHEDULED: ['IN_PROGRESS', 'DELAYED', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED', 'DELAYED', 'CANCELLED'],
+    DELAYED: ['IN_PROGRESS', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+};
+const MOCK_SERVICE_NAMES = {
+    TRANSPORT: 'Transport Service',
+    TICKETING: 'Ticketing Service',
+    PAYMENT: 'Payment Service',
+    NOTIFICATION: 'Notification Service'
+};
+
+const mockBackend = {
+    enabled: false,
+    state: null,
+    failures: []
+};
+
+function initMockBackend() {
+    const flag = new URLSearchParams(location.search).get('mock');
+    const meta = document.querySelector('meta[name="api-mock"]')?.content;
+    mockBackend.enabled = flag !== null ? !['0', 'off', 'false'].includes(flag) : meta === 'on' || runtimeConfig.mock;
+    if (!mockBackend.enabled) return;
+
+    mockBackend.state = loadMockState() || mockFixtures();
+    saveMockState();
+    configureApi({ fetch: mockFetch });
+    console.info(`Using the in-browser mock backend. Sign in as demo / ${MOCK_PASSWORD}.`);
+}
+
+function loadMockState() {
+    try {
+        return JSON.parse(sessionStorage.getItem(MOCK_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function saveMockState() {
+    sessionStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(mockBackend.state));
+}
+
+function seedMockBackend(fixtures) {
+    mockBackend.state = { ...mockFixtures(), ...fixtures };
+    saveMockState();
+}
+
+function resetMockBackend() {
+    mockBackend.state = mockFixtures();
+    mockBackend.failures = [];
+    saveMockState();
+}
+
+function injectMockFailure({ method = null, path = null, kind = 'status', status = 500, message, code = null, times = 1 } = {}) {
+    mockBackend.failures.push({ method, path, kind, status, message, code, times });
+}
+
+function clearMockFailures() {
+    mockBackend.failures = [];
+}
+
+function takeMockFailure(method, pathname) {
+    const failure = mockBackend.failures.find(f =>
+        (!f.method || f.method === method) &&
+        (!f.path || (f.path instanceof RegExp ? f.path.test(pathname) : f.path === pathname)) &&
+        // A decline is an answer from the gateway, so it only applies to taking a payment.
+        (f.kind !== 'decline' || (method === 'POST' && pathname.endsWith('/payment/payments'))));
+    if (!failure) return null;
+
+    failure.times--;
+    if (failure.times <= 0) {
+        mockBackend.failures.splice(mockBackend.failures.indexOf(failure), 1);
+    }
+    return failure;
+}
+
+function mockNow(offsetMs = 0) {
+    return new Date(Date.now() + offsetMs).toISOString();
+}
+
+function mockId(prefix, length = 10) {
+    let id = '';
+    while (id.length < length) {
+        id += Math.random().toString(16).slice(2);
+    }
+    return `${prefix}${id.slice(0, length).toUpperCase()}`;
+}
+
+// Times are relative to when the fixtures are built, so there is always something to book.
+function mockFixtures() {
+    const hour = 60 * 60 * 1000;
+    const passengers = [
+        ['PDEMO000001', 'demo', 'Demo', 'Rider', '0811234567'],
+        ['PCOND000001', 'conductor', 'Carla', 'Conductor', '0812345678'],
+        ['PADMN000001', 'admin', 'Adam', 'Admin', '0813456789']
+    ].map(([passengerId, username, firstName, lastName, phoneNumber]) => ({
+        passengerId,
+        username,
+        password: MOCK_PASSWORD,
+        email: `${username}@example.com`,
+        firstName,
+        lastName,
+        phoneNumber,
+        status: 'ACTIVE',
+        createdAt: mockNow(-30 * 24 * hour)
+    }));
+
+    const routes = [
+        ['R0000000001', '1', 'City Centre - Katutura', 'Windhoek CBD', 'Katutura', ['Independence Avenue', 'Hochland Park'], 8.5, 25, 12.5, 'ACTIVE'],
+        ['R0000000002', '2', 'City Centre - Khomasdal', 'Windhoek CBD', 'Khomasdal', ['Hosea Kutako Drive'], 7.2, 20, 10, 'ACTIVE'],
+        ['R0000000003', '10', 'Windhoek - Rehoboth', 'Windhoek Station', 'Rehoboth', ['Kleine Kuppe', 'Dordabis Junction'], 87, 75, 65, 'ACTIVE'],
+        ['R0000000004', '5', 'Eros - Klein Windhoek', 'Eros', 'Klein Windhoek', [], 4.1, 15, 8, 'INACTIVE']
+    ].map(([routeId, routeNumber, routeName, startLocation, endLocation, intermediateStops, distance, estimatedDuration, fare, status]) => ({
+        routeId,
+        routeNumber,
+        routeName,
+        startLocation,
+        endLocation,
+        intermediateStops,
+        distance,
+        estimatedDuration,
+        fare,
+        status,
+        createdAt: mockNow(-60 * 24 * hour),
+        updatedAt: mockNow(-60 * 24 * hour)
+    }));
+
+    const trips = [
+        ['T0000000001', 0, -10 / 60, 'IN_PROGRESS', 40],
+        ['T0000000002', 0, 1, 'SCHEDULED', 60],
+        ['T0000000003', 0, 3, 'SCHEDULED', 60],
+        ['T0000000004', 1, 2, 'SCHEDULED', 45],
+        ['T0000000005', 1, 26, 'SCHEDULED', 45],
+        ['T0000000006', 2, 5, 'SCHEDULED', 0],
+        ['T0000000007', 2, -22, 'COMPLETED', 30]
+    ].map(([tripId, routeIndex, hoursFromNow, status, availableSeats], index) => {
+        const route = routes[routeIndex];
+        const departure = Date.now() + hoursFromNow * hour;
+        return {
+            tripId,
+            routeId: route.routeId,
+            routeNumber: route.routeNumber,
+            departureTime: new Date(departure).toISOString(),
+            arrivalTime: new Date(departure + route.estimatedDuration * 60000).toISOString(),
+            vehicleId: `BUS-${String(101 + index)}`,
+            driverName: ['J. Shikongo', 'M. Nghidinwa', 'P. van Wyk'][index % 3],
+            availableSeats,
+            totalSeats: Math.max(availableSeats, 60),
+            status,
+            delayReason: null,
+            delayMinutes: 0,
+            createdAt: mockNow(-7 * 24 * hour),
+            updatedAt: mockNow(-7 * 24 * hour)
+        };
+    });
+
+    const demo = passengers[0];
+    const tickets = [
+        [trips[2], 'PAID', 'PAY-0000DEM1'],
+        [trips[6], 'VALIDATED', 'PAY-0000DEM2']
+    ].map(([trip, status, paymentId], index) => {
+        const purchasedAt = Math.min(Date.parse(trip.departureTime), Date.now()) - 2 * hour;
+        const ticketId = `TKT000000000${index + 1}`;
+        return {
+            ticketId,
+            passengerId: demo.passengerId,
+            tripId: trip.tripId,
+            routeId: trip.routeId,
+            routeNumber: trip.routeNumber,
+            fare: routes.find(route => route.routeId === trip.routeId).fare,
+            status,
+            qrCode: btoa(`${ticketId}:${demo.passengerId}`),
+            purchasedAt: new Date(purchasedAt).toISOString(),
+            validatedAt: status === 'VALIDATED' ? trip.departureTime : null,
+            validUntil: new Date(purchasedAt + MOCK_TICKET_VALIDITY_MS).toISOString(),
+            paymentId,
+            createdAt: new Date(purchasedAt).toISOString(),
+            updatedAt: new Date(purchasedAt).toISOString()
+        };
+    });
+
+    const payments = tickets.map(ticket => ({
+        paymentId: ticket.paymentId,
+        ticketId: ticket.ticketId,
+        passengerId: ticket.passengerId,
+        amount: ticket.fare,
+        currency: 'NAD',
+        status: 'SUCCESS',
+        paymentMethod: 'MOBILE_MONEY',
+        transactionReference: `TXN-${ticket.ticketId}`,
+        failureReason: null,
+        transactionDate: ticket.purchasedAt,
+        createdAt: ticket.purchasedAt,
+        updatedAt: ticket.purchasedAt
+    }));
+
+    return {
+        passengers,
+        // The passenger service's own ticket records (passes), shown on the profile tab.
+        passes: [],
+        routes,
+        trips,
+        tickets,
+        payments,
+        notifications: [{
+            notificationId: 'NTF0000000001',
+            passengerId: demo.passengerId,
+            notificationType: 'PAYMENT_SUCCESS',
+            channel: 'PUSH',
+            subject: 'Payment successful',
+            message: `Payment of NAD ${tickets[0].fare.toFixed(2)} received for ticket ${tickets[0].ticketId}.`,
+            status: 'SENT',
+            errorMessage: null,
+            createdAt: tickets[0].purchasedAt,
+            sentAt: tickets[0].purchasedAt,
+            metadata: { ticketId: tickets[0].ticketId }
+        }]
+    };
+}
+
+// The notification service fills the inbox from Kafka events; here the handlers call this.
+function mockNotify(passengerId, notificationType, subject, message, metadata = {}) {
+    const createdAt = mockNow();
+    mockBackend.state.notifications.push({
+        notificationId: mockId('NTF'),
+        passengerId,
+        notificationType,
+        channel: 'PUSH',
+        subject,
+        message,
+        status: 'SENT',
+        errorMessage: null,
+        createdAt,
+        sentAt: createdAt,
+        metadata
+    });
+}
+
+function mockToken(passenger) {
+    const encode = value => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const exp = Math.floor((Date.now() + MOCK_TOKEN_LIFETIME_MS) / 1000);
+    return {
+        token: `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: passenger.passengerId, username: passenger.username, exp })}.mock`,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+}
+
+function mockTokenPassenger(authorization) {
+    try {
+        const payload = authorization.slice('Bearer '.length).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { sub, exp } = JSON.parse(atob(payload));
+        return exp * 1000 > Date.now() ? sub : null;
+    } catch {
+        return null;
+    }
+}
+
+function mockPassengerResponse({ password, ...passenger }) {
+    return passenger;
+}
+
+function mockLoginResponse(passenger, message) {
+    const { token, expiresAt } = mockToken(passenger);
+    return {
+        passengerId: passenger.passengerId,
+        username: passenger.username,
+        email: passenger.email,
+        firstName: passenger.firstName,
+        lastName: passenger.lastName,
+        token,
+        expiresAt,
+        role: MOCK_STAFF_ROLES[passenger.username] || 'passenger',
+        message
+    };
+}
+
+function mockOk(req, message, data = null, status = 200) {
+    const body = { success: true, message, data };
+    if (req.service === 'PAYMENT') body.timestamp = mockNow();
+    return [status, body];
+}
+
+function mockFail(req, status, message, errorCode = null) {
+    if (req.service === 'PASSENGER') return [status, { message }];
+    const body = { success: false, message, errorCode };
+    if (req.service === 'PAYMENT') body.timestamp = mockNow();
+    return [status, body];
+}
+
+function mockFind(collection, key, value) {
+    return mockBackend.state[collection].find(item => item[key] === value);
+}
+
+function mockRemove(collection, key, value) {
+    const items = mockBackend.state[collection];
+    const index = items.findIndex(item => item[key] === value);
+    if (index === -1) return false;
+    items.splice(index, 1);
+    return true;
+}
+
+function mockFilter(items, query, keys) {
+    return items.filter(item => keys.every(key => !query.has(key) || item[key] === query.get(key)));
+}
+
+function mockHealth(req) {
+    if (req.service === 'PASSENGER') {
+        return [200, { service: 'passenger-service', status: 'UP', timestamp: mockNow() }];
+    }
+    return [200, { status: 'UP', serviceName: MOCK_SERVICE_NAMES[req.service], timestamp: mockNow() }];
+}
+
+function mockRegister(req) {
+    const { username = '', email = '', password = '', phoneNumber = '', firstName, lastName } = req.body || {};
+    if (!username.trim()) return mockFail(req, 400, 'Username is required');
+    if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) return mockFail(req, 400, 'Invalid email format');
+    if (password.length < 8 || !/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+        return mockFail(req, 400, 'Password must be at least 8 characters and contain letters and numbers');
+    }
+    if (!/^(\+264|264|0)[0-9]{9}$/.test(phoneNumber)) return mockFail(req, 400, 'Invalid phone number format');
+    if (mockFind('passengers', 'username', username)) return mockFail(req, 400, 'Username already exists');
+    if (mockFind('passengers', 'email', email)) return mockFail(req, 400, 'Email already exists');
+
+    const passenger = {
+        passengerId: mockId('P'),
+        username,
+        password,
+        email,
+        firstName,
+        lastName,
+        phoneNumber,
+        status: 'ACTIVE',
+        createdAt: mockNow()
+    };
+    mockBackend.state.passengers.push(passenger);
+    return [201, mockPassengerResponse(passenger)];
+}
+
+function mockLogin(req) {
+    const { username = '', password = '' } = req.body || {};
+    const passenger = mockFind('passengers', 'username', username);
+    if (!passenger || passenger.password !== password) return mockFail(req, 401, 'Invalid credentials');
+    if (passenger.status !== 'ACTIVE') return mockFail(req, 401, 'Account is not active');
+    return [200, mockLoginResponse(passenger, 'Login successful')];
+}
+
+function mockRefresh(req) {
+    if (!req.authorization?.startsWith('Bearer ')) return mockFail(req, 401, 'Missing bearer token');
+    const passengerId = mockTokenPassenger(req.authorization);
+    if (!passengerId) return mockFail(req, 401, 'Session has expired');
+    const passenger = mockFind('passengers', 'passengerId', passengerId);
+    if (!passenger || passenger.status !== 'ACTIVE') return mockFail(req, 401, 'Account is not active');
+    return [200, mockLoginResponse(passenger, 'Token refreshed')];
+}
+
+function mockGetPassenger(req, passengerId) {
+    const passenger = mockFind('passengers', 'passengerId', passengerId);
+    if (!passenger) return mockFail(req, 404, 'Passenger not found');
+    return [200, mockPassengerResponse(passenger)];
+}
+
+function mockGetPasses(req, passengerId) {
+    if (!mockFind('passengers', 'passengerId', passengerId)) return mockFail(req, 404, 'Passenger not found');
+    return [200, mockBackend.state.passes.filter(pass => pass.passengerId === passengerId)];
+}
+
+function mockGetRoutes(req) {
+    return mockOk(req, 'Routes fetched successfully', mockFilter(mockBackend.state.routes, req.query, ['status']));
+}
+
+function mockGetRoute(req, routeId) {
+    const route = mockFind('routes', 'routeId', routeId);
+    return route ? mockOk(req, 'Route fetched successfully', route) : mockFail(req, 404, 'Route not found');
+}
+
+function mockCreateRoute(req) {
+    const request = req.body || {};
+    if (!request.routeNumber || request.routeNumber.length > 10) return mockFail(req, 400, 'Invalid route number format');
+    if (mockFind('routes', 'routeNumber', request.routeNumber)) {
+        return mockFail(req, 400, 'Route number already exists', 'DUPLICATE_ROUTE');
+    }
+
+    const now = mockNow();
+    const route = {
+        routeId: mockId('R'),
+        routeNumber: request.routeNumber,
+        routeName: request.routeName,
+        startLocation: request.startLocation,
+        endLocation: request.endLocation,
+        intermediateStops: request.intermediateStops || [],
+        distance: request.distance,
+        estimatedDuration: request.estimatedDuration,
+        fare: request.fare,
+        status: 'ACTIVE',
+        createdAt: now,
+        updatedAt: now
+    };
+    mockBackend.state.routes.push(route);
+    return mockOk(req, 'Route created successfully', route, 201);
+}
+
+function mockUpdateRoute(req, routeId) {
+    const route = mockFind('routes', 'routeId', routeId);
+    if (!route) return mockFail(req, 404, 'Route not found');
+
+    const fields = ['routeName', 'startLocation', 'endLocation', 'intermediateStops', 'distance', 'estimatedDuration', 'fare', 'status'];
+    fields.forEach(field => {
+        if (req.body?.[field] !== undefined && req.body[field] !== null) {
+            route[field] = req.body[field];
+        }
+    });
+    route.updatedAt = mockNow();
+    return mockOk(req, 'Route updated successfully', route);
+}
+
+function mockDeleteRoute(req, routeId) {
+    return mockRemove('routes', 'routeId', routeId)
+        ? mockOk(req, 'Route deleted successfully')
+        : mockFail(req, 404, 'Route not found');
+}
+
+function mockGetTrips(req) {
+    return mockOk(req, 'Trips fetched successfully', mockFilter(mockBackend.state.trips, req.query, ['routeId', 'status']));
+}
+
+function mockGetTrip(req, tripId) {
+    const trip = mockFind('trips', 'tripId', tripId);
+    return trip ? mockOk(req, 'Trip fetched successfully', trip) : mockFail(req, 404, 'Trip not found');
+}
+
+function mockCreateTrip(req) {
+    const request = req.body || {};
+    const route = mockFind('routes', 'routeId', request.routeId);
+    if (!route) return mockFail(req, 400, 'Route not found', 'ROUTE_NOT_FOUND');
+
+    const departure = Date.parse(request.departureTime);
+    if (!departure) return mockFail(req, 400, 'Invalid departure time format. Use ISO 8601 format');
+
+    const now = mockNow();
+    const trip = {
+        tripId: mockId('T'),
+        routeId: route.routeId,
+        routeNumber: route.routeNumber,
+        departureTime: request.departureTime,
+        arrivalTime: new Date(departure + route.estimatedDuration * 60000).toISOString(),
+        vehicleId: request.vehicleId,
+        driverName: request.driverName,
+        availableSeats: request.totalSeats,
+        totalSeats: request.totalSeats,
+        status: 'SCHEDULED',
+        delayReason: null,
+        delayMinutes: 0,
+        createdAt: now,
+        updatedAt: now
+    };
+    mockBackend.state.trips.push(trip);
+    return mockOk(req, 'Trip created successfully', trip, 201);
+}
+
+function mockUpdateTripStatus(req, tripId) {
+    const trip = mockFind('trips', 'tripId', tripId);
+    if (!trip) return mockFail(req, 404, 'Trip not found');
+
+    const { status, delayReason = null, delayMinutes = 0 } = req.body || {};
+    if ((status === 'DELAYED' || status === 'CANCELLED') && !delayReason) {
+        return mockFail(req, 400, 'Delay reason is required for DELAYED or CANCELLED status');
+    }
+    if (status !== trip.status && !MOCK_TRIP_TRANSITIONS[trip.status]?.includes(status)) {
+        return mockFail(req, 400, `Invalid status transition from ${trip.status} to ${status}`, 'INVALID_STATUS_TRANSITION');
+    }
+
+    const previousStatus = trip.status;
+    Object.assign(trip, { status, delayReason, delayMinutes: delayMinutes || 0, updatedAt: mockNow() });
+
+    if (previousStatus !== status && (status === 'DELAYED' || status === 'CANCELLED')) {
+        const type = status === 'DELAYED' ? 'TRIP_DELAYED' : 'TRIP_CANCELLED';
+        const subject = status === 'DELAYED' ? `Route ${trip.routeNumber} delayed` : `Route ${trip.routeNumber} cancelled`;
+        mockBackend.state.tickets
+            .filter(ticket => ticket.tripId === tripId && ['CREATED', 'PAID'].includes(ticket.status))
+            .forEach(ticket => mockNotify(ticket.passengerId, type, subject, delayReason, { tripId, ticketId: ticket.ticketId }));
+    }
+    return mockOk(req, 'Trip status updated successfully', trip);
+}
+
+function mockDeleteTrip(req, tripId) {
+    return mockRemove('trips', 'tripId', tripId)
+        ? mockOk(req, 'Trip deleted successfully')
+        : mockFail(req, 404, 'Trip not found');
+}
+
+// Like the ticketing service, this checks seats but leaves the count to the transport service.
+function mockPurchaseTicket(req) {
+    const { passengerId, tripId } = req.body || {};
+    const passenger = mockFind('passengers', 'passengerId', passengerId);
+    if (!passenger) return mockFail(req, 400, 'Passenger not found', 'PASSENGER_NOT_FOUND');
+    if (passenger.status !== 'ACTIVE') {
+        return mockFail(req, 400, `Passenger account is not active. Status: ${passenger.status}`, 'INACTIVE_PASSENGER');
+    }
+
+    const trip = mockFind('trips', 'tripId', tripId);
+    if (!trip) return mockFail(req, 400, 'Trip not found', 'TRIP_NOT_FOUND');
+    if (trip.availableSeats <= 0) return mockFail(req, 400, 'No available seats for this trip', 'NO_SEATS');
+    if (trip.status !== 'SCHEDULED') return mockFail(req, 400, 'Trip is not available for booking', 'INVALID_TRIP_STATUS');
+
+    const now = mockNow();
+    const ticketId = mockId('TKT');
+    const ticket = {
+        ticketId,
+        passengerId,
+        tripId,
+        routeId: trip.routeId,
+        routeNumber: trip.routeNumber,
+        fare: mockFind('routes', 'routeId', trip.routeId)?.fare ?? 0,
+        status: 'CREATED',
+        qrCode: btoa(`${ticketId}:${passengerId}:${now}`),
+        purchasedAt: now,
+        validatedAt: null,
+        validUntil: mockNow(MOCK_TICKET_VALIDITY_MS),
+        paymentId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    mockBackend.state.tickets.push(ticket);
+    mockNotify(passengerId, 'TICKET_PURCHASED', 'Ticket reserved',
+        `Ticket ${ticketId} for route ${trip.routeNumber} is reserved. Pay before it lapses.`, { ticketId, tripId });
+    return mockOk(req, 'Ticket created successfully. Awaiting payment.', ticket, 201);
+}
+
+function mockGetTickets(req) {
+    return mockOk(req, 'Tickets fetched successfully', mockFilter(mockBackend.state.tickets, req.query, ['passengerId', 'status', 'qrCode']));
+}
+
+function mockGetTicket(req, ticketId) {
+    const ticket = mockFind('tickets', 'ticketId', ticketId);
+    return ticket ? mockOk(req, 'Ticket fetched successfully', ticket) : mockFail(req, 404, 'Ticket not found');
+}
+
+function mockValidateTicket(req, ticketId) {
+    const ticket = mockFind('tickets', 'ticketId', ticketId);
+    if (!ticket) return mockFail(req, 404, 'Ticket not found');
+    if (ticket.status === 'REFUNDED') {
+        return mockFail(req, 400, 'Ticket has been refunded', 'TICKET_REFUNDED');
+    }
+    if (ticket.status !== 'PAID') {
+        return mockFail(req, 400, `Ticket cannot be validated. Status: ${ticket.status}`, 'INVALID_TICKET_STATUS');
+    }
+    if (Date.parse(ticket.validUntil) <= Date.now()) {
+        Object.assign(ticket, { status: 'EXPIRED', updatedAt: mockNow() });
+        return mockFail(req, 400, 'Ticket has expired', 'TICKET_EXPIRED');
+    }
+
+    const now = mockNow();
+    Object.assign(ticket, { status: 'VALIDATED', validatedAt: now, updatedAt: now });
+    mockNotify(ticket.passengerId, 'TICKET_VALIDATED', 'Ticket validated',
+        `Ticket ${ticketId} was validated on route ${ticket.routeNumber}.`, { ticketId });
+    return mockOk(req, 'Ticket validated successfully', ticket);
+}
+
+function mockConfirmPayment(req, ticketId) {
+    const ticket = mockFind('tickets', 'ticketId', ticketId);
+    if (!ticket) return mockFail(req, 404, 'Ticket not found');
+    if (ticket.status !== 'CREATED') {
+        return mockFail(req, 400, `Ticket payment already processed. Status: ${ticket.status}`, 'INVALID_TICKET_STATUS');
+    }
+    if (!req.body?.paymentId) return mockFail(req, 400, 'Invalid payment data');
+
+    Object.assign(ticket, { status: 'PAID', paymentId: String(req.body.paymentId), updatedAt: mockNow() });
+    return mockOk(req, 'Payment confirmed successfully', ticket);
+}
+
+function mockDeleteTicket(req, ticketId) {
+    return mockRemove('tickets', 'ticketId', ticketId)
+        ? mockOk(req, 'Ticket deleted successfully')
+        : mockFail(req, 404, 'Ticket not found');
+}
+
+// Every payment goes through unless a 'decline' failure is queued, so runs are repeatable.
+async function mockCreatePayment(req) {
+    const request = req.body || {};
+    if (!(request.amount > 0)) return mockFail(req, 400, 'Invalid payment amount', 'INVALID_AMOUNT');
+
+    const existing = mockFind('payments', 'ticketId', request.ticketId);
+    if (existing && existing.status !== 'FAILED') {
+        return mockFail(req, 400, 'Payment already exists for this ticket', 'DUPLICATE_PAYMENT');
+    }
+
+    await mockWait(MOCK_PAYMENT_DELAY_MS, req.signal);
+
+    const now = mockNow();
+    const declined = req.failure?.kind === 'decline';
+    const payment = {
+        paymentId: mockId('PAY-', 8),
+        ticketId: request.ticketId,
+        passengerId: request.passengerId,
+        amount: request.amount,
+        currency: request.currency || 'NAD',
+        status: declined ? 'FAILED' : 'SUCCESS',
+        paymentMethod: request.paymentMethod || 'MOBILE_MONEY',
+        transactionReference: declined ? null : mockId('TXN-', 12),
+        failureReason: declined ? req.failure.message || 'Card declined' : null,
+        transactionDate: now,
+        createdAt: now,
+        updatedAt: now
+    };
+    // Only the latest attempt is kept, as findPaymentByTicketId only ever sees one.
+    mockRemove('payments', 'ticketId', request.ticketId);
+    mockBackend.state.payments.push(payment);
+
+    const amount = `${payment.currency} ${Number(payment.amount).toFixed(2)}`;
+    if (declined) {
+        mockNotify(payment.passengerId, 'PAYMENT_FAILED', 'Payment failed',
+            `Payment of ${amount} for ticket ${payment.ticketId} failed: ${payment.failureReason}.`, { ticketId: payment.ticketId });
+    } else {
+        mockNotify(payment.passengerId, 'PAYMENT_SUCCESS', 'Payment successful',
+            `Payment of ${amount} received for ticket ${payment.ticketId}.`, { ticketId: payment.ticketId });
+    }
+
+    const { paymentId, ticketId, status, transactionReference, failureReason, transactionDate } = payment;
+    return mockOk(req, declined ? 'Payment failed' : 'Payment successful',
+        { paymentId, ticketId, status, transactionReference, failureReason, transactionDate }, 201);
+}
+
+function mockGetPayments(req) {
+    return mockOk(req, 'Payments fetched successfully', mockFilter(mockBackend.state.payments, req.query, ['passengerId', 'status']));
+}
+
+function mockGetPayment(req, paymentId) {
+    const payment = mockFind('payments', 'paymentId', paymentId);
+    return payment ? mockOk(req, 'Payment fetched successfully', payment) : mockFail(req, 404, 'Payment not found');
+}
+
+function mockGetTicketPayment(req, ticketId) {
+    const payment = mockFind('payments', 'ticketId', ticketId);
+    return payment
+        ? mockOk(req, 'Payment fetched successfully', payment)
+        : mockFail(req, 404, 'Payment not found for this ticket');
+}
+
+function mockPaymentStats(req) {
+    const payments = mockFilter(mockBackend.state.payments, req.query, ['passengerId']);
+    const count = status => payments.filter(payment => payment.status === status).length;
+    const total = status => payments
+        .filter(payment => payment.status === status)
+        .reduce((sum, payment) => sum + Number(payment.amount), 0);
+    const successful = count('SUCCESS');
+
+    return mockOk(req, 'Payment statistics fetched successfully', {
+        totalPayments: payments.length,
+        successful,
+        failed: count('FAILED'),
+        pending: count('PENDING'),
+        refunded: count('REFUNDED'),
+        totalAmountProcessed: String(total('SUCCESS')),
+        totalAmountRefunded: String(total('REFUNDED')),
+        successRate: payments.length > 0 ? `${successful * 100 / payments.length}%` : '0%'
+    });
+}
+
+// Like the services: only the rider who paid (or an admin) may refund, and the tickets the payment
+// paid for are withdrawn first, unless one has already been used.
+function mockRefundPayment(req, paymentId) {
+    const callerId = mockTokenPassenger(req.authorization);
+    const caller = callerId && mockFind('passengers', 'passengerId', callerId);
+    if (!caller) return mockFail(req, 401, 'Sign in to request a refund', 'UNAUTHORIZED');
+
+    const payment = mockFind('payments', 'paymentId', paymentId);
+    if (!payment) return mockFail(req, 404, 'Payment not found');
+    if (MOCK_STAFF_ROLES[caller.username] !== 'admin' && caller.passengerId !== payment.passengerId) {
+        return mockFail(req, 403, 'Only the passenger who paid can request this refund', 'FORBIDDEN');
+    }
+    if (payment.status !== 'SUCCESS') {
+        return mockFail(req, 400, `Only successful payments can be refunded. Current status: ${payment.status}`, 'INVALID_STATUS');
+    }
+
+    const tickets = mockBackend.state.tickets.filter(ticket =>
+        ticket.paymentId === paymentId || ticket.ticketId === payment.ticketId);
+    const used = tickets.find(ticket => ticket.status === 'VALIDATED');
+    if (used) {
+        return mockFail(req, 400, `Ticket ${used.ticketId} has already been used and cannot be refunded`, 'TICKET_USED');
+    }
+
+    const now = mockNow();
+    tickets.forEach(ticket => Object.assign(ticket, { status: 'REFUNDED', updatedAt: now }));
+    Object.assign(payment, { status: 'REFUNDED', updatedAt: now });
+    return mockOk(req, 'Payment refunded successfully', payment);
+}
+
+// Disruption notices are stored once under "SYSTEM" and shown to every rider.
+function mockGetNotifications(req) {
+    const passengerId = req.query.get('passengerId');
+    return mockOk(req, 'Notifications fetched successfully', mockBackend.state.notifications
+        .filter(notification => notification.passengerId === passengerId || notification.passengerId === 'SYSTEM'));
+}
+
+// [method, service, path pattern, handler]. Captured path segments are passed to the handler
+// after the request. More specific patterns come first where two could match.
+const MOCK_HANDLERS = [
+    ['GET', 'PASSENGER', /^\/health$/, mockHealth],
+    ['POST', 'PASSENGER', /^\/register$/, mockRegister],
+    ['POST', 'PASSENGER', /^\/login$/, mockLogin],
+    ['POST', 'PASSENGER', /^\/refresh$/, mockRefresh],
+    ['GET', 'PASSENGER', /^\/([^/]+)\/tickets$/, mockGetPasses],
+    ['GET', 'PASSENGER', /^\/([^/]+)$/, mockGetPassenger],
+
+    ['GET', 'TRANSPORT', /^\/health$/, mockHealth],
+    ['GET', 'TRANSPORT', /^\/routes$/, mockGetRoutes],
+    ['POST', 'TRANSPORT', /^\/routes$/, mockCreateRoute],
+    ['GET', 'TRANSPORT', /^\/routes\/([^/]+)$/, mockGetRoute],
+    ['PUT', 'TRANSPORT', /^\/routes\/([^/]+)$/, mockUpdateRoute],
+    ['DELETE', 'TRANSPORT', /^\/routes\/([^/]+)$/, mockDeleteRoute],
+    ['GET', 'TRANSPORT', /^\/trips$/, mockGetTrips],
+    ['POST', 'TRANSPORT', /^\/trips$/, mockCreateTrip],
+    ['GET', 'TRANSPORT', /^\/trips\/([^/]+)$/, mockGetTrip],
+    ['PUT', 'TRANSPORT', /^\/trips\/([^/]+)\/status$/, mockUpdateTripStatus],
+    ['DELETE', 'TRANSPORT', /^\/trips\/([^/]+)$/, mockDeleteTrip],
+
+    ['GET', 'TICKETING', /^\/health$/, mockHealth],
+    ['POST', 'TICKETING', /^\/tickets$/, mockPurchaseTicket],
+    ['GET', 'TICKETING', /^\/tickets$/, mockGetTickets],
+    ['GET', 'TICKETING', /^\/tickets\/([^/]+)$/, mockGetTicket],
+    ['PUT', 'TICKETING', /^\/tickets\/([^/]+)\/validate$/, mockValidateTicket],
+    ['POST', 'TICKETING', /^\/tickets\/([^/]+)\/confirm-payment$/, mockConfirmPayment],
+    ['DELETE', 'TICKETING', /^\/tickets\/([^/]+)$/, mockDeleteTicket],
+
+    ['GET', 'PAYMENT', /^\/health$/, mockHealth],
+    ['POST', 'PAYMENT', /^\/payments$/, mockCreatePayment],
+    ['GET', 'PAYMENT', /^\/payments$/, mockGetPayments],
+    ['GET', 'PAYMENT', /^\/payments\/stats$/, mockPaymentStats],
+    ['GET', 'PAYMENT', /^\/payments\/ticket\/([^/]+)$/, mockGetTicketPayment],
+    ['GET', 'PAYMENT', /^\/payments\/([^/]+)$/, mockGetPayment],
+    ['POST', 'PAYMENT', /^\/payments\/([^/]+)\/refund$/, mockRefundPayment],
+
+    ['GET', 'NOTIFICATION', /^\/health$/, mockHealth],
+    ['GET', 'NOTIFICATION', /^$/, mockGetNotifications]
+];
+
+function mockWait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+            return;
+        }
+        const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+function mockResponse(status, body) {
+    return new Response(body === undefined ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Drop-in for fetch as sendOnce calls it: absolute URL, JSON body, headers object and signal.
+async function mockFetch(input, { method = 'GET', headers = {}, body, signal } = {}) {
+    const url = new URL(input);
+    const [service, base] = Object.keys(API_BASE)
+        .map(name => [name, buildUrl(name, '')])
+        .find(([, base]) => url.href.startsWith(base)) || [];
+    if (!service) {
+        throw new TypeError(`The mock backend does not serve ${url.origin}${url.pathname}`);
+    }
+
+    const failure = takeMockFailure(method, url.pathname);
+    await mockWait(MOCK_LATENCY_MS, signal);
+
+    // A timeout hangs until sendOnce gives up and aborts, like a service that never answers.
+    if (failure?.kind === 'timeout') await mockWait(Infinity, signal);
+    if (failure?.kind === 'network') throw new TypeError('Failed to fetch');
+
+    const req = {
+        service,
+        query: url.searchParams,
+        body: body ? JSON.parse(body) : null,
+        authorization: headers.Authorization || null,
+        failure,
+        signal
+    };
+    if (failure?.kind === 'status') {
+        return mockResponse(...mockFail(req, failure.status, failure.message || 'Internal server error', failure.code));
+    }
+
+    const path = url.pathname.slice(new URL(base).pathname.length);
+    const candidates = MOCK_HANDLERS.filter(([, handlerService, pattern]) => handlerService === service && pattern.test(path));
+    const match = candidates.find(([handlerMethod]) => handlerMethod === method);
+    if (!match) {
+        // Ballerina answers 405 for a known path with the wrong method and 404 for anything else.
+        return candidates.length > 0 ? mockResponse(405, undefined) : mockResponse(404, undefined);
+    }
+
+    const [, , pattern, handler] = match;
+    const params = pattern.exec(path).slice(1).map(decodeURIComponent);
+    const [status, payload] = await handler(req, ...params);
+    if (method !== 'GET') {
+        saveMockState();
+    }
+    if (failure?.kind === 'lost') await mockWait(Infinity, signal);
+    return mockResponse(status, payload);
+}
@@ -0,0 +1,263 @@
+// Notification inbox. The notification service stores a NotificationRecord for every ticket,
+// payment and schedule event; disruption notices are stored once under passengerId "SYSTEM"
+// and shown to everyone. The service has no read flag, so read state is kept per rider here.
+const NOTIFICATION_POLL_INTERVAL_MS = 60000;
+const NOTIFICATION_READ_LIMIT = 200;
+
+// Each is labelled by its notifications.type.<type> message.
+const NOTIFICATION_TYPES = [
+    'TICKET_PURCHASED',
+    'TICKET_VALIDATED',
+    'SCHEDULE_UPDATE',
+    'TRIP_DELAYED',
+    'TRIP_CANCELLED',
+    'PAYMENT_SUCCESS',
+    'PAYMENT_FAILED'
+];
+
+// Schedule notices carry a DisruptionSeverity; everything else is ranked by its type.
+const NOTIFICATION_TYPE_SEVERITY = {
+    TRIP_CANCELLED: 'HIGH',
+    PAYMENT_FAILED: 'HIGH',
+    TRIP_DELAYED: 'MEDIUM',
+    SCHEDULE_UPDATE: 'MEDIUM'
+};
+
+const inbox = {
+    notifications: [],
+    readIds: new Set(),
+    pollTimer: null,
+    loaded: false
+};
+
+function initNotifications() {
+    document.getElementById('notification-bell').addEventListener('click', () => switchTab('notifications'));
+    document.getElementById('notification-type-filter').addEventListener('change', renderNotifications);
+    document.getElementById('notification-unread-only').addEventListener('change', renderNotifications);
+    document.getElementById('notification-mark-all-btn').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('refresh-notifications-btn').addEventListener('click', loadNotifications);
+
+    renderNotificationTypeFilter();
+
+    registerActions({
+        'open-notification': ({ notificationId }) => openNotification(notificationId),
+        'toggle-notification-read': ({ notificationId }) => toggleNotificationRead(notificationId)
+    });
+}
+
+function notificationTypeLabel(type) {
+    return hasMessage(`notifications.type.${type}`) ? t(`notifications.type.${type}`) : type;
+}
+
+// Also called on a change of language; the chosen type stays selected.
+function renderNotificationTypeFilter() {
+    const filter = document.getElementById('notification-type-filter');
+    const selected = filter.value;
+    render(filter, html`
+        <option value="">${t('notifications.allTypes')}</option>
+        ${NOTIFICATION_TYPES.map(type => html`<option value="${type}">${notificationTypeLabel(type)}</option>`)}
+    `);
+    filter.value = selected;
+}
+
+function startNotificationPolling() {
+    stopNotificationPolling();
+    inbox.readIds = new Set(loadReadIds());
+    inbox.notifications = [];
+    inbox.loaded = false;
+    updateNotificationBadge();
+    loadNotifications();
+    inbox.pollTimer = setInterval(loadNotifications, NOTIFICATION_POLL_INTERVAL_MS);
+}
+
+function stopNotificationPolling() {
+    clearInterval(inbox.pollTimer);
+    inbox.pollTimer = null;
+    inbox.notifications = [];
+    inbox.readIds.clear();
+    updateNotificationBadge();
+}
+
+function readIdsKey() {
+    return `notificationsRead:${currentUser.passengerId}`;
+}
+
+function loadReadIds() {
+    try {
+        return JSON.parse(localStorage.getItem(readIdsKey())) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveReadIds() {
+    // Only ids still in the inbox are worth keeping; the service returns the latest 50 anyway.
+    const current = new Set(inbox.notifications.map(n => n.notificationId));
+    const ids = [...inbox.readIds].filter(id => current.has(id)).slice(-NOTIFICATION_READ_LIMIT);
+    localStorage.setItem(readIdsKey(), JSON.stringify(ids));
+}
+
+async function loadNotifications() {
+    if (!currentUser) return;
+    if (!inbox.loaded) {
+        render('notifications-list', loadingMessage(t('notifications.loading')));
+    }
+
+    try {
+        const notifications = await api.notification.getNotifications(currentUser.passengerId);
+        const known = new Set(inbox.notifications.map(n => n.notificationId));
+        const fresh = (notifications || []).filter(n => !known.has(n.notificationId) && !inbox.readIds.has(n.notificationId));
+
+        inbox.notifications = (notifications || [])
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (inbox.loaded && fresh.length > 0) {
+            showNotification(
+                fresh.length === 1 ? fresh[0].subject : t('toast.newNotifications', { count: fresh.length }),
+                'info'
+            );
+        }
+        inbox.loaded = true;
+
+        updateNotificationBadge();
+        renderNotifications();
+    } catch (error) {
+        if (!inbox.loaded) {
+            render('notifications-list', loadingMessage(listErrorText(error, t('errors.loadNotifications'))));
+        }
+        console.error('Error loading notifications:', error);
+    }
+}
+
+function notificationSeverity(notification) {
+    return notification.metadata?.severity || NOTIFICATION_TYPE_SEVERITY[notification.notificationType] || 'LOW';
+}
+
+function isNotificationRead(notification) {
+    return inbox.readIds.has(notification.notificationId);
+}
+
+function updateNotificationBadge() {
+    const unread = inbox.notifications.filter(n => !isNotificationRead(n)).length;
+    const badge = document.getElementById('notification-count');
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
+    const bell = document.getElementById('notification-bell');
+    bell.title = unread === 0 ? t('notifications.noneUnread') : t('notifications.unreadCount', { count: unread });
+    bell.setAttribute('aria-label', bell.title);
+}
+
+// Where an item leads: the rider's ticket first, then the trip, then the first affected route.
+function notificationTarget(notification) {
+    const metadata = notification.metadata || {};
+    if (metadata.ticketId) return { label: t('notifications.viewTicket'), ticketId: metadata.ticketId };
+    if (metadata.tripId) return { label: t('notifications.viewTrip'), tripId: metadata.tripId, routeId: metadata.routeId };
+    const routeId = metadata.routeId || (metadata.affectedRoutes || [])[0];
+    if (routeId) return { label: t('notifications.viewRoute'), routeId };
+    return null;
+}
+
+function renderNotifications() {
+    const type = document.getElementById('notification-type-filter').value;
+    const unreadOnly = document.getElementById('notification-unread-only').checked;
+
+    const visible = inbox.notifications.filter(n =>
+        (!type || n.notificationType === type) && (!unreadOnly || !isNotificationRead(n))
+    );
+
+    if (visible.length === 0) {
+        render('notifications-list', loadingMessage(
+            inbox.notifications.length === 0 ? t('notifications.empty') : t('notifications.noMatches')
+        ));
+        return;
+    }
+
+    render('notifications-list', visible.map(notification => {
+        const severity = notificationSeverity(notification);
+        const read = isNotificationRead(notification);
+        const target = notificationTarget(notification);
+        const typeLabel = notificationTypeLabel(notification.notificationType);
+        return html`
+            <div class="notification-item severity-${severity.toLowerCase()} ${read ? 'read' : 'unread'}">
+                <div class="card-header">
+                    <div class="card-title">${notification.subject}</div>
+                    <span class="status-badge severity-badge severity-${severity.toLowerCase()}">${t(`notifications.severity.${severity}`)}</span>
+                </div>
+                <div class="notification-meta">
+                    ${typeLabel} &middot; ${formatDateTime(notification.createdAt)}
+                    ${!read && html`&middot; <strong>${t('notifications.new')}</strong>`}
+                </div>
+                <details class="notification-body">
+                    <summary>${t('notifications.details')}</summary>
+                    <pre>${notification.message.trim()}</pre>
+                </details>
+                <div class="card-actions">
+                    ${target && actionButton({
+                        label: target.label,
+                        action: 'open-notification',
+                        data: { notificationId: notification.notificationId }
+                    })}
+                    ${actionButton({
+                        label: read ? t('notifications.markUnread') : t('notifications.markRead'),
+                        action: 'toggle-notification-read',
+                        data: { notificationId: notification.notificationId },
+                        variant: 'btn-secondary'
+                    })}
+                </div>
+            </div>
+        `;
+    }));
+}
+
+function setNotificationRead(notificationId, read) {
+    if (read) {
+        inbox.readIds.add(notificationId);
+    } else {
+        inbox.readIds.delete(notificationId);
+    }
+    saveReadIds();
+    updateNotificationBadge();
+    renderNotifications();
+}
+
+function toggleNotificationRead(notificationId) {
+    setNotificationRead(notificationId, !inbox.readIds.has(notificationId));
+}
+
+function markAllNotificationsRead() {
+    inbox.notifications.forEach(n => inbox.readIds.add(n.notificationId));
+    saveReadIds();
+    updateNotificationBadge();
+    renderNotifications();
+}
+
+async function openNotification(notificationId) {
+    const notification = inbox.notifications.find(n => n.notificationId === notificationId);
+    const target = notification && notificationTarget(notification);
+    if (!target) return;
+
+    setNotificationRead(notificationId, true);
+
+    if (target.ticketId) {
+        await navigate(`/tickets/${encodeURIComponent(target.ticketId)}`);
+        return;
+    }
+
+    let routeId = target.routeId;
+    if (target.tripId && !routeId) {
+        try {
+            routeId = (await api.transport.getTrip(target.tripId)).routeId;
+        } catch (error) {
+            showNotification(errorMessage(error, t('errors.loadTrip')), 'error');
+            console.error('Error loading trip for notification:', error);
+            return;
+        }
+    }
+
+    await navigate(`/routes/${encodeURIComponent(routeId)}/trips`);
+    if (target.tripId) {
+        highlightCard(`.trip-card[data-trip-id="${CSS.escape(target.tripId)}"]`, t('toast.tripNotListed'));
+    } else {
+        highlightCard(`.route-card[data-route-id="${CSS.escape(routeId)}"]`, t('toast.routeNotListed'));
+    }
+}
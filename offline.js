@@ -0,0 +1,209 @@
+const OUTBOX_DB_NAME = 'transport-ticketing';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+
+let outboxDbPromise = null;
+let outboxFlushing = false;
+
+function openOutboxDb() {
+    if (!outboxDbPromise) {
+        outboxDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return outboxDbPromise;
+}
+
+async function outboxTransaction(mode, operation) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function getOutboxActions() {
+    return outboxTransaction('readonly', store => store.getAll());
+}
+
+async function queuePurchase(passengerId, tripId) {
+    await outboxTransaction('readwrite', store => store.add({
+        type: 'PURCHASE_TICKET',
+        passengerId,
+        tripId,
+        queuedAt: new Date().toISOString()
+    }));
+    updateSyncStatus();
+}
+
+// Takes an action out of the outbox before it is sent, so that of several open tabs only one
+// replays it: readwrite transactions on a store run one at a time, and the others find it gone.
+async function claimOutboxAction(id) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+        const store = tx.objectStore(OUTBOX_STORE);
+        let action = null;
+        store.get(id).onsuccess = event => {
+            action = event.target.result || null;
+            if (action) store.delete(id);
+        };
+        tx.oncomplete = () => resolve(action);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Puts back an action that never reached the service, under its old id so it keeps its place.
+function requeueOutboxAction(action) {
+    return outboxTransaction('readwrite', store => store.put(action));
+}
+
+// A timed-out purchase may still have gone through, so it is never replayed; a ticket for the
+// trip bought since it was queued means it did.
+async function queuedPurchaseLanded(action) {
+    try {
+        const tickets = await api.ticketing.getTickets({ passengerId: action.passengerId });
+        return (tickets || []).some(ticket => ticket.tripId === action.tripId &&
+            new Date(ticket.purchasedAt) >= new Date(action.queuedAt));
+    } catch (error) {
+        console.error('Error checking a timed-out purchase:', error);
+        return false;
+    }
+}
+
+// Replays queued actions in the order they were made. A network failure stops the run and
+// leaves the rest queued; a rejection from the service is final, so that action is dropped.
+// A timeout is neither: the action is dropped and checked against the rider's tickets.
+async function flushOutbox() {
+    if (outboxFlushing || !currentUser || !navigator.onLine) return;
+    outboxFlushing = true;
+    updateSyncStatus();
+
+    let completed = 0;
+    try {
+        const actions = await getOutboxActions();
+        for (const action of actions) {
+            if (action.passengerId !== currentUser?.passengerId) continue;
+            if (!await claimOutboxAction(action.id)) continue;
+
+            try {
+                await api.ticketing.purchase(action.passengerId, action.tripId);
+                completed++;
+            } catch (error) {
+                if (error instanceof ApiError && error.code === 'TIMEOUT') {
+                    if (await queuedPurchaseLanded(action)) {
+                        completed++;
+                    } else {
+                        showNotification(t('toast.queuedPurchaseUnknown', { tripId: action.tripId }), 'info');
+                        console.error('Queued purchase timed out:', error);
+                    }
+                    continue;
+                }
+                if (error instanceof ApiError && error.isNetworkError) {
+                    await requeueOutboxAction(action);
+                    break;
+                }
+                showNotification(t('toast.queuedPurchaseFailed', {
+                    tripId: action.tripId,
+                    reason: errorMessage(error, t('errors.purchaseFailed'))
+                }), 'error');
+                console.error('Error replaying queued purchase:', error);
+            }
+        }
+    } catch (error) {
+        console.error('Error reading outbox:', error);
+    } finally {
+        outboxFlushing = false;
+        updateSyncStatus();
+    }
+
+    if (completed > 0) {
+        showNotification(t('toast.queuedPurchasesDone', { count: completed }), 'success');
+        loadTickets();
+        loadDashboardData();
+    }
+}
+
+async function updateSyncStatus() {
+    const indicator = document.getElementById('sync-status');
+    if (!indicator) return;
+
+    let pending = 0;
+    try {
+        const actions = await getOutboxActions();
+        pending = actions.filter(action => action.passengerId === currentUser?.passengerId).length;
+    } catch (error) {
+        console.error('Error reading outbox:', error);
+    }
+
+    let state;
+    let text;
+    if (outboxFlushing) {
+        state = 'syncing';
+        text = t('offline.syncing');
+    } else if (pending > 0) {
+        state = 'pending';
+        text = t('offline.pending', { count: pending });
+    } else if (!navigator.onLine) {
+        state = 'offline';
+        text = t('offline.offline');
+    } else {
+        state = 'synced';
+        text = t('offline.synced');
+    }
+
+    indicator.className = `sync-status sync-${state}`;
+    indicator.textContent = text;
+}
+
+function updateConnectivity() {
+    document.getElementById('offline-banner').classList.toggle('hidden', navigator.onLine);
+    updateSyncStatus();
+    if (navigator.onLine) {
+        flushOutbox();
+    }
+}
+
+function clearOfflineData() {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+}
+
+// The worker answers from cache first and refreshes in the background; when the refresh
+// brings something new it tells us, and whichever list is on screen re-renders.
+function handleWorkerMessage(event) {
+    if (event.data?.type !== 'API_UPDATED' || !currentUser) return;
+
+    const isVisible = id => !document.getElementById(id).classList.contains('hidden');
+    const url = new URL(event.data.url);
+    const path = url.pathname;
+
+    if (isVisible('dashboard-section')) {
+        loadDashboardData();
+    } else if (path.endsWith('/ticketing/tickets') && isVisible('tickets-section')) {
+        loadTickets();
+    } else if (path.endsWith('/transport/trips') && isVisible('routes-section') && isVisible('trips-container')) {
+        loadRouteTrips(url.searchParams.get('routeId'));
+    } else if (path.endsWith('/transport/routes') && isVisible('routes-section')) {
+        loadRoutes();
+    }
+}
+
+function initOffline() {
+    window.addEventListener('online', updateConnectivity);
+    window.addEventListener('offline', updateConnectivity);
+    updateConnectivity();
+
+    if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+}
@@ -0,0 +1,109 @@
+// Dependency-free PDF writer for receipts and statements: A4 pages of Helvetica text and
+// rules, nothing more. Coordinates are points from the top-left corner. Text is written in
+// WinAnsiEncoding, so characters outside Latin-1 come out as '?'.
+const PdfDocument = (() => {
+    const PAGE_WIDTH = 595;
+    const PAGE_HEIGHT = 842;
+
+    const FONTS = { regular: 'F1', bold: 'F2' };
+
+    // Helvetica advance widths (per 1000 em) for the characters amounts are made of; right
+    // alignment is only used for amounts, so everything else gets a typical width.
+    const CHAR_WIDTHS = { '.': 278, ',': 278, ' ': 278, '\u00a0': 278, '-': 333, '(': 333, ')': 333, N: 722 };
+    const DEFAULT_CHAR_WIDTH = 556;
+
+    function textWidth(value, size) {
+        return [...String(value)].reduce((width, ch) => width + (CHAR_WIDTHS[ch] || DEFAULT_CHAR_WIDTH), 0) * size / 1000;
+    }
+
+    function escapeText(value) {
+        return String(value)
+            .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+            .replace(/[\\()]/g, ch => `\\${ch}`);
+    }
+
+    function formatNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    function create() {
+        const pages = [[]];
+        const current = () => pages[pages.length - 1];
+
+        const doc = {
+            width: PAGE_WIDTH,
+            height: PAGE_HEIGHT,
+
+            text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+                if (align === 'right') {
+                    x -= textWidth(value, size);
+                }
+                current().push(
+                    `BT /${bold ? FONTS.bold : FONTS.regular} ${formatNumber(size)} Tf ` +
+                    `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`
+                );
+                return doc;
+            },
+
+            line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+                current().push(
+                    `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+                    `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+                );
+                return doc;
+            },
+
+            addPage() {
+                pages.push([]);
+                return doc;
+            },
+
+            get pageCount() {
+                return pages.length;
+            },
+
+            toBlob() {
+                return new Blob([toBytes(pages)], { type: 'application/pdf' });
+            }
+        };
+        return doc;
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page.
+    function toBytes(pages) {
+        const objects = [];
+        const pageIds = pages.map((_, i) => 5 + i * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+        pages.forEach((operations, i) => {
+            const pageId = pageIds[i];
+            const stream = operations.join('\n');
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+
+        // Every character is a single byte, so string lengths are byte offsets.
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = output.length;
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Uint8Array.from(output, ch => ch.charCodeAt(0) & 0xff);
+    }
+
+    return { create, PAGE_WIDTH, PAGE_HEIGHT };
+})();
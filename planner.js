@@ -0,0 +1,232 @@
+const DEFAULT_MIN_CONNECTION_MINUTES = 10;
+// A transfer that means waiting longer than this at the interchange is not worth suggesting.
+const DEFAULT_MAX_CONNECTION_MINUTES = 120;
+const MAX_ITINERARIES = 10;
+
+let plannerResults = [];
+
+function normalizeLocation(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function locationMatches(location, query) {
+    return normalizeLocation(location).includes(normalizeLocation(query));
+}
+
+// Trips carry their scheduled times; a DELAYED trip leaves and arrives delayMinutes later.
+function effectiveTime(isoTime, trip) {
+    return new Date(isoTime).getTime() + (trip.delayMinutes || 0) * 60000;
+}
+
+function initPlanner() {
+    document.getElementById('planner-form').addEventListener('submit', searchJourneys);
+    document.getElementById('planner-clear-btn').addEventListener('click', () => {
+        document.getElementById('planner-form').reset();
+        render('planner-results', '');
+        plannerResults = [];
+    });
+
+    registerActions({
+        'book-itinerary': ({ index }) => bookItinerary(Number(index))
+    });
+}
+
+async function loadPlannerLocations() {
+    try {
+        const routes = await api.transport.getRoutes({ status: 'ACTIVE' });
+        const locations = new Set();
+        (routes || []).forEach(route => {
+            locations.add(route.startLocation);
+            locations.add(route.endLocation);
+        });
+        render('planner-locations', [...locations].sort()
+            .map(location => html`<option value="${location}"></option>`));
+    } catch (error) {
+        console.error('Error loading planner locations:', error);
+    }
+}
+
+async function searchJourneys(e) {
+    e.preventDefault();
+
+    const origin = document.getElementById('planner-origin').value.trim();
+    const destination = document.getElementById('planner-destination').value.trim();
+    const departAfter = document.getElementById('planner-depart-after').value;
+    const departBefore = document.getElementById('planner-depart-before').value;
+    const minConnection = parseInt(document.getElementById('planner-min-connection').value, 10);
+    const maxConnection = parseInt(document.getElementById('planner-max-connection').value, 10);
+    if (!origin || !destination) {
+        showNotification(t('toast.plannerNeedsEnds'), 'error');
+        return;
+    }
+
+    render('planner-results', loadingMessage(t('planner.searching')));
+
+    try {
+        const [routes, trips] = await Promise.all([
+            api.transport.getRoutes({ status: 'ACTIVE' }),
+            api.transport.getTrips({ status: 'SCHEDULED' })
+        ]);
+
+        const minConnectionMs = (Number.isNaN(minConnection) ? DEFAULT_MIN_CONNECTION_MINUTES : minConnection) * 60000;
+        const maxConnectionMs = (Number.isNaN(maxConnection) ? DEFAULT_MAX_CONNECTION_MINUTES : maxConnection) * 60000;
+        plannerResults = planJourneys(routes || [], trips || [], {
+            origin,
+            destination,
+            departAfter: departAfter ? new Date(departAfter).getTime() : Date.now(),
+            departBefore: departBefore ? new Date(departBefore).getTime() : Infinity,
+            minConnectionMs,
+            maxConnectionMs: Math.max(minConnectionMs, maxConnectionMs)
+        });
+
+        renderJourneys();
+    } catch (error) {
+        render('planner-results', loadingMessage(listErrorText(error, t('errors.searchTrips'))));
+        console.error('Error searching trips:', error);
+    }
+}
+
+function planJourneys(routes, trips, { origin, destination, departAfter, departBefore, minConnectionMs, maxConnectionMs }) {
+    const routesById = new Map(routes.map(route => [route.routeId, route]));
+    const tripsByRoute = new Map();
+    trips.forEach(trip => {
+        if (!routesById.has(trip.routeId) || trip.availableSeats <= 0) return;
+        if (!tripsByRoute.has(trip.routeId)) tripsByRoute.set(trip.routeId, []);
+        tripsByRoute.get(trip.routeId).push(trip);
+    });
+    tripsByRoute.forEach(list => list.sort((a, b) => effectiveTime(a.departureTime, a) - effectiveTime(b.departureTime, b)));
+
+    const inWindow = trip => {
+        const departs = effectiveTime(trip.departureTime, trip);
+        return departs >= departAfter && departs <= departBefore;
+    };
+    const leg = trip => ({ trip, route: routesById.get(trip.routeId) });
+
+    const direct = [];
+    const transfers = [];
+
+    routes.forEach(first => {
+        if (!locationMatches(first.startLocation, origin)) return;
+        const firstTrips = (tripsByRoute.get(first.routeId) || []).filter(inWindow);
+
+        if (locationMatches(first.endLocation, destination)) {
+            firstTrips.forEach(trip => direct.push(buildItinerary([leg(trip)])));
+        }
+
+        routes.forEach(second => {
+            if (second.routeId === first.routeId ||
+                normalizeLocation(second.startLocation) !== normalizeLocation(first.endLocation) ||
+                !locationMatches(second.endLocation, destination)) {
+                return;
+            }
+            const secondTrips = tripsByRoute.get(second.routeId) || [];
+
+            firstTrips.forEach(trip => {
+                const arrives = effectiveTime(trip.arrivalTime, trip);
+                const connection = secondTrips.find(next => effectiveTime(next.departureTime, next) >= arrives + minConnectionMs);
+                if (connection && effectiveTime(connection.departureTime, connection) <= arrives + maxConnectionMs) {
+                    transfers.push(buildItinerary([leg(trip), leg(connection)]));
+                }
+            });
+        });
+    });
+
+    const byDeparture = (a, b) => a.departsAt - b.departsAt;
+    return [
+        ...direct.sort(byDeparture).slice(0, MAX_ITINERARIES),
+        ...transfers.sort((a, b) => a.arrivesAt - b.arrivesAt || byDeparture(a, b)).slice(0, MAX_ITINERARIES)
+    ];
+}
+
+function buildItinerary(legs) {
+    const first = legs[0].trip;
+    const last = legs[legs.length - 1].trip;
+    const departsAt = effectiveTime(first.departureTime, first);
+    const arrivesAt = effectiveTime(last.arrivalTime, last);
+
+    return {
+        legs,
+        departsAt,
+        arrivesAt,
+        durationMinutes: Math.round((arrivesAt - departsAt) / 60000),
+        totalFare: legs.reduce((sum, { route }) => sum + parseFloat(route.fare), 0),
+        seats: Math.min(...legs.map(({ trip }) => trip.availableSeats))
+    };
+}
+
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0
+        ? t('planner.durationHours', { hours, minutes: minutes % 60 })
+        : t('planner.durationMinutes', { minutes });
+}
+
+function renderJourneys() {
+    if (plannerResults.length === 0) {
+        render('planner-results', loadingMessage(t('planner.empty')));
+        return;
+    }
+
+    render('planner-results', plannerResults.map((itinerary, index) => card({
+        className: 'trip-card itinerary-card',
+        data: { tripId: itinerary.legs[0].trip.tripId },
+        title: `${formatDateTime(new Date(itinerary.departsAt).toISOString())} \u2192 ${formatDateTime(new Date(itinerary.arrivesAt).toISOString())}`,
+        status: itinerary.legs.length === 1 ? 'SCHEDULED' : 'PENDING',
+        statusLabel: itinerary.legs.length === 1 ? t('planner.direct') : t('planner.transfers', { count: itinerary.legs.length - 1 }),
+        content: [
+            itinerary.legs.map(({ trip, route }, legIndex) => html`
+                <div class="itinerary-leg">
+                    ${infoRow(t('planner.leg', { leg: legIndex + 1 }), `${route.routeNumber} ${route.startLocation} \u2192 ${route.endLocation}`)}
+                    ${infoRow(t('planner.departsArrives'), `${formatDateTime(trip.departureTime)} / ${formatDateTime(trip.arrivalTime)}` +
+                        (trip.delayMinutes > 0 ? ` ${t('planner.delay', { minutes: trip.delayMinutes })}` : ''))}
+                    ${infoRow(t('trips.seats'), `${trip.availableSeats}/${trip.totalSeats}`)}
+                </div>
+            `),
+            infoRow(t('routes.duration'), formatDuration(itinerary.durationMinutes)),
+            infoRow(t('planner.totalFare'), formatMoney(itinerary.totalFare))
+        ],
+        actions: [{
+            label: itinerary.legs.length === 1 ? t('planner.bookTrip') : t('planner.bookAllLegs'),
+            action: 'book-itinerary',
+            data: { index },
+            variant: 'btn-purchase'
+        }]
+    })));
+    applyLiveStatus();
+}
+
+// Buys one ticket per leg. If a later leg fails the earlier tickets are cancelled, so the
+// rider is never left holding half a journey.
+async function bookItinerary(index) {
+    const itinerary = plannerResults[index];
+    if (!itinerary || !currentUser) return;
+
+    if (!navigator.onLine) {
+        showNotification(t('toast.connectionNeeded'), 'error');
+        return;
+    }
+
+    const created = [];
+    try {
+        for (const { trip } of itinerary.legs) {
+            created.push(await api.ticketing.purchase(currentUser.passengerId, trip.tripId));
+        }
+    } catch (error) {
+        const failedLeg = created.length + 1;
+        await Promise.all(created.map(ticket =>
+            api.ticketing.cancel(ticket.ticketId, `Leg ${failedLeg} of the journey could not be booked`)
+                .catch(cancelError => console.error('Error rolling back ticket:', cancelError))
+        ));
+        showNotification(t('toast.legFailed', { leg: failedLeg, reason: errorMessage(error, t('errors.purchaseFailed')) }), 'error');
+        console.error('Error booking itinerary:', error);
+        return;
+    }
+
+    showNotification(
+        created.length === 1
+            ? t('toast.ticketPurchased')
+            : t('toast.ticketsPurchasedPerLeg', { count: created.length }),
+        'success'
+    );
+    switchTab('tickets');
+}
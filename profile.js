@@ -0,0 +1,205 @@
+// Profile tab: the passenger service's own view of the account and its tickets, plus forms for
+// contact details and the password. The passenger service has no update endpoints yet, so the
+// forms try PUT and, when the service does not know the route, say so and stay read-only.
+const PROFILE_UNSUPPORTED_STATUSES = [404, 405, 501];
+const PROFILE_FIELDS = {
+    firstName: 'profile-firstname',
+    lastName: 'profile-lastname',
+    email: 'profile-email',
+    phoneNumber: 'profile-phone'
+};
+
+const profile = {
+    passenger: null,
+    // Flips to false the first time the service turns an update down as unsupported.
+    updatesSupported: true
+};
+
+function initProfile() {
+    document.getElementById('refresh-profile-btn').addEventListener('click', loadProfile);
+    document.getElementById('profile-contact-form').addEventListener('submit', submitContactDetails);
+    document.getElementById('profile-password-form').addEventListener('submit', submitPasswordChange);
+}
+
+async function loadProfile() {
+    if (!currentUser) return;
+
+    render('profile-details', loadingMessage(t('profile.loading')));
+    render('profile-tickets', loadingMessage(t('tickets.loading')));
+    hideProfileErrors();
+
+    const [passenger, tickets] = await Promise.allSettled([
+        api.passenger.getProfile(currentUser.passengerId),
+        api.passenger.getTickets(currentUser.passengerId)
+    ]);
+
+    if (passenger.status === 'fulfilled') {
+        profile.passenger = passenger.value;
+        renderProfileDetails();
+        fillContactForm();
+    } else {
+        render('profile-details', loadingMessage(listErrorText(passenger.reason, t('errors.loadProfile'))));
+        console.error('Error loading profile:', passenger.reason);
+    }
+
+    if (tickets.status === 'fulfilled') {
+        renderProfileTickets(tickets.value || []);
+    } else {
+        render('profile-tickets', loadingMessage(listErrorText(tickets.reason, t('errors.loadTickets'))));
+        console.error('Error loading passenger tickets:', tickets.reason);
+    }
+
+    renderProfileSupport();
+}
+
+function renderProfileDetails() {
+    const passenger = profile.passenger;
+    render('profile-details', card({
+        className: 'profile-card',
+        title: `${passenger.firstName} ${passenger.lastName}`,
+        status: passenger.status,
+        rows: [
+            [t('auth.username'), passenger.username],
+            [t('auth.email'), passenger.email],
+            [t('auth.phone'), passenger.phoneNumber],
+            // PassengerResponse has no balance today; show it if the service starts sending one.
+            passenger.balance !== undefined && [t('profile.balance'), formatMoney(passenger.balance)],
+            [t('profile.memberSince'), formatDateTime(passenger.createdAt)]
+        ]
+    }));
+}
+
+// These are the passenger service's ticket records (passes with ride counts), not the
+// ticketing service's trip tickets shown under My Tickets.
+function renderProfileTickets(tickets) {
+    if (tickets.length === 0) {
+        render('profile-tickets', loadingMessage(t('tickets.empty')));
+        return;
+    }
+
+    render('profile-tickets', tickets.map(ticket => card({
+        className: 'ticket-card',
+        title: t('tickets.title', { ticketId: ticket.ticketId }),
+        status: ticket.status,
+        rows: [
+            [t('profile.ticketType'), ticket.ticketType],
+            ticket.routeId && [t('trips.route'), ticket.routeId],
+            [t('routes.fare'), ticket.currency && ticket.currency !== localeSettings.currency
+                ? `${ticket.currency} ${formatNumber(ticket.price, { minimumFractionDigits: 2 })}`
+                : formatMoney(ticket.price)],
+            [t('profile.rides'), `${ticket.ridesUsed}/${ticket.ridesTotal}`],
+            [t('profile.validFrom'), formatDateTime(ticket.validFrom)],
+            [t('tickets.validUntil'), formatDateTime(ticket.validUntil)]
+        ]
+    })));
+}
+
+function fillContactForm() {
+    const passenger = profile.passenger;
+    document.getElementById('profile-firstname').value = passenger.firstName;
+    document.getElementById('profile-lastname').value = passenger.lastName;
+    document.getElementById('profile-email').value = passenger.email;
+    document.getElementById('profile-phone').value = passenger.phoneNumber;
+}
+
+function renderProfileSupport() {
+    document.getElementById('profile-unsupported').classList.toggle('hidden', profile.updatesSupported);
+    document.querySelectorAll('#profile-contact-form button, #profile-password-form button').forEach(button => {
+        button.disabled = !profile.updatesSupported || !profile.passenger;
+    });
+}
+
+function hideProfileErrors() {
+    ['profile-contact-error', 'profile-password-error'].forEach(clearFormError);
+}
+
+function isUnsupportedUpdate(error) {
+    return error instanceof ApiError && PROFILE_UNSUPPORTED_STATUSES.includes(error.status);
+}
+
+async function submitContactDetails(e) {
+    e.preventDefault();
+    hideProfileErrors();
+
+    const { values, error, field } = validatePassengerDetails({
+        firstName: document.getElementById('profile-firstname').value,
+        lastName: document.getElementById('profile-lastname').value,
+        email: document.getElementById('profile-email').value,
+        phoneNumber: document.getElementById('profile-phone').value
+    });
+    if (error) {
+        showFormError('profile-contact-error', error, PROFILE_FIELDS[field]);
+        return;
+    }
+
+    const changed = Object.entries(values).some(([field, value]) => value !== profile.passenger[field]);
+    if (!changed) {
+        showNotification(t('toast.noChanges'), 'info');
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const updated = await api.passenger.updateProfile(currentUser.passengerId, values);
+        profile.passenger = { ...profile.passenger, ...values, ...(updated || {}) };
+
+        // The header and the saved session are built from login data, so keep them in step.
+        Object.assign(currentUser, {
+            firstName: profile.passenger.firstName,
+            lastName: profile.passenger.lastName,
+            email: profile.passenger.email
+        });
+        saveSession();
+        renderUserName();
+        renderProfileDetails();
+        showNotification(t('toast.profileSaved'), 'success');
+    } catch (error) {
+        if (isUnsupportedUpdate(error)) {
+            profile.updatesSupported = false;
+            fillContactForm();
+        } else {
+            showFormError('profile-contact-error', errorMessage(error, t('errors.saveProfile')));
+        }
+        console.error('Error saving profile:', error);
+    } finally {
+        renderProfileSupport();
+    }
+}
+
+async function submitPasswordChange(e) {
+    e.preventDefault();
+    hideProfileErrors();
+
+    const currentPassword = document.getElementById('profile-current-password').value;
+    const newPassword = document.getElementById('profile-new-password').value;
+    const confirmPassword = document.getElementById('profile-confirm-password').value;
+
+    const problem = (!currentPassword && ['profile-current-password', t('errors.currentPasswordRequired')]) ||
+        (passwordProblem(newPassword) && ['profile-new-password', passwordProblem(newPassword)]) ||
+        (newPassword !== confirmPassword && ['profile-confirm-password', t('errors.passwordMismatch')]) ||
+        (newPassword === currentPassword && ['profile-new-password', t('errors.passwordUnchanged')]);
+    if (problem) {
+        const [fieldId, message] = problem;
+        showFormError('profile-password-error', message, fieldId);
+        return;
+    }
+
+    const submitButton = e.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        await api.passenger.changePassword(currentUser.passengerId, { currentPassword, newPassword });
+        e.target.reset();
+        showNotification(t('toast.passwordChanged'), 'success');
+    } catch (error) {
+        if (isUnsupportedUpdate(error)) {
+            profile.updatesSupported = false;
+            e.target.reset();
+        } else {
+            showFormError('profile-password-error', errorMessage(error, t('errors.changePassword')));
+        }
+        console.error('Error changing password:', error);
+    } finally {
+        renderProfileSupport();
+    }
+}
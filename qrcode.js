@@ -0,0 +1,957 @@
+// Dependency-free QR Code encoder (ISO/IEC 18004), byte mode only, versions 1-10.
+// Ticket payloads are 44-character base64 hashes, which fit comfortably in version 4 at level M.
+// The decoder reads the same versions back from camera frames and photos, for browsers
+// without BarcodeDetector.
+const QRCode = (() => {
+    const MAX_VERSION = 10;
+
+    // Format-information bits per level, as the spec defines them (not alphabetical).
+    const EC_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+    // Per version and level: [EC codewords per block, group 1 blocks, data codewords per
+    // group 1 block, group 2 blocks, data codewords per group 2 block].
+    const EC_BLOCKS = [
+        null,
+        { L: [7, 1, 19, 0, 0], M: [10, 1, 16, 0, 0], Q: [13, 1, 13, 0, 0], H: [17, 1, 9, 0, 0] },
+        { L: [10, 1, 34, 0, 0], M: [16, 1, 28, 0, 0], Q: [22, 1, 22, 0, 0], H: [28, 1, 16, 0, 0] },
+        { L: [15, 1, 55, 0, 0], M: [26, 1, 44, 0, 0], Q: [18, 2, 17, 0, 0], H: [22, 2, 13, 0, 0] },
+        { L: [20, 1, 80, 0, 0], M: [18, 2, 32, 0, 0], Q: [26, 2, 24, 0, 0], H: [16, 4, 9, 0, 0] },
+        { L: [26, 1, 108, 0, 0], M: [24, 2, 43, 0, 0], Q: [18, 2, 15, 2, 16], H: [22, 2, 11, 2, 12] },
+        { L: [18, 2, 68, 0, 0], M: [16, 4, 27, 0, 0], Q: [24, 4, 19, 0, 0], H: [28, 4, 15, 0, 0] },
+        { L: [20, 2, 78, 0, 0], M: [18, 4, 31, 0, 0], Q: [18, 2, 14, 4, 15], H: [26, 4, 13, 1, 14] },
+        { L: [24, 2, 97, 0, 0], M: [22, 2, 38, 2, 39], Q: [22, 4, 18, 2, 19], H: [26, 4, 14, 2, 15] },
+        { L: [30, 2, 116, 0, 0], M: [22, 3, 36, 2, 37], Q: [20, 4, 16, 4, 17], H: [24, 4, 12, 4, 13] },
+        { L: [18, 2, 68, 2, 69], M: [26, 4, 43, 1, 44], Q: [24, 6, 19, 2, 20], H: [28, 6, 15, 2, 16] }
+    ];
+
+    const ALIGNMENT_POSITIONS = [
+        null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+        [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+    ];
+
+    function dataCapacity(version, ecLevel) {
+        const [, blocks1, data1, blocks2, data2] = EC_BLOCKS[version][ecLevel];
+        return blocks1 * data1 + blocks2 * data2;
+    }
+
+    function charCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    // ---- Reed-Solomon over GF(2^8), polynomial 0x11D ----
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    // ---- Codeword construction ----
+
+    function encodeData(bytes, version, ecLevel) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, charCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacityBits = dataCapacity(version, ecLevel) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    function addErrorCorrection(data, version, ecLevel) {
+        const [ecPerBlock, blocks1, data1, blocks2, data2] = EC_BLOCKS[version][ecLevel];
+        const divisor = rsDivisor(ecPerBlock);
+        const dataBlocks = [];
+        const ecBlocks = [];
+
+        let offset = 0;
+        for (let b = 0; b < blocks1 + blocks2; b++) {
+            const length = b < blocks1 ? data1 : data2;
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            dataBlocks.push(block);
+            ecBlocks.push(rsRemainder(block, divisor));
+        }
+
+        const result = [];
+        const longest = Math.max(data1, data2);
+        for (let i = 0; i < longest; i++) {
+            dataBlocks.forEach(block => {
+                if (i < block.length) result.push(block[i]);
+            });
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            ecBlocks.forEach(block => result.push(block[i]));
+        }
+        return result;
+    }
+
+    // ---- Matrix construction ----
+
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = ALIGNMENT_POSITIONS[version];
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // Skip the three corners already taken by finder patterns.
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is chosen.
+        drawFormatBits({ size, modules, reserved, set }, 'L', 0);
+        drawVersionBits({ size, set }, version);
+
+        return { size, modules, reserved, set };
+    }
+
+    function drawFormatBits(matrix, ecLevel, mask) {
+        const { size, set } = matrix;
+        const data = (EC_LEVEL_BITS[ecLevel] << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    }
+
+    function drawVersionBits(matrix, version) {
+        if (version < 7) return;
+        const { size, set } = matrix;
+        let rem = version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    function placeCodewords(matrix, codewords) {
+        const { size, modules, reserved } = matrix;
+        const totalBits = codewords.length * 8;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x] || i >= totalBits) continue;
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    function applyMask(matrix, mask) {
+        const { size, modules, reserved } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    const FINDER_LIKE = [
+        [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+        [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]
+    ];
+
+    function penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                FINDER_LIKE.forEach(pattern => {
+                    if (pattern.every((bit, k) => line[i + k] === (bit === 1))) score += 40;
+                });
+            }
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    // ---- Decoding: image to modules ----
+
+    // Smallest block, in pixels, given its own threshold; larger images get larger blocks.
+    const BINARIZE_BLOCK = 8;
+    // Blocks whose neighbourhood spans less than this are taken as plain background.
+    const MIN_CONTRAST = 24;
+    // Candidate corner triples tried before giving up on an image.
+    const MAX_FINDER_TRIPLES = 5;
+    // How far, in modules, to look for the alignment pattern, and how many of its 25 cells must match.
+    const ALIGNMENT_SEARCH_MODULES = [4, 8, 16];
+    const ALIGNMENT_MIN_SCORE = 23;
+    const ALIGNMENT_SCALES = [0.7, 0.85, 1, 1.2, 1.45];
+
+    // Thresholds each block against the mean of the blocks around it, so uneven light across a
+    // photo does not swallow half the code. Returns 1 for dark pixels and 0 for light ones.
+    function binarize({ data, width, height }) {
+        const luma = new Uint8Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+        }
+
+        const block = Math.max(BINARIZE_BLOCK, Math.floor(Math.min(width, height) / 40));
+        const columns = Math.ceil(width / block);
+        const rows = Math.ceil(height / block);
+        const stats = [];
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let y = by * block; y < Math.min(height, (by + 1) * block); y++) {
+                    for (let x = bx * block; x < Math.min(width, (bx + 1) * block); x++) {
+                        const value = luma[y * width + x];
+                        sum += value;
+                        count++;
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+                stats.push({ mean: sum / count, min, max });
+            }
+        }
+
+        const dark = new Uint8Array(width * height);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let ny = Math.max(0, by - 2); ny <= Math.min(rows - 1, by + 2); ny++) {
+                    for (let nx = Math.max(0, bx - 2); nx <= Math.min(columns - 1, bx + 2); nx++) {
+                        const neighbour = stats[ny * columns + nx];
+                        sum += neighbour.mean;
+                        count++;
+                        min = Math.min(min, neighbour.min);
+                        max = Math.max(max, neighbour.max);
+                    }
+                }
+                const threshold = max - min < MIN_CONTRAST ? min / 2 : sum / count;
+                for (let y = by * block; y < Math.min(height, (by + 1) * block); y++) {
+                    for (let x = bx * block; x < Math.min(width, (bx + 1) * block); x++) {
+                        dark[y * width + x] = luma[y * width + x] < threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+        return { dark, width, height };
+    }
+
+    function pixel({ dark, width, height }, x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        return x >= 0 && y >= 0 && x < width && y < height ? dark[y * width + x] : -1;
+    }
+
+    // Finder patterns read dark, light, dark, light, dark in the ratio 1:1:3:1:1 across any line
+    // through their centre.
+    function finderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7 || counts.some(count => count === 0)) return false;
+        const module = total / 7;
+        const variance = module / 2;
+        return Math.abs(counts[0] - module) < variance &&
+            Math.abs(counts[1] - module) < variance &&
+            Math.abs(counts[2] - 3 * module) < 3 * variance &&
+            Math.abs(counts[3] - module) < variance &&
+            Math.abs(counts[4] - module) < variance;
+    }
+
+    // Walks out from (x, y) both ways along (dx, dy) and measures the runs a finder pattern would
+    // have. Returns the centre offset of the middle run along that line and the pattern's width.
+    function crossCheck(image, x, y, dx, dy) {
+        if (pixel(image, x, y) !== 1) return null;
+
+        const walk = (direction) => {
+            const counts = [0, 0, 0];
+            let step = direction === -1 ? 0 : 1;
+            [1, 0, 1].forEach((colour, i) => {
+                while (pixel(image, x + dx * step * direction, y + dy * step * direction) === colour) {
+                    counts[i]++;
+                    step++;
+                }
+            });
+            return counts;
+        };
+        const [centreBack, lightBack, outerBack] = walk(-1);
+        const [centreForward, lightForward, outerForward] = walk(1);
+        const counts = [outerBack, lightBack, centreBack + centreForward, lightForward, outerForward];
+        if (!finderRatio(counts)) return null;
+
+        return {
+            offset: (centreForward - (centreBack - 1)) / 2,
+            total: counts.reduce((sum, count) => sum + count, 0)
+        };
+    }
+
+    function findFinderPatterns(image) {
+        const { width, height } = image;
+        const candidates = [];
+
+        for (let y = 0; y < height; y++) {
+            const runs = [];
+            for (let x = 0; x < width; x++) {
+                const colour = image.dark[y * width + x];
+                const last = runs[runs.length - 1];
+                if (last && last.colour === colour) {
+                    last.length++;
+                } else {
+                    runs.push({ colour, start: x, length: 1 });
+                }
+            }
+
+            for (let i = 0; i + 4 < runs.length; i++) {
+                if (runs[i].colour !== 1 || !finderRatio(runs.slice(i, i + 5).map(run => run.length))) continue;
+
+                const centre = runs[i + 2];
+                const x = Math.floor(centre.start + centre.length / 2);
+                const vertical = crossCheck(image, x, y, 0, 1);
+                if (!vertical) continue;
+                const centreY = y + vertical.offset;
+                const horizontal = crossCheck(image, x, centreY, 1, 0);
+                if (!horizontal) continue;
+
+                const found = { x: x + horizontal.offset, y: centreY, size: (vertical.total + horizontal.total) / 14, count: 1 };
+                const same = candidates.find(c => Math.abs(c.x - found.x) <= c.size && Math.abs(c.y - found.y) <= c.size &&
+                    Math.abs(c.size - found.size) <= Math.max(1, c.size / 2));
+                if (same) {
+                    same.x = (same.x * same.count + found.x) / (same.count + 1);
+                    same.y = (same.y * same.count + found.y) / (same.count + 1);
+                    same.size = (same.size * same.count + found.size) / (same.count + 1);
+                    same.count++;
+                } else {
+                    candidates.push(found);
+                }
+            }
+        }
+        return candidates;
+    }
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    // Triples of finder patterns that could be one code's corners, the likeliest first, each
+    // ordered top-left, top-right, bottom-left.
+    function finderTriples(candidates) {
+        const pool = candidates
+            .filter(c => c.count >= 2 || candidates.length <= 3)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 8);
+        const triples = [];
+
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const points = [pool[i], pool[j], pool[k]];
+                    const sizes = points.map(p => p.size);
+                    if (Math.max(...sizes) > Math.min(...sizes) * 2) continue;
+
+                    // The corner is the one facing the longest side.
+                    const sides = [[1, 2], [0, 2], [0, 1]].map(([a, b]) => distance(points[a], points[b]));
+                    const corner = sides.indexOf(Math.max(...sides));
+                    const topLeft = points[corner];
+                    let [topRight, bottomLeft] = points.filter((p, index) => index !== corner);
+                    const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+                        (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+                    if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+                    const a = distance(topLeft, topRight);
+                    const b = distance(topLeft, bottomLeft);
+                    const c = sides[corner];
+                    const score = Math.abs(a - b) / Math.max(a, b) + Math.abs(c * c - a * a - b * b) / (c * c);
+                    if (score < 0.5) {
+                        triples.push({ score, topLeft, topRight, bottomLeft });
+                    }
+                }
+            }
+        }
+        return triples.sort((x, y) => x.score - y.score).slice(0, MAX_FINDER_TRIPLES);
+    }
+
+    // Solves the 8 unknowns of the perspective transform taking each `from` point to its `to`
+    // point, by Gaussian elimination.
+    function perspective(from, to) {
+        const rows = from.map((p, i) => {
+            const q = to[i];
+            return [
+                [p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x, q.x],
+                [0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y, q.y]
+            ];
+        }).flat();
+
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k <= 8; k++) rows[row][k] -= factor * rows[col][k];
+            }
+        }
+        const h = rows.map((row, i) => row[8] / row[i]);
+        return (x, y) => {
+            const w = h[6] * x + h[7] * y + 1;
+            return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+        };
+    }
+
+    // Looks around the parallelogram's guess for the bottom-right alignment pattern (a dark module
+    // ringed by light, then dark, 5x5 in all) to correct for perspective, widening the search until
+    // something fits. Every dark pixel is tried as its centre, stepping out by the guessed module
+    // vectors; the centre is the mean of the pixels that fit best. Returns null when nothing does.
+    function findAlignmentPattern(image, transform, centre) {
+        const estimate = transform(centre, centre);
+        const across = transform(centre + 1, centre);
+        const down = transform(centre, centre + 1);
+        const ex = { x: across.x - estimate.x, y: across.y - estimate.y };
+        const ey = { x: down.x - estimate.x, y: down.y - estimate.y };
+        const moduleSize = Math.max(Math.hypot(ex.x, ex.y), Math.hypot(ey.x, ey.y));
+
+        for (const allowance of ALIGNMENT_SEARCH_MODULES) {
+            const radius = Math.ceil(moduleSize * allowance);
+            let bestScore = ALIGNMENT_MIN_SCORE - 1;
+            let matches = [];
+            for (let y = Math.round(estimate.y - radius); y <= estimate.y + radius; y++) {
+                for (let x = Math.round(estimate.x - radius); x <= estimate.x + radius; x++) {
+                    if (pixel(image, x, y) !== 1) continue;
+                    // Perspective makes modules there larger or smaller than at the guess.
+                    for (const scale of ALIGNMENT_SCALES) {
+                        let score = 0;
+                        for (let j = -2; j <= 2; j++) {
+                            for (let i = -2; i <= 2; i++) {
+                                const expected = Math.max(Math.abs(i), Math.abs(j)) === 1 ? 0 : 1;
+                                const px = x + (i * ex.x + j * ey.x) * scale;
+                                const py = y + (i * ex.y + j * ey.y) * scale;
+                                if (pixel(image, px, py) === expected) score++;
+                            }
+                        }
+                        if (score > bestScore) {
+                            bestScore = score;
+                            matches = [];
+                        }
+                        if (score === bestScore) matches.push({ x, y });
+                    }
+                }
+            }
+            if (matches.length > 0) {
+                // The best fits may sit in more than one place; keep those around the nearest.
+                const nearest = matches.reduce((a, b) => distance(a, estimate) <= distance(b, estimate) ? a : b);
+                const cluster = matches.filter(m => distance(m, nearest) <= moduleSize);
+                return {
+                    x: cluster.reduce((sum, m) => sum + m.x, 0) / cluster.length,
+                    y: cluster.reduce((sum, m) => sum + m.y, 0) / cluster.length
+                };
+            }
+        }
+        return null;
+    }
+
+    function sampleGrid(image, { topLeft, topRight, bottomLeft }, version) {
+        const size = version * 4 + 17;
+        const corner = size - 3.5;
+        const from = [{ x: 3.5, y: 3.5 }, { x: corner, y: 3.5 }, { x: 3.5, y: corner }];
+        const to = [topLeft, topRight, bottomLeft];
+
+        const parallelogram = perspective([...from, { x: corner, y: corner }],
+            [...to, { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y }]);
+        if (!parallelogram) return null;
+
+        let transform = parallelogram;
+        if (version > 1) {
+            const alignment = size - 6.5;
+            const found = findAlignmentPattern(image, parallelogram, alignment);
+            if (found) {
+                transform = perspective([...from, { x: alignment, y: alignment }], [...to, found]) || parallelogram;
+            }
+        }
+
+        const modules = [];
+        for (let y = 0; y < size; y++) {
+            const row = [];
+            for (let x = 0; x < size; x++) {
+                const point = transform(x + 0.5, y + 0.5);
+                row.push(pixel(image, point.x, point.y) === 1);
+            }
+            modules.push(row);
+        }
+        return modules;
+    }
+
+    // ---- Decoding: modules to text ----
+
+    const GF_EXP = new Array(255);
+    const GF_LOG = new Array(256);
+    for (let i = 0, x = 1; i < 255; i++, x = gfMultiply(x, 0x02)) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+    }
+
+    function gfPow(x, power) {
+        return x === 0 ? 0 : GF_EXP[(GF_LOG[x] * power) % 255];
+    }
+
+    function gfInverse(x) {
+        return GF_EXP[(255 - GF_LOG[x]) % 255];
+    }
+
+    // Corrects up to half as many wrong codewords as the block has EC codewords, in place.
+    // Berlekamp-Massey finds where the errors are, then their values are solved for directly.
+    // Returns false when the block has more errors than that.
+    function rsCorrect(block, ecCount) {
+        const n = block.length;
+        const evaluate = x => block.reduce((value, byte) => gfMultiply(value, x) ^ byte, 0);
+        const syndromes = [];
+        for (let i = 0; i < ecCount; i++) syndromes.push(evaluate(GF_EXP[i]));
+        if (syndromes.every(s => s === 0)) return true;
+
+        // Error locator, lowest power first.
+        let locator = [1];
+        let previous = [1];
+        for (let i = 0; i < ecCount; i++) {
+            previous = [0, ...previous];
+            let delta = syndromes[i];
+            for (let j = 1; j < locator.length && j <= i; j++) {
+                delta ^= gfMultiply(locator[j], syndromes[i - j]);
+            }
+            if (delta === 0) continue;
+            if (previous.length > locator.length) {
+                const next = previous.map(c => gfMultiply(c, delta));
+                previous = locator.map(c => gfMultiply(c, gfInverse(delta)));
+                locator = next;
+            }
+            const scaled = previous.map(c => gfMultiply(c, delta));
+            locator = Array.from({ length: Math.max(locator.length, scaled.length) },
+                (_, k) => (locator[k] || 0) ^ (scaled[k] || 0));
+        }
+        while (locator.length > 1 && locator[locator.length - 1] === 0) locator.pop();
+
+        const errorCount = locator.length - 1;
+        if (errorCount * 2 > ecCount) return false;
+
+        // A codeword at index i is the coefficient of x^(n-1-i); an error there makes
+        // alpha^-(n-1-i) a root of the locator.
+        const positions = [];
+        for (let i = 0; i < n; i++) {
+            const root = GF_EXP[(255 - (n - 1 - i) % 255) % 255];
+            const value = locator.reduceRight((sum, c) => gfMultiply(sum, root) ^ c, 0);
+            if (value === 0) positions.push(i);
+        }
+        if (positions.length !== errorCount) return false;
+
+        // syndrome[i] = sum of error[k] * X[k]^i, with X[k] = alpha^(n-1-position[k]).
+        const roots = positions.map(i => GF_EXP[(n - 1 - i) % 255]);
+        const rows = syndromes.slice(0, errorCount).map((syndrome, i) => [...roots.map(x => gfPow(x, i)), syndrome]);
+        for (let col = 0; col < errorCount; col++) {
+            const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+            if (pivot === -1) return false;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            const inverse = gfInverse(rows[col][col]);
+            rows[col] = rows[col].map(c => gfMultiply(c, inverse));
+            rows.forEach((row, r) => {
+                if (r === col || row[col] === 0) return;
+                const factor = row[col];
+                rows[r] = row.map((c, k) => c ^ gfMultiply(factor, rows[col][k]));
+            });
+        }
+        positions.forEach((position, k) => {
+            block[position] ^= rows[k][errorCount];
+        });
+
+        return Array.from({ length: ecCount }, (_, i) => evaluate(GF_EXP[i])).every(s => s === 0);
+    }
+
+    function formatCode(ecBits, mask) {
+        const data = (ecBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        return ((data << 10) | rem) ^ 0x5412;
+    }
+
+    // Both copies of the format information, read as drawFormatBits places them, matched to the
+    // nearest valid code; up to 3 wrong bits are tolerated.
+    function readFormat(modules) {
+        const size = modules.length;
+        const bitsAt = cells => cells.reduce((bits, [x, y], i) => bits | ((modules[y][x] ? 1 : 0) << i), 0);
+        const first = [];
+        const second = [];
+        for (let i = 0; i <= 5; i++) first.push([8, i]);
+        first.push([8, 7], [8, 8], [7, 8]);
+        for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+        for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+        for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+        const read = [bitsAt(first), bitsAt(second)];
+
+        let best = null;
+        Object.entries(EC_LEVEL_BITS).forEach(([ecLevel, ecBits]) => {
+            for (let mask = 0; mask < MASKS.length; mask++) {
+                const code = formatCode(ecBits, mask);
+                read.forEach(bits => {
+                    let errors = 0;
+                    for (let diff = bits ^ code; diff; diff &= diff - 1) errors++;
+                    if (!best || errors < best.errors) best = { ecLevel, mask, errors };
+                });
+            }
+        });
+        return best.errors <= 3 ? best : null;
+    }
+
+    function readCodewords(modules, version, mask) {
+        const { size, reserved } = createMatrix(version);
+        // Whatever is left over after the last whole codeword is remainder bits.
+        const total = Math.floor(countDataModules(reserved) / 8);
+        const codewords = new Array(total).fill(0);
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x] || i >= total * 8) continue;
+                    if (modules[y][x] !== MASKS[mask](x, y)) {
+                        codewords[i >>> 3] |= 0x80 >>> (i & 7);
+                    }
+                    i++;
+                }
+            }
+        }
+        return codewords;
+    }
+
+    function countDataModules(reserved) {
+        return reserved.reduce((count, row) => count + row.filter(taken => !taken).length, 0);
+    }
+
+    // Undoes the interleaving of addErrorCorrection, corrects each block and returns the data
+    // codewords in order, or null when a block is past correcting.
+    function correctCodewords(codewords, version, ecLevel) {
+        const [ecPerBlock, blocks1, data1, blocks2, data2] = EC_BLOCKS[version][ecLevel];
+        const blocks = Array.from({ length: blocks1 + blocks2 }, (_, b) => ({
+            dataLength: b < blocks1 ? data1 : data2,
+            codewords: []
+        }));
+
+        let i = 0;
+        for (let k = 0; k < Math.max(data1, data2); k++) {
+            blocks.forEach(block => {
+                if (k < block.dataLength) block.codewords.push(codewords[i++]);
+            });
+        }
+        for (let k = 0; k < ecPerBlock; k++) {
+            blocks.forEach(block => block.codewords.push(codewords[i++]));
+        }
+
+        const data = [];
+        for (const block of blocks) {
+            if (!rsCorrect(block.codewords, ecPerBlock)) return null;
+            data.push(...block.codewords.slice(0, block.dataLength));
+        }
+        return data;
+    }
+
+    const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+    // Numeric, alphanumeric and byte segments (and ECI headers, taken to mean UTF-8); returns
+    // null for anything else, such as Kanji, which no ticket uses.
+    function readSegments(data, version) {
+        let position = 0;
+        const remaining = () => data.length * 8 - position;
+        const read = (length) => {
+            let value = 0;
+            for (let i = 0; i < length; i++, position++) {
+                value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+            }
+            return value;
+        };
+
+        let text = '';
+        while (remaining() >= 4) {
+            const mode = read(4);
+            if (mode === 0b0000) break;
+
+            if (mode === 0b0111) {
+                const first = read(8);
+                if ((first & 0x80) !== 0) read((first & 0x40) === 0 ? 8 : 16);
+                continue;
+            }
+
+            let count;
+            if (mode === 0b0001) {
+                count = read(version <= 9 ? 10 : 12);
+                for (; count >= 3; count -= 3) text += String(read(10)).padStart(3, '0');
+                if (count === 2) text += String(read(7)).padStart(2, '0');
+                if (count === 1) text += String(read(4));
+            } else if (mode === 0b0010) {
+                count = read(version <= 9 ? 9 : 11);
+                for (; count >= 2; count -= 2) {
+                    const pair = read(11);
+                    text += ALPHANUMERIC[Math.floor(pair / 45)] + ALPHANUMERIC[pair % 45];
+                }
+                if (count === 1) text += ALPHANUMERIC[read(6)];
+            } else if (mode === 0b0100) {
+                count = read(charCountBits(version));
+                if (count * 8 > remaining()) return null;
+                const bytes = new Uint8Array(count);
+                for (let i = 0; i < count; i++) bytes[i] = read(8);
+                text += new TextDecoder().decode(bytes);
+            } else {
+                return null;
+            }
+            if (remaining() < 0) return null;
+        }
+        return text;
+    }
+
+    function decodeModules(modules, version) {
+        const format = readFormat(modules);
+        if (!format) return null;
+        const data = correctCodewords(readCodewords(modules, version, format.mask), version, format.ecLevel);
+        return data ? readSegments(data, version) : null;
+    }
+
+    // ---- Public API ----
+
+    function encode(text, { ecLevel = 'M', minVersion = 1 } = {}) {
+        if (!(ecLevel in EC_LEVEL_BITS)) {
+            throw new Error(`Unknown error correction level: ${ecLevel}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        let version = Math.max(1, minVersion);
+        while (version <= MAX_VERSION &&
+            4 + charCountBits(version) + bytes.length * 8 > dataCapacity(version, ecLevel) * 8) {
+            version++;
+        }
+        if (version > MAX_VERSION) {
+            throw new Error(`Data too long for a version ${MAX_VERSION} QR code at level ${ecLevel}`);
+        }
+
+        const codewords = addErrorCorrection(encodeData(bytes, version, ecLevel), version, ecLevel);
+        const matrix = createMatrix(version);
+        placeCodewords(matrix, codewords);
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, ecLevel, mask);
+            const score = penalty(matrix.modules);
+            if (score < bestScore) {
+                bestScore = score;
+                bestMask = mask;
+            }
+            applyMask(matrix, mask);
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, ecLevel, bestMask);
+
+        return { version, ecLevel, mask: bestMask, size: matrix.size, modules: matrix.modules };
+    }
+
+    function toSvg(qr, { margin = 4, label = 'QR code' } = {}) {
+        const dimension = qr.size + margin * 2;
+        const path = [];
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            });
+        });
+        const ariaLabel = String(label).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+            `shape-rendering="crispEdges" role="img" aria-label="${ariaLabel}">` +
+            `<rect width="100%" height="100%" fill="#ffffff"/>` +
+            `<path d="${path.join('')}" fill="#000000"/></svg>`;
+    }
+
+    function renderToCanvas(qr, canvas, { scale = 8, margin = 4 } = {}) {
+        const dimension = (qr.size + margin * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, dimension, dimension);
+        ctx.fillStyle = '#000000';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            });
+        });
+        return canvas;
+    }
+
+    // Reads the first QR code found in `image` (an ImageData, or anything with RGBA `data`, `width`
+    // and `height`). Returns its text, or null when there is none it can read.
+    function decode(image) {
+        const binary = binarize(image);
+        for (const triple of finderTriples(findFinderPatterns(binary))) {
+            const moduleSize = (triple.topLeft.size + triple.topRight.size + triple.bottomLeft.size) / 3;
+            const across = (distance(triple.topLeft, triple.topRight) + distance(triple.topLeft, triple.bottomLeft)) / 2;
+            const estimate = Math.round((across / moduleSize + 7 - 17) / 4);
+
+            for (const version of [estimate, estimate - 1, estimate + 1]) {
+                if (version < 1 || version > MAX_VERSION) continue;
+                const modules = sampleGrid(binary, triple, version);
+                const text = modules && decodeModules(modules, version);
+                if (text !== null && text !== undefined) return text;
+            }
+        }
+        return null;
+    }
+
+    return { encode, decode, toSvg, renderToCanvas, MAX_VERSION };
+})();
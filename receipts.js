@@ -0,0 +1,397 @@
+// Receipts and statements for expense claims. Both are built from the same payment and ticket
+// lists the Payments and Tickets tabs load. A refund shows up twice on a statement: the original
+// payment as a debit on its date, then the refund as a credit on the date it was processed.
+const RECEIPT_STATUSES = ['SUCCESS', 'REFUNDED'];
+const STATEMENT_CSV_COLUMNS = ['Date', 'Type', 'Reference', 'Tickets', 'Route', 'Method', 'Transaction', 'Status', 'Debit', 'Credit'];
+const PDF_MARGIN = 50;
+const PDF_LINE_HEIGHT = 16;
+
+function initReceipts() {
+    document.getElementById('export-statement-btn').addEventListener('click', openStatementDialog);
+
+    registerActions({
+        'show-receipt': ({ paymentId }) => showReceipt(paymentId)
+    });
+}
+
+// A group booking's tickets all carry the combined payment's id; older payments only name
+// their own ticket.
+function paymentTickets(payment, tickets) {
+    const covered = tickets.filter(ticket => ticket.paymentId === payment.paymentId);
+    if (covered.length > 0) return covered;
+    return tickets.filter(ticket => ticket.ticketId === payment.ticketId);
+}
+
+function routeNumbers(tickets) {
+    return [...new Set(tickets.map(ticket => ticket.routeNumber).filter(Boolean))].join(', ');
+}
+
+function formatStatementDate(value) {
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${toDateInputValue(date)} ${hours}:${minutes}`;
+}
+
+function passengerName() {
+    return `${currentUser.firstName} ${currentUser.lastName}`;
+}
+
+async function showReceipt(paymentId) {
+    openModal(loadingMessage(t('receipts.loading')));
+
+    try {
+        const [payment, tickets] = await Promise.all([
+            api.payment.getPayment(paymentId),
+            api.ticketing.getTickets({ passengerId: currentUser.passengerId })
+        ]);
+        renderReceipt(buildReceipt(payment, tickets || []));
+    } catch (error) {
+        renderModal(loadingMessage(errorMessage(error, t('errors.loadReceipt'))));
+        console.error('Error loading receipt:', error);
+    }
+}
+
+function buildReceipt(payment, tickets) {
+    const covered = paymentTickets(payment, tickets);
+    const amount = parseFloat(payment.amount);
+    const lines = covered.length > 0
+        ? covered.map(ticket => ({ ticketId: ticket.ticketId, routeNumber: ticket.routeNumber, fare: parseFloat(ticket.fare) }))
+        : [{ ticketId: payment.ticketId, routeNumber: null, fare: amount }];
+    return {
+        paymentId: payment.paymentId,
+        paidAt: payment.createdAt,
+        refundedAt: payment.status === 'REFUNDED' ? payment.updatedAt : null,
+        status: payment.status,
+        method: paymentMethodLabel(payment.paymentMethod),
+        transactionReference: payment.transactionReference,
+        amount,
+        tickets: lines,
+        // Checkout charges the fares rounded to the smallest coin; this is what that added.
+        rounding: Math.round((amount - fareSum(lines)) * 100) / 100
+    };
+}
+
+function renderReceipt(receipt) {
+    renderModal(html`
+        <h2>${t('receipts.title')}</h2>
+        <div class="checkout-summary">
+            ${infoRow(t('payments.receipt'), receipt.paymentId)}
+            ${infoRow(t('payments.date'), formatDateTime(receipt.paidAt))}
+            ${infoRow(t('payments.method'), receipt.method)}
+            ${infoRow(t('receipts.transactionId'), receipt.transactionReference || t('common.notAvailable'))}
+            ${receipt.refundedAt && infoRow(t('status.REFUNDED'), formatDateTime(receipt.refundedAt))}
+        </div>
+        <table class="receipt-table">
+            <thead>
+                <tr><th>${t('checkout.ticket')}</th><th>${t('trips.route')}</th><th class="amount">${t('routes.fare')}</th></tr>
+            </thead>
+            <tbody>
+                ${receipt.tickets.map(ticket => html`
+                    <tr>
+                        <td>${ticket.ticketId}</td>
+                        <td>${ticket.routeNumber || t('common.notAvailable')}</td>
+                        <td class="amount">${formatMoney(ticket.fare)}</td>
+                    </tr>
+                `)}
+            </tbody>
+            <tfoot>
+                ${receipt.rounding !== 0 && html`
+                    <tr><td colspan="2">${t('checkout.rounding')}</td><td class="amount">${formatMoney(receipt.rounding)}</td></tr>
+                `}
+                <tr><th colspan="2">${t('checkout.totalPaid')}</th><th class="amount">${formatMoney(receipt.amount)}</th></tr>
+                ${receipt.refundedAt && html`
+                    <tr><th colspan="2">${t('status.REFUNDED')}</th><th class="amount">${formatMoney(-receipt.amount)}</th></tr>
+                `}
+            </tfoot>
+        </table>
+        <div class="card-actions">
+            <button type="button" class="btn-small btn-view" id="receipt-download-btn">${t('receipts.downloadPdf')}</button>
+            <button type="button" class="btn-small btn-secondary" id="receipt-close-btn">${t('common.close')}</button>
+        </div>
+    `);
+
+    document.getElementById('receipt-download-btn').addEventListener('click', () => downloadReceiptPdf(receipt));
+    document.getElementById('receipt-close-btn').addEventListener('click', closeModal);
+}
+
+function downloadReceiptPdf(receipt) {
+    const doc = PdfDocument.create();
+    const right = doc.width - PDF_MARGIN;
+    let y = PDF_MARGIN + 10;
+
+    doc.text(PDF_MARGIN, y, t('app.title'), { size: 16, bold: true });
+    y += 24;
+    doc.text(PDF_MARGIN, y, t('receipts.title'), { size: 13 });
+    y += 30;
+
+    [
+        [t('payments.receipt'), receipt.paymentId],
+        [t('receipts.passenger'), passengerName()],
+        [t('payments.date'), formatStatementDate(receipt.paidAt)],
+        [t('payments.method'), receipt.method],
+        [t('receipts.transactionId'), receipt.transactionReference || t('common.notAvailable')],
+        [t('receipts.status'), statusLabel(receipt.status)],
+        receipt.refundedAt && [t('status.REFUNDED'), formatStatementDate(receipt.refundedAt)]
+    ].filter(Boolean).forEach(([label, value]) => {
+        doc.text(PDF_MARGIN, y, label, { bold: true });
+        doc.text(PDF_MARGIN + 110, y, value);
+        y += PDF_LINE_HEIGHT;
+    });
+
+    y += 14;
+    doc.text(PDF_MARGIN, y, t('checkout.ticket'), { bold: true });
+    doc.text(PDF_MARGIN + 250, y, t('trips.route'), { bold: true });
+    doc.text(right, y, t('routes.fare'), { bold: true, align: 'right' });
+    doc.line(PDF_MARGIN, y + 5, right, y + 5);
+    y += PDF_LINE_HEIGHT + 4;
+
+    receipt.tickets.forEach(ticket => {
+        doc.text(PDF_MARGIN, y, ticket.ticketId);
+        doc.text(PDF_MARGIN + 250, y, ticket.routeNumber || t('common.notAvailable'));
+        doc.text(right, y, formatMoney(ticket.fare), { align: 'right' });
+        y += PDF_LINE_HEIGHT;
+    });
+
+    if (receipt.rounding !== 0) {
+        doc.text(PDF_MARGIN, y, t('checkout.rounding'));
+        doc.text(right, y, formatMoney(receipt.rounding), { align: 'right' });
+        y += PDF_LINE_HEIGHT;
+    }
+
+    doc.line(PDF_MARGIN, y - 10, right, y - 10);
+    y += 4;
+    doc.text(PDF_MARGIN, y, t('checkout.totalPaid'), { bold: true });
+    doc.text(right, y, formatMoney(receipt.amount), { bold: true, align: 'right' });
+    if (receipt.refundedAt) {
+        y += PDF_LINE_HEIGHT;
+        doc.text(PDF_MARGIN, y, t('status.REFUNDED'), { bold: true });
+        doc.text(right, y, formatMoney(-receipt.amount), { bold: true, align: 'right' });
+    }
+
+    downloadBlob(doc.toBlob(), `receipt-${receipt.paymentId}.pdf`);
+}
+
+function openStatementDialog() {
+    const today = new Date();
+
+    openModal(html`
+        <h2>${t('payments.export')}</h2>
+        <p class="dialog-message">${t('receipts.statementHint')}</p>
+        <form id="statement-form" novalidate>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="statement-from">${t('common.from')}</label>
+                    <input type="date" id="statement-from" required
+                        value="${toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1))}">
+                </div>
+                <div class="form-group">
+                    <label for="statement-to">${t('common.to')}</label>
+                    <input type="date" id="statement-to" required value="${toDateInputValue(today)}">
+                </div>
+            </div>
+            <p id="statement-error" class="form-error hidden"></p>
+            <div class="card-actions">
+                <button type="button" class="btn-small btn-view" data-format="csv">${t('receipts.downloadCsv')}</button>
+                <button type="button" class="btn-small btn-view" data-format="pdf">${t('receipts.downloadPdf')}</button>
+            </div>
+        </form>
+    `);
+
+    document.querySelectorAll('#statement-form [data-format]').forEach(button => {
+        button.addEventListener('click', () => exportStatement(button.dataset.format, button));
+    });
+}
+
+function collectStatementRange() {
+    const from = document.getElementById('statement-from').value;
+    const to = document.getElementById('statement-to').value;
+
+    if (!isDateInputValue(from) || !isDateInputValue(to)) {
+        return { error: t('errors.rangeIncomplete'), field: isDateInputValue(from) ? 'statement-to' : 'statement-from' };
+    }
+    if (from > to) {
+        return { error: t('errors.rangeReversed'), field: 'statement-from' };
+    }
+    return { values: { from, to, start: new Date(`${from}T00:00:00`), end: new Date(`${to}T23:59:59.999`) } };
+}
+
+async function exportStatement(format, button) {
+    clearFormError('statement-error');
+    const { values: range, error, field } = collectStatementRange();
+    if (error) {
+        showFormError('statement-error', error, field);
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const [payments, tickets] = await Promise.all([
+            api.payment.getPayments({ passengerId: currentUser.passengerId }),
+            api.ticketing.getTickets({ passengerId: currentUser.passengerId })
+        ]);
+        const lines = statementLines(payments || [], tickets || [], range);
+
+        if (format === 'csv') {
+            downloadBlob(statementCsv(lines), `statement-${range.from}-to-${range.to}.csv`);
+        } else {
+            downloadBlob(statementPdf(lines, range), `statement-${range.from}-to-${range.to}.pdf`);
+        }
+        closeModal();
+    } catch (err) {
+        showFormError('statement-error', errorMessage(err, t('errors.buildStatement')));
+        console.error('Error exporting statement:', err);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function statementLines(payments, tickets, range) {
+    const inRange = (value) => {
+        const date = new Date(value);
+        return date >= range.start && date <= range.end;
+    };
+    const lines = [];
+    const paidTicketIds = new Set();
+
+    payments.forEach(payment => {
+        const covered = paymentTickets(payment, tickets);
+        covered.forEach(ticket => paidTicketIds.add(ticket.ticketId));
+        paidTicketIds.add(payment.ticketId);
+
+        const amount = parseFloat(payment.amount);
+        const base = {
+            reference: payment.paymentId,
+            tickets: covered.length > 0 ? covered.map(ticket => ticket.ticketId) : [payment.ticketId],
+            route: routeNumbers(covered),
+            method: paymentMethodLabel(payment.paymentMethod),
+            transaction: payment.transactionReference || '',
+            status: payment.status
+        };
+
+        if (inRange(payment.createdAt)) {
+            lines.push({
+                ...base,
+                date: payment.createdAt,
+                type: 'PAYMENT',
+                // Only money that actually moved is a debit; failed and pending attempts are listed at zero.
+                debit: RECEIPT_STATUSES.includes(payment.status) ? amount : 0,
+                credit: 0
+            });
+        }
+        if (payment.status === 'REFUNDED' && inRange(payment.updatedAt)) {
+            lines.push({ ...base, date: payment.updatedAt, type: 'REFUND', debit: 0, credit: amount });
+        }
+    });
+
+    tickets
+        .filter(ticket => !paidTicketIds.has(ticket.ticketId) && inRange(ticket.purchasedAt))
+        .forEach(ticket => lines.push({
+            date: ticket.purchasedAt,
+            type: 'TICKET',
+            reference: ticket.ticketId,
+            tickets: [ticket.ticketId],
+            route: ticket.routeNumber || '',
+            method: '',
+            transaction: '',
+            status: ticket.status,
+            debit: 0,
+            credit: 0
+        }));
+
+    return lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Quotes every field and defuses leading =, +, - and @ so spreadsheets never run a cell as a formula.
+function csvField(value) {
+    const text = String(value ?? '');
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return `"${safe.replace(/"/g, '""')}"`;
+}
+
+function statementCsv(lines) {
+    const rows = lines.map(line => [
+        formatStatementDate(line.date),
+        line.type,
+        line.reference,
+        line.tickets.join(' '),
+        line.route,
+        line.method,
+        line.transaction,
+        line.status,
+        line.debit ? line.debit.toFixed(2) : '',
+        line.credit ? line.credit.toFixed(2) : ''
+    ]);
+    const csv = [STATEMENT_CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+    return new Blob([`${csv}\r\n`], { type: 'text/csv;charset=utf-8' });
+}
+
+function statementPdf(lines, range) {
+    const doc = PdfDocument.create();
+    const right = doc.width - PDF_MARGIN;
+    const columns = { date: PDF_MARGIN, type: PDF_MARGIN + 80, reference: PDF_MARGIN + 135, details: PDF_MARGIN + 250 };
+    const debitRight = right - 70;
+    let y = PDF_MARGIN + 10;
+
+    const tableHeader = () => {
+        doc.text(columns.date, y, t('payments.date'), { bold: true, size: 9 });
+        doc.text(columns.type, y, t('receipts.type'), { bold: true, size: 9 });
+        doc.text(columns.reference, y, t('receipts.reference'), { bold: true, size: 9 });
+        doc.text(columns.details, y, t('receipts.ticketsRoute'), { bold: true, size: 9 });
+        doc.text(debitRight, y, t('receipts.debit'), { bold: true, size: 9, align: 'right' });
+        doc.text(right, y, t('receipts.credit'), { bold: true, size: 9, align: 'right' });
+        doc.line(PDF_MARGIN, y + 5, right, y + 5);
+        y += PDF_LINE_HEIGHT + 2;
+    };
+
+    doc.text(PDF_MARGIN, y, t('app.title'), { size: 16, bold: true });
+    y += 24;
+    doc.text(PDF_MARGIN, y, t('receipts.statementFor', { name: passengerName() }), { size: 12 });
+    y += PDF_LINE_HEIGHT;
+    doc.text(PDF_MARGIN, y, t('receipts.period', { from: range.from, to: range.to }), { size: 10 });
+    y += 28;
+    tableHeader();
+
+    if (lines.length === 0) {
+        doc.text(PDF_MARGIN, y, t('receipts.statementEmpty'));
+        y += PDF_LINE_HEIGHT;
+    }
+
+    lines.forEach(line => {
+        if (y > doc.height - PDF_MARGIN - 40) {
+            doc.addPage();
+            y = PDF_MARGIN;
+            tableHeader();
+        }
+        const [firstTicket] = line.tickets;
+        const details = `${firstTicket}${line.tickets.length > 1 ? ` +${line.tickets.length - 1}` : ''}` +
+            (line.route ? ` (${line.route})` : '');
+
+        doc.text(columns.date, y, formatStatementDate(line.date).slice(0, 10), { size: 9 });
+        const type = line.type === 'PAYMENT' && line.debit === 0 ? statusLabel(line.status) : t(`receipts.type.${line.type}`);
+        doc.text(columns.type, y, type, { size: 9 });
+        doc.text(columns.reference, y, line.reference.slice(0, 22), { size: 9 });
+        doc.text(columns.details, y, details.slice(0, 30), { size: 9 });
+        if (line.debit) doc.text(debitRight, y, formatMoney(line.debit), { size: 9, align: 'right' });
+        if (line.credit) doc.text(right, y, formatMoney(line.credit), { size: 9, align: 'right' });
+        y += PDF_LINE_HEIGHT;
+    });
+
+    const debits = lines.reduce((total, line) => total + line.debit, 0);
+    const credits = lines.reduce((total, line) => total + line.credit, 0);
+    if (y > doc.height - PDF_MARGIN - 30) {
+        doc.addPage();
+        y = PDF_MARGIN + 10;
+    }
+    doc.line(PDF_MARGIN, y - 10, right, y - 10);
+    y += 4;
+    doc.text(columns.date, y, t('receipts.totals'), { bold: true });
+    doc.text(debitRight, y, formatMoney(debits), { bold: true, align: 'right' });
+    doc.text(right, y, formatMoney(credits), { bold: true, align: 'right' });
+    y += PDF_LINE_HEIGHT;
+    doc.text(columns.date, y, t('receipts.netSpend'), { bold: true });
+    doc.text(right, y, formatMoney(debits - credits), { bold: true, align: 'right' });
+
+    return doc.toBlob();
+}
@@ -0,0 +1,141 @@
+// Hash router. The hash decides what is on screen: which tab, a route's trips, a single ticket,
+// list filters. Buttons navigate; the router shows the tab and renders the detail, so the back
+// button, refreshes and shared links all land on the same view.
+const DEFAULT_PATH = '/dashboard';
+
+const APP_ROUTES = [
+    { path: '/login', public: true, render: () => showAuthSection('login') },
+    { path: '/register', public: true, render: () => showAuthSection('register') },
+    { path: '/dashboard', tab: 'dashboard' },
+    { path: '/routes', tab: 'routes', render: () => hideRouteTrips() },
+    { path: '/routes/:routeId/trips', tab: 'routes', render: ({ routeId }) => loadRouteTrips(routeId) },
+    { path: '/tickets', tab: 'tickets' },
+    { path: '/tickets/:ticketId', tab: 'tickets', render: ({ ticketId }) => focusTicket(ticketId) },
+    { path: '/payments', tab: 'payments' },
+    { path: '/analytics', tab: 'analytics' },
+    { path: '/notifications', tab: 'notifications' },
+    { path: '/profile', tab: 'profile' },
+    { path: '/conductor', tab: 'conductor' },
+    { path: '/admin', tab: 'admin', render: () => closeAdminRouteTrips() },
+    { path: '/admin/routes/:routeId/trips', tab: 'admin', render: ({ routeId }) => showAdminRouteTrips(routeId) }
+];
+
+const router = {
+    current: null,
+    tab: null,
+    queryString: null,
+    tabLoad: Promise.resolve()
+};
+
+function initRouter() {
+    window.addEventListener('hashchange', () => {
+        if (currentLocation() !== router.current) {
+            applyRoute();
+        }
+    });
+}
+
+// The path and query after '#', e.g. "/payments?status=FAILED".
+function currentLocation() {
+    return location.hash.replace(/^#/, '') || DEFAULT_PATH;
+}
+
+function parseLocation(value = currentLocation()) {
+    const [path, queryString = ''] = value.split('?');
+    return { path, queryString, query: Object.fromEntries(new URLSearchParams(queryString)) };
+}
+
+function matchRoute(path) {
+    const segments = path.split('/').filter(Boolean);
+    for (const route of APP_ROUTES) {
+        const pattern = route.path.split('/').filter(Boolean);
+        if (pattern.length !== segments.length) continue;
+
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeSegment(segments[i]);
+                return params[part.slice(1)] !== null;
+            }
+            return part === segments[i];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+// A hand-edited hash can carry a broken escape (#/tickets/%E0); such a path matches nothing.
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+}
+
+// pushState does not fire hashchange, so the route is applied here directly; the returned
+// promise settles once the view has rendered.
+function navigate(path, { replace = false, reload = false } = {}) {
+    if (currentLocation() !== path || !location.hash) {
+        history[replace ? 'replaceState' : 'pushState'](null, '', `#${path}`);
+    }
+    if (reload) {
+        router.tab = null;
+    }
+    return applyRoute();
+}
+
+function tabAllowed(tab) {
+    const tabButton = document.querySelector(`.tab-btn[data-tab="${tab}"]`);
+    return !tabButton?.dataset.roles || hasRole(tabButton.dataset.roles.split(','));
+}
+
+// Only same-app paths are followed after login, never the auth pages themselves.
+function safeReturnPath(path) {
+    if (!path || !path.startsWith('/') || path.startsWith('//')) return null;
+    const match = matchRoute(parseLocation(path).path);
+    return match && !match.route.public ? path : null;
+}
+
+async function applyRoute() {
+    const target = currentLocation();
+    const { path, queryString, query } = parseLocation(target);
+    const match = matchRoute(path);
+
+    if (!match) {
+        return navigate(DEFAULT_PATH, { replace: true });
+    }
+    const { route, params } = match;
+
+    if (!route.public && !currentUser) {
+        return navigate(`/login?next=${encodeURIComponent(target)}`, { replace: true });
+    }
+    if (route.public && currentUser) {
+        return navigate(safeReturnPath(query.next) || DEFAULT_PATH, { replace: true });
+    }
+    if (route.tab && !tabAllowed(route.tab)) {
+        return navigate(DEFAULT_PATH, { replace: true });
+    }
+
+    router.current = target;
+
+    if (route.public) {
+        router.tab = null;
+        route.render(params, query);
+        return;
+    }
+
+    // Moving within a tab (one route's trips to another's) keeps the list; a new tab or a
+    // new filter loads it again.
+    if (route.tab !== router.tab || queryString !== router.queryString) {
+        router.tab = route.tab;
+        router.queryString = queryString;
+        router.tabLoad = showTab(route.tab, query);
+    }
+    await router.tabLoad;
+
+    if (route.render && router.current === target) {
+        await route.render(params, query);
+    }
+}
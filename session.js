@@ -0,0 +1,267 @@
+// Session lifetime: token expiry, the idle timeout for shared devices, "remember me" storage
+// and keeping every open tab on the same session. The passenger service reports expiresAt on
+// login and refresh; tokens saved before that fall back to the JWT exp claim.
+const SESSION_KEYS = ['currentUser', 'authToken', 'sessionExpiresAt'];
+const SESSION_ACTIVITY_KEY = 'sessionActivity';
+const SESSION_EVENT_KEY = 'sessionEvent';
+const SESSION_CHANNEL = 'transport-session';
+const SESSION_CHECK_INTERVAL_MS = 15000;
+const SESSION_ACTIVITY_SAVE_MS = 10000;
+const SESSION_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+const sessionSettings = {
+    // How long before expiry an active rider is refreshed silently (or an idle one warned).
+    warningLeadMs: 5 * 60 * 1000,
+    // Logs out after this long without input; 0 turns it off. Meant for shared kiosk devices,
+    // which set it with <meta name="idle-timeout-minutes">.
+    idleTimeoutMs: 0
+};
+
+const session = {
+    expiresAt: null,
+    remember: true,
+    lastActivity: 0,
+    activitySavedAt: 0,
+    timer: null,
+    refreshing: false,
+    channel: null
+};
+
+function configureSession(options) {
+    Object.assign(sessionSettings, options);
+}
+
+function initSession() {
+    const idleMinutes = Number(document.querySelector('meta[name="idle-timeout-minutes"]')?.content);
+    if (idleMinutes > 0) {
+        configureSession({ idleTimeoutMs: idleMinutes * 60000 });
+    }
+
+    SESSION_ACTIVITY_EVENTS.forEach(type =>
+        document.addEventListener(type, recordActivity, { capture: true, passive: true })
+    );
+    document.getElementById('session-extend-btn').addEventListener('click', () => refreshSession());
+
+    // BroadcastChannel where available; otherwise a throwaway localStorage key, whose storage
+    // event reaches the other tabs. That path never carries the token itself.
+    if ('BroadcastChannel' in window) {
+        session.channel = new BroadcastChannel(SESSION_CHANNEL);
+        session.channel.addEventListener('message', (e) => handleSessionMessage(e.data));
+    }
+    window.addEventListener('storage', (e) => {
+        if (e.key === SESSION_EVENT_KEY && e.newValue && !session.channel) {
+            handleSessionMessage(JSON.parse(e.newValue));
+        }
+    });
+}
+
+function sessionStore() {
+    return session.remember ? localStorage : sessionStorage;
+}
+
+function saveSession() {
+    const store = sessionStore();
+    store.setItem('currentUser', JSON.stringify(currentUser));
+    store.setItem('authToken', authToken);
+    store.setItem('sessionExpiresAt', session.expiresAt ? String(session.expiresAt) : '');
+}
+
+function clearStoredSession() {
+    [localStorage, sessionStorage].forEach(store => SESSION_KEYS.forEach(key => store.removeItem(key)));
+}
+
+// A remembered session lives in localStorage; otherwise it dies with the tab in sessionStorage.
+function readStoredSession() {
+    for (const [store, remember] of [[localStorage, true], [sessionStorage, false]]) {
+        const user = store.getItem('currentUser');
+        const token = store.getItem('authToken');
+        if (!user || !token) continue;
+        try {
+            return {
+                user: JSON.parse(user),
+                token,
+                expiresAt: Number(store.getItem('sessionExpiresAt')) || tokenExpiry(token),
+                remember
+            };
+        } catch (error) {
+            console.error('Error reading saved session:', error);
+        }
+    }
+    return null;
+}
+
+function tokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        return typeof exp === 'number' ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+function responseExpiry(data) {
+    return Date.parse(data.expiresAt) || tokenExpiry(data.token);
+}
+
+function lastActivity() {
+    return Math.max(session.lastActivity, Number(localStorage.getItem(SESSION_ACTIVITY_KEY)) || 0);
+}
+
+// Activity is shared through localStorage so typing in one tab keeps the others from idling out.
+function recordActivity() {
+    session.lastActivity = Date.now();
+    if (currentUser && session.lastActivity - session.activitySavedAt >= SESSION_ACTIVITY_SAVE_MS) {
+        session.activitySavedAt = session.lastActivity;
+        localStorage.setItem(SESSION_ACTIVITY_KEY, String(session.lastActivity));
+    }
+}
+
+// Why a saved session can no longer be used: 'expired', 'idle', or null when it is still good.
+function sessionEndReason(expiresAt) {
+    if (expiresAt && expiresAt <= Date.now()) return 'expired';
+    // Sessions saved before activity was tracked have nothing to go on, so they count as active.
+    const idleFor = Date.now() - (lastActivity() || Date.now());
+    if (sessionSettings.idleTimeoutMs > 0 && idleFor >= sessionSettings.idleTimeoutMs) return 'idle';
+    return null;
+}
+
+function startSession({ expiresAt, remember }) {
+    session.expiresAt = expiresAt || null;
+    session.remember = remember;
+    clearStoredSession();
+    saveSession();
+    session.activitySavedAt = 0;
+    recordActivity();
+    scheduleSessionChecks();
+    broadcastSession({ type: 'login', remember, session: { user: currentUser, token: authToken, expiresAt: session.expiresAt } });
+}
+
+// Picks up a session saved by an earlier page load (or handed over by another tab).
+function resumeSession({ expiresAt, remember }) {
+    session.expiresAt = expiresAt || null;
+    session.remember = remember;
+    scheduleSessionChecks();
+}
+
+function stopSession({ broadcast = true } = {}) {
+    clearInterval(session.timer);
+    session.timer = null;
+    session.expiresAt = null;
+    hideSessionWarning();
+    clearStoredSession();
+    localStorage.removeItem(SESSION_ACTIVITY_KEY);
+    if (broadcast) {
+        broadcastSession({ type: 'logout' });
+    }
+}
+
+function scheduleSessionChecks() {
+    clearInterval(session.timer);
+    session.timer = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+    checkSession();
+}
+
+function checkSession() {
+    if (!currentUser) return;
+
+    const reason = sessionEndReason(session.expiresAt);
+    if (reason) {
+        expireSession(t(reason === 'idle' ? 'toast.idleLogout' : 'toast.sessionExpired'));
+        return;
+    }
+    if (!session.expiresAt) return;
+
+    const remaining = session.expiresAt - Date.now();
+    if (remaining > sessionSettings.warningLeadMs) {
+        hideSessionWarning();
+        return;
+    }
+
+    // Someone who is using the app gets a new token without noticing; an idle screen is only
+    // warned, so a walked-away session still ends on time.
+    if (Date.now() - lastActivity() < sessionSettings.warningLeadMs) {
+        refreshSession();
+    } else {
+        showSessionWarning(remaining);
+    }
+}
+
+async function refreshSession() {
+    if (!currentUser || session.refreshing) return;
+
+    session.refreshing = true;
+    try {
+        const data = await api.passenger.refresh();
+        authToken = data.token;
+        session.expiresAt = responseExpiry(data);
+        saveSession();
+        hideSessionWarning();
+        broadcastSession({ type: 'refresh', session: { user: currentUser, token: authToken, expiresAt: session.expiresAt } });
+    } catch (error) {
+        // A 401 has already ended the session through onUnauthorized.
+        console.error('Error refreshing session:', error);
+        if (currentUser && session.expiresAt) {
+            showSessionWarning(session.expiresAt - Date.now());
+        }
+    } finally {
+        session.refreshing = false;
+    }
+}
+
+function showSessionWarning(remaining) {
+    const minutes = Math.max(1, Math.ceil(remaining / 60000));
+    document.getElementById('session-warning-text').textContent = t('session.expiresIn', { count: minutes });
+    document.getElementById('session-warning').classList.remove('hidden');
+}
+
+function hideSessionWarning() {
+    document.getElementById('session-warning')?.classList.add('hidden');
+}
+
+function broadcastSession(message) {
+    if (session.channel) {
+        session.channel.postMessage(message);
+        return;
+    }
+    const safe = { type: message.type, remember: message.remember, sentAt: Date.now() };
+    localStorage.setItem(SESSION_EVENT_KEY, JSON.stringify(safe));
+    localStorage.removeItem(SESSION_EVENT_KEY);
+}
+
+// Another tab logged in, out, or refreshed the token.
+function handleSessionMessage(message) {
+    if (message.type === 'logout') {
+        if (!currentUser) return;
+        endSession({ broadcast: false });
+        showNotification(t('toast.loggedOut'), 'info');
+        navigate('/login', { replace: true });
+        return;
+    }
+
+    const incoming = message.session || readStoredSession();
+    if (!incoming) return;
+
+    if (message.type === 'refresh') {
+        if (currentUser?.passengerId !== incoming.user.passengerId) return;
+        authToken = incoming.token;
+        session.expiresAt = incoming.expiresAt;
+        saveSession();
+        hideSessionWarning();
+        return;
+    }
+
+    if (message.type === 'login' && currentUser?.passengerId !== incoming.user.passengerId) {
+        if (currentUser) {
+            endSession({ broadcast: false });
+        }
+        currentUser = incoming.user;
+        authToken = incoming.token;
+        resumeSession({ expiresAt: incoming.expiresAt, remember: message.remember });
+        saveSession();
+        // Stay where the rider is if they were looking at a page behind the login wall.
+        const { query } = parseLocation();
+        history.replaceState(null, '', `#${safeReturnPath(query.next) || DEFAULT_PATH}`);
+        showDashboard();
+    }
+}
@@ -0,0 +1,140 @@
+const SHELL_CACHE = 'shell-v1';
+const API_CACHE = 'api-v1';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './i18n.js',
+    './dom.js',
+    './router.js',
+    './api.js',
+    './config.js',
+    './mock.js',
+    './session.js',
+    './qrcode.js',
+    './pdf.js',
+    './offline.js',
+    './checkout.js',
+    './conductor.js',
+    './planner.js',
+    './live.js',
+    './notifications.js',
+    './admin.js',
+    './analytics.js',
+    './receipts.js',
+    './profile.js',
+    './timing.js',
+    './health.js',
+    './lists.js',
+    './app.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+
+// GET endpoints served stale-while-revalidate so routes, trips and the rider's tickets
+// (and therefore their QR codes) stay viewable without a connection. Only requests the page
+// marks with OFFLINE_CACHE_HEADER qualify, and the page re-renders those when API_UPDATED
+// arrives; admin, conductor and live reads always go to the network.
+const OFFLINE_CACHE_HEADER = 'X-Offline-Cache';
+const CACHED_API_PATHS = [
+    /\/transport\/routes$/,
+    /\/transport\/trips$/,
+    /\/ticketing\/tickets$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== API_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // Sent on logout so the next user on this device never sees the previous rider's tickets.
+    if (event.data?.type === 'CLEAR_API_CACHE') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.headers.has(OFFLINE_CACHE_HEADER) && CACHED_API_PATHS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event, request));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(shellFirst(event, request));
+    }
+});
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(async response => {
+            if (!response.ok) return response;
+
+            const changed = !cached || await cached.clone().text() !== await response.clone().text();
+            await cache.put(request, response.clone());
+            if (cached && changed) {
+                notifyClients({ type: 'API_UPDATED', url: request.url });
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the refresh lands; a failed refresh just leaves the old copy.
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+async function shellFirst(event, request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) {
+        event.waitUntil(
+            fetch(request)
+                .then(async response => {
+                    if (response.ok) {
+                        const cache = await caches.open(SHELL_CACHE);
+                        await cache.put(request, response);
+                    }
+                })
+                .catch(() => {})
+        );
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            return caches.match('./index.html');
+        }
+        throw error;
+    }
+}
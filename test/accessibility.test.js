@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const { openApp } = require('./helpers/app');
+
+// jsdom does no layout or painting, so contrast is left to a browser run.
+const AXE_OPTIONS = {
+    resultTypes: ['violations'],
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+// Each tab, as a user allowed to open it.
+const TABS = {
+    demo: ['dashboard', 'routes', 'tickets', 'payments', 'analytics', 'notifications', 'profile'],
+    conductor: ['conductor'],
+    admin: ['admin']
+};
+
+let app;
+
+async function audit() {
+    app.run(axe.source);
+    const { violations } = await app.window.axe.run(app.document, AXE_OPTIONS);
+    // Array.from rather than map, so the result is an array of this realm and not the page's.
+    return Array.from(violations, ({ id, help, nodes }) => `${id}: ${help} (${nodes.map(node => node.target.join(' ')).join(', ')})`);
+}
+
+test('the login and register forms', async (t) => {
+    app = await openApp();
+    t.after(() => app.close());
+
+    assert.deepEqual(await audit(), []);
+
+    await app.run("navigate('/register')");
+    await app.waitFor(() => !app.$('#register-form').classList.contains('hidden'), { message: 'the register form' });
+    assert.deepEqual(await audit(), []);
+});
+
+for (const [username, tabs] of Object.entries(TABS)) {
+    test(`each tab ${username} sees`, async (t) => {
+        app = await openApp();
+        t.after(() => app.close());
+        await app.login(username);
+
+        for (const tab of tabs) {
+            await t.test(tab, async () => {
+                await app.run(`switchTab('${tab}')`);
+                assert.ok(!app.$(`#${tab}-section`).classList.contains('hidden'));
+                assert.deepEqual(await audit(), []);
+            });
+        }
+    });
+}
+
+test('the open trips list and the checkout dialog', async (t) => {
+    app = await openApp();
+    t.after(() => app.close());
+    await app.login('demo');
+
+    await app.run("navigate('/routes/R0000000001/trips')");
+    await app.waitFor(() => app.$$('#trips-list .trip-card').length > 0, { message: 'the route\'s trips' });
+    assert.deepEqual(await audit(), []);
+
+    const ticket = await app.run("api.ticketing.purchase(currentUser.passengerId, 'T0000000002')");
+    app.run(`payForTicket('${ticket.ticketId}', ${ticket.fare})`);
+    await app.waitFor(() => app.$('#checkout-form'), { message: 'the checkout form' });
+    assert.deepEqual(await audit(), []);
+});
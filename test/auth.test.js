@@ -0,0 +1,62 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+let app;
+
+afterEach(() => app?.close());
+
+test('the demo passenger logs in to the dashboard', async () => {
+    app = await openApp();
+    await app.login('demo');
+
+    await app.waitForToast('Login successful!');
+    assert.match(app.text('#user-name'), /Demo/);
+    assert.equal(app.window.location.hash, '#/dashboard');
+    assert.ok(!app.$('#dashboard-section').classList.contains('hidden'));
+    assert.equal(app.run('currentUser.passengerId'), 'PDEMO000001');
+});
+
+test('a wrong password keeps the login form up with an error', async () => {
+    app = await openApp();
+    app.fill({ 'login-username': 'demo', 'login-password': 'not-the-password' });
+    app.submit('login-form-element');
+
+    await app.waitFor(() => app.$('#toast-stack .notification.error'), { message: 'an error toast' });
+    assert.equal(app.run('currentUser'), null);
+    assert.ok(!app.$('#auth-section').classList.contains('hidden'));
+});
+
+test('a new passenger registers and then logs in', async () => {
+    app = await openApp({ hash: '#/register' });
+    app.fill({
+        'reg-username': 'ndapewa',
+        'reg-email': 'ndapewa@example.com',
+        'reg-password': 'secret123',
+        'reg-firstname': 'Ndapewa',
+        'reg-lastname': 'Amutenya',
+        'reg-phone': '+264811234567'
+    });
+    app.submit('register-form-element');
+
+    await app.waitFor(() => app.window.location.hash === '#/login', { message: 'the login page' });
+    await app.login('ndapewa', 'secret123');
+    assert.match(app.text('#user-name'), /Ndapewa/);
+});
+
+test('registration rejects an invalid email before calling the service', async () => {
+    app = await openApp({ hash: '#/register' });
+    const passengers = app.run('mockBackend.state.passengers.length');
+    app.fill({
+        'reg-username': 'ndapewa',
+        'reg-email': 'not-an-email',
+        'reg-password': 'secret123',
+        'reg-firstname': 'Ndapewa',
+        'reg-lastname': 'Amutenya',
+        'reg-phone': '+264811234567'
+    });
+    app.submit('register-form-element');
+
+    await app.waitFor(() => app.text('#register-error'), { message: 'the register error' });
+    assert.equal(app.run('mockBackend.state.passengers.length'), passengers);
+});
@@ -0,0 +1,59 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+let app;
+
+beforeEach(async () => {
+    app = await openApp();
+    await app.login('demo');
+});
+
+afterEach(() => app.close());
+
+test('the routes tab lists every route', async () => {
+    await app.run("switchTab('routes')");
+
+    await app.waitFor(() => app.$$('#routes-list .route-card').length === 4, { message: 'four route cards' });
+    assert.match(app.text('#routes-list'), /City Centre - Katutura/);
+    assert.match(app.text('#routes-list'), /N\$12\.50/);
+});
+
+test('the status filter narrows the routes', async () => {
+    await app.run("switchTab('routes')");
+    await app.waitFor(() => app.$$('#routes-list .route-card').length === 4, { message: 'the route cards' });
+
+    app.fill({ 'routes-status-filter': 'INACTIVE' });
+
+    await app.waitFor(() => app.$$('#routes-list .route-card').length === 1, { message: 'one inactive route' });
+    assert.match(app.text('#routes-list'), /Eros - Klein Windhoek/);
+});
+
+test('viewing trips opens the route\'s scheduled trips', async () => {
+    await app.run("switchTab('routes')");
+    await app.waitFor(() => app.$('#routes-list [data-action="view-trips"][data-route-id="R0000000001"]'),
+        { message: 'the first route' });
+
+    app.click('#routes-list [data-action="view-trips"][data-route-id="R0000000001"]');
+
+    await app.waitFor(() => app.$$('#trips-list .trip-card').length === 2, { message: 'the route\'s trips' });
+    assert.ok(!app.$('#trips-container').classList.contains('hidden'));
+    assert.equal(app.window.location.hash, '#/routes/R0000000001/trips');
+    assert.deepEqual(app.$$('#trips-list .trip-card').map(card => card.dataset.tripId), ['T0000000002', 'T0000000003']);
+
+    app.click('#trips-container [data-action="hide-trips"]');
+    await app.waitFor(() => app.$('#trips-container').classList.contains('hidden'), { message: 'the trips to close' });
+    assert.equal(app.window.location.hash, '#/routes');
+});
+
+test('the trips filter lists trips that can no longer be booked', async () => {
+    await app.run("navigate('/routes/R0000000001/trips')");
+    await app.waitFor(() => app.$$('#trips-list .trip-card').length === 2, { message: 'the route\'s trips' });
+
+    app.fill({ 'trips-status-filter': '' });
+
+    await app.waitFor(() => app.$$('#trips-list .trip-card').length === 3, { message: 'every trip on the route' });
+    const purchase = tripId => app.$(`#trips-list .trip-card[data-trip-id="${tripId}"] [data-action="purchase-ticket"]`);
+    assert.ok(purchase('T0000000001').disabled, 'a trip already under way is not sold');
+    assert.ok(!purchase('T0000000002').disabled);
+});
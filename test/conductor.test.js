@@ -0,0 +1,73 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+let app;
+
+beforeEach(async () => {
+    app = await openApp();
+    await app.login('conductor');
+    await app.run("switchTab('conductor')");
+    await app.waitFor(() => app.$('#conductor-trip option[value="T0000000003"]'), { message: 'the conductor\'s trips' });
+
+    app.fill({ 'conductor-trip': 'T0000000003' });
+    await app.waitFor(() => !app.$('#conductor-scanner').classList.contains('hidden') && app.$('#conductor-stop option[value]:not([value=""])'),
+        { message: 'the trip\'s stops' });
+});
+
+afterEach(() => app.close());
+
+function ticket(ticketId) {
+    return JSON.parse(app.run(`JSON.stringify(mockBackend.state.tickets.find(t => t.ticketId === '${ticketId}'))`));
+}
+
+async function enterTicket(value) {
+    app.run("document.getElementById('conductor-result').textContent = ''");
+    app.fill({ 'conductor-ticket-id': value });
+    app.submit('conductor-manual-form');
+    return app.waitFor(() => app.text('#conductor-result'), { message: `the result for ${value}` });
+}
+
+test('a paid ticket for the trip is accepted once, then reported as used', async () => {
+    assert.match(await enterTicket('TKT0000000001'), /ACCEPTED.*Valid ticket/);
+    assert.equal(ticket('TKT0000000001').status, 'VALIDATED');
+
+    assert.match(await enterTicket('TKT0000000001'), /REJECTED.*Already validated/);
+});
+
+test('a scanned QR code finds the ticket it belongs to', async () => {
+    const { qrCode } = ticket('TKT0000000001');
+
+    assert.match(await enterTicket(qrCode), /ACCEPTED.*Ticket TKT0000000001/);
+});
+
+test('a scanned QR code for another trip is rejected with the trip it is for', async () => {
+    const { qrCode } = ticket('TKT0000000002');
+
+    assert.match(await enterTicket(qrCode), /REJECTED.*different trip/);
+});
+
+test('the validation names the signed-in conductor', async () => {
+    app.run(`
+        window.validations = [];
+        const mockFetchForTest = apiConfig.fetch;
+        apiConfig.fetch = (url, options = {}) => {
+            if (options.method === 'PUT') validations.push(JSON.parse(options.body));
+            return mockFetchForTest(url, options);
+        };
+    `);
+
+    assert.match(await enterTicket('TKT0000000001'), /ACCEPTED/);
+    assert.equal(app.window.validations[0].driverId, 'PCOND000001');
+    assert.equal(app.window.validations[0].validatedBy, 'conductor');
+});
+
+test('a ticket for another trip is rejected with the trip it is for', async () => {
+    assert.match(await enterTicket('TKT0000000002'), /REJECTED.*different trip/);
+    assert.match(app.text('#conductor-result'), /T0000000007/);
+    assert.equal(ticket('TKT0000000002').tripId, 'T0000000007');
+});
+
+test('an unknown ticket is rejected as not found', async () => {
+    assert.match(await enterTicket('TKT9999999999'), /REJECTED.*Ticket not found/);
+});
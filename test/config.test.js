@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { openApp } = require('./helpers/app');
+
+const ROOT = path.join(__dirname, '..');
+
+test('a base URL relative to the page reaches the service on the page\'s host', async (t) => {
+    const app = await openApp();
+    t.after(() => app.close());
+    app.run("configureApi({ baseUrls: { TRANSPORT: '/transport' } })");
+
+    assert.equal(app.run("buildUrl('TRANSPORT', '/routes', { status: 'ACTIVE' })"),
+        'http://localhost:8080/transport/routes?status=ACTIVE');
+
+    await app.login('demo');
+    await app.run("switchTab('routes')");
+    await app.waitFor(() => app.$$('#routes-list .route-card').length === 4, { message: 'the route cards' });
+});
+
+test('write-csp allows each configured host and leaves relative URLs to \'self\'', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-csp-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const page = path.join(dir, 'index.html');
+    const config = path.join(dir, 'config.json');
+    fs.copyFileSync(path.join(ROOT, 'index.html'), page);
+    fs.writeFileSync(config, JSON.stringify({
+        liveEventsUrl: 'https://live.example.com/events',
+        services: {
+            PAYMENT: { baseUrl: '/payment' },
+            TICKETING: { baseUrl: 'https://tickets.example.com/ticketing' }
+        }
+    }));
+
+    execFileSync(process.execPath, [path.join(ROOT, 'dev', 'write-csp.js'), page, config], { stdio: 'pipe' });
+
+    const [, connectSrc] = fs.readFileSync(page, 'utf8').match(/http-equiv="Content-Security-Policy" content="[^"]*connect-src ([^;"]*)/);
+    assert.deepEqual(connectSrc.split(' '), [
+        "'self'",
+        'http://localhost:9090',
+        'http://localhost:9091',
+        'https://tickets.example.com',
+        'http://localhost:9094',
+        'https://live.example.com'
+    ]);
+});
@@ -0,0 +1,140 @@
+// Boots index.html in jsdom against the in-page mock backend (?mock=1), so the tests drive the real
+// scripts end to end without any of the Ballerina services running:
+//
+//   const app = await openApp();
+//   await app.login('demo');
+//   app.run("switchTab('routes')");
+//
+// The stylesheet and scripts are inlined into the page, since jsdom has no server to fetch them
+// from. Each test opens its own page and closes it afterwards; the mock keeps its state in that
+// page's sessionStorage, so tests never see each other's tickets.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'http://localhost:8080/index.html';
+const WAIT_TIMEOUT_MS = 10000;
+const WAIT_INTERVAL_MS = 25;
+// jsdom's cascade ignores !important, so .modal, .pagination and the like would win over .hidden
+// and leave closed dialogs "visible"; restating it last gives the order a browser would.
+const HIDDEN_RULE = '\n.hidden { display: none; }\n';
+
+function pageHtml() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return html
+        .replace(/<link rel="stylesheet" href="([^"]+)">/g, (tag, href) =>
+            `<style>${fs.readFileSync(path.join(ROOT, href), 'utf8')}${HIDDEN_RULE}</style>`)
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) =>
+            `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+}
+
+// What jsdom leaves out and the app expects a browser to have. Without an indexedDB (a
+// fake-indexeddb IDBFactory; pages given the same one share it, like tabs) the outbox is off.
+function stubBrowser(window, indexedDB) {
+    window.fetch = async () => new Response(null, { status: 404 });
+    window.Response = Response;
+    window.TextEncoder = TextEncoder;
+    window.Blob = Blob;
+    window.indexedDB = indexedDB;
+    window.CSS = { escape: value => String(value).replace(/[^a-zA-Z0-9_-]/g, c => `\\${c}`) };
+    window.Element.prototype.scrollIntoView = function () {};
+}
+
+function textOf(node) {
+    return (node?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+async function waitFor(predicate, { timeout = WAIT_TIMEOUT_MS, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = predicate();
+        if (value) return value;
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL_MS));
+    }
+}
+
+async function openApp({ hash = '#/login', language = 'en', indexedDB } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(pageHtml(), {
+        url: `${PAGE_URL}?mock=1${hash}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.localStorage.setItem('language', language);
+            stubBrowser(window, indexedDB);
+        }
+    });
+    const { window } = dom;
+    const { document } = window;
+
+    const app = {
+        window,
+        document,
+        // Top-level consts (mockBackend, currentUser, ...) are not window properties, so reach them
+        // through the page's own scope.
+        run: code => window.eval(code),
+        $: selector => document.querySelector(selector),
+        $$: selector => [...document.querySelectorAll(selector)],
+        text: selector => textOf(document.querySelector(selector)),
+        waitFor,
+        waitForText(selector, expected, options) {
+            const matches = typeof expected === 'string' ? text => text.includes(expected) : text => expected.test(text);
+            return waitFor(() => matches(app.text(selector)), { message: `${selector} to show ${expected}`, ...options });
+        },
+        toasts: () => app.$$('#toast-stack .notification').map(textOf),
+        waitForToast(expected, options) {
+            return waitFor(() => app.toasts().find(toast => toast.includes(expected)),
+                { message: `a "${expected}" toast`, ...options });
+        },
+        fill(values) {
+            for (const [id, value] of Object.entries(values)) {
+                const field = document.getElementById(id);
+                if (field.type === 'checkbox') {
+                    field.checked = value;
+                } else {
+                    field.value = value;
+                }
+                field.dispatchEvent(new window.Event('input', { bubbles: true }));
+                field.dispatchEvent(new window.Event('change', { bubbles: true }));
+            }
+        },
+        submit(formId) {
+            const form = document.getElementById(formId);
+            form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+        },
+        click(selector) {
+            const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
+            if (!element) throw new Error(`Nothing to click at ${selector}`);
+            element.click();
+        },
+        async login(username, password = 'password1') {
+            await waitFor(() => document.getElementById('login-form-element'), { message: 'the login form' });
+            app.fill({ 'login-username': username, 'login-password': password });
+            app.submit('login-form-element');
+            await waitFor(() => app.run('currentUser') && app.$('#auth-section').classList.contains('hidden'),
+                { message: `${username} to reach the dashboard` });
+        },
+        // An uncaught error in the page fails the test that caused it, even if its assertions passed.
+        close() {
+            window.close();
+            if (errors.length > 0) {
+                throw new Error(`The page threw: ${errors.map(error => error.message).join('; ')}`);
+            }
+        }
+    };
+
+    await waitFor(() => document.readyState === 'complete' && app.run('mockBackend.enabled'),
+        { message: 'the mock backend' });
+    return app;
+}
+
+module.exports = { openApp, waitFor };
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+// The service worker answers only reads carrying the marker header from its cache (see sw.js), so
+// which reads carry it decides what may be shown stale.
+async function openRecordingApp(t) {
+    const app = await openApp();
+    t.after(() => app.close());
+    app.run(`
+        window.recordedReads = [];
+        const mockFetchForTest = apiConfig.fetch;
+        apiConfig.fetch = (url, options = {}) => {
+            if ((options.method || 'GET') === 'GET') {
+                const { pathname } = new URL(url);
+                recordedReads.push({ path: pathname, cached: OFFLINE_CACHE_HEADER in (options.headers || {}) });
+            }
+            return mockFetchForTest(url, options);
+        };
+    `);
+    app.reads = path => Array.from(app.window.recordedReads.filter(read => read.path.endsWith(path)), read => read.cached);
+    return app;
+}
+
+test('the rider\'s dashboard and ticket reads may be served from the offline cache', async (t) => {
+    const app = await openRecordingApp(t);
+    await app.login('demo');
+    await app.waitFor(() => app.text('#total-tickets') !== '0', { message: 'the dashboard' });
+    assert.deepEqual(app.reads('/transport/routes'), [true]);
+
+    app.run('recordedReads.length = 0');
+    await app.run("switchTab('tickets')");
+    await app.waitFor(() => app.$('#tickets-list .ticket-card'), { message: 'the rider\'s tickets' });
+
+    assert.deepEqual(app.reads('/ticketing/tickets'), [true]);
+    assert.ok(app.reads('/transport/trips').every(cached => cached));
+});
+
+test('admin and conductor reads always go to the network', async (t) => {
+    const app = await openRecordingApp(t);
+    await app.login('admin');
+    await app.run("switchTab('admin')");
+    await app.waitFor(() => app.$('#admin-routes-list .route-card'), { message: 'the admin routes' });
+    app.run('recordedReads.length = 0');
+    await app.run('loadAdminRoutes()');
+
+    assert.deepEqual(app.reads('/transport/routes'), [false]);
+
+    app.click('#logout-btn');
+    await app.login('conductor');
+    app.run('recordedReads.length = 0');
+    await app.run("switchTab('conductor')");
+    await app.waitFor(() => app.$('#conductor-trip option[value="T0000000003"]'), { message: 'the conductor\'s trips' });
+
+    assert.ok(app.reads('/transport/trips').length > 0);
+    assert.ok(app.reads('/transport/trips').every(cached => !cached));
+});
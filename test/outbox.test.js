@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { openApp } = require('./helpers/app');
+
+const TRIP_ID = 'T0000000002';
+// Short enough that a purchase the mock never answers gives up quickly.
+const TICKETING_TIMEOUT_MS = 1000;
+
+async function openRider(t, indexedDB = new IDBFactory()) {
+    const app = await openApp({ indexedDB });
+    t.after(() => app.close());
+    await app.login('demo');
+    app.run(`apiConfig.timeouts.TICKETING = ${TICKETING_TIMEOUT_MS}`);
+    return app;
+}
+
+function tripTickets(app) {
+    return app.run(`mockBackend.state.tickets.filter(t => t.tripId === '${TRIP_ID}').length`);
+}
+
+async function queueAndFlush(app) {
+    await app.run(`queuePurchase(currentUser.passengerId, '${TRIP_ID}')`);
+    await app.run('flushOutbox()');
+    assert.equal(await app.run('getOutboxActions().then(actions => actions.length)'), 0);
+}
+
+test('a queued purchase is bought once back online', async (t) => {
+    const app = await openRider(t);
+
+    await queueAndFlush(app);
+    await app.waitForToast('1 queued ticket purchase completed');
+    assert.equal(tripTickets(app), 1);
+});
+
+test('a purchase that timed out after going through is not bought again', async (t) => {
+    const app = await openRider(t);
+    app.run("injectMockFailure({ method: 'POST', path: '/ticketing/tickets', kind: 'lost' })");
+
+    await queueAndFlush(app);
+    await app.waitForToast('1 queued ticket purchase completed');
+    assert.equal(tripTickets(app), 1);
+});
+
+test('a purchase that timed out without an answer is dropped, not replayed', async (t) => {
+    const app = await openRider(t);
+    app.run("injectMockFailure({ method: 'POST', path: '/ticketing/tickets', kind: 'timeout' })");
+
+    await queueAndFlush(app);
+    await app.waitForToast(`Queued ticket for trip ${TRIP_ID} timed out`);
+    await app.run('flushOutbox()');
+    assert.equal(tripTickets(app), 0);
+});
+
+test('a purchase queued in one tab is replayed by only one of two open tabs', async (t) => {
+    const indexedDB = new IDBFactory();
+    const first = await openRider(t, indexedDB);
+    const second = await openRider(t, indexedDB);
+
+    await first.run(`queuePurchase(currentUser.passengerId, '${TRIP_ID}')`);
+    await Promise.all([first.run('flushOutbox()'), second.run('flushOutbox()')]);
+
+    // Each page has its own mock backend, so the tickets bought add up across the two.
+    assert.equal(tripTickets(first) + tripTickets(second), 1);
+});
@@ -0,0 +1,110 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+// Long enough for the mock gateway's pending payment plus one status poll.
+const PAYMENT_TIMEOUT_MS = 15000;
+
+let app;
+
+beforeEach(async () => {
+    app = await openApp();
+    await app.login('demo');
+});
+
+afterEach(() => app.close());
+
+function newTickets() {
+    return JSON.parse(app.run("JSON.stringify(mockBackend.state.tickets.filter(t => t.tripId === 'T0000000002'))"));
+}
+
+async function buySeat() {
+    await app.run("navigate('/routes/R0000000001/trips')");
+    const button = await app.waitFor(
+        () => app.$('#trips-list .trip-card[data-trip-id="T0000000002"] [data-action="purchase-ticket"]'),
+        { message: 'the scheduled trip' });
+    app.click(button);
+
+    await app.waitForToast('Ticket purchased!');
+    await app.waitFor(() => app.window.location.hash === '#/tickets', { message: 'the tickets tab' });
+    const [ticket] = newTickets();
+    assert.equal(ticket.status, 'CREATED');
+    return ticket;
+}
+
+async function openCheckout(ticket) {
+    const pay = await app.waitFor(
+        () => app.$(`#tickets-list .ticket-card[data-ticket-id="${ticket.ticketId}"] [data-action="pay-ticket"]`),
+        { message: 'the pay button on the new ticket' });
+    app.click(pay);
+    await app.waitFor(() => app.$('#checkout-form'), { message: 'the checkout form' });
+}
+
+test('a passenger buys a seat, pays by mobile money and gets a paid ticket', { timeout: 30000 }, async () => {
+    const ticket = await buySeat();
+    await openCheckout(ticket);
+
+    app.submit('checkout-form');
+    await app.waitFor(() => app.text('#checkout-error'), { message: 'the missing number error' });
+    assert.equal(newTickets()[0].status, 'CREATED');
+
+    app.fill({ 'checkout-mobileNumber': '0811234567' });
+    app.submit('checkout-form');
+
+    await app.waitForText('#modal-body', 'Paid N$12.50 by Mobile Money.', { timeout: PAYMENT_TIMEOUT_MS });
+    await app.waitForToast('Payment successful!');
+    const [paid] = newTickets();
+    assert.equal(paid.status, 'PAID');
+    assert.ok(paid.paymentId);
+
+    app.click(app.$$('#modal-body button').find(button => button.textContent.trim() === 'Done'));
+    await app.waitFor(
+        () => app.$(`#tickets-list .ticket-card[data-ticket-id="${ticket.ticketId}"] [data-action="show-ticket"]`),
+        { message: 'the paid ticket card' });
+});
+
+test('a declined payment leaves the ticket unpaid and offers a retry', { timeout: 30000 }, async () => {
+    const ticket = await buySeat();
+    await openCheckout(ticket);
+    app.run("injectMockFailure({ method: 'POST', path: '/payment/payments', kind: 'decline', message: 'Insufficient funds' })");
+
+    app.fill({ 'checkout-mobileNumber': '0811234567' });
+    app.submit('checkout-form');
+
+    await app.waitForText('#modal-body', 'Payment failed: Insufficient funds', { timeout: PAYMENT_TIMEOUT_MS });
+    assert.equal(newTickets()[0].status, 'CREATED');
+    assert.ok(app.$$('#modal-body button').some(button => button.textContent.trim() === 'Try again'));
+});
+
+test('a failed purchase reports the error and creates no ticket', async () => {
+    app.run("injectMockFailure({ method: 'POST', path: '/ticketing/tickets', status: 409, message: 'No seats left on this trip' })");
+    await app.run("navigate('/routes/R0000000001/trips')");
+    const button = await app.waitFor(
+        () => app.$('#trips-list .trip-card[data-trip-id="T0000000002"] [data-action="purchase-ticket"]'),
+        { message: 'the scheduled trip' });
+    app.click(button);
+
+    await app.waitForToast('No seats left on this trip');
+    assert.deepEqual(newTickets(), []);
+    assert.equal(app.window.location.hash, '#/routes/R0000000001/trips');
+});
+
+test('cash rounding is applied once, to what is charged, and the lines still add up to it', { timeout: 30000 }, async () => {
+    app.run('configureLocale({ cashRounding: 1 })');
+    app.run("bookGroup('T0000000002', 3)");
+    await app.waitFor(() => app.$('#checkout-form'), { message: 'the group checkout' });
+    assert.match(app.text('#modal-body'), /3 × N\$12\.50.*Cash rounding: N\$0\.50.*Total: N\$38\.00/);
+
+    app.fill({ 'checkout-mobileNumber': '0811234567' });
+    app.submit('checkout-form');
+    await app.waitForText('#modal-body', 'Booking Confirmed', { timeout: PAYMENT_TIMEOUT_MS });
+    const [lead] = newTickets();
+    const payment = JSON.parse(app.run(`JSON.stringify(mockBackend.state.payments.find(p => p.paymentId === '${lead.paymentId}'))`));
+    assert.equal(payment.amount, 38);
+
+    app.run(`showReceipt('${payment.paymentId}')`);
+    await app.waitFor(() => app.$('#modal-body .receipt-table'), { message: 'the receipt' });
+    assert.deepEqual(app.$$('#modal-body .receipt-table td.amount').map(cell => cell.textContent.trim()),
+        ['N$12.50', 'N$12.50', 'N$12.50', 'N$0.50']);
+    assert.match(app.text('#modal-body tfoot'), /Total paid ?N\$38\.00/);
+});
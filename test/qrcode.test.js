@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// qrcode.js on its own, without a page: the conductor view falls back to its decoder when the
+// browser has no BarcodeDetector, and these draw codes the way a camera would see them.
+const QRCode = vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'qrcode.js'), 'utf8')};QRCode`,
+    vm.createContext({ TextEncoder, TextDecoder }));
+
+const TICKET_QR = 'k3Hq7b0mN1pL8sT2vX5yZ9aB4cD6eF0gH2iJ4kL6mN8=';
+const IMAGE_SIZE = 360;
+const MARGIN = 4;
+
+// Draws `qr` into an RGBA image through `toModule`, which takes an image pixel to module
+// coordinates (margin included), so any rotation or perspective can be drawn the same way.
+function draw(qr, toModule, { noise = 0, flipped = [] } = {}) {
+    const dark = new Set(flipped.map(([x, y]) => `${x},${y}`));
+    const isDark = (x, y) => qr.modules[y][x] !== dark.has(`${x},${y}`);
+    const data = new Uint8ClampedArray(IMAGE_SIZE * IMAGE_SIZE * 4);
+    for (let y = 0; y < IMAGE_SIZE; y++) {
+        for (let x = 0; x < IMAGE_SIZE; x++) {
+            const { u, v } = toModule(x, y);
+            const mx = Math.floor(u) - MARGIN;
+            const my = Math.floor(v) - MARGIN;
+            const inside = mx >= 0 && my >= 0 && mx < qr.size && my < qr.size;
+            const value = (inside && isDark(mx, my) ? 30 : 225) + (Math.random() - 0.5) * noise;
+            data.set([value, value, value, 255], (y * IMAGE_SIZE + x) * 4);
+        }
+    }
+    return { data, width: IMAGE_SIZE, height: IMAGE_SIZE };
+}
+
+// Fits the code and its margin into the middle of the image, turned by `angle` and seen at a
+// slant (`tilt` is how much nearer the right-hand side is than the left).
+function view(qr, { angle = 0, tilt = 0 } = {}) {
+    const modules = qr.size + MARGIN * 2;
+    const scale = modules / (IMAGE_SIZE * 0.7);
+    const centre = IMAGE_SIZE / 2;
+    return (x, y) => {
+        const w = 1 + tilt * (x - centre) / IMAGE_SIZE;
+        const dx = (x - centre) / w;
+        const dy = (y - centre) / w;
+        return {
+            u: (Math.cos(angle) * dx + Math.sin(angle) * dy) * scale + modules / 2,
+            v: (-Math.sin(angle) * dx + Math.cos(angle) * dy) * scale + modules / 2
+        };
+    };
+}
+
+test('a ticket code is read back as it was drawn', () => {
+    const qr = QRCode.encode(TICKET_QR, { ecLevel: 'M' });
+
+    assert.equal(QRCode.decode(draw(qr, view(qr))), TICKET_QR);
+});
+
+test('a code is read turned, at a slant and under uneven noise', () => {
+    const qr = QRCode.encode(TICKET_QR, { ecLevel: 'M' });
+
+    assert.equal(QRCode.decode(draw(qr, view(qr, { angle: Math.PI / 2 }))), TICKET_QR);
+    assert.equal(QRCode.decode(draw(qr, view(qr, { angle: 0.4 }), { noise: 80 })), TICKET_QR);
+    assert.equal(QRCode.decode(draw(qr, view(qr, { tilt: 0.3 }))), TICKET_QR);
+});
+
+test('damaged modules are corrected', () => {
+    const qr = QRCode.encode(TICKET_QR, { ecLevel: 'M' });
+    const flipped = [[10, 12], [11, 12], [12, 12], [20, 20], [15, 9], [22, 14], [9, 25], [24, 10]];
+
+    assert.equal(QRCode.decode(draw(qr, view(qr), { flipped })), TICKET_QR);
+});
+
+test('every version the encoder makes can be read', () => {
+    for (let version = 1; version <= QRCode.MAX_VERSION; version++) {
+        const qr = QRCode.encode('TKT0000000001', { minVersion: version });
+        assert.equal(QRCode.decode(draw(qr, view(qr))), 'TKT0000000001', `version ${version}`);
+    }
+});
+
+test('an image without a code reads as nothing', () => {
+    const blank = { data: new Uint8ClampedArray(IMAGE_SIZE * IMAGE_SIZE * 4).fill(255), width: IMAGE_SIZE, height: IMAGE_SIZE };
+
+    assert.equal(QRCode.decode(blank), null);
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openApp } = require('./helpers/app');
+
+let app;
+
+beforeEach(async () => {
+    app = await openApp();
+    await app.login('demo');
+});
+
+afterEach(() => app.close());
+
+function ticket(ticketId) {
+    return JSON.parse(app.run(`JSON.stringify(mockBackend.state.tickets.find(t => t.ticketId === '${ticketId}'))`));
+}
+
+async function confirmReason(reason) {
+    await app.waitFor(() => app.$('#reason-form'), { message: 'the reason dialog' });
+    app.fill({ 'reason-input': reason });
+    app.submit('reason-form');
+}
+
+test('a refunded ticket is withdrawn and turned down at the conductor', async () => {
+    await app.run("switchTab('tickets')");
+    app.click(await app.waitFor(
+        () => app.$('#tickets-list .ticket-card[data-ticket-id="TKT0000000001"] [data-action="request-refund"]'),
+        { message: 'the paid ticket' }));
+    await app.waitForText('#modal-body', 'will no longer be valid for travel');
+    await confirmReason('Plans changed');
+
+    await app.waitForToast('Refund processed');
+    assert.equal(ticket('TKT0000000001').status, 'REFUNDED');
+    await app.waitForText('#tickets-list .ticket-card[data-ticket-id="TKT0000000001"]', 'Refunded');
+
+    app.click('#logout-btn');
+    await app.login('conductor');
+    await app.run("switchTab('conductor')");
+    await app.waitFor(() => app.$('#conductor-trip option[value="T0000000003"]'), { message: 'the conductor\'s trips' });
+    app.fill({ 'conductor-trip': 'T0000000003' });
+    await app.waitFor(() => !app.$('#conductor-scanner').classList.contains('hidden'), { message: 'the scanner' });
+    app.fill({ 'conductor-ticket-id': 'TKT0000000001' });
+    app.submit('conductor-manual-form');
+
+    await app.waitForText('#conductor-result', 'Refunded ticket');
+    assert.match(app.text('#conductor-result'), /REJECTED/);
+    assert.equal(ticket('TKT0000000001').status, 'REFUNDED');
+});
+
+test('a ticket that has been used cannot be refunded', async () => {
+    await app.run("switchTab('payments')");
+    app.click(await app.waitFor(
+        () => app.$('#payments-list [data-action="request-refund"][data-payment-id="PAY-0000DEM2"]'),
+        { message: 'the used ticket\'s payment' }));
+    await confirmReason('Did not travel');
+
+    await app.waitForText('#reason-error', 'has already been used');
+    assert.equal(app.run("mockBackend.state.payments.find(p => p.paymentId === 'PAY-0000DEM2').status"), 'SUCCESS');
+    assert.equal(ticket('TKT0000000002').status, 'VALIDATED');
+});
+
+test('only the passenger who paid can refund a payment', async () => {
+    app.click('#logout-btn');
+    await app.login('conductor');
+
+    const error = await app.run("api.payment.refund('PAY-0000DEM1', 'Not mine').then(() => null, error => error)");
+    assert.equal(error?.status, 403);
+    assert.equal(ticket('TKT0000000001').status, 'PAID');
+});
+
+test('refunding one ticket of a group booking names and withdraws every ticket in it', { timeout: 30000 }, async () => {
+    app.run("bookGroup('T0000000002', 3)");
+    await app.waitFor(() => app.$('#checkout-form'), { message: 'the group checkout' });
+    app.fill({ 'checkout-mobileNumber': '0811234567' });
+    app.submit('checkout-form');
+    await app.waitForText('#modal-body', 'Booking Confirmed', { timeout: 15000 });
+    app.run('closeModal()');
+
+    const group = JSON.parse(app.run("JSON.stringify(mockBackend.state.tickets.filter(t => t.tripId === 'T0000000002'))"));
+    assert.equal(group.length, 3);
+    assert.ok(group.every(({ status, paymentId }) => status === 'PAID' && paymentId === group[0].paymentId));
+
+    await app.run("switchTab('tickets')");
+    app.click(await app.waitFor(
+        () => app.$(`#tickets-list .ticket-card[data-ticket-id="${group[2].ticketId}"] [data-action="request-refund"]`),
+        { message: 'the last ticket of the group' }));
+    await app.waitForText('#modal-body', 'all 3 tickets');
+    assert.deepEqual(app.$$('#modal-body .dialog-list li').map(item => item.textContent.trim()),
+        group.map(({ ticketId }) => `Ticket ${ticketId}`));
+    await confirmReason('Trip cancelled');
+
+    await app.waitForToast('Refund processed');
+    assert.ok(group.every(({ ticketId }) => ticket(ticketId).status === 'REFUNDED'));
+});
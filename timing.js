@@ -0,0 +1,275 @@
+// Ticket timing: countdowns on the ticket cards, the Upcoming / Active / Past grouping, and
+// opt-in browser reminders before departure and before an unpaid reservation lapses. The
+// ticketing service only marks tickets EXPIRED when its cleanup runs, so the page treats a ticket
+// as expired itself the moment validUntil passes. Reminders come from this page's ticker, so they
+// only fire while the app is open in some tab.
+const TICKET_GROUPS = ['upcoming', 'active', 'past'];
+const TIMING_TICK_MS = 1000;
+const REMINDER_DEPARTURE_LEAD_MS = 15 * 60 * 1000;
+const REMINDER_LAPSE_LEAD_MS = 10 * 60 * 1000;
+const REMINDER_REFRESH_MS = 5 * 60 * 1000;
+const REMINDERS_SENT_LIMIT = 200;
+
+const timing = {
+    // The rider's tickets with their payments and trips, as last fetched by fetchTicketOverview.
+    overview: { tickets: [], paymentsByTicket: new Map(), tripsById: new Map() },
+    fetchedAt: 0,
+    refreshing: false,
+    // When the earliest card changes group or status; the list is re-rendered then.
+    nextChangeAt: Infinity,
+    timer: null,
+    sent: new Set()
+};
+
+function initTicketTiming() {
+    const toggle = document.getElementById('ticket-reminders-toggle');
+    if (!('Notification' in window)) {
+        toggle.closest('label').classList.add('hidden');
+        return;
+    }
+    toggle.addEventListener('change', () => setRemindersEnabled(toggle.checked));
+}
+
+function startTicketTiming() {
+    stopTicketTiming();
+    timing.sent = new Set(loadSentReminders());
+    document.getElementById('ticket-reminders-toggle').checked = remindersEnabled();
+    timing.timer = setInterval(tickTicketTiming, TIMING_TICK_MS);
+    if (remindersEnabled()) {
+        refreshTimedTickets();
+    }
+}
+
+function stopTicketTiming() {
+    clearInterval(timing.timer);
+    timing.timer = null;
+    timing.overview = { tickets: [], paymentsByTicket: new Map(), tripsById: new Map() };
+    timing.fetchedAt = 0;
+    timing.nextChangeAt = Infinity;
+    timing.sent.clear();
+}
+
+function setTimedTickets(overview) {
+    timing.overview = overview;
+    timing.fetchedAt = Date.now();
+}
+
+// Reminders need fresh tickets even when the rider never opens My Tickets.
+async function refreshTimedTickets() {
+    if (!currentUser || timing.refreshing) return;
+
+    timing.refreshing = true;
+    try {
+        setTimedTickets(await fetchTicketOverview());
+    } catch (error) {
+        console.error('Error loading tickets for reminders:', error);
+    } finally {
+        timing.refreshing = false;
+    }
+}
+
+function tickTicketTiming() {
+    if (!currentUser) return;
+
+    const now = Date.now();
+    if (now >= timing.nextChangeAt) {
+        renderTickets();
+    } else {
+        updateCountdowns(now);
+    }
+
+    if (remindersEnabled()) {
+        checkReminders(now);
+        if (now - timing.fetchedAt >= REMINDER_REFRESH_MS && navigator.onLine) {
+            refreshTimedTickets();
+        }
+    }
+}
+
+// Departure and arrival include the latest known delay, from live updates or the trip itself.
+function tripDelayMs(trip) {
+    const delayMinutes = live.tripUpdates.get(trip.tripId)?.delayMinutes ?? trip.delayMinutes ?? 0;
+    return delayMinutes * 60000;
+}
+
+function tripDeparture(trip) {
+    const departure = trip && Date.parse(trip.departureTime);
+    return departure ? departure + tripDelayMs(trip) : null;
+}
+
+function tripArrival(trip) {
+    const arrival = trip && Date.parse(trip.arrivalTime);
+    return arrival ? arrival + tripDelayMs(trip) : null;
+}
+
+function tripStatus(trip) {
+    return trip && (live.tripUpdates.get(trip.tripId)?.status || trip.status);
+}
+
+function ticketExpired(ticket, now = Date.now()) {
+    const validUntil = Date.parse(ticket.validUntil);
+    return (ticket.status === 'CREATED' || ticket.status === 'PAID') && validUntil <= now;
+}
+
+// status is the display status from ticketDisplayStatus, so refunds and local expiry count.
+function ticketGroup(status, trip, now = Date.now()) {
+    if (!['CREATED', 'PAID', 'VALIDATED'].includes(status)) return 'past';
+    if (['CANCELLED', 'COMPLETED'].includes(tripStatus(trip))) return 'past';
+
+    const arrival = tripArrival(trip);
+    if (arrival && arrival <= now) return 'past';
+    // A validated ticket has been used; it stays active only while its trip is known to be running.
+    if (status === 'VALIDATED') return trip ? 'active' : 'past';
+
+    const departure = tripDeparture(trip);
+    return departure && departure <= now ? 'active' : 'upcoming';
+}
+
+// entries: the listed tickets with their trips, as { ticket, trip }.
+function nextTicketChange(entries, now = Date.now()) {
+    const moments = entries.flatMap(({ ticket, trip }) => [
+        (ticket.status === 'CREATED' || ticket.status === 'PAID') && Date.parse(ticket.validUntil),
+        tripDeparture(trip),
+        tripArrival(trip)
+    ]);
+    return Math.min(Infinity, ...moments.filter(moment => moment > now));
+}
+
+// The line under a live ticket's details: when an unpaid reservation lapses, or when a paid
+// ticket's trip leaves (and, once it has, how long the ticket stays valid).
+function ticketCountdown(ticket, status, trip, now = Date.now()) {
+    const departure = tripDeparture(trip);
+    const lines = [];
+    if (status === 'CREATED') {
+        lines.push(['tickets.lapsesIn', Date.parse(ticket.validUntil)]);
+    }
+    if ((status === 'CREATED' || status === 'PAID') && departure > now) {
+        lines.push(['tickets.departsIn', departure]);
+    } else if (status === 'PAID') {
+        lines.push(['tickets.validFor', Date.parse(ticket.validUntil)]);
+    }
+
+    return lines.map(([key, deadline]) => html`
+        <p class="ticket-countdown" data-countdown-key="${key}" data-deadline="${deadline}">${countdownText(key, deadline, now)}</p>
+    `);
+}
+
+function countdownText(key, deadline, now) {
+    return t(key, { time: formatCountdown(deadline - now) });
+}
+
+function updateCountdowns(now) {
+    document.querySelectorAll('.ticket-countdown[data-deadline]').forEach(el => {
+        el.textContent = countdownText(el.dataset.countdownKey, Number(el.dataset.deadline), now);
+    });
+}
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor(totalSeconds / 3600) % 24;
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) return t('tickets.countdownDays', { days, hours });
+    if (hours > 0) return t('tickets.countdownHours', { hours, minutes: String(minutes).padStart(2, '0') });
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function remindersKey() {
+    return `ticketReminders:${currentUser.passengerId}`;
+}
+
+function remindersEnabled() {
+    return Boolean(currentUser) && 'Notification' in window && Notification.permission === 'granted' &&
+        localStorage.getItem(remindersKey()) === 'on';
+}
+
+async function setRemindersEnabled(enabled) {
+    const toggle = document.getElementById('ticket-reminders-toggle');
+    if (!enabled) {
+        localStorage.removeItem(remindersKey());
+        return;
+    }
+
+    let permission = Notification.permission;
+    if (permission === 'default') {
+        permission = await Notification.requestPermission();
+    }
+    if (permission !== 'granted') {
+        toggle.checked = false;
+        showNotification(t('toast.remindersBlocked'), 'error');
+        return;
+    }
+
+    localStorage.setItem(remindersKey(), 'on');
+    showNotification(t('toast.remindersOn'), 'success');
+    refreshTimedTickets();
+}
+
+function sentRemindersKey() {
+    return `remindersSent:${currentUser.passengerId}`;
+}
+
+function loadSentReminders() {
+    try {
+        return JSON.parse(localStorage.getItem(sentRemindersKey())) || [];
+    } catch {
+        return [];
+    }
+}
+
+function markReminderSent(key) {
+    timing.sent.add(key);
+    localStorage.setItem(sentRemindersKey(), JSON.stringify([...timing.sent].slice(-REMINDERS_SENT_LIMIT)));
+}
+
+// Each reminder goes out once per ticket, and only inside its window: one opened after
+// departure or after the reservation lapsed is no use to anyone.
+function checkReminders(now) {
+    const { tickets, paymentsByTicket, tripsById } = timing.overview;
+    tickets.forEach(ticket => {
+        const status = ticketDisplayStatus(ticket, paymentsByTicket.get(ticket.ticketId), now);
+        const trip = tripsById.get(ticket.tripId);
+        const departure = tripDeparture(trip);
+        const validUntil = Date.parse(ticket.validUntil);
+
+        if ((status === 'CREATED' || status === 'PAID') && tripStatus(trip) !== 'CANCELLED' &&
+            departure - REMINDER_DEPARTURE_LEAD_MS <= now && now < departure) {
+            sendReminder(`${ticket.ticketId}:departure`, ticket, t('notifications.departureReminder', {
+                routeNumber: ticket.routeNumber,
+                count: Math.max(1, Math.ceil((departure - now) / 60000))
+            }));
+        }
+        if (status === 'CREATED' && validUntil - REMINDER_LAPSE_LEAD_MS <= now && now < validUntil) {
+            sendReminder(`${ticket.ticketId}:lapse`, ticket, t('notifications.lapseReminder', {
+                ticketId: ticket.ticketId,
+                count: Math.max(1, Math.ceil((validUntil - now) / 60000))
+            }));
+        }
+    });
+}
+
+async function sendReminder(key, ticket, body) {
+    if (timing.sent.has(key)) return;
+    markReminderSent(key);
+
+    const title = t('notifications.reminderTitle');
+    const options = { body, tag: key, icon: 'icon.svg' };
+    try {
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            navigate(`/tickets/${encodeURIComponent(ticket.ticketId)}`);
+            notification.close();
+        };
+    } catch (error) {
+        // Mobile Chrome only allows notifications through the service worker.
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            await registration?.showNotification(title, options);
+        } catch (swError) {
+            console.error('Error showing reminder:', swError);
+        }
+    }
+}